@@ -20,8 +20,9 @@ import {
   Person,
   Email,
   Phone,
+  Search,
 } from '@mui/icons-material';
-import { contactsAPI } from '../services/api';
+import { contactsAPI, SavedSearchCount } from '../services/api';
 
 const Dashboard: React.FC = () => {
   const [stats, setStats] = useState<any>(null);
@@ -184,6 +185,30 @@ const Dashboard: React.FC = () => {
           </Paper>
         </Grid>
 
+        {/* Smart Lists */}
+        {stats?.savedSearches?.length > 0 && (
+          <Grid item xs={12}>
+            <Paper sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Smart Lists
+              </Typography>
+              <List>
+                {stats.savedSearches.map((item: SavedSearchCount) => (
+                  <ListItem key={item.id}>
+                    <ListItemIcon>
+                      <Search />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={item.name}
+                      secondary={item.count === null ? 'Filters are no longer valid' : `${item.count} contacts`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </Paper>
+          </Grid>
+        )}
+
         {/* Quick Actions */}
         <Grid item xs={12}>
           <Paper sx={{ p: 3 }}>
@@ -35,6 +35,163 @@ api.interceptors.response.use(
 );
 
 // Types
+export interface ContactPhone {
+  phone_number: string;
+  label: 'mobile' | 'work' | 'home' | 'fax' | 'other';
+  is_primary: boolean;
+  is_verified: boolean;
+}
+
+export interface ContactEmail {
+  email: string;
+  label: 'work' | 'home' | 'other';
+  is_primary: boolean;
+  is_verified: boolean;
+}
+
+export interface ContactOrganization {
+  organization_id: number;
+  name: string;
+  domain?: string;
+  job_title?: string;
+}
+
+export interface Organization {
+  id: number;
+  name: string;
+  domain?: string;
+  industry?: string;
+  address?: string;
+  notes?: string;
+  contact_count?: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface RelationshipType {
+  id: number;
+  name: string;
+  parent_id: number | null;
+  keywords: string[];
+  sort_order: number;
+  is_default: boolean;
+  contact_count?: number;
+}
+
+export interface CustomField {
+  id: number;
+  field_key: string;
+  label: string;
+  field_type: 'text' | 'number' | 'date' | 'select' | 'url';
+  is_required: boolean;
+  options: string[];
+  validation: {
+    min?: number | string;
+    max?: number | string;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    message?: string;
+  };
+  display_order: number;
+  is_active: boolean;
+}
+
+export interface Tag {
+  id: number;
+  name: string;
+  color: string;
+  contact_count?: number;
+}
+
+export interface StaticList {
+  id: number;
+  name: string;
+  description?: string | null;
+  source?: string | null;
+  created_by_username?: string | null;
+  member_count: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ListMembershipChange {
+  added?: number[];
+  already_members?: number[];
+  not_found?: number[];
+  removed?: number[];
+  not_members?: number[];
+  list: StaticList;
+}
+
+export type BulkOperationType =
+  | 'set_relationship_type'
+  | 'set_data_owner'
+  | 'set_status'
+  | 'add_tags'
+  | 'remove_tags'
+  | 'delete';
+
+export interface BulkOperationRequest {
+  operation: BulkOperationType;
+  value?: string | null;
+  tags?: Array<number | string>;
+  contact_ids?: number[];
+  filters?: Record<string, unknown>;
+}
+
+export interface BulkOperation {
+  id: number;
+  operation: BulkOperationType;
+  params: { value?: string | null; tags?: Array<{ id: number; name: string }> };
+  selection: { contact_ids?: number[]; filters?: Record<string, unknown> };
+  status: 'completed' | 'undone';
+  matched_count: number;
+  changed_count: number;
+  created_by_username?: string | null;
+  undone_by_username?: string | null;
+  created_at: string;
+  undone_at?: string | null;
+  results?: Array<{
+    contact_id: number;
+    first_name?: string | null;
+    last_name?: string | null;
+    result: 'changed' | 'unchanged' | 'not_found';
+    undo_result?: 'reverted' | 'skipped' | 'not_found' | null;
+    message?: string | null;
+  }>;
+}
+
+export type ContactExportFormat = 'csv' | 'xlsx' | 'ndjson';
+
+export interface ContactExportRequest {
+  format?: ContactExportFormat;
+  columns?: string[];
+  background?: boolean;
+  search?: string;
+  sort?: string;
+  [option: string]: unknown;
+}
+
+export interface ContactExport {
+  id: number;
+  format: ContactExportFormat;
+  columns: string[];
+  filters: Record<string, unknown>;
+  sort: string | null;
+  mode: 'stream' | 'background';
+  status: 'running' | 'completed' | 'failed' | 'expired';
+  row_count: number;
+  file_name: string | null;
+  file_size: number | null;
+  error: string | null;
+  created_by: number | null;
+  created_by_username?: string | null;
+  created_at: string;
+  completed_at: string | null;
+  download_url: string | null;
+}
+
 export interface Contact {
   id: number;
   first_name: string;
@@ -46,6 +203,18 @@ export interface Contact {
   source: string;
   status: string;
   notes?: string;
+  phones?: ContactPhone[];
+  emails?: ContactEmail[];
+  organizations?: ContactOrganization[];
+  tags?: Tag[];
+  lists?: Array<{ id: number; name: string }>;
+  custom_fields?: Record<string, string | number>;
+  search_snippet?: string | null;
+  deleted_at?: string | null;
+  deleted_by?: number | null;
+  deleted_by_username?: string | null;
+  purge_at?: string | null;
+  version: number;
   created_at: string;
   updated_at: string;
 }
@@ -60,6 +229,80 @@ export interface ContactFormData {
   source: string;
   status?: string;
   notes?: string;
+  phones?: Partial<ContactPhone>[];
+  emails?: Partial<ContactEmail>[];
+  organizations?: Array<{ organization_id?: number; name?: string; job_title?: string }>;
+  tags?: Array<number | string>;
+  custom_fields?: Record<string, string | number | null>;
+}
+
+// JSON merge patch of a contact: fields left out are kept, null clears a field
+export type ContactPatch = {
+  [K in keyof ContactFormData]?: ContactFormData[K] | null;
+};
+
+export interface RevisionChange {
+  old: unknown;
+  new: unknown;
+}
+
+export interface ContactRevision {
+  id: number;
+  contact_id: number;
+  revision_number: number;
+  action: 'baseline' | 'create' | 'update' | 'merge' | 'revert' | 'trash' | 'restore';
+  changes: Record<string, RevisionChange>;
+  note?: string | null;
+  user_id?: number | null;
+  username?: string | null;
+  created_at: string;
+  snapshot?: Record<string, unknown>;
+}
+
+export interface AuditEntry {
+  id: number;
+  user_id: number | null;
+  username: string | null;
+  action: string;
+  target_type: string | null;
+  target_id: string | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  method: string | null;
+  path: string | null;
+  metadata: Record<string, unknown>;
+  created_at: string;
+}
+
+export interface AuditFilters {
+  user_id?: number;
+  username?: string;
+  action?: string;
+  target_type?: string;
+  target_id?: string | number;
+  from?: string;
+  to?: string;
+}
+
+export interface BackupSnapshot {
+  name: string;
+  trigger: 'manual' | 'scheduled' | 'pre-restore';
+  note: string | null;
+  created_at: string;
+  created_by: number | null;
+  checksum: string | null;
+  schema_version: number | null;
+  integrity?: string;
+  size: number;
+}
+
+export interface BackupVerification {
+  checksumValid: boolean;
+  checksum: string;
+  expectedChecksum: string | null;
+  integrity: string;
+  schemaVersion: number;
+  latestSchemaVersion: number;
 }
 
 export interface ImportSource {
@@ -67,6 +310,7 @@ export interface ImportSource {
   name: string;
   description: string;
   fields: string[];
+  customFields?: Array<Pick<CustomField, 'field_key' | 'label' | 'field_type'>>;
   supported: boolean;
   requiresAuth?: boolean;
   comingSoon?: boolean;
@@ -79,11 +323,46 @@ export interface PaginationInfo {
   pages: number;
 }
 
+export interface CursorPaginationInfo {
+  limit: number;
+  next_cursor: string | null;
+  prev_cursor: string | null;
+  total?: number;
+}
+
 export interface ContactsResponse {
   contacts: Contact[];
   pagination: PaginationInfo;
 }
 
+export interface ContactsCursorResponse {
+  contacts: Contact[];
+  pagination: CursorPaginationInfo;
+}
+
+export interface SavedSearch {
+  id: number;
+  name: string;
+  description: string | null;
+  filters: Record<string, unknown>;
+  sort: string | null;
+  visibility: 'private' | 'shared';
+  show_on_dashboard: boolean;
+  owner_id: number;
+  owner_username: string | null;
+  count?: number | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SavedSearchCount {
+  id: number;
+  name: string;
+  visibility: 'private' | 'shared';
+  owner_username: string | null;
+  count: number | null;
+}
+
 export interface ImportSummary {
   total: number;
   imported: number;
@@ -131,11 +410,39 @@ export const contactsAPI = {
     data_owner?: string;
     source?: string;
     status?: string;
+    organization_id?: number;
+    tags?: string;
+    tag_mode?: 'any' | 'all';
+    list_id?: number;
+    custom_fields?: Record<string, string>;
+    sort?: string;
+    include_total?: boolean;
   }): Promise<ContactsResponse> => {
     const response = await api.get('/contacts', { params });
     return response.data;
   },
 
+  // Keyset pages: leave out cursor for the first page, then pass next_cursor or prev_cursor
+  getContactsByCursor: async (params?: {
+    cursor?: string | null;
+    limit?: number;
+    search?: string;
+    relationship_type?: string;
+    data_owner?: string;
+    source?: string;
+    status?: string;
+    organization_id?: number;
+    tags?: string;
+    tag_mode?: 'any' | 'all';
+    list_id?: number;
+    custom_fields?: Record<string, string>;
+    sort?: string;
+    include_total?: boolean;
+  }): Promise<ContactsCursorResponse> => {
+    const response = await api.get('/contacts', { params: { ...params, pagination: 'cursor' } });
+    return response.data;
+  },
+
   getContact: async (id: number): Promise<Contact> => {
     const response = await api.get(`/contacts/${id}`);
     return response.data.contact;
@@ -146,8 +453,17 @@ export const contactsAPI = {
     return response.data.contact;
   },
 
-  updateContact: async (id: number, data: ContactFormData): Promise<Contact> => {
-    const response = await api.put(`/contacts/${id}`, data);
+  // With `version`, the update is refused (412, current contact in the response) when
+  // the contact has changed since that version was loaded
+  updateContact: async (id: number, data: ContactFormData, version?: number): Promise<Contact> => {
+    const headers = version !== undefined ? { 'If-Match': `"${version}"` } : undefined;
+    const response = await api.put(`/contacts/${id}`, data, { headers });
+    return response.data.contact;
+  },
+
+  patchContact: async (id: number, patch: ContactPatch, version?: number): Promise<Contact> => {
+    const headers = version !== undefined ? { 'If-Match': `"${version}"` } : undefined;
+    const response = await api.patch(`/contacts/${id}`, patch, { headers });
     return response.data.contact;
   },
 
@@ -155,12 +471,350 @@ export const contactsAPI = {
     await api.delete(`/contacts/${id}`);
   },
 
+  getRevisions: async (id: number): Promise<ContactRevision[]> => {
+    const response = await api.get(`/contacts/${id}/revisions`);
+    return response.data.revisions;
+  },
+
+  getRevision: async (id: number, revisionId: number): Promise<ContactRevision> => {
+    const response = await api.get(`/contacts/${id}/revisions/${revisionId}`);
+    return response.data.revision;
+  },
+
+  revertContact: async (id: number, revisionId: number): Promise<Contact> => {
+    const response = await api.post(`/contacts/${id}/revisions/${revisionId}/revert`);
+    return response.data.contact;
+  },
+
+  getTrash: async (params?: { page?: number; limit?: number }): Promise<ContactsResponse & { retentionDays: number }> => {
+    const response = await api.get('/contacts/trash', { params });
+    return response.data;
+  },
+
+  restoreContact: async (id: number, force = false): Promise<Contact> => {
+    const response = await api.post(`/contacts/${id}/restore`, null, { params: force ? { force: true } : undefined });
+    return response.data.contact;
+  },
+
+  purgeContact: async (id: number): Promise<void> => {
+    await api.delete(`/contacts/trash/${id}`);
+  },
+
+  emptyTrash: async (): Promise<number> => {
+    const response = await api.delete('/contacts/trash');
+    return response.data.purgedCount;
+  },
+
   getStats: async () => {
     const response = await api.get('/contacts/stats/overview');
     return response.data;
   },
 };
 
+// Relationship types API
+export const relationshipTypesAPI = {
+  getTypes: async (): Promise<RelationshipType[]> => {
+    const response = await api.get('/relationship-types');
+    return response.data.types;
+  },
+
+  createType: async (data: Partial<RelationshipType>): Promise<RelationshipType> => {
+    const response = await api.post('/relationship-types', data);
+    return response.data.type;
+  },
+
+  updateType: async (id: number, data: Partial<RelationshipType>): Promise<RelationshipType> => {
+    const response = await api.put(`/relationship-types/${id}`, data);
+    return response.data.type;
+  },
+
+  mergeTypes: async (targetId: number, sourceTypeIds: number[]): Promise<RelationshipType> => {
+    const response = await api.post(`/relationship-types/${targetId}/merge`, { source_type_ids: sourceTypeIds });
+    return response.data.type;
+  },
+
+  deleteType: async (id: number, reassignTo?: number): Promise<void> => {
+    await api.delete(`/relationship-types/${id}`, { params: { reassign_to: reassignTo } });
+  },
+};
+
+// Custom fields API
+export const customFieldsAPI = {
+  getFields: async (includeInactive = false): Promise<CustomField[]> => {
+    const response = await api.get('/custom-fields', { params: { include_inactive: includeInactive } });
+    return response.data.fields;
+  },
+
+  createField: async (data: Partial<CustomField>): Promise<CustomField> => {
+    const response = await api.post('/custom-fields', data);
+    return response.data.field;
+  },
+
+  updateField: async (id: number, data: Partial<CustomField>): Promise<CustomField> => {
+    const response = await api.put(`/custom-fields/${id}`, data);
+    return response.data.field;
+  },
+
+  deleteField: async (id: number): Promise<void> => {
+    await api.delete(`/custom-fields/${id}`);
+  },
+};
+
+// Audit log API (admin only)
+export const auditAPI = {
+  getEntries: async (params?: AuditFilters & { page?: number; limit?: number }): Promise<{
+    entries: AuditEntry[];
+    pagination: PaginationInfo;
+  }> => {
+    const response = await api.get('/audit', { params });
+    return response.data;
+  },
+
+  getActions: async (): Promise<string[]> => {
+    const response = await api.get('/audit/actions');
+    return response.data.actions;
+  },
+
+  exportCSV: async (params?: AuditFilters): Promise<Blob> => {
+    const response = await api.get('/audit/export', { params, responseType: 'blob' });
+    return response.data;
+  },
+};
+
+// Backups API (admin only)
+export const backupsAPI = {
+  getSnapshots: async (): Promise<BackupSnapshot[]> => {
+    const response = await api.get('/backups');
+    return response.data.snapshots;
+  },
+
+  createSnapshot: async (note?: string): Promise<BackupSnapshot> => {
+    const response = await api.post('/backups', { note });
+    return response.data.snapshot;
+  },
+
+  verifySnapshot: async (name: string): Promise<BackupVerification> => {
+    const response = await api.get(`/backups/${name}/verify`);
+    return response.data.verification;
+  },
+
+  downloadSnapshot: async (name: string): Promise<Blob> => {
+    const response = await api.get(`/backups/${name}/download`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  restoreSnapshot: async (name: string): Promise<{ safetySnapshot: BackupSnapshot; schemaVersion: number }> => {
+    const response = await api.post(`/backups/${name}/restore`);
+    return response.data;
+  },
+
+  deleteSnapshot: async (name: string): Promise<void> => {
+    await api.delete(`/backups/${name}`);
+  },
+};
+
+// Saved searches (smart lists) API
+export const savedSearchesAPI = {
+  getSavedSearches: async (includeCounts = false): Promise<SavedSearch[]> => {
+    const response = await api.get('/saved-searches', { params: includeCounts ? { include_counts: true } : undefined });
+    return response.data.saved_searches;
+  },
+
+  createSavedSearch: async (data: Partial<SavedSearch>): Promise<SavedSearch> => {
+    const response = await api.post('/saved-searches', data);
+    return response.data.saved_search;
+  },
+
+  updateSavedSearch: async (id: number, data: Partial<SavedSearch>): Promise<SavedSearch> => {
+    const response = await api.put(`/saved-searches/${id}`, data);
+    return response.data.saved_search;
+  },
+
+  deleteSavedSearch: async (id: number): Promise<void> => {
+    await api.delete(`/saved-searches/${id}`);
+  },
+
+  getContacts: async (id: number, params?: { page?: number; limit?: number }): Promise<ContactsResponse & {
+    saved_search: SavedSearch;
+    count: number;
+  }> => {
+    const response = await api.get(`/saved-searches/${id}/contacts`, { params });
+    return response.data;
+  },
+};
+
+// Bulk operations API
+export const bulkOperationsAPI = {
+  preview: async (data: BulkOperationRequest): Promise<{ count: number; not_found: number[] }> => {
+    const response = await api.post('/bulk-operations/preview', data);
+    return response.data;
+  },
+
+  run: async (data: BulkOperationRequest, expectedCount: number): Promise<BulkOperation> => {
+    const response = await api.post('/bulk-operations', { ...data, expected_count: expectedCount });
+    return response.data.bulk_operation;
+  },
+
+  getBulkOperations: async (params?: { page?: number; limit?: number }): Promise<{
+    bulk_operations: BulkOperation[];
+    pagination: PaginationInfo;
+  }> => {
+    const response = await api.get('/bulk-operations', { params });
+    return response.data;
+  },
+
+  getBulkOperation: async (id: number): Promise<BulkOperation> => {
+    const response = await api.get(`/bulk-operations/${id}`);
+    return response.data.bulk_operation;
+  },
+
+  undo: async (id: number): Promise<BulkOperation> => {
+    const response = await api.post(`/bulk-operations/${id}/undo`);
+    return response.data.bulk_operation;
+  },
+};
+
+// Contact exports API
+export const exportsAPI = {
+  getColumns: async (): Promise<{ columns: Array<{ key: string; label: string }>; formats: ContactExportFormat[] }> => {
+    const response = await api.get('/exports/columns');
+    return response.data;
+  },
+
+  // Small exports come back as the file; large or background ones as a running export (202)
+  exportContacts: async (data: ContactExportRequest): Promise<{ file?: Blob; export?: ContactExport }> => {
+    const response = await api.post('/exports/contacts', data, { responseType: 'blob' });
+    if (response.status === 202) {
+      return JSON.parse(await response.data.text());
+    }
+    return { file: response.data };
+  },
+
+  getExports: async (params?: { page?: number; limit?: number }): Promise<{
+    exports: ContactExport[];
+    pagination: PaginationInfo;
+  }> => {
+    const response = await api.get('/exports', { params });
+    return response.data;
+  },
+
+  getExport: async (id: number): Promise<ContactExport> => {
+    const response = await api.get(`/exports/${id}`);
+    return response.data.export;
+  },
+
+  downloadExport: async (id: number): Promise<Blob> => {
+    const response = await api.get(`/exports/${id}/download`, { responseType: 'blob' });
+    return response.data;
+  },
+};
+
+// Static lists API
+export const listsAPI = {
+  getLists: async (): Promise<StaticList[]> => {
+    const response = await api.get('/lists');
+    return response.data.lists;
+  },
+
+  createList: async (name: string, description?: string): Promise<StaticList> => {
+    const response = await api.post('/lists', { name, description });
+    return response.data.list;
+  },
+
+  updateList: async (id: number, data: { name?: string; description?: string | null }): Promise<StaticList> => {
+    const response = await api.put(`/lists/${id}`, data);
+    return response.data.list;
+  },
+
+  deleteList: async (id: number): Promise<void> => {
+    await api.delete(`/lists/${id}`);
+  },
+
+  getMembers: async (id: number, params?: { page?: number; limit?: number; search?: string }): Promise<ContactsResponse & {
+    list: StaticList;
+  }> => {
+    const response = await api.get(`/lists/${id}/members`, { params });
+    return response.data;
+  },
+
+  addMembers: async (id: number, contactIds: number[]): Promise<ListMembershipChange> => {
+    const response = await api.post(`/lists/${id}/members`, { contact_ids: contactIds });
+    return response.data;
+  },
+
+  removeMembers: async (id: number, contactIds: number[]): Promise<ListMembershipChange> => {
+    const response = await api.delete(`/lists/${id}/members`, { data: { contact_ids: contactIds } });
+    return response.data;
+  },
+};
+
+// Tags API
+export const tagsAPI = {
+  getTags: async (): Promise<Tag[]> => {
+    const response = await api.get('/tags');
+    return response.data.tags;
+  },
+
+  createTag: async (name: string, color?: string): Promise<Tag> => {
+    const response = await api.post('/tags', { name, color });
+    return response.data.tag;
+  },
+
+  updateTag: async (id: number, name: string, color?: string): Promise<Tag> => {
+    const response = await api.put(`/tags/${id}`, { name, color });
+    return response.data.tag;
+  },
+
+  mergeTags: async (targetId: number, sourceTagIds: number[]): Promise<Tag> => {
+    const response = await api.post(`/tags/${targetId}/merge`, { source_tag_ids: sourceTagIds });
+    return response.data.tag;
+  },
+
+  deleteTag: async (id: number): Promise<void> => {
+    await api.delete(`/tags/${id}`);
+  },
+};
+
+// Organizations API
+export const organizationsAPI = {
+  getOrganizations: async (params?: {
+    page?: number;
+    limit?: number;
+    search?: string;
+    industry?: string;
+  }): Promise<{ organizations: Organization[]; pagination: PaginationInfo }> => {
+    const response = await api.get('/organizations', { params });
+    return response.data;
+  },
+
+  getOrganization: async (id: number): Promise<Organization & { contacts: Contact[] }> => {
+    const response = await api.get(`/organizations/${id}`);
+    return response.data.organization;
+  },
+
+  createOrganization: async (data: Partial<Organization>): Promise<Organization> => {
+    const response = await api.post('/organizations', data);
+    return response.data.organization;
+  },
+
+  updateOrganization: async (id: number, data: Partial<Organization>): Promise<Organization> => {
+    const response = await api.put(`/organizations/${id}`, data);
+    return response.data.organization;
+  },
+
+  deleteOrganization: async (id: number): Promise<void> => {
+    await api.delete(`/organizations/${id}`);
+  },
+
+  linkContact: async (id: number, contactId: number, jobTitle?: string): Promise<void> => {
+    await api.post(`/organizations/${id}/contacts`, { contact_id: contactId, job_title: jobTitle });
+  },
+
+  unlinkContact: async (id: number, contactId: number): Promise<void> => {
+    await api.delete(`/organizations/${id}/contacts/${contactId}`);
+  },
+};
+
 // Import API
 export const importAPI = {
   getSources: async (): Promise<ImportSource[]> => {
@@ -168,9 +822,10 @@ export const importAPI = {
     return response.data.sources;
   },
 
-  importCSV: async (file: File, fieldMapping: Record<string, string>, options: {
+  importCSV: async (file: File, fieldMapping: Record<string, string | Record<string, string>>, options: {
     defaultRelationshipType?: string;
     defaultDataOwner?: string;
+    tags?: Array<number | string>;
   }) => {
     const formData = new FormData();
     formData.append('csvFile', file);
@@ -179,6 +834,9 @@ export const importAPI = {
     if (options.defaultDataOwner) {
       formData.append('defaultDataOwner', options.defaultDataOwner);
     }
+    if (options.tags && options.tags.length > 0) {
+      formData.append('tags', JSON.stringify(options.tags));
+    }
 
     const response = await api.post('/import/csv', formData, {
       headers: {
@@ -188,7 +846,7 @@ export const importAPI = {
     return response.data;
   },
 
-  importRawData: async (rawData: string): Promise<{
+  importRawData: async (rawData: string, tags?: Array<number | string>): Promise<{
     message: string;
     summary: ImportSummary;
     imported: Contact[];
@@ -197,18 +855,20 @@ export const importAPI = {
       duplicates: DuplicateContact[];
     }>;
   }> => {
-    const response = await api.post('/contacts/import/raw', { rawData });
+    const response = await api.post('/contacts/import/raw', { rawData, tags });
     return response.data;
   },
 
   importGmail: async (accessToken: string, options: {
     relationshipType?: string;
     dataOwner?: string;
+    tags?: Array<number | string>;
   }) => {
     const response = await api.post('/import/gmail', {
       accessToken,
       relationshipType: options.relationshipType || 'Other',
       dataOwner: options.dataOwner,
+      tags: options.tags,
     });
     return response.data;
   },
@@ -216,11 +876,13 @@ export const importAPI = {
   importZoho: async (accessToken: string, options: {
     relationshipType?: string;
     dataOwner?: string;
+    tags?: Array<number | string>;
   }) => {
     const response = await api.post('/import/zoho', {
       accessToken,
       relationshipType: options.relationshipType || 'Other',
       dataOwner: options.dataOwner,
+      tags: options.tags,
     });
     return response.data;
   },
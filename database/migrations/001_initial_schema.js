@@ -0,0 +1,64 @@
+// Baseline schema: users, contacts and import_sessions.
+// Uses IF NOT EXISTS so databases created before migrations existed are adopted as-is.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE IF NOT EXISTS users (
+      id ${types.primaryKey},
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT DEFAULT 'user',
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE IF NOT EXISTS contacts (
+      id ${types.primaryKey},
+      first_name TEXT NOT NULL,
+      last_name TEXT,
+      phone_number TEXT NOT NULL,
+      email TEXT,
+      relationship_type TEXT DEFAULT 'Other',
+      data_owner TEXT,
+      source TEXT NOT NULL,
+      status TEXT DEFAULT 'Active',
+      notes TEXT,
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(phone_number, email)
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE IF NOT EXISTS import_sessions (
+      id ${types.primaryKey},
+      user_id INTEGER,
+      source_type TEXT NOT NULL,
+      total_records INTEGER DEFAULT 0,
+      successful_imports INTEGER DEFAULT 0,
+      failed_imports INTEGER DEFAULT 0,
+      duplicates_found INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      completed_at ${types.timestamp}
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX IF NOT EXISTS idx_contacts_phone ON contacts(phone_number)');
+  await executeSingleQuery('CREATE INDEX IF NOT EXISTS idx_contacts_email ON contacts(email)');
+  await executeSingleQuery('CREATE INDEX IF NOT EXISTS idx_contacts_owner ON contacts(data_owner)');
+  await executeSingleQuery('CREATE INDEX IF NOT EXISTS idx_contacts_type ON contacts(relationship_type)');
+  await executeSingleQuery('CREATE INDEX IF NOT EXISTS idx_contacts_source ON contacts(source)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS import_sessions');
+  await executeSingleQuery('DROP TABLE IF EXISTS contacts');
+  await executeSingleQuery('DROP TABLE IF EXISTS users');
+};
+
+module.exports = { up, down };
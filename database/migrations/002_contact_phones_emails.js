@@ -0,0 +1,54 @@
+// Child tables holding every phone number and email address of a contact.
+// contacts.phone_number / contacts.email keep mirroring the primary entry.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE contact_phones (
+      id ${types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      phone_number TEXT NOT NULL,
+      label TEXT DEFAULT 'mobile',
+      is_primary INTEGER DEFAULT 0,
+      is_verified INTEGER DEFAULT 0,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contact_id, phone_number)
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE contact_emails (
+      id ${types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      email TEXT NOT NULL,
+      label TEXT DEFAULT 'work',
+      is_primary INTEGER DEFAULT 0,
+      is_verified INTEGER DEFAULT 0,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contact_id, email)
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_contact_phones_contact ON contact_phones(contact_id)');
+  await executeSingleQuery('CREATE INDEX idx_contact_phones_number ON contact_phones(phone_number)');
+  await executeSingleQuery('CREATE INDEX idx_contact_emails_contact ON contact_emails(contact_id)');
+  await executeSingleQuery('CREATE INDEX idx_contact_emails_email ON contact_emails(email)');
+
+  // Carry the existing single values over as primary entries
+  await executeSingleQuery(`
+    INSERT INTO contact_phones (contact_id, phone_number, label, is_primary)
+    SELECT id, phone_number, 'mobile', 1 FROM contacts
+    WHERE phone_number IS NOT NULL AND phone_number != ''
+  `);
+  await executeSingleQuery(`
+    INSERT INTO contact_emails (contact_id, email, label, is_primary)
+    SELECT id, email, 'work', 1 FROM contacts
+    WHERE email IS NOT NULL AND email != ''
+  `);
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_emails');
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_phones');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Organizations (client companies, vendors, ...) and their many-to-many link to contacts
+
+const up = async ({ executeSingleQuery, dialect: { types, caseInsensitive } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE organizations (
+      id ${types.primaryKey},
+      name TEXT NOT NULL,
+      domain TEXT,
+      industry TEXT,
+      address TEXT,
+      notes TEXT,
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE contact_organizations (
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      job_title TEXT,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (contact_id, organization_id)
+    )
+  `);
+
+  await executeSingleQuery(`CREATE UNIQUE INDEX idx_organizations_name ON organizations(${caseInsensitive('name')})`);
+  await executeSingleQuery('CREATE INDEX idx_organizations_domain ON organizations(domain)');
+  await executeSingleQuery('CREATE INDEX idx_contact_organizations_org ON contact_organizations(organization_id)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_organizations');
+  await executeSingleQuery('DROP TABLE IF EXISTS organizations');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// User-defined coloured tags and their many-to-many link to contacts
+
+const up = async ({ executeSingleQuery, dialect: { types, caseInsensitive } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE tags (
+      id ${types.primaryKey},
+      name TEXT NOT NULL,
+      color TEXT DEFAULT '#9e9e9e',
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE contact_tags (
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (contact_id, tag_id)
+    )
+  `);
+
+  await executeSingleQuery(`CREATE UNIQUE INDEX idx_tags_name ON tags(${caseInsensitive('name')})`);
+  await executeSingleQuery('CREATE INDEX idx_contact_tags_tag ON contact_tags(tag_id)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_tags');
+  await executeSingleQuery('DROP TABLE IF EXISTS tags');
+};
+
+module.exports = { up, down };
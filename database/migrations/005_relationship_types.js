@@ -0,0 +1,48 @@
+// Admin-managed relationship-type taxonomy replacing the hardcoded enum.
+// contacts.relationship_type keeps storing the type name.
+
+const BUILT_IN_TYPES = [
+  { name: 'Client', keywords: ['client', 'customer'] },
+  { name: 'Vendor', keywords: ['vendor', 'supplier'] },
+  { name: 'Lead', keywords: ['lead', 'prospect'] },
+  { name: 'Partner', keywords: ['partner', 'associate'] },
+  { name: 'Other', keywords: [], isDefault: true }
+];
+
+const up = async ({ executeSingleQuery, dialect: { types, caseInsensitive } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE relationship_types (
+      id ${types.primaryKey},
+      name TEXT NOT NULL,
+      parent_id INTEGER REFERENCES relationship_types(id) ON DELETE SET NULL,
+      keywords TEXT DEFAULT '[]',
+      sort_order INTEGER DEFAULT 0,
+      is_default INTEGER DEFAULT 0,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await executeSingleQuery(`CREATE UNIQUE INDEX idx_relationship_types_name ON relationship_types(${caseInsensitive('name')})`);
+
+  for (let i = 0; i < BUILT_IN_TYPES.length; i++) {
+    const type = BUILT_IN_TYPES[i];
+    await executeSingleQuery(
+      'INSERT INTO relationship_types (name, keywords, sort_order, is_default) VALUES (?, ?, ?, ?)',
+      [type.name, JSON.stringify(type.keywords), i, type.isDefault ? 1 : 0]
+    );
+  }
+
+  // Keep any values already stored on contacts valid
+  await executeSingleQuery(`
+    INSERT INTO relationship_types (name, sort_order)
+    SELECT DISTINCT relationship_type, ${BUILT_IN_TYPES.length} FROM contacts
+    WHERE relationship_type IS NOT NULL AND relationship_type != ''
+    ON CONFLICT DO NOTHING
+  `);
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS relationship_types');
+};
+
+module.exports = { up, down };
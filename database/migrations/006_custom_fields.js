@@ -0,0 +1,39 @@
+// User-defined custom fields: admin-managed definitions plus per-contact values
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE custom_field_definitions (
+      id ${types.primaryKey},
+      field_key TEXT UNIQUE NOT NULL,
+      label TEXT NOT NULL,
+      field_type TEXT NOT NULL CHECK (field_type IN ('text', 'number', 'date', 'select', 'url')),
+      is_required INTEGER DEFAULT 0,
+      options TEXT DEFAULT '[]',
+      validation TEXT DEFAULT '{}',
+      display_order INTEGER DEFAULT 0,
+      is_active INTEGER DEFAULT 1,
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE contact_custom_values (
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      field_id INTEGER NOT NULL REFERENCES custom_field_definitions(id) ON DELETE CASCADE,
+      value TEXT,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (contact_id, field_id)
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_contact_custom_values_field ON contact_custom_values(field_id, value)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_custom_values');
+  await executeSingleQuery('DROP TABLE IF EXISTS custom_field_definitions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,149 @@
+// Full-text search index over contacts, kept in sync by triggers.
+// Each index row uses the contact ID as its rowid and holds the contact's names,
+// every email, every phone number as digits, notes and organization names/job titles.
+// SQLite indexes them with FTS5; PostgreSQL keeps the same columns in a plain table
+// with a weighted tsvector document generated from them.
+
+// Phone numbers are indexed as bare digits and as their last ten digits, so a
+// national number prefix-matches with or without the country code
+const phoneDigits = (column) => {
+  let expression = column;
+  for (const character of ['+', ' ', '-', '(', ')', '.', '/']) {
+    expression = `replace(${expression}, '${character}', '')`;
+  }
+  return expression;
+};
+
+// Remove the index rows of the contacts selected by a WHERE condition on contacts c
+const deleteIndexRows = (condition) => `
+  DELETE FROM contacts_fts WHERE rowid IN (SELECT c.id FROM contacts c WHERE ${condition})
+`;
+
+// Build index rows for the contacts selected by a WHERE condition on contacts c
+const insertIndexRows = (dialect, condition) => `
+  INSERT INTO contacts_fts (rowid, first_name, last_name, emails, phones, notes, organizations)
+  SELECT
+    c.id,
+    c.first_name,
+    c.last_name,
+    (SELECT ${dialect.groupConcat('e.email', ' ')} FROM contact_emails e WHERE e.contact_id = c.id),
+    (SELECT ${dialect.groupConcat(`${phoneDigits('p.phone_number')} || ' ' || ${dialect.rightCharacters(phoneDigits('p.phone_number'), 10)}`, ' ')}
+     FROM contact_phones p WHERE p.contact_id = c.id),
+    c.notes,
+    (SELECT ${dialect.groupConcat("o.name || ' ' || COALESCE(co.job_title, '')", ' ')}
+     FROM contact_organizations co JOIN organizations o ON o.id = co.organization_id
+     WHERE co.contact_id = c.id)
+  FROM contacts c WHERE ${condition}
+`;
+
+// Trigger body that re-indexes the selected contacts
+const refreshIndex = (dialect, condition) => `${deleteIndexRows(condition)};${insertIndexRows(dialect, condition)};`;
+
+// Statements creating the index table
+const INDEX_TABLE = {
+  sqlite: [`
+    CREATE VIRTUAL TABLE contacts_fts USING fts5(
+      first_name, last_name, emails, phones, notes, organizations,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `],
+  postgres: [`
+    CREATE TABLE contacts_fts (
+      rowid INTEGER PRIMARY KEY,
+      first_name TEXT,
+      last_name TEXT,
+      emails TEXT,
+      phones TEXT,
+      notes TEXT,
+      organizations TEXT,
+      document tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(emails, '') || ' ' || COALESCE(phones, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(organizations, '')), 'C') ||
+        setweight(to_tsvector('simple', COALESCE(notes, '')), 'D')
+      ) STORED
+    )
+  `, 'CREATE INDEX idx_contacts_fts_document ON contacts_fts USING GIN (document)']
+};
+
+// Child tables whose rows belong to a single contact
+const CHILD_TABLES = ['contact_phones', 'contact_emails', 'contact_organizations'];
+
+const up = async ({ executeSingleQuery, dialect, createTrigger }) => {
+  for (const statement of INDEX_TABLE[dialect.name]) {
+    await executeSingleQuery(statement);
+  }
+
+  await createTrigger({
+    name: 'contacts_fts_insert',
+    timing: 'AFTER',
+    event: 'INSERT',
+    table: 'contacts',
+    body: refreshIndex(dialect, 'c.id = NEW.id')
+  });
+  await createTrigger({
+    name: 'contacts_fts_update',
+    timing: 'AFTER',
+    event: 'UPDATE OF first_name, last_name, notes',
+    table: 'contacts',
+    body: refreshIndex(dialect, 'c.id = NEW.id')
+  });
+  await createTrigger({
+    name: 'contacts_fts_delete',
+    timing: 'AFTER',
+    event: 'DELETE',
+    table: 'contacts',
+    body: 'DELETE FROM contacts_fts WHERE rowid = OLD.id;'
+  });
+
+  for (const table of CHILD_TABLES) {
+    await createTrigger({
+      name: `${table}_fts_insert`,
+      timing: 'AFTER',
+      event: 'INSERT',
+      table,
+      body: refreshIndex(dialect, 'c.id = NEW.contact_id')
+    });
+    await createTrigger({
+      name: `${table}_fts_update`,
+      timing: 'AFTER',
+      event: 'UPDATE',
+      table,
+      body: refreshIndex(dialect, 'c.id IN (OLD.contact_id, NEW.contact_id)')
+    });
+    await createTrigger({
+      name: `${table}_fts_delete`,
+      timing: 'AFTER',
+      event: 'DELETE',
+      table,
+      body: refreshIndex(dialect, 'c.id = OLD.contact_id')
+    });
+  }
+
+  await createTrigger({
+    name: 'organizations_fts_update',
+    timing: 'AFTER',
+    event: 'UPDATE OF name',
+    table: 'organizations',
+    body: refreshIndex(dialect, 'c.id IN (SELECT contact_id FROM contact_organizations WHERE organization_id = NEW.id)')
+  });
+
+  // Index the existing contacts
+  await executeSingleQuery(insertIndexRows(dialect, '1 = 1'));
+};
+
+const down = async ({ executeSingleQuery, dropTrigger }) => {
+  await dropTrigger('organizations_fts_update');
+  for (const table of CHILD_TABLES) {
+    for (const event of ['insert', 'update', 'delete']) {
+      await dropTrigger(`${table}_fts_${event}`);
+    }
+  }
+  for (const event of ['insert', 'update', 'delete']) {
+    await dropTrigger(`contacts_fts_${event}`);
+  }
+  await executeSingleQuery('DROP TABLE IF EXISTS contacts_fts');
+};
+
+module.exports = { up, down };
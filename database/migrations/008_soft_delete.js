@@ -0,0 +1,17 @@
+// Soft deletion: deleted contacts stay in the table (the trash) until they are purged
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`ALTER TABLE contacts ADD COLUMN deleted_at ${types.timestamp}`);
+  await executeSingleQuery('ALTER TABLE contacts ADD COLUMN deleted_by INTEGER');
+  await executeSingleQuery('CREATE INDEX idx_contacts_deleted_at ON contacts(deleted_at)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  // Contacts still in the trash would otherwise reappear as live contacts
+  await executeSingleQuery('DELETE FROM contacts WHERE deleted_at IS NOT NULL');
+  await executeSingleQuery('DROP INDEX IF EXISTS idx_contacts_deleted_at');
+  await executeSingleQuery('ALTER TABLE contacts DROP COLUMN deleted_by');
+  await executeSingleQuery('ALTER TABLE contacts DROP COLUMN deleted_at');
+};
+
+module.exports = { up, down };
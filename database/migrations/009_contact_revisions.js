@@ -0,0 +1,25 @@
+// Per-contact revision history. Each revision stores the changed fields with their
+// old and new values plus a full snapshot of the contact, so any revision can be restored.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE contact_revisions (
+      id ${types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      revision_number INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'merge', 'revert')),
+      changes TEXT NOT NULL DEFAULT '{}',
+      snapshot TEXT NOT NULL,
+      note TEXT,
+      user_id INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contact_id, revision_number)
+    )
+  `);
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_revisions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// System-wide audit log of user actions. The username is stored alongside the user ID
+// so entries stay readable after a user has been removed.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE audit_log (
+      id ${types.primaryKey},
+      user_id INTEGER,
+      username TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      method TEXT,
+      path TEXT,
+      metadata TEXT NOT NULL DEFAULT '{}',
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_audit_log_created_at ON audit_log(created_at)');
+  await executeSingleQuery('CREATE INDEX idx_audit_log_user ON audit_log(user_id)');
+  await executeSingleQuery('CREATE INDEX idx_audit_log_action ON audit_log(action)');
+  await executeSingleQuery('CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS audit_log');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,156 @@
+// Field-level encryption support. Phone numbers, emails and notes are stored encrypted
+// (see server/utils/encryption.js), so:
+// - phones and emails get blind-index columns for exact lookups, and
+// - the full-text index stops holding them and only covers names and organizations,
+//   since an FTS index keeps a plaintext copy of every indexed word
+//   (021_contact_search_tokens makes them searchable again through hashed tokens).
+// Existing values are encrypted by `npm run db:rotate-key` once ENCRYPTION_KEY is set.
+const { decryptValue, phoneBlindIndex, emailBlindIndex } = require('../../server/utils/encryption');
+const contactSearch = require('./007_contact_search');
+
+// Build index rows for the contacts selected by a WHERE condition on contacts c
+const insertIndexRows = (dialect, condition) => `
+  INSERT INTO contacts_fts (rowid, first_name, last_name, organizations)
+  SELECT
+    c.id,
+    c.first_name,
+    c.last_name,
+    (SELECT ${dialect.groupConcat("o.name || ' ' || COALESCE(co.job_title, '')", ' ')}
+     FROM contact_organizations co JOIN organizations o ON o.id = co.organization_id
+     WHERE co.contact_id = c.id)
+  FROM contacts c WHERE ${condition}
+`;
+
+// Trigger body that re-indexes the selected contacts
+const refreshIndex = (dialect, condition) => `
+  DELETE FROM contacts_fts WHERE rowid IN (SELECT c.id FROM contacts c WHERE ${condition});
+  ${insertIndexRows(dialect, condition)};
+`;
+
+// Statements creating the index table (see 007_contact_search)
+const INDEX_TABLE = {
+  sqlite: [`
+    CREATE VIRTUAL TABLE contacts_fts USING fts5(
+      first_name, last_name, organizations,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `],
+  postgres: [`
+    CREATE TABLE contacts_fts (
+      rowid INTEGER PRIMARY KEY,
+      first_name TEXT,
+      last_name TEXT,
+      organizations TEXT,
+      document tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(organizations, '')), 'B')
+      ) STORED
+    )
+  `, 'CREATE INDEX idx_contacts_fts_document ON contacts_fts USING GIN (document)']
+};
+
+// Compute the blind index of every stored phone number or email
+const backfillBlindIndex = async ({ executeQuery, executeSingleQuery }, table, valueKey, hashKey, hash) => {
+  const result = await executeQuery(`SELECT id, ${valueKey} FROM ${table}`);
+  for (const row of result.rows) {
+    await executeSingleQuery(
+      `UPDATE ${table} SET ${hashKey} = ? WHERE id = ?`,
+      [hash(decryptValue(row[valueKey])), row.id]
+    );
+  }
+};
+
+// Create the names-and-organizations index with its triggers and fill it
+const createSearchIndex = async ({ executeSingleQuery, dialect, createTrigger }) => {
+  for (const statement of INDEX_TABLE[dialect.name]) {
+    await executeSingleQuery(statement);
+  }
+
+  await createTrigger({
+    name: 'contacts_fts_insert',
+    timing: 'AFTER',
+    event: 'INSERT',
+    table: 'contacts',
+    body: refreshIndex(dialect, 'c.id = NEW.id')
+  });
+  await createTrigger({
+    name: 'contacts_fts_update',
+    timing: 'AFTER',
+    event: 'UPDATE OF first_name, last_name',
+    table: 'contacts',
+    body: refreshIndex(dialect, 'c.id = NEW.id')
+  });
+  await createTrigger({
+    name: 'contacts_fts_delete',
+    timing: 'AFTER',
+    event: 'DELETE',
+    table: 'contacts',
+    body: 'DELETE FROM contacts_fts WHERE rowid = OLD.id;'
+  });
+
+  await createTrigger({
+    name: 'contact_organizations_fts_insert',
+    timing: 'AFTER',
+    event: 'INSERT',
+    table: 'contact_organizations',
+    body: refreshIndex(dialect, 'c.id = NEW.contact_id')
+  });
+  await createTrigger({
+    name: 'contact_organizations_fts_update',
+    timing: 'AFTER',
+    event: 'UPDATE',
+    table: 'contact_organizations',
+    body: refreshIndex(dialect, 'c.id IN (OLD.contact_id, NEW.contact_id)')
+  });
+  await createTrigger({
+    name: 'contact_organizations_fts_delete',
+    timing: 'AFTER',
+    event: 'DELETE',
+    table: 'contact_organizations',
+    body: refreshIndex(dialect, 'c.id = OLD.contact_id')
+  });
+
+  await createTrigger({
+    name: 'organizations_fts_update',
+    timing: 'AFTER',
+    event: 'UPDATE OF name',
+    table: 'organizations',
+    body: refreshIndex(dialect, 'c.id IN (SELECT contact_id FROM contact_organizations WHERE organization_id = NEW.id)')
+  });
+
+  await executeSingleQuery(insertIndexRows(dialect, '1 = 1'));
+};
+
+const up = async (helpers) => {
+  const { executeSingleQuery } = helpers;
+
+  await executeSingleQuery('ALTER TABLE contact_phones ADD COLUMN phone_hash TEXT');
+  await executeSingleQuery('ALTER TABLE contact_emails ADD COLUMN email_hash TEXT');
+  await executeSingleQuery('CREATE INDEX idx_contact_phones_phone_hash ON contact_phones(phone_hash)');
+  await executeSingleQuery('CREATE INDEX idx_contact_emails_email_hash ON contact_emails(email_hash)');
+
+  await backfillBlindIndex(helpers, 'contact_phones', 'phone_number', 'phone_hash', phoneBlindIndex);
+  await backfillBlindIndex(helpers, 'contact_emails', 'email', 'email_hash', emailBlindIndex);
+
+  // Rebuild the full-text index without phones, emails and notes
+  await contactSearch.down(helpers);
+  await createSearchIndex(helpers);
+};
+
+// Run `npm run db:rotate-key -- --decrypt` first: the restored full-text index reads
+// phones, emails and notes straight from their columns
+const down = async (helpers) => {
+  const { executeSingleQuery } = helpers;
+
+  // Drops this migration's index and triggers, then restores the original ones
+  await contactSearch.down(helpers);
+  await contactSearch.up(helpers);
+
+  await executeSingleQuery('DROP INDEX IF EXISTS idx_contact_emails_email_hash');
+  await executeSingleQuery('DROP INDEX IF EXISTS idx_contact_phones_phone_hash');
+  await executeSingleQuery('ALTER TABLE contact_emails DROP COLUMN email_hash');
+  await executeSingleQuery('ALTER TABLE contact_phones DROP COLUMN phone_hash');
+};
+
+module.exports = { up, down, createSearchIndex };
@@ -0,0 +1,31 @@
+// Labeled postal addresses of a contact. Street and postal code are stored encrypted
+// like phone numbers and emails; city, state and country stay plaintext so contacts
+// can be filtered by them.
+
+const up = async ({ executeSingleQuery, dialect: { types, caseInsensitive } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE contact_addresses (
+      id ${types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      label TEXT DEFAULT 'work',
+      street TEXT,
+      city TEXT,
+      state TEXT,
+      postal_code TEXT,
+      country TEXT,
+      is_primary INTEGER DEFAULT 0,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_contact_addresses_contact ON contact_addresses(contact_id)');
+  await executeSingleQuery(`CREATE INDEX idx_contact_addresses_city ON contact_addresses(${caseInsensitive('city')})`);
+  await executeSingleQuery(`CREATE INDEX idx_contact_addresses_state ON contact_addresses(${caseInsensitive('state')})`);
+  await executeSingleQuery(`CREATE INDEX idx_contact_addresses_country ON contact_addresses(${caseInsensitive('country')})`);
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_addresses');
+};
+
+module.exports = { up, down };
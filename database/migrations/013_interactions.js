@@ -0,0 +1,31 @@
+// Contact activity timeline: calls, meetings, emails, messages and notes, each with an
+// author, the time it happened, an outcome and an optional follow-up. Subject, body and
+// follow-up note are stored encrypted like contact notes.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE interactions (
+      id ${types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      type TEXT NOT NULL CHECK (type IN ('call', 'meeting', 'email', 'message', 'note')),
+      occurred_at ${types.timestamp} NOT NULL,
+      subject TEXT,
+      body TEXT,
+      outcome TEXT,
+      follow_up_at ${types.timestamp},
+      follow_up_note TEXT,
+      user_id INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_interactions_contact_occurred ON interactions(contact_id, occurred_at)');
+  await executeSingleQuery('CREATE INDEX idx_interactions_follow_up ON interactions(follow_up_at)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS interactions');
+};
+
+module.exports = { up, down };
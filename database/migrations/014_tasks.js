@@ -0,0 +1,36 @@
+// Follow-up tasks attached to contacts. Each task has an assignee, a due date, a priority,
+// a status and an optional recurrence; the task scheduler marks open tasks overdue and
+// records when a task's reminder went out (reminded_at). Descriptions are stored encrypted.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE tasks (
+      id ${types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      title TEXT NOT NULL,
+      description TEXT,
+      assignee_id INTEGER,
+      priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'overdue', 'done', 'cancelled')),
+      due_at ${types.timestamp} NOT NULL,
+      remind_at ${types.timestamp},
+      reminded_at ${types.timestamp},
+      recurrence TEXT CHECK (recurrence IN ('daily', 'weekly', 'monthly', 'yearly')),
+      recurrence_interval INTEGER NOT NULL DEFAULT 1,
+      completed_at ${types.timestamp},
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_tasks_contact ON tasks(contact_id)');
+  await executeSingleQuery('CREATE INDEX idx_tasks_assignee_status ON tasks(assignee_id, status, due_at)');
+  await executeSingleQuery('CREATE INDEX idx_tasks_status_due ON tasks(status, due_at)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS tasks');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// Important dates of a contact (birthdays, work anniversaries, custom dates). Month and
+// day are kept apart from the optional year, since many sources only know the day.
+// Users get a calendar feed token (stored hashed) to subscribe to the dates as iCalendar.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE contact_dates (
+      id ${types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      type TEXT NOT NULL CHECK (type IN ('birthday', 'work_anniversary', 'custom')),
+      label TEXT,
+      month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+      day INTEGER NOT NULL CHECK (day BETWEEN 1 AND 31),
+      year INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_contact_dates_contact ON contact_dates(contact_id)');
+  await executeSingleQuery('CREATE INDEX idx_contact_dates_month_day ON contact_dates(month, day)');
+
+  await executeSingleQuery('ALTER TABLE users ADD COLUMN calendar_token_hash TEXT');
+  await executeSingleQuery('CREATE INDEX idx_users_calendar_token ON users(calendar_token_hash)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP INDEX IF EXISTS idx_users_calendar_token');
+  await executeSingleQuery('ALTER TABLE users DROP COLUMN calendar_token_hash');
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_dates');
+};
+
+module.exports = { up, down };
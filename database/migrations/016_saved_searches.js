@@ -0,0 +1,31 @@
+// Saved searches (smart lists): a named set of contact list options (`filters`, JSON) and a
+// sort, evaluated live. Private searches are only visible to their owner; shared ones to
+// every user. Searches flagged show_on_dashboard have their counts on the dashboard.
+
+const up = async ({ executeSingleQuery, dialect: { types, caseInsensitive } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE saved_searches (
+      id ${types.primaryKey},
+      name TEXT NOT NULL,
+      description TEXT,
+      filters TEXT NOT NULL DEFAULT '{}',
+      sort TEXT,
+      visibility TEXT NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'shared')),
+      show_on_dashboard INTEGER NOT NULL DEFAULT 0,
+      owner_id INTEGER NOT NULL,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery(
+    `CREATE UNIQUE INDEX idx_saved_searches_owner_name ON saved_searches(owner_id, ${caseInsensitive('name')})`
+  );
+  await executeSingleQuery('CREATE INDEX idx_saved_searches_visibility ON saved_searches(visibility)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS saved_searches');
+};
+
+module.exports = { up, down };
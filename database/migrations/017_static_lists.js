@@ -0,0 +1,39 @@
+// Static contact lists: hand-curated groups ("Board members") whose members are added and
+// removed explicitly, unlike saved searches. Lists imported from Gmail contact groups keep
+// the group's resource name in external_id so later imports reuse them.
+
+const up = async ({ executeSingleQuery, dialect: { types, caseInsensitive } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE static_lists (
+      id ${types.primaryKey},
+      name TEXT NOT NULL,
+      description TEXT,
+      source TEXT,
+      external_id TEXT,
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE static_list_members (
+      list_id INTEGER NOT NULL REFERENCES static_lists(id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      added_by INTEGER,
+      added_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (list_id, contact_id)
+    )
+  `);
+
+  await executeSingleQuery(`CREATE UNIQUE INDEX idx_static_lists_name ON static_lists(${caseInsensitive('name')})`);
+  await executeSingleQuery('CREATE INDEX idx_static_lists_external ON static_lists(source, external_id)');
+  await executeSingleQuery('CREATE INDEX idx_static_list_members_contact ON static_list_members(contact_id)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS static_list_members');
+  await executeSingleQuery('DROP TABLE IF EXISTS static_lists');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Bulk operations: one change (set a field, add or remove tags, delete) applied to a set of
+// contacts chosen by ID or by list options. Each run keeps a row per contact with its
+// outcome and the value it replaced, so the whole run can be undone later.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE bulk_operations (
+      id ${types.primaryKey},
+      operation TEXT NOT NULL CHECK (operation IN (
+        'set_relationship_type', 'set_data_owner', 'set_status', 'add_tags', 'remove_tags', 'delete'
+      )),
+      params TEXT NOT NULL DEFAULT '{}',
+      selection TEXT NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'undone')),
+      matched_count INTEGER NOT NULL DEFAULT 0,
+      changed_count INTEGER NOT NULL DEFAULT 0,
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      undone_by INTEGER,
+      undone_at ${types.timestamp}
+    )
+  `);
+
+  await executeSingleQuery(`
+    CREATE TABLE bulk_operation_items (
+      id ${types.primaryKey},
+      operation_id INTEGER NOT NULL REFERENCES bulk_operations(id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL,
+      result TEXT NOT NULL CHECK (result IN ('changed', 'unchanged', 'not_found')),
+      previous TEXT,
+      undo_result TEXT CHECK (undo_result IN ('reverted', 'skipped', 'not_found')),
+      message TEXT
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_bulk_operations_created ON bulk_operations(created_at)');
+  await executeSingleQuery('CREATE INDEX idx_bulk_operation_items_operation ON bulk_operation_items(operation_id)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS bulk_operation_items');
+  await executeSingleQuery('DROP TABLE IF EXISTS bulk_operations');
+};
+
+module.exports = { up, down };
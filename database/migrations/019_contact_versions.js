@@ -0,0 +1,12 @@
+// Contact versions: a counter moved on by every recorded change, so clients can send back
+// the version they edited (If-Match) and get a conflict instead of overwriting a newer one
+
+const up = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('ALTER TABLE contacts ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('ALTER TABLE contacts DROP COLUMN version');
+};
+
+module.exports = { up, down };
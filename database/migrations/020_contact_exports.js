@@ -0,0 +1,33 @@
+// Contact exports: every export (streamed straight to the client or run as a background
+// job) with who ran it, the list options and columns it used and how many contacts it
+// held. Background jobs also keep the file they wrote until it expires.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE contact_exports (
+      id ${types.primaryKey},
+      format TEXT NOT NULL CHECK (format IN ('csv', 'xlsx', 'ndjson')),
+      columns TEXT NOT NULL DEFAULT '[]',
+      filters TEXT NOT NULL DEFAULT '{}',
+      sort TEXT,
+      mode TEXT NOT NULL CHECK (mode IN ('stream', 'background')),
+      status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'expired')),
+      row_count INTEGER NOT NULL DEFAULT 0,
+      file_name TEXT,
+      file_size INTEGER,
+      error TEXT,
+      created_by INTEGER,
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      completed_at ${types.timestamp}
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_contact_exports_created ON contact_exports(created_at)');
+  await executeSingleQuery('CREATE INDEX idx_contact_exports_user ON contact_exports(created_by)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS contact_exports');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,165 @@
+// Search tokens for encrypted contact fields. Notes, emails and phone numbers are stored
+// encrypted, so the full-text index cannot hold their words (see 011_field_encryption).
+// Each row now keeps search_tokens instead: keyed hashes of every word prefix (notes,
+// emails) or digit prefix (phones), computed by the application when the value is saved
+// (see server/utils/encryption.js). The index gets a tokens column gathering a contact's
+// tokens, so search finds notes and partial phone numbers again while the index only
+// ever holds hashes.
+const { decryptValue, textSearchTokens, phoneSearchTokens } = require('../../server/utils/encryption');
+const contactSearch = require('./007_contact_search');
+const fieldEncryption = require('./011_field_encryption');
+
+// Tables holding a value to tokenize, and how
+const TOKENIZED_COLUMNS = [
+  { table: 'contacts', valueKey: 'notes', tokenize: textSearchTokens },
+  { table: 'contact_phones', valueKey: 'phone_number', tokenize: phoneSearchTokens },
+  { table: 'contact_emails', valueKey: 'email', tokenize: textSearchTokens }
+];
+
+// Child tables whose tokens belong to a single contact
+const CHILD_TABLES = ['contact_phones', 'contact_emails', 'contact_organizations'];
+
+// Build index rows for the contacts selected by a WHERE condition on contacts c
+const insertIndexRows = (dialect, condition) => `
+  INSERT INTO contacts_fts (rowid, first_name, last_name, organizations, tokens)
+  SELECT
+    c.id,
+    c.first_name,
+    c.last_name,
+    (SELECT ${dialect.groupConcat("o.name || ' ' || COALESCE(co.job_title, '')", ' ')}
+     FROM contact_organizations co JOIN organizations o ON o.id = co.organization_id
+     WHERE co.contact_id = c.id),
+    COALESCE(c.search_tokens, '')
+      || ' ' || COALESCE((SELECT ${dialect.groupConcat('p.search_tokens', ' ')} FROM contact_phones p WHERE p.contact_id = c.id), '')
+      || ' ' || COALESCE((SELECT ${dialect.groupConcat('e.search_tokens', ' ')} FROM contact_emails e WHERE e.contact_id = c.id), '')
+  FROM contacts c WHERE ${condition}
+`;
+
+// Trigger body that re-indexes the selected contacts
+const refreshIndex = (dialect, condition) => `
+  DELETE FROM contacts_fts WHERE rowid IN (SELECT c.id FROM contacts c WHERE ${condition});
+  ${insertIndexRows(dialect, condition)};
+`;
+
+// Statements creating the index table (see 007_contact_search)
+const INDEX_TABLE = {
+  sqlite: [`
+    CREATE VIRTUAL TABLE contacts_fts USING fts5(
+      first_name, last_name, organizations, tokens,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `],
+  postgres: [`
+    CREATE TABLE contacts_fts (
+      rowid INTEGER PRIMARY KEY,
+      first_name TEXT,
+      last_name TEXT,
+      organizations TEXT,
+      tokens TEXT,
+      document tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(organizations, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(tokens, '')), 'D')
+      ) STORED
+    )
+  `, 'CREATE INDEX idx_contacts_fts_document ON contacts_fts USING GIN (document)']
+};
+
+// Compute the search tokens of every stored value
+const backfillTokens = async ({ executeQuery, executeSingleQuery }, { table, valueKey, tokenize }) => {
+  const result = await executeQuery(`SELECT id, ${valueKey} FROM ${table} WHERE ${valueKey} IS NOT NULL`);
+  for (const row of result.rows) {
+    await executeSingleQuery(
+      `UPDATE ${table} SET search_tokens = ? WHERE id = ?`,
+      [tokenize(decryptValue(row[valueKey])), row.id]
+    );
+  }
+};
+
+const up = async (helpers) => {
+  const { executeSingleQuery, dialect, createTrigger } = helpers;
+
+  // Replace the names-only index; the new one is filled once every row has its tokens
+  await contactSearch.down(helpers);
+
+  for (const entry of TOKENIZED_COLUMNS) {
+    await executeSingleQuery(`ALTER TABLE ${entry.table} ADD COLUMN search_tokens TEXT`);
+    await backfillTokens(helpers, entry);
+  }
+
+  for (const statement of INDEX_TABLE[dialect.name]) {
+    await executeSingleQuery(statement);
+  }
+
+  await createTrigger({
+    name: 'contacts_fts_insert',
+    timing: 'AFTER',
+    event: 'INSERT',
+    table: 'contacts',
+    body: refreshIndex(dialect, 'c.id = NEW.id')
+  });
+  await createTrigger({
+    name: 'contacts_fts_update',
+    timing: 'AFTER',
+    event: 'UPDATE OF first_name, last_name, search_tokens',
+    table: 'contacts',
+    body: refreshIndex(dialect, 'c.id = NEW.id')
+  });
+  await createTrigger({
+    name: 'contacts_fts_delete',
+    timing: 'AFTER',
+    event: 'DELETE',
+    table: 'contacts',
+    body: 'DELETE FROM contacts_fts WHERE rowid = OLD.id;'
+  });
+
+  for (const table of CHILD_TABLES) {
+    await createTrigger({
+      name: `${table}_fts_insert`,
+      timing: 'AFTER',
+      event: 'INSERT',
+      table,
+      body: refreshIndex(dialect, 'c.id = NEW.contact_id')
+    });
+    await createTrigger({
+      name: `${table}_fts_update`,
+      timing: 'AFTER',
+      event: 'UPDATE',
+      table,
+      body: refreshIndex(dialect, 'c.id IN (OLD.contact_id, NEW.contact_id)')
+    });
+    await createTrigger({
+      name: `${table}_fts_delete`,
+      timing: 'AFTER',
+      event: 'DELETE',
+      table,
+      body: refreshIndex(dialect, 'c.id = OLD.contact_id')
+    });
+  }
+
+  await createTrigger({
+    name: 'organizations_fts_update',
+    timing: 'AFTER',
+    event: 'UPDATE OF name',
+    table: 'organizations',
+    body: refreshIndex(dialect, 'c.id IN (SELECT contact_id FROM contact_organizations WHERE organization_id = NEW.id)')
+  });
+
+  await executeSingleQuery(insertIndexRows(dialect, '1 = 1'));
+};
+
+const down = async (helpers) => {
+  const { executeSingleQuery } = helpers;
+
+  // Drops this migration's index and triggers, then restores the names-only ones
+  await contactSearch.down(helpers);
+
+  for (const { table } of [...TOKENIZED_COLUMNS].reverse()) {
+    await executeSingleQuery(`ALTER TABLE ${table} DROP COLUMN search_tokens`);
+  }
+
+  await fieldEncryption.createSearchIndex(helpers);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Task notifications: what the task scheduler delivers. Each time it marks a task overdue
+// or a reminder comes due, the task's assignee (its creator when unassigned) gets a row
+// here to read through the API.
+
+const up = async ({ executeSingleQuery, dialect: { types } }) => {
+  await executeSingleQuery(`
+    CREATE TABLE task_notifications (
+      id ${types.primaryKey},
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('reminder', 'overdue')),
+      created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      read_at ${types.timestamp}
+    )
+  `);
+
+  await executeSingleQuery('CREATE INDEX idx_task_notifications_user ON task_notifications(user_id, read_at, created_at)');
+  await executeSingleQuery('CREATE INDEX idx_task_notifications_task ON task_notifications(task_id)');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('DROP TABLE IF EXISTS task_notifications');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// Overdue tasks remember the status the scheduler replaced (open or in progress), so a
+// task whose due date moves on goes back to it rather than always to open
+
+const up = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('ALTER TABLE tasks ADD COLUMN status_before_overdue TEXT');
+};
+
+const down = async ({ executeSingleQuery }) => {
+  await executeSingleQuery('ALTER TABLE tasks DROP COLUMN status_before_overdue');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Trash revisions: moving a contact to the trash and restoring it are recorded in its
+// revision history ('trash' and 'restore'), like every other change that moves its
+// version on. The action check gains both; SQLite cannot alter a check, so the table is
+// rebuilt there.
+
+const ACTIONS = ['baseline', 'create', 'update', 'merge', 'revert', 'trash', 'restore'];
+const PREVIOUS_ACTIONS = ['baseline', 'create', 'update', 'merge', 'revert'];
+
+const actionCheck = (actions) => `CHECK (action IN (${actions.map(action => `'${action}'`).join(', ')}))`;
+
+const setActions = async ({ executeSingleQuery, dialect }, actions) => {
+  if (dialect.name === 'postgres') {
+    await executeSingleQuery('ALTER TABLE contact_revisions DROP CONSTRAINT contact_revisions_action_check');
+    await executeSingleQuery(`ALTER TABLE contact_revisions ADD CONSTRAINT contact_revisions_action_check ${actionCheck(actions)}`);
+    return;
+  }
+
+  await executeSingleQuery(`
+    CREATE TABLE contact_revisions_rebuilt (
+      id ${dialect.types.primaryKey},
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      revision_number INTEGER NOT NULL,
+      action TEXT NOT NULL ${actionCheck(actions)},
+      changes TEXT NOT NULL DEFAULT '{}',
+      snapshot TEXT NOT NULL,
+      note TEXT,
+      user_id INTEGER,
+      created_at ${dialect.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contact_id, revision_number)
+    )
+  `);
+  await executeSingleQuery(`
+    INSERT INTO contact_revisions_rebuilt
+      (id, contact_id, revision_number, action, changes, snapshot, note, user_id, created_at)
+    SELECT id, contact_id, revision_number, action, changes, snapshot, note, user_id, created_at
+    FROM contact_revisions
+  `);
+  await executeSingleQuery('DROP TABLE contact_revisions');
+  await executeSingleQuery('ALTER TABLE contact_revisions_rebuilt RENAME TO contact_revisions');
+};
+
+const up = async (helpers) => {
+  await setActions(helpers, ACTIONS);
+};
+
+const down = async (helpers) => {
+  await helpers.executeSingleQuery("DELETE FROM contact_revisions WHERE action IN ('trash', 'restore')");
+  await setActions(helpers, PREVIOUS_ACTIONS);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+// Schema migration CLI
+// Usage: node scripts/migrate.js [up|down [steps]|status]
+require('dotenv').config();
+const { testConnection, closeDatabase } = require('../server/utils/database');
+const { runMigrations, rollbackMigrations, getMigrationStatus } = require('../server/utils/migrator');
+
+const printStatus = async () => {
+  const status = await getMigrationStatus();
+
+  console.log(`Schema version: ${status.version} (latest available: ${status.latestVersion})`);
+  for (const migration of status.migrations) {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name} - ${state}`);
+  }
+  console.log(`${status.pending} pending migration(s)`);
+};
+
+const main = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  await testConnection();
+
+  switch (command) {
+    case 'up': {
+      const { applied, version } = await runMigrations();
+      console.log(`Applied ${applied.length} migration(s); schema version is now ${version}`);
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(arg, 10) || 1;
+      const { reverted, version } = await rollbackMigrations(steps);
+      console.log(`Reverted ${reverted.length} migration(s); schema version is now ${version}`);
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+  }
+};
+
+main()
+  .then(() => closeDatabase())
+  .catch(async (error) => {
+    console.error('Migration failed:', error.message);
+    await closeDatabase();
+    process.exit(1);
+  });
@@ -0,0 +1,127 @@
+// Field encryption key rotation CLI
+// Usage: node scripts/rotate-encryption-key.js [--decrypt]
+//
+// Re-encrypts every encrypted column with ENCRYPTION_KEY (reading values written with it
+// or with any key in ENCRYPTION_PREVIOUS_KEYS), encrypts values stored before encryption
+// was enabled and recomputes the blind indexes and search tokens. With --decrypt every value is written
+// back as plaintext instead (e.g. before rolling back the field encryption migration).
+require('dotenv').config();
+const {
+  testConnection,
+  executeQuery,
+  executeSingleQuery,
+  withTransaction,
+  closeDatabase
+} = require('../server/utils/database');
+const { runMigrations } = require('../server/utils/migrator');
+const {
+  isEncryptionEnabled,
+  getCurrentKeyId,
+  getValueKeyId,
+  encryptValue,
+  decryptValue,
+  phoneBlindIndex,
+  emailBlindIndex,
+  textSearchTokens,
+  phoneSearchTokens
+} = require('../server/utils/encryption');
+
+// Encrypted columns per table, plus the keyed values (blind indexes, search tokens)
+// derived from them
+const ENCRYPTED_TABLES = [
+  {
+    table: 'contacts',
+    columns: ['phone_number', 'email', 'notes'],
+    derived: [{ column: 'search_tokens', source: 'notes', compute: textSearchTokens }]
+  },
+  {
+    table: 'contact_phones',
+    columns: ['phone_number'],
+    derived: [
+      { column: 'phone_hash', source: 'phone_number', compute: phoneBlindIndex },
+      { column: 'search_tokens', source: 'phone_number', compute: phoneSearchTokens }
+    ]
+  },
+  {
+    table: 'contact_emails',
+    columns: ['email'],
+    derived: [
+      { column: 'email_hash', source: 'email', compute: emailBlindIndex },
+      { column: 'search_tokens', source: 'email', compute: textSearchTokens }
+    ]
+  },
+  { table: 'contact_addresses', columns: ['street', 'postal_code'] },
+  { table: 'interactions', columns: ['subject', 'body', 'follow_up_note'] },
+  { table: 'tasks', columns: ['description'] },
+  { table: 'contact_revisions', columns: ['changes', 'snapshot'] }
+];
+
+// Rewrite the rows of one table whose values or derived values are not current
+const rotateTable = async ({ table, columns, derived = [] }, decrypt) => {
+  const selected = ['id', ...columns, ...derived.map(entry => entry.column)];
+  const result = await executeQuery(`SELECT ${selected.join(', ')} FROM ${table}`);
+  const currentKeyId = getCurrentKeyId();
+  let updated = 0;
+
+  for (const row of result.rows) {
+    const changes = {};
+
+    for (const column of columns) {
+      const value = row[column];
+      if (value === null || value === '') continue;
+
+      if (decrypt) {
+        if (getValueKeyId(value)) changes[column] = decryptValue(value);
+      } else if (getValueKeyId(value) !== currentKeyId) {
+        changes[column] = encryptValue(decryptValue(value));
+      }
+    }
+
+    for (const { column, source, compute } of derived) {
+      const value = compute(decryptValue(row[source]));
+      if (value !== row[column]) changes[column] = value;
+    }
+
+    const changedColumns = Object.keys(changes);
+    if (changedColumns.length === 0) continue;
+
+    await executeSingleQuery(
+      `UPDATE ${table} SET ${changedColumns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...changedColumns.map(column => changes[column]), row.id]
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+const main = async () => {
+  const decrypt = process.argv.slice(2).includes('--decrypt');
+
+  if (!decrypt && !isEncryptionEnabled()) {
+    throw new Error('ENCRYPTION_KEY is not set. Generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'base64\'))"');
+  }
+
+  await testConnection();
+  await runMigrations();
+
+  // All or nothing: a failure part-way leaves every value as it was
+  await withTransaction(async () => {
+    for (const entry of ENCRYPTED_TABLES) {
+      const updated = await rotateTable(entry, decrypt);
+      console.log(`  ${entry.table}: ${updated} row(s) updated`);
+    }
+  });
+
+  console.log(decrypt
+    ? 'All values decrypted; remove ENCRYPTION_KEY to keep storing them unencrypted'
+    : `All values encrypted with key ${getCurrentKeyId()}; ENCRYPTION_PREVIOUS_KEYS can now be cleared`);
+};
+
+main()
+  .then(() => closeDatabase())
+  .catch(async (error) => {
+    console.error('Key rotation failed:', error.message);
+    await closeDatabase();
+    process.exit(1);
+  });
@@ -0,0 +1,163 @@
+// Copy a SQLite database into PostgreSQL
+// Usage: node scripts/sqlite-to-postgres.js [sqlite-file] [--force]
+//
+// Migrates the PostgreSQL database at DATABASE_URL to the latest schema, then copies
+// every table from the SQLite file (SQLITE_PATH or database/ikf_phonebook.db by default)
+// in one transaction and moves the ID sequences past the copied rows. The full-text
+// index is rebuilt by PostgreSQL's own triggers. The SQLite file must be migrated to the
+// latest schema first (npm run db:migrate). The copied tables are emptied first, so it
+// refuses to run against a database that holds contacts or users unless --force is given.
+require('dotenv').config();
+process.env.DB_DIALECT = 'postgres';
+
+const fs = require('fs');
+const sqlite = require('../server/utils/dialects/sqlite');
+const {
+  testConnection,
+  executeQuery,
+  executeSingleQuery,
+  withTransaction,
+  insertMany,
+  closeDatabase
+} = require('../server/utils/database');
+const { runMigrations, loadMigrations } = require('../server/utils/migrator');
+
+const PAGE_SIZE = 1000;
+
+// Tables that are not copied: migration bookkeeping (written by the migrations) and
+// the full-text index (maintained by triggers)
+const SKIPPED_TABLES = /^(sqlite_|schema_migrations$|contacts_fts)/;
+
+// Order tables so every table comes after the tables its foreign keys reference
+const sortByDependencies = (tables, dependencies) => {
+  const sorted = [];
+  const visiting = new Set();
+
+  const visit = (table) => {
+    if (sorted.includes(table) || visiting.has(table)) return;
+    visiting.add(table);
+    for (const dependency of dependencies.get(table) || []) {
+      if (dependency !== table && tables.includes(dependency)) visit(dependency);
+    }
+    visiting.delete(table);
+    sorted.push(table);
+  };
+
+  tables.forEach(visit);
+  return sorted;
+};
+
+// Tables of the SQLite database in copy order
+const listSourceTables = async (source) => {
+  const result = await source.execute('all', "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+  const tables = result.rows.map(row => row.name).filter(name => !SKIPPED_TABLES.test(name));
+
+  const dependencies = new Map();
+  for (const table of tables) {
+    const foreignKeys = await source.execute('all', `PRAGMA foreign_key_list(${table})`);
+    dependencies.set(table, foreignKeys.rows.map(row => row.table));
+  }
+
+  return sortByDependencies(tables, dependencies);
+};
+
+// Columns of a PostgreSQL table that can be written
+const listTargetColumns = async (table) => {
+  const result = await executeQuery(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ? AND is_generated = 'NEVER'`,
+    [table]
+  );
+  return result.rows.map(row => row.column_name);
+};
+
+const getSourceSchemaVersion = async (source) => {
+  const result = await source.execute('all', 'SELECT MAX(version) as version FROM schema_migrations');
+  return result.rows[0].version || 0;
+};
+
+// Copy one table page by page; returns the number of rows copied
+const copyTable = async (source, table) => {
+  const sourceColumns = (await source.execute('all', `PRAGMA table_info(${table})`)).rows.map(row => row.name);
+  const targetColumns = await listTargetColumns(table);
+  const columns = sourceColumns.filter(column => targetColumns.includes(column));
+
+  if (targetColumns.length === 0) {
+    throw new Error(`Table ${table} does not exist in PostgreSQL`);
+  }
+
+  let copied = 0;
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await source.execute(
+      'all',
+      `SELECT ${columns.join(', ')} FROM ${table} ORDER BY rowid LIMIT ? OFFSET ?`,
+      [PAGE_SIZE, offset]
+    );
+    if (page.rows.length === 0) break;
+
+    await insertMany(table, columns, page.rows.map(row => columns.map(column => row[column])));
+    copied += page.rows.length;
+  }
+
+  // Rows were inserted with their IDs, so the sequence has not moved
+  if (columns.includes('id')) {
+    await executeQuery(
+      `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE(MAX(id), 1), MAX(id) IS NOT NULL) FROM ${table}`
+    );
+  }
+
+  return copied;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const sourcePath = args.find(arg => !arg.startsWith('--')) || sqlite.getDatabasePath();
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`SQLite database ${sourcePath} not found`);
+  }
+
+  const source = sqlite.openDatabase(sourcePath, { readOnly: true });
+
+  try {
+    const migrations = loadMigrations();
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const sourceVersion = await getSourceSchemaVersion(source);
+    if (sourceVersion !== latestVersion) {
+      throw new Error(`SQLite database is at schema version ${sourceVersion}, expected ${latestVersion}; run npm run db:migrate on it first`);
+    }
+
+    await testConnection();
+    await runMigrations();
+
+    const tables = await listSourceTables(source);
+
+    const existing = await executeQuery('SELECT (SELECT COUNT(*) FROM contacts) + (SELECT COUNT(*) FROM users) as total');
+    if (existing.rows[0].total > 0 && !force) {
+      throw new Error('The PostgreSQL database already holds data; use --force to replace it');
+    }
+
+    await withTransaction(async () => {
+      // Also clears the rows seeded by migrations (e.g. the built-in relationship types)
+      await executeSingleQuery(`TRUNCATE ${tables.join(', ')}, contacts_fts RESTART IDENTITY CASCADE`);
+
+      for (const table of tables) {
+        const copied = await copyTable(source, table);
+        console.log(`  ${table}: ${copied} row(s) copied`);
+      }
+    });
+
+    console.log(`Copied ${tables.length} table(s) from ${sourcePath} to PostgreSQL (schema version ${latestVersion})`);
+  } finally {
+    await source.close();
+  }
+};
+
+main()
+  .then(() => closeDatabase())
+  .catch(async (error) => {
+    console.error('Copy failed:', error.message);
+    await closeDatabase();
+    process.exit(1);
+  });
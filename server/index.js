@@ -7,8 +7,27 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const contactRoutes = require('./routes/contacts');
+const interactionRoutes = require('./routes/interactions');
+const taskRoutes = require('./routes/tasks');
+const eventRoutes = require('./routes/events');
+const savedSearchRoutes = require('./routes/savedSearches');
+const listRoutes = require('./routes/lists');
+const bulkOperationRoutes = require('./routes/bulkOperations');
+const exportRoutes = require('./routes/exports');
 const importRoutes = require('./routes/import');
-const { connectDatabase } = require('./utils/database');
+const organizationRoutes = require('./routes/organizations');
+const tagRoutes = require('./routes/tags');
+const relationshipTypeRoutes = require('./routes/relationshipTypes');
+const customFieldRoutes = require('./routes/customFields');
+const auditRoutes = require('./routes/audit');
+const backupRoutes = require('./routes/backups');
+const { connectDatabase, getDialect } = require('./utils/database');
+const { getSchemaVersion } = require('./utils/migrator');
+const { assertEncryptionConfigured } = require('./utils/encryption');
+const { startTrashPurgeSchedule } = require('./services/trashService');
+const { startBackupSchedule } = require('./services/backupService');
+const { startTaskScheduler } = require('./services/taskService');
+const { startExportCleanupSchedule } = require('./services/contactExportService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -30,26 +49,49 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://your-domain.com'] 
     : ['http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (PATCH bodies may come as JSON merge patches)
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+  let schemaVersion = null;
+  try {
+    schemaVersion = await getSchemaVersion();
+  } catch (error) {
+    console.error('Schema version check error:', error);
+  }
+
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV 
+    environment: process.env.NODE_ENV,
+    database: getDialect().name,
+    schemaVersion
   });
 });
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/contacts/:contactId/interactions', interactionRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/bulk-operations', bulkOperationRoutes);
+app.use('/api/exports', exportRoutes);
 app.use('/api/import', importRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/relationship-types', relationshipTypeRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/backups', backupRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -68,7 +110,12 @@ app.use('*', (req, res) => {
 // Start server
 const startServer = async () => {
   try {
+    assertEncryptionConfigured();
     await connectDatabase();
+    startTrashPurgeSchedule();
+    startBackupSchedule();
+    startTaskScheduler();
+    startExportCleanupSchedule();
     app.listen(PORT, () => {
       console.log(`🚀 IKF PhoneBook server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
@@ -0,0 +1,97 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { executeQuery } = require('../utils/database');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { recordAudit, queryAuditLog } = require('../services/auditService');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'user_id', 'username', 'action', 'target_type', 'target_id',
+  'ip_address', 'user_agent', 'method', 'path', 'metadata'
+];
+
+// Validation middleware
+const validateAuditFilters = [
+  query('user_id').optional().isInt().withMessage('User ID must be an integer'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+];
+
+// Get audit entries with filtering by user, action, target and date
+router.get('/', authenticateToken, authorizeRole(['admin']), validateAuditFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { entries, total } = await queryAuditLog(req.query, { limit, offset });
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Get the distinct actions that have been recorded (for filter menus)
+router.get('/actions', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+  try {
+    const result = await executeQuery('SELECT DISTINCT action FROM audit_log ORDER BY action');
+
+    res.json({ actions: result.rows.map(row => row.action) });
+
+  } catch (error) {
+    console.error('Get audit actions error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit actions' });
+  }
+});
+
+// Export matching audit entries as CSV
+router.get('/export', authenticateToken, authorizeRole(['admin']), validateAuditFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { entries, total } = await queryAuditLog(req.query);
+
+    // Exporting the audit log is itself audited
+    const { page, limit, ...filters } = req.query;
+    await recordAudit(req, 'audit.export', { metadata: { filters, exported: total } });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(CSV_COLUMNS, entries));
+
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+module.exports = router;
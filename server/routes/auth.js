@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { executeQuery, executeSingleQuery } = require('../utils/database');
 const { generateToken } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
 
 const router = express.Router();
 
@@ -71,6 +72,13 @@ router.post('/register', validateRegistration, async (req, res) => {
     const user = userResult.rows[0];
     const token = generateToken(user.id);
 
+    await recordAudit(req, 'auth.register', {
+      userId: user.id,
+      username: user.username,
+      targetType: 'user',
+      targetId: user.id
+    });
+
     res.status(201).json({
       message: 'User registered successfully',
       user: {
@@ -108,6 +116,7 @@ router.post('/login', validateLogin, async (req, res) => {
     );
 
     if (result.rows.length === 0) {
+      await recordAudit(req, 'auth.login_failed', { metadata: { email, reason: 'unknown_email' } });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
@@ -116,12 +125,26 @@ router.post('/login', validateLogin, async (req, res) => {
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      await recordAudit(req, 'auth.login_failed', {
+        userId: user.id,
+        username: user.username,
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { email, reason: 'wrong_password' }
+      });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
     // Generate token
     const token = generateToken(user.id);
 
+    await recordAudit(req, 'auth.login', {
+      userId: user.id,
+      username: user.username,
+      targetType: 'user',
+      targetId: user.id
+    });
+
     res.json({
       message: 'Login successful',
       user: {
@@ -244,6 +267,14 @@ router.put('/profile', async (req, res) => {
       [decoded.userId]
     );
 
+    await recordAudit(req, 'auth.profile_update', {
+      userId: result.rows[0].id,
+      username: result.rows[0].username,
+      targetType: 'user',
+      targetId: result.rows[0].id,
+      metadata: { fields: Object.keys(req.body).filter(field => ['username', 'email'].includes(field) && req.body[field]) }
+    });
+
     res.json({
       message: 'Profile updated successfully',
       user: result.rows[0]
@@ -0,0 +1,172 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const {
+  listSnapshots,
+  isBackupSupported,
+  getSnapshot,
+  getSnapshotPath,
+  deleteSnapshot,
+  createSnapshot,
+  verifySnapshot,
+  restoreSnapshot
+} = require('../services/backupService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateSnapshot = [
+  body('note').optional({ values: 'null' }).isString().isLength({ max: 200 })
+    .withMessage('Note must be a string of at most 200 characters')
+];
+
+// Snapshots are only taken of SQLite databases
+const requireBackupSupport = (req, res, next) => {
+  if (!isBackupSupported()) {
+    return res.status(501).json({ error: 'Backups are only available with the SQLite database; back up PostgreSQL with pg_dump' });
+  }
+  next();
+};
+
+// List snapshots, newest first
+router.get('/', authenticateToken, authorizeRole(['admin']), requireBackupSupport, async (req, res) => {
+  try {
+    res.json({ snapshots: listSnapshots() });
+
+  } catch (error) {
+    console.error('Get backups error:', error);
+    res.status(500).json({ error: 'Failed to fetch backups' });
+  }
+});
+
+// Take a snapshot now
+router.post('/', authenticateToken, authorizeRole(['admin']), requireBackupSupport, validateSnapshot, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const snapshot = await createSnapshot({ trigger: 'manual', note: req.body.note || null, userId: req.user.id });
+    await recordAudit(req, 'backup.create', { targetType: 'backup', targetId: snapshot.name });
+
+    res.status(201).json({
+      message: 'Backup created successfully',
+      snapshot
+    });
+
+  } catch (error) {
+    console.error('Create backup error:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+// Recompute the checksum and check integrity and schema version of a snapshot
+router.get('/:name/verify', authenticateToken, authorizeRole(['admin']), requireBackupSupport, async (req, res) => {
+  try {
+    const snapshot = getSnapshot(req.params.name);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    res.json({ snapshot, verification: await verifySnapshot(snapshot) });
+
+  } catch (error) {
+    console.error('Verify backup error:', error);
+    res.status(500).json({ error: 'Failed to verify backup' });
+  }
+});
+
+// Download a snapshot file
+router.get('/:name/download', authenticateToken, authorizeRole(['admin']), requireBackupSupport, async (req, res) => {
+  try {
+    const snapshot = getSnapshot(req.params.name);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    await recordAudit(req, 'backup.download', { targetType: 'backup', targetId: snapshot.name });
+
+    res.download(getSnapshotPath(snapshot.name));
+
+  } catch (error) {
+    console.error('Download backup error:', error);
+    res.status(500).json({ error: 'Failed to download backup' });
+  }
+});
+
+// Restore the live database from a snapshot. The snapshot must pass its checksum and
+// integrity checks and must not come from a newer schema than this server runs.
+router.post('/:name/restore', authenticateToken, authorizeRole(['admin']), requireBackupSupport, async (req, res) => {
+  try {
+    const snapshot = getSnapshot(req.params.name);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const verification = await verifySnapshot(snapshot);
+
+    if (!verification.checksumValid) {
+      return res.status(422).json({ error: 'Backup checksum does not match; the file is damaged', verification });
+    }
+
+    if (verification.integrity !== 'ok') {
+      return res.status(422).json({ error: 'Backup failed the SQLite integrity check', verification });
+    }
+
+    if (verification.schemaVersion > verification.latestSchemaVersion) {
+      return res.status(409).json({
+        error: `Backup uses schema version ${verification.schemaVersion}, newer than this server supports (${verification.latestSchemaVersion})`,
+        verification
+      });
+    }
+
+    const result = await restoreSnapshot(snapshot, { userId: req.user.id });
+
+    // Recorded after the swap so the entry survives in the restored audit log
+    await recordAudit(req, 'backup.restore', {
+      targetType: 'backup',
+      targetId: snapshot.name,
+      metadata: {
+        safety_snapshot: result.safetySnapshot.name,
+        snapshot_schema_version: verification.schemaVersion,
+        migrations_applied: result.migrationsApplied
+      }
+    });
+
+    res.json({
+      message: 'Database restored successfully',
+      restored: snapshot,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Restore backup error:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
+
+// Delete a snapshot
+router.delete('/:name', authenticateToken, authorizeRole(['admin']), requireBackupSupport, async (req, res) => {
+  try {
+    const snapshot = getSnapshot(req.params.name);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    deleteSnapshot(snapshot.name);
+    await recordAudit(req, 'backup.delete', { targetType: 'backup', targetId: snapshot.name });
+
+    res.json({ message: 'Backup deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete backup error:', error);
+    res.status(500).json({ error: 'Failed to delete backup' });
+  }
+});
+
+module.exports = router;
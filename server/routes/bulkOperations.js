@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  BULK_OPERATIONS,
+  MAX_BULK_CONTACTS,
+  resolveOperation,
+  previewBulkOperation,
+  runBulkOperation,
+  undoBulkOperation,
+  listBulkOperations,
+  getBulkOperation
+} = require('../services/bulkOperationService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation middleware: an operation and a selection of either contact_ids or filters
+const validateBulkOperation = [
+  body('operation').isIn(BULK_OPERATIONS).withMessage(`Operation must be one of: ${BULK_OPERATIONS.join(', ')}`),
+  body('contact_ids').custom((value, { req }) => {
+    if (value === undefined) {
+      if (req.body.filters === undefined) throw new Error('Select contacts with contact_ids or filters');
+      return true;
+    }
+    if (req.body.filters !== undefined) throw new Error('Give either contact_ids or filters, not both');
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_BULK_CONTACTS) {
+      throw new Error(`contact_ids must be a list of 1 to ${MAX_BULK_CONTACTS} contact IDs`);
+    }
+    return true;
+  }),
+  body('contact_ids.*').isInt({ min: 1 }).withMessage('Contact IDs must be positive integers'),
+  body('filters').optional().isObject().withMessage('Filters must be an object of contact list options')
+];
+
+const validateRun = [
+  ...validateBulkOperation,
+  body('expected_count').isInt({ min: 0 })
+    .withMessage('expected_count (the count from the preview) is required')
+];
+
+// Check the request, then the operation's arguments; sends the 400 response and returns
+// null when either is invalid
+const checkBulkRequest = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return null;
+  }
+
+  const resolved = await resolveOperation(req.body);
+  if (resolved.errors) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: resolved.errors
+    });
+    return null;
+  }
+
+  return resolved;
+};
+
+// Only the user who ran an operation or an admin may undo it
+const canUndo = (user, run) => user.role === 'admin' || run.created_by === user.id;
+
+// List bulk operation runs, newest first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { operations, total } = await listBulkOperations({ limit, offset });
+
+    res.json({
+      bulk_operations: operations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bulk operations error:', error);
+    res.status(500).json({ error: 'Failed to fetch bulk operations' });
+  }
+});
+
+// Preview a bulk operation: how many contacts it would change
+router.post('/preview', authenticateToken, validateBulkOperation, async (req, res) => {
+  try {
+    const resolved = await checkBulkRequest(req, res);
+    if (!resolved) return;
+
+    const preview = await previewBulkOperation(req.body);
+    if (preview.errors) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: preview.errors
+      });
+    }
+
+    res.json({ operation: resolved.operation, params: resolved.params, ...preview });
+
+  } catch (error) {
+    console.error('Preview bulk operation error:', error);
+    res.status(500).json({ error: 'Failed to preview bulk operation' });
+  }
+});
+
+// Run a bulk operation; expected_count must match the current size of the selection
+router.post('/', authenticateToken, validateRun, async (req, res) => {
+  try {
+    const resolved = await checkBulkRequest(req, res);
+    if (!resolved) return;
+
+    const result = await runBulkOperation(resolved, req.body, req.body.expected_count, req.user.id);
+    if (result.errors) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+    if (result.conflict) {
+      return res.status(409).json({
+        error: 'The selection has changed since it was previewed; preview it again',
+        ...result.conflict
+      });
+    }
+
+    const { run } = result;
+    await recordAudit(req, 'bulk_operation.run', {
+      targetType: 'bulk_operation',
+      targetId: run.id,
+      metadata: {
+        operation: run.operation,
+        params: run.params,
+        matched: run.matched_count,
+        changed: run.changed_count,
+        contact_ids: run.results.filter(item => item.result === 'changed').map(item => item.contact_id)
+      }
+    });
+
+    res.status(201).json({
+      message: `${run.changed_count} of ${run.matched_count} contact(s) changed`,
+      bulk_operation: run
+    });
+
+  } catch (error) {
+    console.error('Run bulk operation error:', error);
+    res.status(500).json({ error: 'Failed to run bulk operation' });
+  }
+});
+
+// Get a run with the outcome for every contact
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const run = await getBulkOperation(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Bulk operation not found' });
+    }
+
+    res.json({ bulk_operation: run });
+
+  } catch (error) {
+    console.error('Get bulk operation error:', error);
+    res.status(500).json({ error: 'Failed to fetch bulk operation' });
+  }
+});
+
+// Undo a run as a unit (the user who ran it or an admin)
+router.post('/:id/undo', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getBulkOperation(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Bulk operation not found' });
+    }
+
+    if (!canUndo(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the user who ran this bulk operation or an admin can undo it' });
+    }
+
+    if (existing.status === 'undone') {
+      return res.status(409).json({ error: 'This bulk operation has already been undone' });
+    }
+
+    const result = await undoBulkOperation(existing, req.user.id);
+    if (result.conflict) {
+      return res.status(409).json({ error: 'This bulk operation has already been undone' });
+    }
+
+    const { run } = result;
+    const reverted = run.results.filter(item => item.undo_result === 'reverted');
+    await recordAudit(req, 'bulk_operation.undo', {
+      targetType: 'bulk_operation',
+      targetId: run.id,
+      metadata: { operation: run.operation, reverted: reverted.length, contact_ids: reverted.map(item => item.contact_id) }
+    });
+
+    res.json({
+      message: `${reverted.length} contact(s) reverted`,
+      bulk_operation: run
+    });
+
+  } catch (error) {
+    console.error('Undo bulk operation error:', error);
+    res.status(500).json({ error: 'Failed to undo bulk operation' });
+  }
+});
+
+module.exports = router;
@@ -1,95 +1,258 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { executeQuery, executeSingleQuery } = require('../utils/database');
-const { authenticateToken } = require('../middleware/auth');
+const { executeQuery, executeSingleQuery, withTransaction } = require('../utils/database');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
 const { parseRawContactData } = require('../services/contactParser');
 const { detectDuplicates } = require('../services/duplicateDetector');
+const {
+  PHONE_LABELS,
+  EMAIL_LABELS,
+  buildPhoneList,
+  buildEmailList,
+  getPrimaryValue,
+  saveContactPhones,
+  saveContactEmails,
+  attachContactMethods
+} = require('../services/contactMethods');
+const {
+  ADDRESS_LABELS,
+  buildAddressList,
+  saveContactAddresses
+} = require('../services/addressService');
+const { DATE_TYPES, parseDateParts, buildDateList, saveContactDates } = require('../services/contactDateService');
+const { setContactOrganizations } = require('../services/organizationService');
+const { resolveTagIds, setContactTags } = require('../services/tagService');
+const { isValidRelationshipType, getDefaultRelationshipType } = require('../services/relationshipTypeService');
+const {
+  loadFieldDefinitions,
+  validateCustomFieldValues,
+  saveCustomFieldValues
+} = require('../services/customFieldService');
+const { enrichContacts, listContacts, listContactsByCursor } = require('../services/contactListService');
+const { getDashboardCounts } = require('../services/savedSearchService');
+const {
+  getRetentionDays,
+  softDeleteContacts,
+  restoreContacts,
+  purgeContacts,
+  getTrashedContact
+} = require('../services/trashService');
+const {
+  buildSnapshot,
+  recordRevision,
+  getContactRevisions,
+  getRevision,
+  revertToRevision
+} = require('../services/revisionService');
+const { recordAudit } = require('../services/auditService');
+const { importContacts } = require('../services/contactImportService');
+const { encryptValue, textSearchTokens } = require('../utils/encryption');
 
 const router = express.Router();
 
+const CONTACT_SOURCES = ['Gmail', 'Zoho', 'Invoice System', 'CSV', 'Raw Data'];
+
+// Rules for the lists and related data of a contact payload (a patch may send null to
+// clear one)
+const contactListRules = (isPatch) => [
+  body('phones').optional({ nullable: isPatch }).isArray().withMessage('Phones must be an array'),
+  body('phones.*.phone_number').notEmpty().withMessage('Each phone entry needs a phone number'),
+  body('phones.*.label').optional().isIn(PHONE_LABELS).withMessage('Invalid phone label'),
+  body('emails').optional({ nullable: isPatch }).isArray().withMessage('Emails must be an array'),
+  body('emails.*.email').isEmail().withMessage('Each email entry needs a valid email'),
+  body('emails.*.label').optional().isIn(EMAIL_LABELS).withMessage('Invalid email label'),
+  body('addresses').optional({ nullable: isPatch }).isArray().withMessage('Addresses must be an array'),
+  body('addresses.*').isObject().withMessage('Each address must be an object'),
+  body('addresses.*.label').optional().isIn(ADDRESS_LABELS).withMessage('Invalid address label'),
+  body('dates').optional({ nullable: isPatch }).isArray().withMessage('Dates must be an array'),
+  body('dates.*').custom(entry => {
+    if (entry && typeof entry === 'object' && parseDateParts(entry)) return true;
+    throw new Error('Each date needs a valid date (YYYY-MM-DD or --MM-DD) or month and day');
+  }),
+  body('dates.*.type').isIn(DATE_TYPES).withMessage(`Date type must be one of: ${DATE_TYPES.join(', ')}`),
+  body('organizations').optional({ nullable: isPatch }).isArray().withMessage('Organizations must be an array'),
+  body('organizations.*').custom(entry => {
+    if (entry && (entry.organization_id || entry.name)) return true;
+    throw new Error('Each organization entry needs an organization_id or a name');
+  }),
+  body('tags').optional({ nullable: isPatch }).isArray().withMessage('Tags must be an array of tag IDs or names'),
+  body('custom_fields').optional({ nullable: isPatch }).isObject().withMessage('Custom fields must be an object keyed by field key')
+];
+
+const isRelationshipType = async (value) => {
+  if (!(await isValidRelationshipType(value))) {
+    throw new Error('Invalid relationship type');
+  }
+  return true;
+};
+
 // Validation middleware
 const validateContact = [
   body('first_name').notEmpty().withMessage('First name is required'),
-  body('phone_number').notEmpty().withMessage('Phone number is required'),
+  body('phone_number').custom((value, { req }) => {
+    if (value || (Array.isArray(req.body.phones) && req.body.phones.length > 0)) {
+      return true;
+    }
+    throw new Error('Phone number is required');
+  }),
   body('email').optional().isEmail().withMessage('Please provide a valid email'),
-  body('relationship_type').isIn(['Client', 'Vendor', 'Lead', 'Partner', 'Other']).withMessage('Invalid relationship type'),
+  ...contactListRules(false),
+  body('relationship_type').custom(isRelationshipType),
   body('data_owner').optional().isString().withMessage('Data owner must be a string'),
-  body('source').isIn(['Gmail', 'Zoho', 'Invoice System', 'CSV', 'Raw Data']).withMessage('Invalid source')
+  body('source').isIn(CONTACT_SOURCES).withMessage('Invalid source')
 ];
 
-// Get all contacts with filtering and pagination
-router.get('/', authenticateToken, async (req, res) => {
+// Validation middleware for PATCH: only the fields sent are checked; null clears an
+// optional field but not a required one
+const validateContactPatch = [
+  body().isObject({ strict: true }).withMessage('Send a JSON merge patch object'),
+  body('first_name').optional().notEmpty().withMessage('First name is required'),
+  body('last_name').optional({ nullable: true }).isString().withMessage('Last name must be a string'),
+  body('phone_number').optional({ nullable: true }).notEmpty().withMessage('Phone number cannot be empty'),
+  body('email').optional({ nullable: true }).isEmail().withMessage('Please provide a valid email'),
+  ...contactListRules(true),
+  body('relationship_type').optional().custom(isRelationshipType),
+  body('data_owner').optional({ nullable: true }).isString().withMessage('Data owner must be a string'),
+  body('source').optional().isIn(CONTACT_SOURCES).withMessage('Invalid source'),
+  body('status').optional().isString().notEmpty().withMessage('Status must be a non-empty string'),
+  body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string')
+];
+
+// Load a contact row together with all of its related data (contacts in the trash only on request)
+const fetchContact = async (id, { includeDeleted = false } = {}) => {
+  const result = await executeQuery(
+    `SELECT * FROM contacts WHERE id = ? ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`,
+    [id]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const [contact] = await enrichContacts(result.rows);
+  return contact;
+};
+
+// A contact's ETag: its version (see contactVersionService)
+const contactEtag = (contact) => `"${contact.version}"`;
+
+// Whether the request's If-Match header (when it has one) names the contact's current version
+const matchesIfMatch = (req, contact) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(contactEtag(contact));
+};
+
+// Reject a write made against an outdated version, with the contact as it is now
+const sendPreconditionFailed = (res, contact) => {
+  res.status(412).set('ETag', contactEtag(contact)).json({
+    error: 'Contact has been changed since it was loaded',
+    contact
+  });
+};
+
+// Scalar contact fields and lists a patch can set
+const PATCH_SCALAR_FIELDS = ['first_name', 'last_name', 'relationship_type', 'data_owner', 'source', 'status', 'notes'];
+const PATCH_LIST_FIELDS = ['phones', 'emails', 'addresses', 'dates', 'organizations', 'tags'];
+
+// Turn a JSON merge patch into a full update body: fields left out keep their stored
+// value, null clears a field or list, lists sent replace the stored ones and custom_fields
+// merge key by key. phone_number or email set to null drops the primary entry.
+const mergeContactPatch = (contact, patch) => {
+  const data = {};
+
+  for (const field of PATCH_SCALAR_FIELDS) {
+    data[field] = patch[field] !== undefined ? patch[field] : contact[field];
+  }
+
+  for (const field of PATCH_LIST_FIELDS) {
+    if (patch[field] !== undefined) data[field] = patch[field] === null ? [] : patch[field];
+  }
+
+  if (patch.custom_fields === null) {
+    data.custom_fields = Object.fromEntries(Object.keys(contact.custom_fields || {}).map(key => [key, null]));
+  } else if (patch.custom_fields !== undefined) {
+    data.custom_fields = patch.custom_fields;
+  }
+
+  if (patch.phone_number === null && data.phones === undefined) {
+    data.phones = contact.phones.filter(entry => !entry.is_primary);
+  } else if (patch.phone_number !== undefined) {
+    data.phone_number = patch.phone_number;
+  }
+
+  if (patch.email === null && data.emails === undefined) {
+    data.emails = contact.emails.filter(entry => !entry.is_primary);
+  } else if (patch.email !== undefined) {
+    data.email = patch.email;
+  }
+
+  return data;
+};
+
+// Respond with a page of contacts matching `params`: the query string of GET / or the
+// body of POST /search (`location` is where validation errors point). Pages go by `page`
+// or, with `cursor` (or pagination=cursor for the first page), by keyset cursor; cursor
+// pages only count the matches with include_total=true.
+const sendContactList = async (req, res, params, location) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      search = '',
-      relationship_type = '',
-      data_owner = '',
-      source = '',
-      status = ''
-    } = req.query;
+    const { page = 1, limit = 20, cursor, pagination: mode } = params;
+    const includeTotal = params.include_total !== undefined
+      ? String(params.include_total) === 'true'
+      : !(cursor || mode === 'cursor');
+
+    const filters = { ...params };
+    ['page', 'limit', 'cursor', 'pagination', 'include_total'].forEach(key => delete filters[key]);
+
+    if (cursor || mode === 'cursor') {
+      const result = await listContactsByCursor(params, { limit: parseInt(limit), cursor, location, includeTotal });
+      if (result.errors) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: result.errors
+        });
+      }
 
-    const offset = (page - 1) * limit;
-    
-    // Build WHERE clause
-    const whereConditions = [];
-    const queryParams = [];
-    let paramCount = 1;
-
-    if (search) {
-      whereConditions.push(`(first_name LIKE ? OR last_name LIKE ? OR phone_number LIKE ? OR email LIKE ?)`);
-      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
-    }
+      const { contacts, total, next_cursor, prev_cursor } = result;
+      await recordAudit(req, 'contact.list', {
+        metadata: { filters, total, contact_ids: contacts.map(contact => contact.id) }
+      });
 
-    if (relationship_type) {
-      whereConditions.push(`relationship_type = ?`);
-      queryParams.push(relationship_type);
+      return res.json({
+        contacts,
+        pagination: {
+          limit: parseInt(limit),
+          next_cursor,
+          prev_cursor,
+          ...(includeTotal ? { total } : {})
+        }
+      });
     }
 
-    if (data_owner) {
-      whereConditions.push(`data_owner = ?`);
-      queryParams.push(data_owner);
-    }
+    const offset = (page - 1) * limit;
 
-    if (source) {
-      whereConditions.push(`source = ?`);
-      queryParams.push(source);
+    const result = await listContacts(params, { limit, offset, location, includeTotal });
+    if (result.errors) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: result.errors
+      });
     }
 
-    if (status) {
-      whereConditions.push(`status = ?`);
-      queryParams.push(status);
-    }
+    const { contacts, total: totalCount } = result;
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-    // Get total count
-    const countQuery = `SELECT COUNT(*) FROM contacts ${whereClause}`;
-    const countResult = await executeQuery(countQuery, queryParams);
-    const totalCount = parseInt(countResult.rows[0]['COUNT(*)']);
-
-    // Get contacts
-    const contactsQuery = `
-      SELECT 
-        id, first_name, last_name, phone_number, email, 
-        relationship_type, data_owner, source, status, notes,
-        created_at, updated_at
-      FROM contacts 
-      ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT ? OFFSET ?
-    `;
-    
-    const contactsResult = await executeQuery(contactsQuery, [...queryParams, limit, offset]);
+    await recordAudit(req, 'contact.list', {
+      metadata: { filters, total: totalCount, contact_ids: contacts.map(contact => contact.id) }
+    });
 
     res.json({
-      contacts: contactsResult.rows,
+      contacts,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
         total: totalCount,
-        pages: Math.ceil(totalCount / limit)
+        pages: includeTotal ? Math.ceil(totalCount / limit) : null
       }
     });
 
@@ -97,6 +260,221 @@ router.get('/', authenticateToken, async (req, res) => {
     console.error('Get contacts error:', error);
     res.status(500).json({ error: 'Failed to fetch contacts' });
   }
+};
+
+// Get all contacts with filtering and pagination
+router.get('/', authenticateToken, (req, res) => sendContactList(req, res, req.query, 'query'));
+
+// Search contacts with the same options as GET /, sent as JSON (the filter as an object)
+router.post('/search', authenticateToken, (req, res) => sendContactList(req, res, req.body, 'body'));
+
+// List contacts in the trash, most recently deleted first
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const retentionDays = getRetentionDays();
+
+    const countResult = await executeQuery(
+      'SELECT COUNT(*) as total FROM contacts WHERE deleted_at IS NOT NULL'
+    );
+    const totalCount = parseInt(countResult.rows[0].total);
+
+    const result = await executeQuery(
+      `SELECT c.*, u.username as deleted_by_username
+       FROM contacts c
+       LEFT JOIN users u ON u.id = c.deleted_by
+       WHERE c.deleted_at IS NOT NULL
+       ORDER BY c.deleted_at DESC
+       LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+
+    const contacts = (await enrichContacts(result.rows)).map(contact => ({
+      ...contact,
+      purge_at: retentionDays
+        ? new Date(new Date(`${contact.deleted_at}Z`).getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+        : null
+    }));
+
+    res.json({
+      contacts,
+      retentionDays,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted contacts' });
+  }
+});
+
+// Permanently delete every contact in the trash
+router.delete('/trash', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+  try {
+    const purgedCount = await purgeContacts();
+    await recordAudit(req, 'contact.purge', { metadata: { empty_trash: true, purged: purgedCount } });
+
+    res.json({ message: 'Trash emptied successfully', purgedCount });
+
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// Permanently delete a single contact from the trash
+router.delete('/trash/:id', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const purgedCount = await purgeContacts([id]);
+
+    if (purgedCount === 0) {
+      return res.status(404).json({ error: 'Contact not found in trash' });
+    }
+
+    await recordAudit(req, 'contact.purge', { targetType: 'contact', targetId: id });
+
+    res.json({ message: 'Contact permanently deleted' });
+
+  } catch (error) {
+    console.error('Purge contact error:', error);
+    res.status(500).json({ error: 'Failed to permanently delete contact' });
+  }
+});
+
+// Restore a contact from the trash (?force=true restores it even if it now duplicates another contact)
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const trashed = await getTrashedContact(id);
+    if (!trashed) {
+      return res.status(404).json({ error: 'Contact not found in trash' });
+    }
+
+    // The same person may have been added again while this contact was in the trash
+    if (req.query.force !== 'true') {
+      const [withMethods] = await attachContactMethods([trashed]);
+      const duplicateCheck = await detectDuplicates(withMethods, id);
+
+      if (duplicateCheck.hasDuplicates) {
+        return res.status(409).json({
+          error: 'Duplicate contact found',
+          duplicates: duplicateCheck.duplicates
+        });
+      }
+    }
+
+    await restoreContacts([id], req.user.id);
+    await recordAudit(req, 'contact.restore', {
+      targetType: 'contact',
+      targetId: id,
+      metadata: { forced: req.query.force === 'true' }
+    });
+
+    res.json({
+      message: 'Contact restored successfully',
+      contact: await fetchContact(id)
+    });
+
+  } catch (error) {
+    console.error('Restore contact error:', error);
+    res.status(500).json({ error: 'Failed to restore contact' });
+  }
+});
+
+// Get a contact's revision history with field-level diffs, newest first
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const contact = await fetchContact(id, { includeDeleted: true });
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ revisions: await getContactRevisions(id) });
+
+  } catch (error) {
+    console.error('Get contact revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch contact history' });
+  }
+});
+
+// Get a single revision including the full contact snapshot
+router.get('/:id/revisions/:revisionId', authenticateToken, async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const revision = await getRevision(id, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+
+  } catch (error) {
+    console.error('Get contact revision error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// Revert a contact to an earlier revision (recorded as a new revision)
+router.post('/:id/revisions/:revisionId/revert', authenticateToken, async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const existingContact = await fetchContact(id);
+    if (!existingContact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const revision = await getRevision(id, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    if (!matchesIfMatch(req, existingContact)) {
+      return sendPreconditionFailed(res, existingContact);
+    }
+
+    // Applied only while the contact is still at the version checked above
+    const result = await revertToRevision(id, revision, req.user.id, existingContact.version);
+    if (result.conflict) {
+      const current = await fetchContact(id);
+      if (!current) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      return sendPreconditionFailed(res, current);
+    }
+
+    const newRevision = result.revision;
+    await recordAudit(req, 'contact.revert', {
+      targetType: 'contact',
+      targetId: id,
+      metadata: { revision_number: revision.revision_number }
+    });
+
+    const contact = await fetchContact(id);
+    res.set('ETag', contactEtag(contact)).json({
+      message: newRevision
+        ? `Contact reverted to revision ${revision.revision_number}`
+        : 'Contact already matches this revision',
+      contact,
+      revision: newRevision
+    });
+
+  } catch (error) {
+    console.error('Revert contact error:', error);
+    res.status(500).json({ error: 'Failed to revert contact' });
+  }
 });
 
 // Get contact by ID
@@ -104,16 +482,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const result = await executeQuery(
-      'SELECT * FROM contacts WHERE id = ?',
-      [id]
-    );
+    const contact = await fetchContact(id);
 
-    if (result.rows.length === 0) {
+    if (!contact) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
-    res.json({ contact: result.rows[0] });
+    await recordAudit(req, 'contact.view', { targetType: 'contact', targetId: id });
+
+    res.set('ETag', contactEtag(contact)).json({ contact });
 
   } catch (error) {
     console.error('Get contact error:', error);
@@ -135,8 +512,6 @@ router.post('/', authenticateToken, validateContact, async (req, res) => {
     const {
       first_name,
       last_name,
-      phone_number,
-      email,
       relationship_type,
       data_owner,
       source,
@@ -144,10 +519,28 @@ router.post('/', authenticateToken, validateContact, async (req, res) => {
       notes
     } = req.body;
 
+    const fieldDefinitions = await loadFieldDefinitions();
+    const customFieldCheck = validateCustomFieldValues(req.body.custom_fields, fieldDefinitions);
+    if (customFieldCheck.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: customFieldCheck.errors
+      });
+    }
+
+    const phones = buildPhoneList(req.body);
+    const emails = buildEmailList(req.body);
+    const addresses = buildAddressList(req.body);
+    const dates = buildDateList(req.body);
+    const phone_number = getPrimaryValue(phones, 'phone_number');
+    const email = getPrimaryValue(emails, 'email');
+
     // Check for duplicates
     const duplicateCheck = await detectDuplicates({
       phone_number,
       email,
+      phones,
+      emails,
       first_name,
       last_name
     });
@@ -163,23 +556,39 @@ router.post('/', authenticateToken, validateContact, async (req, res) => {
     const result = await executeSingleQuery(
       `INSERT INTO contacts (
         first_name, last_name, phone_number, email, relationship_type,
-        data_owner, source, status, notes, created_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        data_owner, source, status, notes, search_tokens, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        first_name, last_name, phone_number, email, relationship_type,
-        data_owner, source, status, notes, req.user.id
+        first_name, last_name, encryptValue(phone_number), encryptValue(email), relationship_type,
+        data_owner, source, status, encryptValue(notes), textSearchTokens(notes), req.user.id
       ]
     );
 
+    await saveContactPhones(result.insertId, phones);
+    await saveContactEmails(result.insertId, emails);
+    await saveContactAddresses(result.insertId, addresses);
+    await saveContactDates(result.insertId, dates);
+    if (req.body.organizations) {
+      await setContactOrganizations(result.insertId, req.body.organizations, req.user.id);
+    }
+    if (req.body.tags) {
+      await setContactTags(result.insertId, await resolveTagIds(req.body.tags, req.user.id));
+    }
+    await saveCustomFieldValues(result.insertId, customFieldCheck.values, fieldDefinitions);
+
     // Get the created contact
-    const contactResult = await executeQuery(
-      'SELECT * FROM contacts WHERE id = ?',
-      [result.insertId]
-    );
+    const contact = await fetchContact(result.insertId);
+    await recordRevision({
+      contactId: contact.id,
+      action: 'create',
+      after: buildSnapshot(contact),
+      userId: req.user.id
+    });
+    await recordAudit(req, 'contact.create', { targetType: 'contact', targetId: contact.id });
 
-    res.status(201).json({
+    res.status(201).set('ETag', contactEtag(contact)).json({
       message: 'Contact created successfully',
-      contact: contactResult.rows[0]
+      contact
     });
 
   } catch (error) {
@@ -188,7 +597,132 @@ router.post('/', authenticateToken, validateContact, async (req, res) => {
   }
 });
 
-// Update contact
+// Apply an update to a contact: the body of PUT, or a PATCH merged onto the stored
+// contact. The write only goes through while the contact is still at the version that
+// was read (and, with If-Match, the version the client sent), so concurrent edits get a
+// 412 with the current state instead of overwriting each other.
+const updateContact = async (req, res, existingContact, data) => {
+  const { id } = existingContact;
+  const {
+    first_name,
+    last_name,
+    relationship_type,
+    data_owner,
+    source,
+    status,
+    notes
+  } = data;
+
+  if (!matchesIfMatch(req, existingContact)) {
+    return sendPreconditionFailed(res, existingContact);
+  }
+
+  // Custom fields not supplied in the body keep their stored values
+  const fieldDefinitions = await loadFieldDefinitions();
+  const customFieldCheck = validateCustomFieldValues(
+    data.custom_fields,
+    fieldDefinitions,
+    existingContact.custom_fields
+  );
+  if (customFieldCheck.errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: customFieldCheck.errors
+    });
+  }
+
+  // Lists not supplied in the body keep their stored entries
+  const phones = buildPhoneList(data, existingContact.phones);
+  const emails = buildEmailList(data, existingContact.emails);
+  const addresses = buildAddressList(data, existingContact.addresses);
+  const dates = buildDateList(data, existingContact.dates);
+  const phone_number = getPrimaryValue(phones, 'phone_number');
+  const email = getPrimaryValue(emails, 'email');
+
+  if (phones.length === 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{ type: 'field', location: 'body', path: 'phones', value: data.phones, msg: 'Phone number is required' }]
+    });
+  }
+
+  // Check for duplicates (excluding current contact)
+  const duplicateCheck = await detectDuplicates({
+    phone_number,
+    email,
+    phones,
+    emails,
+    first_name,
+    last_name
+  }, id);
+
+  if (duplicateCheck.hasDuplicates) {
+    return res.status(409).json({
+      error: 'Duplicate contact found',
+      duplicates: duplicateCheck.duplicates
+    });
+  }
+
+  const saved = await withTransaction(async () => {
+    const result = await executeSingleQuery(
+      `UPDATE contacts SET 
+        first_name = ?, last_name = ?, phone_number = ?, email = ?,
+        relationship_type = ?, data_owner = ?, source = ?, status = ?,
+        notes = ?, search_tokens = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND version = ? AND deleted_at IS NULL`,
+      [
+        first_name, last_name, encryptValue(phone_number), encryptValue(email), relationship_type,
+        data_owner, source, status, encryptValue(notes), textSearchTokens(notes), id, existingContact.version
+      ]
+    );
+    if (result.rowCount === 0) return null;
+
+    await saveContactPhones(id, phones);
+    await saveContactEmails(id, emails);
+    await saveContactAddresses(id, addresses);
+    await saveContactDates(id, dates);
+    if (data.organizations) {
+      await setContactOrganizations(id, data.organizations, req.user.id);
+    }
+    if (data.tags) {
+      await setContactTags(id, await resolveTagIds(data.tags, req.user.id));
+    }
+    await saveCustomFieldValues(id, customFieldCheck.values, fieldDefinitions);
+
+    const after = await fetchContact(id);
+    const revision = await recordRevision({
+      contactId: id,
+      action: 'update',
+      before: buildSnapshot(existingContact),
+      after: buildSnapshot(after),
+      userId: req.user.id
+    });
+    return { revision };
+  });
+
+  // Changed (or deleted) by someone else since it was read
+  if (!saved) {
+    const current = await fetchContact(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    return sendPreconditionFailed(res, current);
+  }
+
+  const contact = await fetchContact(id);
+  await recordAudit(req, 'contact.update', {
+    targetType: 'contact',
+    targetId: contact.id,
+    metadata: { changed_fields: saved.revision ? Object.keys(saved.revision.changes) : [] }
+  });
+
+  res.set('ETag', contactEtag(contact)).json({
+    message: 'Contact updated successfully',
+    contact
+  });
+};
+
+// Update contact (every field is replaced; see PATCH for partial updates)
 router.put('/:id', authenticateToken, validateContact, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -199,88 +733,60 @@ router.put('/:id', authenticateToken, validateContact, async (req, res) => {
       });
     }
 
-    const { id } = req.params;
-    const {
-      first_name,
-      last_name,
-      phone_number,
-      email,
-      relationship_type,
-      data_owner,
-      source,
-      status,
-      notes
-    } = req.body;
-
     // Check if contact exists
-    const existingContact = await executeQuery(
-      'SELECT * FROM contacts WHERE id = ?',
-      [id]
-    );
+    const existingContact = await fetchContact(req.params.id);
 
-    if (existingContact.rows.length === 0) {
+    if (!existingContact) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
-    // Check for duplicates (excluding current contact)
-    const duplicateCheck = await detectDuplicates({
-      phone_number,
-      email,
-      first_name,
-      last_name
-    }, id);
+    await updateContact(req, res, existingContact, req.body);
 
-    if (duplicateCheck.hasDuplicates) {
-      return res.status(409).json({
-        error: 'Duplicate contact found',
-        duplicates: duplicateCheck.duplicates
+  } catch (error) {
+    console.error('Update contact error:', error);
+    res.status(500).json({ error: 'Failed to update contact' });
+  }
+});
+
+// Partially update a contact with a JSON merge patch (only the fields sent change)
+router.patch('/:id', authenticateToken, validateContactPatch, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    // Update contact
-    await executeSingleQuery(
-      `UPDATE contacts SET 
-        first_name = ?, last_name = ?, phone_number = ?, email = ?,
-        relationship_type = ?, data_owner = ?, source = ?, status = ?,
-        notes = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?`,
-      [
-        first_name, last_name, phone_number, email, relationship_type,
-        data_owner, source, status, notes, id
-      ]
-    );
+    const existingContact = await fetchContact(req.params.id);
 
-    const result = await executeQuery(
-      'SELECT * FROM contacts WHERE id = ?',
-      [id]
-    );
+    if (!existingContact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
 
-    res.json({
-      message: 'Contact updated successfully',
-      contact: result.rows[0]
-    });
+    await updateContact(req, res, existingContact, mergeContactPatch(existingContact, req.body));
 
   } catch (error) {
-    console.error('Update contact error:', error);
+    console.error('Patch contact error:', error);
     res.status(500).json({ error: 'Failed to update contact' });
   }
 });
 
-// Delete contact
+// Delete contact (moves it to the trash)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await executeSingleQuery(
-      'DELETE FROM contacts WHERE id = ?',
-      [id]
-    );
+    const deletedCount = await softDeleteContacts([id], req.user.id);
 
-    if (result.rows.length === 0) {
+    if (deletedCount === 0) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
-    res.json({ message: 'Contact deleted successfully' });
+    await recordAudit(req, 'contact.delete', { targetType: 'contact', targetId: id });
+
+    res.json({ message: 'Contact moved to trash', retentionDays: getRetentionDays() });
 
   } catch (error) {
     console.error('Delete contact error:', error);
@@ -291,7 +797,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 // Import raw contact data
 router.post('/import/raw', authenticateToken, async (req, res) => {
   try {
-    const { rawData } = req.body;
+    const { rawData, tags } = req.body;
 
     if (!rawData || typeof rawData !== 'string') {
       return res.status(400).json({ error: 'Raw data is required' });
@@ -304,58 +810,30 @@ router.post('/import/raw', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No valid contacts found in the raw data' });
     }
 
-    // Check for duplicates
-    const duplicateResults = [];
-    const validContacts = [];
-
-    for (const contact of parsedContacts) {
-      const duplicateCheck = await detectDuplicates(contact);
-      
-      if (duplicateCheck.hasDuplicates) {
-        duplicateResults.push({
-          contact,
-          duplicates: duplicateCheck.duplicates
-        });
-      } else {
-        validContacts.push(contact);
-      }
-    }
+    // Set duplicates aside and insert the rest in a single transaction,
+    // applying the requested tags to each of them
+    const { imported: insertedContacts, duplicates: duplicateResults } = await importContacts(
+      parsedContacts.map(contact => ({
+        ...contact,
+        relationship_type: contact.relationship_type || getDefaultRelationshipType(),
+        source: 'Raw Data'
+      })),
+      { userId: req.user.id, tags }
+    );
 
-    // Insert valid contacts
-    const insertedContacts = [];
-    for (const contact of validContacts) {
-      const result = await executeSingleQuery(
-        `INSERT INTO contacts (
-          first_name, last_name, phone_number, email, relationship_type,
-          data_owner, source, created_by
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          contact.first_name,
-          contact.last_name,
-          contact.phone_number,
-          contact.email,
-          contact.relationship_type || 'Other',
-          contact.data_owner,
-          'Raw Data',
-          req.user.id
-        ]
-      );
-
-      const contactResult = await executeQuery(
-        'SELECT * FROM contacts WHERE id = ?',
-        [result.insertId]
-      );
-      insertedContacts.push(contactResult.rows[0]);
-    }
+    const summary = {
+      total: parsedContacts.length,
+      imported: insertedContacts.length,
+      duplicates: duplicateResults.length,
+      failed: parsedContacts.length - insertedContacts.length - duplicateResults.length
+    };
+    await recordAudit(req, 'import.raw', {
+      metadata: { ...summary, contact_ids: insertedContacts.map(contact => contact.id) }
+    });
 
     res.json({
       message: 'Raw data import completed',
-      summary: {
-        total: parsedContacts.length,
-        imported: insertedContacts.length,
-        duplicates: duplicateResults.length,
-        failed: parsedContacts.length - insertedContacts.length - duplicateResults.length
-      },
+      summary,
       imported: insertedContacts,
       duplicates: duplicateResults
     });
@@ -373,6 +851,7 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
     const relationshipStats = await executeQuery(`
       SELECT relationship_type, COUNT(*) as count
       FROM contacts
+      WHERE deleted_at IS NULL
       GROUP BY relationship_type
       ORDER BY count DESC
     `);
@@ -381,6 +860,7 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
     const sourceStats = await executeQuery(`
       SELECT source, COUNT(*) as count
       FROM contacts
+      WHERE deleted_at IS NULL
       GROUP BY source
       ORDER BY count DESC
     `);
@@ -389,21 +869,29 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
     const ownerStats = await executeQuery(`
       SELECT data_owner, COUNT(*) as count
       FROM contacts
-      WHERE data_owner IS NOT NULL
+      WHERE data_owner IS NOT NULL AND deleted_at IS NULL
       GROUP BY data_owner
       ORDER BY count DESC
     `);
 
     // Get total counts
-    const totalResult = await executeQuery('SELECT COUNT(*) as total FROM contacts');
-    const activeResult = await executeQuery("SELECT COUNT(*) as active FROM contacts WHERE status = 'Active'");
+    const totalResult = await executeQuery('SELECT COUNT(*) as total FROM contacts WHERE deleted_at IS NULL');
+    const activeResult = await executeQuery(
+      "SELECT COUNT(*) as active FROM contacts WHERE status = 'Active' AND deleted_at IS NULL"
+    );
+    const trashResult = await executeQuery('SELECT COUNT(*) as trashed FROM contacts WHERE deleted_at IS NOT NULL');
+
+    // Live counts of the saved searches shown on the dashboard
+    const savedSearches = await getDashboardCounts(req.user.id);
 
     res.json({
-      total: parseInt(totalResult.rows[0]['COUNT(*)']),
-      active: parseInt(activeResult.rows[0]['COUNT(*)']),
+      total: parseInt(totalResult.rows[0].total),
+      active: parseInt(activeResult.rows[0].active),
+      trashed: parseInt(trashResult.rows[0].trashed),
       byRelationship: relationshipStats.rows,
       bySource: sourceStats.rows,
-      byOwner: ownerStats.rows
+      byOwner: ownerStats.rows,
+      savedSearches
     });
 
   } catch (error) {
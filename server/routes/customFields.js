@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, executeSingleQuery, withTransaction } = require('../utils/database');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  loadFieldDefinitions,
+  getFieldDefinitionById
+} = require('../services/customFieldService');
+const { bumpContactVersionsWhere } = require('../services/contactVersionService');
+
+const router = express.Router();
+
+// Validation middleware (field_key and field_type are only accepted on create)
+const validateFieldDefinition = [
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('is_required').optional().isBoolean().withMessage('is_required must be a boolean'),
+  body('options').optional().isArray().withMessage('Options must be an array'),
+  body('options.*').isString().notEmpty().withMessage('Options must be non-empty strings'),
+  body('validation').optional().isObject().withMessage('Validation rules must be an object'),
+  body('validation.pattern').optional().custom(value => {
+    new RegExp(value);
+    return true;
+  }).withMessage('Validation pattern must be a valid regular expression'),
+  body('display_order').optional().isInt().withMessage('Display order must be an integer'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const validateNewField = [
+  body('field_key').matches(FIELD_KEY_PATTERN)
+    .withMessage('Field key must start with a letter and contain only lowercase letters, numbers and underscores'),
+  body('field_type').isIn(FIELD_TYPES).withMessage(`Field type must be one of: ${FIELD_TYPES.join(', ')}`),
+  ...validateFieldDefinition
+];
+
+// Select fields need at least one option
+const checkSelectOptions = (fieldType, options) => {
+  if (fieldType === 'select' && (!Array.isArray(options) || options.length === 0)) {
+    return 'Select fields need at least one option';
+  }
+  return null;
+};
+
+// Get all field definitions
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    const fields = await loadFieldDefinitions({ includeInactive });
+
+    res.json({ fields });
+
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+});
+
+// Create new field definition
+router.post('/', authenticateToken, authorizeRole(['admin']), validateNewField, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      field_key,
+      label,
+      field_type,
+      is_required = false,
+      options = [],
+      validation = {},
+      display_order = 0,
+      is_active = true
+    } = req.body;
+
+    const optionsError = checkSelectOptions(field_type, options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const existing = await executeQuery(
+      'SELECT id FROM custom_field_definitions WHERE field_key = ?',
+      [field_key]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A custom field with this key already exists' });
+    }
+
+    const result = await executeSingleQuery(
+      `INSERT INTO custom_field_definitions (
+        field_key, label, field_type, is_required, options, validation,
+        display_order, is_active, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        field_key, label, field_type, is_required ? 1 : 0, JSON.stringify(options),
+        JSON.stringify(validation), display_order, is_active ? 1 : 0, req.user.id
+      ]
+    );
+
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field: await getFieldDefinitionById(result.insertId)
+    });
+
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+});
+
+// Update field definition
+router.put('/:id', authenticateToken, authorizeRole(['admin']), validateFieldDefinition, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const existing = await getFieldDefinitionById(id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    // Stored values were validated against the original key and type
+    if ((req.body.field_key && req.body.field_key !== existing.field_key) ||
+        (req.body.field_type && req.body.field_type !== existing.field_type)) {
+      return res.status(400).json({ error: 'Field key and type cannot be changed; create a new field instead' });
+    }
+
+    const {
+      label,
+      is_required = existing.is_required,
+      options = existing.options,
+      validation = existing.validation,
+      display_order = existing.display_order,
+      is_active = existing.is_active
+    } = req.body;
+
+    const optionsError = checkSelectOptions(existing.field_type, options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    await withTransaction(async () => {
+      await executeSingleQuery(
+        `UPDATE custom_field_definitions SET
+          label = ?, is_required = ?, options = ?, validation = ?,
+          display_order = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [
+          label, is_required ? 1 : 0, JSON.stringify(options), JSON.stringify(validation),
+          display_order, is_active ? 1 : 0, id
+        ]
+      );
+
+      // Contacts only show active fields, so (de)activating one changes those holding a value
+      if (Boolean(is_active) !== Boolean(existing.is_active)) {
+        await bumpContactVersionsWhere('SELECT contact_id FROM contact_custom_values WHERE field_id = ?', [id]);
+      }
+    });
+
+    res.json({
+      message: 'Custom field updated successfully',
+      field: await getFieldDefinitionById(id)
+    });
+
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+});
+
+// Delete field definition together with all stored values
+router.delete('/:id', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await withTransaction(async () => {
+      await bumpContactVersionsWhere('SELECT contact_id FROM contact_custom_values WHERE field_id = ?', [id]);
+      return executeSingleQuery('DELETE FROM custom_field_definitions WHERE id = ?', [id]);
+    });
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    res.json({ message: 'Custom field deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({ error: 'Failed to delete custom field' });
+  }
+});
+
+module.exports = router;
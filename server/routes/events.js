@@ -0,0 +1,127 @@
+const express = require('express');
+const crypto = require('crypto');
+const { executeQuery, executeSingleQuery } = require('../utils/database');
+const { authenticateToken } = require('../middleware/auth');
+const { DATE_TYPES, listUpcomingEvents, buildDatesCalendar } = require('../services/contactDateService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const MAX_UPCOMING_DAYS = 366;
+
+// Calendar feed tokens are stored hashed, like passwords
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// UTC midnight of the first day of the window: ?from=YYYY-MM-DD, otherwise today for a
+// client whose clock is `tz_offset` minutes behind UTC (as Date#getTimezoneOffset)
+const windowStart = ({ from, tz_offset }) => {
+  if (from) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(from);
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date && date.toISOString().slice(0, 10) === from ? date : null;
+  }
+
+  const local = new Date(Date.now() - (parseInt(tz_offset, 10) || 0) * 60 * 1000);
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+};
+
+// Upcoming birthdays, work anniversaries and custom dates
+// (?days=30, ?type=birthday,custom, ?from=YYYY-MM-DD or ?tz_offset=<minutes>)
+router.get('/upcoming', authenticateToken, async (req, res) => {
+  try {
+    const { days = 30, type = '' } = req.query;
+
+    const dayCount = parseInt(days, 10);
+    if (!(dayCount >= 1 && dayCount <= MAX_UPCOMING_DAYS)) {
+      return res.status(400).json({ error: `days must be between 1 and ${MAX_UPCOMING_DAYS}` });
+    }
+
+    const from = windowStart(req.query);
+    if (!from) {
+      return res.status(400).json({ error: 'from must be a date (YYYY-MM-DD)' });
+    }
+
+    const types = String(type).split(',').map(value => value.trim()).filter(Boolean);
+    const invalidTypes = types.filter(value => !DATE_TYPES.includes(value));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ error: `Unknown date type: ${invalidTypes.join(', ')}` });
+    }
+
+    const events = await listUpcomingEvents({ from, days: dayCount, types });
+
+    res.json({
+      from: from.toISOString().slice(0, 10),
+      days: dayCount,
+      events
+    });
+
+  } catch (error) {
+    console.error('Get upcoming events error:', error);
+    res.status(500).json({ error: 'Failed to fetch upcoming events' });
+  }
+});
+
+// Create (or replace) the current user's calendar feed token. The token is only shown
+// once; calendar apps subscribe to the returned URL.
+router.post('/calendar-token', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await executeSingleQuery(
+      'UPDATE users SET calendar_token_hash = ? WHERE id = ?',
+      [hashFeedToken(token), req.user.id]
+    );
+    await recordAudit(req, 'calendar_token.create', { targetType: 'user', targetId: req.user.id });
+
+    res.status(201).json({
+      message: 'Calendar feed token created',
+      token,
+      url: `${req.protocol}://${req.get('host')}/api/events/calendar/${token}.ics`
+    });
+
+  } catch (error) {
+    console.error('Create calendar token error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed token' });
+  }
+});
+
+// Revoke the current user's calendar feed token
+router.delete('/calendar-token', authenticateToken, async (req, res) => {
+  try {
+    await executeSingleQuery('UPDATE users SET calendar_token_hash = NULL WHERE id = ?', [req.user.id]);
+    await recordAudit(req, 'calendar_token.revoke', { targetType: 'user', targetId: req.user.id });
+
+    res.json({ message: 'Calendar feed token revoked' });
+
+  } catch (error) {
+    console.error('Revoke calendar token error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed token' });
+  }
+});
+
+// iCalendar feed of all important dates. Calendar apps cannot send an Authorization
+// header, so the feed token in the URL authenticates the request.
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await executeQuery(
+      'SELECT id FROM users WHERE calendar_token_hash = ?',
+      [hashFeedToken(req.params.token)]
+    );
+
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const calendar = await buildDatesCalendar();
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="important-dates.ics"');
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+module.exports = router;
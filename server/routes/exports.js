@@ -0,0 +1,174 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  EXPORT_FORMATS,
+  FORMAT_DETAILS,
+  getSyncLimit,
+  listExportColumns,
+  resolveExport,
+  streamExport,
+  startExportJob,
+  exportFileName,
+  getExport,
+  listExports,
+  getExportFilePath
+} = require('../services/contactExportService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Only the user who ran an export or an admin may see or download it
+const canAccess = (user, record) => user.role === 'admin' || record.created_by === user.id;
+
+// Export the contacts matching `params` (the list options of GET /api/contacts plus
+// format, columns and background) from the query string or a JSON body. Small exports
+// stream straight back; large ones, or any with background=true, run as a job (202).
+const sendContactExport = async (req, res, params, location) => {
+  try {
+    const resolved = await resolveExport(params, location);
+    if (resolved.errors) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: resolved.errors
+      });
+    }
+
+    const { format, columns, filters, sort, total } = resolved;
+    const background = String(params.background) === 'true' || total > getSyncLimit();
+    const metadata = { format, columns: columns.map(column => column.key), filters, sort, total };
+
+    if (background) {
+      const record = await startExportJob(resolved, req.user.id);
+      await recordAudit(req, 'contact.export', {
+        targetType: 'export',
+        targetId: record.id,
+        metadata: { ...metadata, mode: 'background' }
+      });
+
+      return res.status(202).json({
+        message: `Exporting ${total} contact(s) in the background; download it from /api/exports/${record.id}/download when it completes`,
+        export: record
+      });
+    }
+
+    const record = await streamExport(resolved, res, req.user.id);
+    await recordAudit(req, 'contact.export', {
+      targetType: 'export',
+      targetId: record.id,
+      metadata: { ...metadata, mode: 'stream', exported: record.row_count }
+    });
+
+  } catch (error) {
+    console.error('Export contacts error:', error);
+    // Once the file has started there is no way to report the error but to cut it short
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.status(500).json({ error: 'Failed to export contacts' });
+  }
+};
+
+// Columns and formats an export can use
+router.get('/columns', authenticateToken, async (req, res) => {
+  try {
+    res.json({ columns: await listExportColumns(), formats: EXPORT_FORMATS });
+
+  } catch (error) {
+    console.error('Get export columns error:', error);
+    res.status(500).json({ error: 'Failed to fetch export columns' });
+  }
+});
+
+// Export contacts with the options of GET /api/contacts in the query string
+router.get('/contacts', authenticateToken, (req, res) => sendContactExport(req, res, req.query, 'query'));
+
+// Export contacts with the options of POST /api/contacts/search as a JSON body
+router.post('/contacts', authenticateToken, (req, res) => sendContactExport(req, res, req.body, 'body'));
+
+// List exports, newest first (admins see everyone's)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { exports, total } = await listExports({
+      userId: req.user.role === 'admin' ? null : req.user.id,
+      limit,
+      offset
+    });
+
+    res.json({
+      exports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({ error: 'Failed to fetch exports' });
+  }
+});
+
+// Get an export (a background job's status and download link)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const record = await getExport(req.params.id);
+
+    if (!record || !canAccess(req.user, record)) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ export: record });
+
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({ error: 'Failed to fetch export' });
+  }
+});
+
+// Download the file of a completed background export
+router.get('/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const record = await getExport(req.params.id);
+
+    if (!record || !canAccess(req.user, record)) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    if (record.mode !== 'background') {
+      return res.status(400).json({ error: 'This export was streamed when it ran and has no file' });
+    }
+
+    if (record.status === 'running') {
+      return res.status(409).json({ error: 'Export is still running', export: record });
+    }
+
+    const filePath = getExportFilePath(record);
+    if (!filePath) {
+      return res.status(410).json({
+        error: record.status === 'failed' ? 'Export failed' : 'Export file has expired',
+        export: record
+      });
+    }
+
+    await recordAudit(req, 'contact.export.download', {
+      targetType: 'export',
+      targetId: record.id,
+      metadata: { format: record.format, row_count: record.row_count }
+    });
+
+    res.setHeader('Content-Type', FORMAT_DETAILS[record.format].contentType);
+    res.download(filePath, exportFileName(record));
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,21 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const { authenticateToken } = require('../middleware/auth');
-const { executeQuery } = require('../utils/database');
 const { detectDuplicates } = require('../services/duplicateDetector');
+const { buildPhoneList, buildEmailList } = require('../services/contactMethods');
+const { ADDRESS_PARTS } = require('../services/addressService');
+const { importContacts } = require('../services/contactImportService');
+const {
+  loadRelationshipTypes,
+  resolveRelationshipType,
+  isValidRelationshipType,
+  getDefaultRelationshipType
+} = require('../services/relationshipTypeService');
+const {
+  loadFieldDefinitions,
+  validateCustomFieldValues
+} = require('../services/customFieldService');
+const { recordAudit } = require('../services/auditService');
 const { parseRawContactData } = require('../services/contactParser');
 const { importGmailContacts } = require('../services/gmailService');
 const { importZohoContacts } = require('../services/zohoService');
@@ -41,6 +54,42 @@ const upload = multer({
   }
 });
 
+// Read additional labelled columns ({ column, label } entries) from a CSV row
+const readMappedColumns = (row, mappings, valueKey) => {
+  if (!Array.isArray(mappings)) return [];
+
+  return mappings
+    .filter(mapping => mapping && row[mapping.column])
+    .map(mapping => ({ [valueKey]: row[mapping.column].trim(), label: mapping.label }));
+};
+
+// Read mapped address columns ({ label, street, city, state, postal_code, country }
+// entries, each part naming a column) from a CSV row
+const readAddressColumns = (row, mappings) => {
+  if (!Array.isArray(mappings)) return [];
+
+  return mappings
+    .filter(mapping => mapping && typeof mapping === 'object')
+    .map(mapping => {
+      const address = { label: mapping.label };
+      for (const part of ADDRESS_PARTS) {
+        address[part] = mapping[part] && row[mapping[part]] ? row[mapping[part]].trim() : '';
+      }
+      return address;
+    });
+};
+
+// Read mapped custom field columns ({ field_key: column }) from a CSV row
+const readCustomFieldColumns = (row, mapping) => {
+  const values = {};
+  for (const [fieldKey, column] of Object.entries(mapping || {})) {
+    if (row[column] !== undefined && row[column] !== '') {
+      values[fieldKey] = row[column];
+    }
+  }
+  return values;
+};
+
 // Import CSV contacts
 router.post('/csv', authenticateToken, upload.single('csvFile'), async (req, res) => {
   try {
@@ -48,12 +97,30 @@ router.post('/csv', authenticateToken, upload.single('csvFile'), async (req, res
       return res.status(400).json({ error: 'CSV file is required' });
     }
 
-    const { fieldMapping, defaultRelationshipType = 'Other', defaultDataOwner } = req.body;
+    const { defaultDataOwner, tags } = req.body;
+    let { fieldMapping } = req.body;
+
+    // Unknown CSV values are resolved through the taxonomy (name or keyword match)
+    const types = await loadRelationshipTypes();
+    const defaultRelationshipType = resolveRelationshipType(
+      req.body.defaultRelationshipType || getDefaultRelationshipType(types),
+      types
+    );
     
     if (!fieldMapping) {
       return res.status(400).json({ error: 'Field mapping is required' });
     }
 
+    // Multipart forms deliver the mapping as a JSON string
+    if (typeof fieldMapping === 'string') {
+      try {
+        fieldMapping = JSON.parse(fieldMapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'Field mapping must be valid JSON' });
+      }
+    }
+
+    const fieldDefinitions = await loadFieldDefinitions();
     const contacts = [];
     const errors = [];
 
@@ -67,10 +134,22 @@ router.post('/csv', authenticateToken, upload.single('csvFile'), async (req, res
             last_name: row[fieldMapping.last_name] || '',
             phone_number: row[fieldMapping.phone_number] || '',
             email: row[fieldMapping.email] || '',
-            relationship_type: row[fieldMapping.relationship_type] || defaultRelationshipType,
+            relationship_type: row[fieldMapping.relationship_type]
+              ? resolveRelationshipType(row[fieldMapping.relationship_type], types)
+              : defaultRelationshipType,
             data_owner: row[fieldMapping.data_owner] || defaultDataOwner,
-            source: 'CSV'
+            organization_name: row[fieldMapping.organization] || '',
+            job_title: row[fieldMapping.job_title] || '',
+            source: 'CSV',
+            phones: readMappedColumns(row, fieldMapping.phones, 'phone_number'),
+            emails: readMappedColumns(row, fieldMapping.emails, 'email'),
+            addresses: readAddressColumns(row, fieldMapping.addresses)
           };
+          
+          // Fall back to the first extra phone column when no primary column is mapped
+          if (!contact.phone_number && contact.phones.length > 0) {
+            contact.phone_number = contact.phones[0].phone_number;
+          }
 
           // Basic validation
           if (!contact.first_name || !contact.phone_number) {
@@ -82,6 +161,24 @@ router.post('/csv', authenticateToken, upload.single('csvFile'), async (req, res
             return;
           }
 
+          // Custom field columns are validated against their definitions
+          const customFieldCheck = validateCustomFieldValues(
+            readCustomFieldColumns(row, fieldMapping.custom_fields),
+            fieldDefinitions,
+            {},
+            { enforceRequired: false }
+          );
+          if (customFieldCheck.errors.length > 0) {
+            errors.push({
+              row: contacts.length + 1,
+              error: 'Invalid custom field values',
+              details: customFieldCheck.errors.map(error => error.msg),
+              data: row
+            });
+            return;
+          }
+          contact.custom_fields = customFieldCheck.values;
+
           contacts.push(contact);
         } catch (error) {
           errors.push({
@@ -103,62 +200,30 @@ router.post('/csv', authenticateToken, upload.single('csvFile'), async (req, res
             });
           }
 
-          // Check for duplicates and insert valid contacts
-          const duplicateResults = [];
-          const validContacts = [];
-          const insertedContacts = [];
-
-          for (const contact of contacts) {
-            const duplicateCheck = await detectDuplicates(contact);
-            
-            if (duplicateCheck.hasDuplicates) {
-              duplicateResults.push({
-                contact,
-                duplicates: duplicateCheck.duplicates
-              });
-            } else {
-              validContacts.push(contact);
-            }
-          }
+          // Set duplicates aside and insert the rest in a single transaction
+          const { imported: insertedContacts, duplicates: duplicateResults } = await importContacts(contacts, {
+            userId: req.user.id,
+            tags,
+            fieldDefinitions
+          });
 
-          // Insert valid contacts
-          for (const contact of validContacts) {
-            try {
-              const result = await executeQuery(
-                `INSERT INTO contacts (
-                  first_name, last_name, phone_number, email, relationship_type,
-                  data_owner, source, created_by
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                RETURNING *`,
-                [
-                  contact.first_name,
-                  contact.last_name,
-                  contact.phone_number,
-                  contact.email,
-                  contact.relationship_type,
-                  contact.data_owner,
-                  contact.source,
-                  req.user.id
-                ]
-              );
-              insertedContacts.push(result.rows[0]);
-            } catch (error) {
-              errors.push({
-                contact,
-                error: 'Failed to insert contact',
-                details: error.message
-              });
+          const summary = {
+            total: contacts.length,
+            imported: insertedContacts.length,
+            duplicates: duplicateResults.length,
+            errors: errors.length
+          };
+          await recordAudit(req, 'import.csv', {
+            metadata: {
+              filename: req.file.originalname,
+              ...summary,
+              contact_ids: insertedContacts.map(contact => contact.id)
             }
-          }
+          });
 
           res.json({
             message: 'CSV import completed',
-            summary: {
-              total: contacts.length,
-              imported: insertedContacts.length,
-              duplicates: duplicateResults.length,
-              errors: errors.length
-            },
+            summary,
             imported: insertedContacts,
             duplicates: duplicateResults,
             errors
@@ -183,12 +248,18 @@ router.post('/csv', authenticateToken, upload.single('csvFile'), async (req, res
 // Import Gmail contacts
 router.post('/gmail', authenticateToken, async (req, res) => {
   try {
-    const { accessToken, relationshipType = 'Other', dataOwner } = req.body;
+    const { accessToken, dataOwner, tags } = req.body;
+    let { relationshipType } = req.body;
 
     if (!accessToken) {
       return res.status(400).json({ error: 'Gmail access token is required' });
     }
 
+    const types = await loadRelationshipTypes();
+    relationshipType = relationshipType
+      ? resolveRelationshipType(relationshipType, types)
+      : getDefaultRelationshipType(types);
+
     // Import contacts from Gmail
     const gmailContacts = await importGmailContacts(accessToken);
 
@@ -196,67 +267,40 @@ router.post('/gmail', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No contacts found in Gmail account' });
     }
 
-    // Process and insert contacts
-    const duplicateResults = [];
-    const validContacts = [];
-    const insertedContacts = [];
-
-    for (const contact of gmailContacts) {
-      const contactData = {
-        first_name: contact.firstName || '',
-        last_name: contact.lastName || '',
-        phone_number: contact.phoneNumber || '',
-        email: contact.email || '',
-        relationship_type: relationshipType,
-        data_owner: dataOwner,
-        source: 'Gmail'
-      };
-
-      const duplicateCheck = await detectDuplicates(contactData);
-      
-      if (duplicateCheck.hasDuplicates) {
-        duplicateResults.push({
-          contact: contactData,
-          duplicates: duplicateCheck.duplicates
-        });
-      } else {
-        validContacts.push(contactData);
-      }
-    }
+    // Set duplicates aside and insert the rest in a single transaction
+    const contactData = gmailContacts.map(contact => ({
+      first_name: contact.firstName || '',
+      last_name: contact.lastName || '',
+      phone_number: contact.phoneNumber || '',
+      email: contact.email || '',
+      phones: contact.phones || [],
+      emails: contact.emails || [],
+      addresses: contact.addresses || [],
+      dates: contact.dates || [],
+      lists: contact.lists || [],
+      organization_name: contact.organizationName || '',
+      job_title: contact.jobTitle || '',
+      relationship_type: relationshipType,
+      data_owner: dataOwner,
+      source: 'Gmail'
+    }));
+    const { imported: insertedContacts, duplicates: duplicateResults } = await importContacts(contactData, {
+      userId: req.user.id,
+      tags
+    });
 
-    // Insert valid contacts
-    for (const contact of validContacts) {
-      try {
-        const result = await executeQuery(
-          `INSERT INTO contacts (
-            first_name, last_name, phone_number, email, relationship_type,
-            data_owner, source, created_by
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          RETURNING *`,
-          [
-            contact.first_name,
-            contact.last_name,
-            contact.phone_number,
-            contact.email,
-            contact.relationship_type,
-            contact.data_owner,
-            contact.source,
-            req.user.id
-          ]
-        );
-        insertedContacts.push(result.rows[0]);
-      } catch (error) {
-        console.error('Failed to insert Gmail contact:', error);
-      }
-    }
+    const summary = {
+      total: gmailContacts.length,
+      imported: insertedContacts.length,
+      duplicates: duplicateResults.length
+    };
+    await recordAudit(req, 'import.gmail', {
+      metadata: { ...summary, contact_ids: insertedContacts.map(contact => contact.id) }
+    });
 
     res.json({
       message: 'Gmail import completed',
-      summary: {
-        total: gmailContacts.length,
-        imported: insertedContacts.length,
-        duplicates: duplicateResults.length
-      },
+      summary,
       imported: insertedContacts,
       duplicates: duplicateResults
     });
@@ -270,12 +314,18 @@ router.post('/gmail', authenticateToken, async (req, res) => {
 // Import Zoho CRM contacts
 router.post('/zoho', authenticateToken, async (req, res) => {
   try {
-    const { accessToken, relationshipType = 'Other', dataOwner } = req.body;
+    const { accessToken, dataOwner, tags } = req.body;
+    let { relationshipType } = req.body;
 
     if (!accessToken) {
       return res.status(400).json({ error: 'Zoho access token is required' });
     }
 
+    const types = await loadRelationshipTypes();
+    relationshipType = relationshipType
+      ? resolveRelationshipType(relationshipType, types)
+      : getDefaultRelationshipType(types);
+
     // Import contacts from Zoho CRM
     const zohoContacts = await importZohoContacts(accessToken);
 
@@ -283,67 +333,38 @@ router.post('/zoho', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No contacts found in Zoho CRM' });
     }
 
-    // Process and insert contacts
-    const duplicateResults = [];
-    const validContacts = [];
-    const insertedContacts = [];
-
-    for (const contact of zohoContacts) {
-      const contactData = {
-        first_name: contact.firstName || '',
-        last_name: contact.lastName || '',
-        phone_number: contact.phoneNumber || '',
-        email: contact.email || '',
-        relationship_type: contact.relationshipType || relationshipType,
-        data_owner: dataOwner,
-        source: 'Zoho'
-      };
-
-      const duplicateCheck = await detectDuplicates(contactData);
-      
-      if (duplicateCheck.hasDuplicates) {
-        duplicateResults.push({
-          contact: contactData,
-          duplicates: duplicateCheck.duplicates
-        });
-      } else {
-        validContacts.push(contactData);
-      }
-    }
+    // Set duplicates aside and insert the rest in a single transaction
+    const contactData = zohoContacts.map(contact => ({
+      first_name: contact.firstName || '',
+      last_name: contact.lastName || '',
+      phone_number: contact.phoneNumber || '',
+      email: contact.email || '',
+      phones: contact.phones || [],
+      emails: contact.emails || [],
+      addresses: contact.addresses || [],
+      organization_name: contact.accountName || '',
+      job_title: contact.title || '',
+      relationship_type: contact.relationshipType || relationshipType,
+      data_owner: dataOwner,
+      source: 'Zoho'
+    }));
+    const { imported: insertedContacts, duplicates: duplicateResults } = await importContacts(contactData, {
+      userId: req.user.id,
+      tags
+    });
 
-    // Insert valid contacts
-    for (const contact of validContacts) {
-      try {
-        const result = await executeQuery(
-          `INSERT INTO contacts (
-            first_name, last_name, phone_number, email, relationship_type,
-            data_owner, source, created_by
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          RETURNING *`,
-          [
-            contact.first_name,
-            contact.last_name,
-            contact.phone_number,
-            contact.email,
-            contact.relationship_type,
-            contact.data_owner,
-            contact.source,
-            req.user.id
-          ]
-        );
-        insertedContacts.push(result.rows[0]);
-      } catch (error) {
-        console.error('Failed to insert Zoho contact:', error);
-      }
-    }
+    const summary = {
+      total: zohoContacts.length,
+      imported: insertedContacts.length,
+      duplicates: duplicateResults.length
+    };
+    await recordAudit(req, 'import.zoho', {
+      metadata: { ...summary, contact_ids: insertedContacts.map(contact => contact.id) }
+    });
 
     res.json({
       message: 'Zoho CRM import completed',
-      summary: {
-        total: zohoContacts.length,
-        imported: insertedContacts.length,
-        duplicates: duplicateResults.length
-      },
+      summary,
       imported: insertedContacts,
       duplicates: duplicateResults
     });
@@ -357,19 +378,22 @@ router.post('/zoho', authenticateToken, async (req, res) => {
 // Get available import sources
 router.get('/sources', authenticateToken, async (req, res) => {
   try {
+    const fieldDefinitions = await loadFieldDefinitions();
     const sources = [
       {
         id: 'csv',
         name: 'CSV File',
         description: 'Import contacts from CSV files',
-        fields: ['first_name', 'last_name', 'phone_number', 'email', 'relationship_type', 'data_owner'],
+        fields: ['first_name', 'last_name', 'phone_number', 'email', 'phones', 'emails', 'addresses', 'organization', 'job_title', 'relationship_type', 'data_owner'],
+        // Map these through fieldMapping.custom_fields ({ field_key: column })
+        customFields: fieldDefinitions.map(({ field_key, label, field_type }) => ({ field_key, label, field_type })),
         supported: true
       },
       {
         id: 'gmail',
         name: 'Gmail',
         description: 'Import contacts from Gmail account',
-        fields: ['first_name', 'last_name', 'phone_number', 'email'],
+        fields: ['first_name', 'last_name', 'phone_number', 'email', 'phones', 'emails', 'addresses', 'birthday', 'organization', 'job_title', 'contact_groups'],
         supported: true,
         requiresAuth: true
       },
@@ -377,7 +401,7 @@ router.get('/sources', authenticateToken, async (req, res) => {
         id: 'zoho',
         name: 'Zoho CRM',
         description: 'Import contacts from Zoho CRM',
-        fields: ['first_name', 'last_name', 'phone_number', 'email', 'relationship_type'],
+        fields: ['first_name', 'last_name', 'phone_number', 'email', 'phones', 'emails', 'addresses', 'organization', 'job_title', 'relationship_type'],
         supported: true,
         requiresAuth: true
       },
@@ -431,20 +455,22 @@ router.post('/validate', authenticateToken, async (req, res) => {
         validation.errors.push('First name is required');
       }
 
-      if (!contact.phone_number) {
+      const phones = buildPhoneList(contact);
+      const emails = buildEmailList(contact);
+
+      if (phones.length === 0) {
         validation.isValid = false;
         validation.errors.push('Phone number is required');
       }
 
       // Validate email format
-      if (contact.email && !contact.email.includes('@')) {
+      if (emails.some(entry => !entry.email.includes('@'))) {
         validation.isValid = false;
         validation.errors.push('Invalid email format');
       }
 
-      // Validate relationship type
-      const validTypes = ['Client', 'Vendor', 'Lead', 'Partner', 'Other'];
-      if (contact.relationship_type && !validTypes.includes(contact.relationship_type)) {
+      // Validate relationship type against the taxonomy
+      if (contact.relationship_type && !(await isValidRelationshipType(contact.relationship_type))) {
         validation.isValid = false;
         validation.errors.push('Invalid relationship type');
       }
@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery } = require('../utils/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  INTERACTION_TYPES,
+  getInteraction,
+  listInteractions,
+  createInteraction,
+  updateInteraction,
+  deleteInteraction
+} = require('../services/interactionService');
+const { recordAudit } = require('../services/auditService');
+
+// Mounted under /api/contacts/:contactId/interactions
+const router = express.Router({ mergeParams: true });
+
+// Validation middleware (updates may leave out any field to keep its value)
+const interactionRules = (isUpdate) => [
+  (isUpdate ? body('type').optional() : body('type'))
+    .isIn(INTERACTION_TYPES).withMessage(`Type must be one of: ${INTERACTION_TYPES.join(', ')}`),
+  body('occurred_at').optional({ nullable: true }).isISO8601().withMessage('occurred_at must be an ISO 8601 date'),
+  body('subject').optional({ nullable: true }).isString().withMessage('Subject must be a string'),
+  body('body').optional({ nullable: true }).isString().withMessage('Body must be a string'),
+  body('outcome').optional({ nullable: true }).isString().withMessage('Outcome must be a string'),
+  body('follow_up_at').optional({ nullable: true }).isISO8601().withMessage('follow_up_at must be an ISO 8601 date'),
+  body('follow_up_note').optional({ nullable: true }).isString().withMessage('Follow-up note must be a string')
+];
+
+// Interactions can only be recorded on contacts outside the trash
+const contactExists = async (contactId) => {
+  const result = await executeQuery(
+    'SELECT id FROM contacts WHERE id = ? AND deleted_at IS NULL',
+    [contactId]
+  );
+  return result.rows.length > 0;
+};
+
+// Only the author of an interaction or an admin may change it
+const canModify = (user, interaction) => user.role === 'admin' || interaction.user_id === user.id;
+
+// Get a contact's timeline (?type=call,meeting limits it to some types)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const { page = 1, limit = 50, type = '' } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (!(await contactExists(contactId))) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const types = String(type).split(',').map(value => value.trim()).filter(Boolean);
+    const invalidTypes = types.filter(value => !INTERACTION_TYPES.includes(value));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ error: `Unknown interaction type: ${invalidTypes.join(', ')}` });
+    }
+
+    const { interactions, total } = await listInteractions(contactId, { types, limit, offset });
+
+    res.json({
+      interactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get interactions error:', error);
+    res.status(500).json({ error: 'Failed to fetch interactions' });
+  }
+});
+
+// Add an interaction to a contact's timeline
+router.post('/', authenticateToken, interactionRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { contactId } = req.params;
+
+    if (!(await contactExists(contactId))) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const interaction = await createInteraction(contactId, req.body, req.user.id);
+    await recordAudit(req, 'interaction.create', {
+      targetType: 'contact',
+      targetId: contactId,
+      metadata: { interaction_id: interaction.id, type: interaction.type }
+    });
+
+    res.status(201).json({
+      message: 'Interaction added successfully',
+      interaction
+    });
+
+  } catch (error) {
+    console.error('Create interaction error:', error);
+    res.status(500).json({ error: 'Failed to add interaction' });
+  }
+});
+
+// Edit an interaction
+router.put('/:interactionId', authenticateToken, interactionRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { contactId, interactionId } = req.params;
+
+    const existing = await getInteraction(contactId, interactionId);
+    if (!existing || !(await contactExists(contactId))) {
+      return res.status(404).json({ error: 'Interaction not found' });
+    }
+
+    if (!canModify(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the author or an admin can edit this interaction' });
+    }
+
+    const interaction = await updateInteraction(existing, req.body);
+    await recordAudit(req, 'interaction.update', {
+      targetType: 'contact',
+      targetId: contactId,
+      metadata: { interaction_id: interaction.id, type: interaction.type }
+    });
+
+    res.json({
+      message: 'Interaction updated successfully',
+      interaction
+    });
+
+  } catch (error) {
+    console.error('Update interaction error:', error);
+    res.status(500).json({ error: 'Failed to update interaction' });
+  }
+});
+
+// Delete an interaction
+router.delete('/:interactionId', authenticateToken, async (req, res) => {
+  try {
+    const { contactId, interactionId } = req.params;
+
+    const existing = await getInteraction(contactId, interactionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Interaction not found' });
+    }
+
+    if (!canModify(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the author or an admin can delete this interaction' });
+    }
+
+    await deleteInteraction(contactId, interactionId);
+    await recordAudit(req, 'interaction.delete', {
+      targetType: 'contact',
+      targetId: contactId,
+      metadata: { interaction_id: existing.id, type: existing.type }
+    });
+
+    res.json({ message: 'Interaction deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete interaction error:', error);
+    res.status(500).json({ error: 'Failed to delete interaction' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  MAX_MEMBERS_PER_REQUEST,
+  listStaticLists,
+  getStaticList,
+  findStaticListByName,
+  createStaticList,
+  updateStaticList,
+  deleteStaticList,
+  addListMembers,
+  removeListMembers
+} = require('../services/staticListService');
+const { listContacts } = require('../services/contactListService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation middleware (updates may leave out any field to keep its value)
+const listRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString().trim().notEmpty().withMessage('List name is required')
+    .isLength({ max: 100 }).withMessage('List name must be at most 100 characters'),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be a string')
+];
+
+const validateMembers = [
+  body('contact_ids').isArray({ min: 1, max: MAX_MEMBERS_PER_REQUEST })
+    .withMessage(`contact_ids must be a list of 1 to ${MAX_MEMBERS_PER_REQUEST} contact IDs`),
+  body('contact_ids.*').isInt({ min: 1 }).withMessage('Contact IDs must be positive integers')
+];
+
+// Get all lists with their member counts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const lists = await listStaticLists();
+    res.json({ lists });
+
+  } catch (error) {
+    console.error('Get lists error:', error);
+    res.status(500).json({ error: 'Failed to fetch lists' });
+  }
+});
+
+// Get a list
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const list = await getStaticList(req.params.id);
+
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    res.json({ list });
+
+  } catch (error) {
+    console.error('Get list error:', error);
+    res.status(500).json({ error: 'Failed to fetch list' });
+  }
+});
+
+// Get a page of a list's members; the contact list options (search, filters, sort) of
+// GET /api/contacts narrow and order them
+router.get('/:id/members', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const list = await getStaticList(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const result = await listContacts({ ...req.query, list_id: list.id }, { limit, offset });
+    if (result.errors) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+
+    const { contacts, total } = result;
+    await recordAudit(req, 'contact.list', {
+      metadata: { list_id: list.id, total, contact_ids: contacts.map(contact => contact.id) }
+    });
+
+    res.json({
+      list,
+      contacts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get list members error:', error);
+    res.status(500).json({ error: 'Failed to fetch list members' });
+  }
+});
+
+// Create a list
+router.post('/', authenticateToken, listRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existing = await findStaticListByName(req.body.name);
+    if (existing) {
+      return res.status(409).json({ error: 'List with this name already exists', list: existing });
+    }
+
+    const list = await createStaticList(req.body, req.user.id);
+    await recordAudit(req, 'list.create', {
+      targetType: 'list',
+      targetId: list.id,
+      metadata: { name: list.name }
+    });
+
+    res.status(201).json({
+      message: 'List created successfully',
+      list
+    });
+
+  } catch (error) {
+    console.error('Create list error:', error);
+    res.status(500).json({ error: 'Failed to create list' });
+  }
+});
+
+// Rename a list or change its description
+router.put('/:id', authenticateToken, listRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existing = await getStaticList(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if (req.body.name !== undefined) {
+      const sameName = await findStaticListByName(req.body.name, existing.id);
+      if (sameName) {
+        return res.status(409).json({ error: 'Another list already uses this name', list: sameName });
+      }
+    }
+
+    const list = await updateStaticList(existing, req.body);
+    await recordAudit(req, 'list.update', {
+      targetType: 'list',
+      targetId: list.id,
+      metadata: { name: list.name }
+    });
+
+    res.json({
+      message: 'List updated successfully',
+      list
+    });
+
+  } catch (error) {
+    console.error('Update list error:', error);
+    res.status(500).json({ error: 'Failed to update list' });
+  }
+});
+
+// Delete a list (its contacts are kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getStaticList(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    await deleteStaticList(existing.id);
+    await recordAudit(req, 'list.delete', {
+      targetType: 'list',
+      targetId: existing.id,
+      metadata: { name: existing.name, member_count: existing.member_count }
+    });
+
+    res.json({ message: 'List deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete list error:', error);
+    res.status(500).json({ error: 'Failed to delete list' });
+  }
+});
+
+// Add contacts to a list: { contact_ids: [...] }
+router.post('/:id/members', authenticateToken, validateMembers, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const list = await getStaticList(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const result = await addListMembers(list.id, req.body.contact_ids, req.user.id);
+    await recordAudit(req, 'list.members.add', {
+      targetType: 'list',
+      targetId: list.id,
+      metadata: { name: list.name, contact_ids: result.added }
+    });
+
+    res.json({
+      message: `${result.added.length} contact(s) added to the list`,
+      ...result,
+      list: await getStaticList(list.id)
+    });
+
+  } catch (error) {
+    console.error('Add list members error:', error);
+    res.status(500).json({ error: 'Failed to add contacts to list' });
+  }
+});
+
+// Remove contacts from a list: { contact_ids: [...] }
+router.delete('/:id/members', authenticateToken, validateMembers, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const list = await getStaticList(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const result = await removeListMembers(list.id, req.body.contact_ids);
+    await recordAudit(req, 'list.members.remove', {
+      targetType: 'list',
+      targetId: list.id,
+      metadata: { name: list.name, contact_ids: result.removed }
+    });
+
+    res.json({
+      message: `${result.removed.length} contact(s) removed from the list`,
+      ...result,
+      list: await getStaticList(list.id)
+    });
+
+  } catch (error) {
+    console.error('Remove list members error:', error);
+    res.status(500).json({ error: 'Failed to remove contacts from list' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, executeSingleQuery, getDialect, withTransaction } = require('../utils/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  findOrganizationByName,
+  linkContactToOrganization,
+  unlinkContactFromOrganization
+} = require('../services/organizationService');
+const { bumpContactVersions, bumpContactVersionsWhere } = require('../services/contactVersionService');
+const { decryptContactFields } = require('../utils/encryption');
+
+const router = express.Router();
+
+// Validation middleware
+const validateOrganization = [
+  body('name').trim().notEmpty().withMessage('Organization name is required'),
+  body('domain').optional({ values: 'falsy' }).isFQDN().withMessage('Please provide a valid domain'),
+  body('industry').optional().isString().withMessage('Industry must be a string'),
+  body('address').optional().isString().withMessage('Address must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateMembership = [
+  body('contact_id').isInt().withMessage('Contact ID is required'),
+  body('job_title').optional().isString().withMessage('Job title must be a string')
+];
+
+// Get all organizations with search and pagination
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = '', industry = '' } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereConditions = [];
+    const queryParams = [];
+
+    if (search) {
+      const like = getDialect().likeIgnoreCase;
+      whereConditions.push(`(o.name ${like} ? OR o.domain ${like} ?)`);
+      queryParams.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (industry) {
+      whereConditions.push('o.industry = ?');
+      queryParams.push(industry);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM organizations o ${whereClause}`,
+      queryParams
+    );
+    const totalCount = parseInt(countResult.rows[0].total);
+
+    const result = await executeQuery(
+      `SELECT o.*, COUNT(c.id) as contact_count
+       FROM organizations o
+       LEFT JOIN contact_organizations co ON co.organization_id = o.id
+       LEFT JOIN contacts c ON c.id = co.contact_id AND c.deleted_at IS NULL
+       ${whereClause}
+       GROUP BY o.id
+       ORDER BY o.name
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      organizations: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// Get organization by ID with its contacts
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await executeQuery('SELECT * FROM organizations WHERE id = ?', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const contactsResult = await executeQuery(
+      `SELECT c.id, c.first_name, c.last_name, c.phone_number, c.email,
+              c.relationship_type, c.data_owner, c.status, co.job_title
+       FROM contact_organizations co
+       JOIN contacts c ON c.id = co.contact_id
+       WHERE co.organization_id = ? AND c.deleted_at IS NULL
+       ORDER BY c.first_name, c.last_name`,
+      [id]
+    );
+
+    res.json({
+      organization: {
+        ...result.rows[0],
+        contacts: contactsResult.rows.map(decryptContactFields)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+// Create new organization
+router.post('/', authenticateToken, validateOrganization, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, domain, industry, address, notes } = req.body;
+
+    const existing = await findOrganizationByName(name);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Organization with this name already exists',
+        organization: existing
+      });
+    }
+
+    const result = await executeSingleQuery(
+      `INSERT INTO organizations (name, domain, industry, address, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, domain || null, industry || null, address || null, notes || null, req.user.id]
+    );
+
+    const organizationResult = await executeQuery(
+      'SELECT * FROM organizations WHERE id = ?',
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: organizationResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// Update organization
+router.put('/:id', authenticateToken, validateOrganization, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, domain, industry, address, notes } = req.body;
+
+    const existing = await findOrganizationByName(name);
+    if (existing && String(existing.id) !== String(id)) {
+      return res.status(409).json({
+        error: 'Organization with this name already exists',
+        organization: existing
+      });
+    }
+
+    // Contacts carry the organization's name, so its members move on to a new version
+    const result = await withTransaction(async () => {
+      await bumpContactVersionsWhere('SELECT contact_id FROM contact_organizations WHERE organization_id = ?', [id]);
+      return executeSingleQuery(
+        `UPDATE organizations SET
+          name = ?, domain = ?, industry = ?, address = ?, notes = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [name, domain || null, industry || null, address || null, notes || null, id]
+      );
+    });
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const organizationResult = await executeQuery('SELECT * FROM organizations WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: organizationResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+// Delete organization (contact links are removed, contacts are kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await withTransaction(async () => {
+      await bumpContactVersionsWhere('SELECT contact_id FROM contact_organizations WHERE organization_id = ?', [id]);
+      return executeSingleQuery('DELETE FROM organizations WHERE id = ?', [id]);
+    });
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json({ message: 'Organization deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ error: 'Failed to delete organization' });
+  }
+});
+
+// Link a contact to an organization with an optional job title
+router.post('/:id/contacts', authenticateToken, validateMembership, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { contact_id, job_title } = req.body;
+
+    const organizationResult = await executeQuery('SELECT id FROM organizations WHERE id = ?', [id]);
+    if (organizationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const contactResult = await executeQuery(
+      'SELECT id FROM contacts WHERE id = ? AND deleted_at IS NULL',
+      [contact_id]
+    );
+    if (contactResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    await withTransaction(async () => {
+      await linkContactToOrganization(contact_id, id, job_title);
+      await bumpContactVersions([contact_id]);
+    });
+
+    res.json({ message: 'Contact linked to organization successfully' });
+
+  } catch (error) {
+    console.error('Link organization contact error:', error);
+    res.status(500).json({ error: 'Failed to link contact to organization' });
+  }
+});
+
+// Unlink a contact from an organization
+router.delete('/:id/contacts/:contactId', authenticateToken, async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+
+    const removed = await withTransaction(async () => {
+      const unlinked = await unlinkContactFromOrganization(contactId, id);
+      if (unlinked) await bumpContactVersions([contactId]);
+      return unlinked;
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Contact is not linked to this organization' });
+    }
+
+    res.json({ message: 'Contact unlinked from organization successfully' });
+
+  } catch (error) {
+    console.error('Unlink organization contact error:', error);
+    res.status(500).json({ error: 'Failed to unlink contact from organization' });
+  }
+});
+
+module.exports = router;
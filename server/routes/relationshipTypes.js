@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, executeSingleQuery } = require('../utils/database');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const {
+  normalizeKeywords,
+  loadRelationshipTypes,
+  invalidateRelationshipTypes,
+  findRelationshipTypeName,
+  getRelationshipTypeById,
+  reassignContacts,
+  mergeRelationshipTypes,
+  deleteRelationshipType
+} = require('../services/relationshipTypeService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRelationshipType = [
+  body('name').trim().notEmpty().withMessage('Type name is required'),
+  body('parent_id').optional({ values: 'null' }).isInt().withMessage('Parent ID must be an integer'),
+  body('keywords').optional().custom(value => {
+    if (Array.isArray(value) || typeof value === 'string') return true;
+    throw new Error('Keywords must be an array or a comma-separated string');
+  }),
+  body('sort_order').optional().isInt().withMessage('Sort order must be an integer'),
+  body('is_default').optional().isBoolean().withMessage('is_default must be a boolean')
+];
+
+const validateMerge = [
+  body('source_type_ids').isArray({ min: 1 }).withMessage('At least one source type is required'),
+  body('source_type_ids.*').isInt().withMessage('Source type IDs must be integers')
+];
+
+// Subtypes may only hang off top-level types
+const validateParent = async (parentId, typeId = null) => {
+  if (!parentId) return null;
+
+  if (typeId && String(parentId) === String(typeId)) {
+    return 'A type cannot be its own parent';
+  }
+
+  const parent = await getRelationshipTypeById(parentId);
+  if (!parent) return 'Parent type not found';
+  if (parent.parent_id) return 'Subtypes cannot have subtypes of their own';
+
+  return null;
+};
+
+// Get the full taxonomy with contact counts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const types = await loadRelationshipTypes(true);
+
+    const countResult = await executeQuery(`
+      SELECT relationship_type, COUNT(*) as count
+      FROM contacts
+      WHERE deleted_at IS NULL
+      GROUP BY relationship_type
+    `);
+    const counts = {};
+    for (const row of countResult.rows) {
+      counts[row.relationship_type] = row.count;
+    }
+
+    res.json({
+      types: types.map(type => ({ ...type, contact_count: counts[type.name] || 0 }))
+    });
+
+  } catch (error) {
+    console.error('Get relationship types error:', error);
+    res.status(500).json({ error: 'Failed to fetch relationship types' });
+  }
+});
+
+// Create new relationship type
+router.post('/', authenticateToken, authorizeRole(['admin']), validateRelationshipType, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, parent_id = null, keywords = [], sort_order = 0, is_default = false } = req.body;
+
+    const types = await loadRelationshipTypes(true);
+    if (findRelationshipTypeName(name, types)) {
+      return res.status(409).json({ error: 'Relationship type with this name already exists' });
+    }
+
+    const parentError = await validateParent(parent_id);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+
+    if (is_default) {
+      await executeSingleQuery('UPDATE relationship_types SET is_default = 0');
+    }
+
+    const result = await executeSingleQuery(
+      `INSERT INTO relationship_types (name, parent_id, keywords, sort_order, is_default)
+       VALUES (?, ?, ?, ?, ?)`,
+      [name, parent_id, JSON.stringify(normalizeKeywords(keywords)), sort_order, is_default ? 1 : 0]
+    );
+    invalidateRelationshipTypes();
+
+    res.status(201).json({
+      message: 'Relationship type created successfully',
+      type: await getRelationshipTypeById(result.insertId)
+    });
+
+  } catch (error) {
+    console.error('Create relationship type error:', error);
+    res.status(500).json({ error: 'Failed to create relationship type' });
+  }
+});
+
+// Update relationship type (renaming also renames it on every contact)
+router.put('/:id', authenticateToken, authorizeRole(['admin']), validateRelationshipType, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const existing = await getRelationshipTypeById(id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Relationship type not found' });
+    }
+
+    const {
+      name,
+      parent_id = existing.parent_id,
+      keywords = existing.keywords,
+      sort_order = existing.sort_order,
+      is_default = existing.is_default
+    } = req.body;
+
+    const types = await loadRelationshipTypes(true);
+    const clash = types.find(type => type.name.toLowerCase() === name.toLowerCase() && type.id !== existing.id);
+    if (clash) {
+      return res.status(409).json({
+        error: 'Another type already uses this name; merge the types instead'
+      });
+    }
+
+    const parentError = await validateParent(parent_id, existing.id);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+
+    if (parent_id && types.some(type => type.parent_id === existing.id)) {
+      return res.status(400).json({ error: 'A type with subtypes cannot become a subtype' });
+    }
+
+    if (existing.is_default && !is_default) {
+      return res.status(400).json({ error: 'Mark another type as default instead' });
+    }
+
+    if (is_default && !existing.is_default) {
+      await executeSingleQuery('UPDATE relationship_types SET is_default = 0');
+    }
+
+    await executeSingleQuery(
+      `UPDATE relationship_types SET
+        name = ?, parent_id = ?, keywords = ?, sort_order = ?, is_default = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`,
+      [name, parent_id, JSON.stringify(normalizeKeywords(keywords)), sort_order, is_default ? 1 : 0, id]
+    );
+
+    let reassigned = 0;
+    if (name !== existing.name) {
+      reassigned = await reassignContacts(existing.name, name);
+    }
+    invalidateRelationshipTypes();
+
+    res.json({
+      message: 'Relationship type updated successfully',
+      type: await getRelationshipTypeById(id),
+      reassignedContacts: reassigned
+    });
+
+  } catch (error) {
+    console.error('Update relationship type error:', error);
+    res.status(500).json({ error: 'Failed to update relationship type' });
+  }
+});
+
+// Merge other types into this one
+router.post('/:id/merge', authenticateToken, authorizeRole(['admin']), validateMerge, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const target = await getRelationshipTypeById(id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Relationship type not found' });
+    }
+
+    const sources = [];
+    for (const sourceId of req.body.source_type_ids) {
+      if (String(sourceId) === String(id)) continue;
+
+      const source = await getRelationshipTypeById(sourceId);
+      if (!source) {
+        return res.status(404).json({ error: `Relationship type ${sourceId} not found` });
+      }
+      sources.push(source);
+    }
+
+    // The default type survives a merge under the target's name
+    if (sources.some(source => source.is_default)) {
+      await executeSingleQuery('UPDATE relationship_types SET is_default = 1 WHERE id = ?', [id]);
+    }
+
+    const reassigned = await mergeRelationshipTypes(target, sources);
+
+    res.json({
+      message: 'Relationship types merged successfully',
+      type: await getRelationshipTypeById(id),
+      reassignedContacts: reassigned
+    });
+
+  } catch (error) {
+    console.error('Merge relationship types error:', error);
+    res.status(500).json({ error: 'Failed to merge relationship types' });
+  }
+});
+
+// Delete relationship type, moving its contacts to ?reassign_to=<id> (default type otherwise)
+router.delete('/:id', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reassign_to } = req.query;
+
+    const type = await getRelationshipTypeById(id);
+    if (!type) {
+      return res.status(404).json({ error: 'Relationship type not found' });
+    }
+
+    if (type.is_default) {
+      return res.status(400).json({ error: 'The default relationship type cannot be deleted' });
+    }
+
+    const types = await loadRelationshipTypes(true);
+    const replacement = reassign_to
+      ? types.find(candidate => String(candidate.id) === String(reassign_to))
+      : types.find(candidate => candidate.is_default);
+
+    if (!replacement || replacement.id === type.id) {
+      return res.status(400).json({ error: 'A different, existing type is required to reassign contacts to' });
+    }
+
+    const reassigned = await deleteRelationshipType(type, replacement);
+
+    res.json({
+      message: 'Relationship type deleted successfully',
+      reassignedTo: replacement.name,
+      reassignedContacts: reassigned
+    });
+
+  } catch (error) {
+    console.error('Delete relationship type error:', error);
+    res.status(500).json({ error: 'Failed to delete relationship type' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  SEARCH_VISIBILITIES,
+  validateDefinition,
+  listSavedSearches,
+  getSavedSearch,
+  findSavedSearchByName,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  countSavedSearch
+} = require('../services/savedSearchService');
+const { listContacts } = require('../services/contactListService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation middleware (updates may leave out any field to keep its value)
+const savedSearchRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString().trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+  body('filters').optional().isObject().withMessage('Filters must be an object of contact list options'),
+  body('sort').optional({ nullable: true }).isString().withMessage('Sort must be a string such as "last_name,-created_at"'),
+  body('visibility').optional().isIn(SEARCH_VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${SEARCH_VISIBILITIES.join(', ')}`),
+  body('show_on_dashboard').optional().isBoolean().withMessage('show_on_dashboard must be a boolean')
+];
+
+// Only the owner of a saved search or an admin may change it
+const canModify = (user, search) => user.role === 'admin' || search.owner_id === user.id;
+
+// List the current user's saved searches and the shared ones (?include_counts=true adds
+// the current number of matching contacts to each)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const searches = await listSavedSearches(req.user.id);
+
+    if (req.query.include_counts === 'true') {
+      for (const search of searches) {
+        search.count = await countSavedSearch(search);
+      }
+    }
+
+    res.json({ saved_searches: searches });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+// Get a saved search
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const search = await getSavedSearch(req.params.id, req.user.id);
+
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ saved_search: search });
+
+  } catch (error) {
+    console.error('Get saved search error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved search' });
+  }
+});
+
+// Smart list: evaluate a saved search now and return a page of matching contacts
+router.get('/:id/contacts', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const search = await getSavedSearch(req.params.id, req.user.id);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const result = await listContacts({ ...search.filters, sort: search.sort }, { limit, offset, location: 'body' });
+    if (result.errors) {
+      return res.status(400).json({
+        error: 'Saved search definition is no longer valid',
+        details: result.errors
+      });
+    }
+
+    const { contacts, total } = result;
+    await recordAudit(req, 'contact.list', {
+      metadata: { saved_search_id: search.id, filters: search.filters, total, contact_ids: contacts.map(contact => contact.id) }
+    });
+
+    res.json({
+      saved_search: search,
+      contacts,
+      count: total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get smart list error:', error);
+    res.status(500).json({ error: 'Failed to evaluate saved search' });
+  }
+});
+
+// Save a search
+router.post('/', authenticateToken, savedSearchRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const definitionErrors = await validateDefinition(req.body);
+    if (definitionErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: definitionErrors
+      });
+    }
+
+    if (await findSavedSearchByName(req.body.name, req.user.id)) {
+      return res.status(409).json({ error: 'You already have a saved search with this name' });
+    }
+
+    const search = await createSavedSearch(req.body, req.user.id);
+    await recordAudit(req, 'saved_search.create', {
+      targetType: 'saved_search',
+      targetId: search.id,
+      metadata: { name: search.name, visibility: search.visibility }
+    });
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      saved_search: search
+    });
+
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// Update a saved search (owner or admin)
+router.put('/:id', authenticateToken, savedSearchRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existing = await getSavedSearch(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    if (!canModify(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the owner or an admin can change this saved search' });
+    }
+
+    const definitionErrors = await validateDefinition({
+      filters: req.body.filters !== undefined ? req.body.filters : existing.filters,
+      sort: req.body.sort !== undefined ? req.body.sort : existing.sort
+    });
+    if (definitionErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: definitionErrors
+      });
+    }
+
+    if (req.body.name !== undefined && await findSavedSearchByName(req.body.name, existing.owner_id, existing.id)) {
+      return res.status(409).json({ error: 'The owner already has a saved search with this name' });
+    }
+
+    const search = await updateSavedSearch(existing, req.body);
+    await recordAudit(req, 'saved_search.update', {
+      targetType: 'saved_search',
+      targetId: search.id,
+      metadata: { name: search.name, visibility: search.visibility }
+    });
+
+    res.json({
+      message: 'Saved search updated successfully',
+      saved_search: search
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// Delete a saved search (owner or admin)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getSavedSearch(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    if (!canModify(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the owner or an admin can delete this saved search' });
+    }
+
+    await deleteSavedSearch(existing.id);
+    await recordAudit(req, 'saved_search.delete', {
+      targetType: 'saved_search',
+      targetId: existing.id,
+      metadata: { name: existing.name }
+    });
+
+    res.json({ message: 'Saved search deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, executeSingleQuery, withTransaction } = require('../utils/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  DEFAULT_TAG_COLOR,
+  TAG_COLOR_PATTERN,
+  findTagByName,
+  mergeTags
+} = require('../services/tagService');
+const { bumpContactVersionsWhere } = require('../services/contactVersionService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateTag = [
+  body('name').trim().notEmpty().withMessage('Tag name is required'),
+  body('color').optional().matches(TAG_COLOR_PATTERN).withMessage('Color must be a hex value like #1976d2')
+];
+
+const validateMerge = [
+  body('source_tag_ids').isArray({ min: 1 }).withMessage('At least one source tag is required'),
+  body('source_tag_ids.*').isInt().withMessage('Source tag IDs must be integers')
+];
+
+// Get all tags with usage counts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await executeQuery(`
+      SELECT t.*, COUNT(c.id) as contact_count
+      FROM tags t
+      LEFT JOIN contact_tags ct ON ct.tag_id = t.id
+      LEFT JOIN contacts c ON c.id = ct.contact_id AND c.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+
+    res.json({ tags: result.rows });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Create new tag
+router.post('/', authenticateToken, validateTag, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, color = DEFAULT_TAG_COLOR } = req.body;
+
+    const existing = await findTagByName(name);
+    if (existing) {
+      return res.status(409).json({ error: 'Tag with this name already exists', tag: existing });
+    }
+
+    const result = await executeSingleQuery(
+      'INSERT INTO tags (name, color, created_by) VALUES (?, ?, ?)',
+      [name, color, req.user.id]
+    );
+
+    const tagResult = await executeQuery('SELECT * FROM tags WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag: tagResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// Rename or recolour a tag
+router.put('/:id', authenticateToken, validateTag, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, color } = req.body;
+
+    const existing = await findTagByName(name);
+    if (existing && String(existing.id) !== String(id)) {
+      return res.status(409).json({
+        error: 'Another tag already uses this name; merge the tags instead',
+        tag: existing
+      });
+    }
+
+    // Contacts carry the tag's name, so the tagged ones move on to a new version
+    const result = await withTransaction(async () => {
+      await bumpContactVersionsWhere('SELECT contact_id FROM contact_tags WHERE tag_id = ?', [id]);
+      return executeSingleQuery(
+        `UPDATE tags SET name = ?, color = COALESCE(?, color), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [name, color || null, id]
+      );
+    });
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const tagResult = await executeQuery('SELECT * FROM tags WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag: tagResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// Merge other tags into this one
+router.post('/:id/merge', authenticateToken, validateMerge, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { source_tag_ids } = req.body;
+
+    const targetResult = await executeQuery('SELECT * FROM tags WHERE id = ?', [id]);
+    if (targetResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const mergedCount = await mergeTags(id, source_tag_ids);
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as contact_count
+       FROM contact_tags ct
+       JOIN contacts c ON c.id = ct.contact_id AND c.deleted_at IS NULL
+       WHERE ct.tag_id = ?`,
+      [id]
+    );
+
+    res.json({
+      message: 'Tags merged successfully',
+      tag: { ...targetResult.rows[0], contact_count: countResult.rows[0].contact_count },
+      mergedCount
+    });
+
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({ error: 'Failed to merge tags' });
+  }
+});
+
+// Delete tag (removes it from all contacts)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await withTransaction(async () => {
+      await bumpContactVersionsWhere('SELECT contact_id FROM contact_tags WHERE tag_id = ?', [id]);
+      return executeSingleQuery('DELETE FROM tags WHERE id = ?', [id]);
+    });
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ message: 'Tag deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+module.exports = router;
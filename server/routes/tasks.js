@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery } = require('../utils/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  TASK_RECURRENCES,
+  getTask,
+  listTasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  listTaskNotifications,
+  markTaskNotificationsRead
+} = require('../services/taskService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation middleware (updates may leave out any field to keep its value)
+const taskRules = (isUpdate) => {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('contact_id').isInt().withMessage('contact_id must be a contact ID'),
+    required('title').isString().trim().notEmpty().withMessage('Title is required'),
+    required('due_at').isISO8601().withMessage('due_at must be an ISO 8601 date'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('assignee_id').optional().isInt().withMessage('assignee_id must be a user ID'),
+    body('priority').optional().isIn(TASK_PRIORITIES).withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+    body('status').optional().isIn(TASK_STATUSES).withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`),
+    body('remind_at').optional({ nullable: true }).isISO8601().withMessage('remind_at must be an ISO 8601 date'),
+    body('recurrence').optional({ nullable: true }).isIn(TASK_RECURRENCES)
+      .withMessage(`Recurrence must be one of: ${TASK_RECURRENCES.join(', ')}`),
+    body('recurrence_interval').optional().isInt({ min: 1, max: 365 }).withMessage('recurrence_interval must be between 1 and 365')
+  ];
+};
+
+// Validation middleware for marking notifications read
+const validateMarkRead = [
+  body('ids').optional().isArray({ min: 1 }).withMessage('ids must be a non-empty array'),
+  body('ids.*').isInt().withMessage('Each ID must be a notification ID')
+];
+
+// Check the contact and assignee a payload refers to; returns an error message or null
+const checkReferences = async ({ contact_id, assignee_id }) => {
+  if (contact_id !== undefined) {
+    const contact = await executeQuery('SELECT id FROM contacts WHERE id = ? AND deleted_at IS NULL', [contact_id]);
+    if (contact.rows.length === 0) return 'Contact not found';
+  }
+
+  if (assignee_id !== undefined) {
+    const user = await executeQuery('SELECT id FROM users WHERE id = ?', [assignee_id]);
+    if (user.rows.length === 0) return 'Assignee not found';
+  }
+
+  return null;
+};
+
+// The creator, the assignee and admins may change a task
+const canModify = (user, task) => (
+  user.role === 'admin' || task.created_by === user.id || task.assignee_id === user.id
+);
+
+// Start and end of the current day for a client whose clock is `tzOffset` minutes behind
+// UTC (JavaScript's Date#getTimezoneOffset); UTC when no offset is given
+const currentDayBounds = (tzOffset) => {
+  const offsetMs = (parseInt(tzOffset, 10) || 0) * 60 * 1000;
+  const local = new Date(Date.now() - offsetMs);
+  const dayStart = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) + offsetMs;
+
+  return {
+    dayStart: new Date(dayStart),
+    dayEnd: new Date(dayStart + 24 * 60 * 60 * 1000)
+  };
+};
+
+// Respond with a page of tasks matching the filters
+const sendTaskList = async (req, res, filters) => {
+  const { page = 1, limit = 50 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const { tasks, total } = await listTasks(filters, { limit, offset });
+
+  res.json({
+    tasks,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+};
+
+// `assignee_id=me` stands for the current user
+const resolveAssignee = (req) => (req.query.assignee_id === 'me' ? req.user.id : req.query.assignee_id);
+
+// List tasks (filters: assignee_id, contact_id, status (comma-separated), priority)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    await sendTaskList(req, res, {
+      assigneeId: resolveAssignee(req),
+      contactId: req.query.contact_id,
+      status: req.query.status,
+      priority: req.query.priority
+    });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Tasks assigned to the current user (open ones unless ?status= is given)
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    await sendTaskList(req, res, {
+      assigneeId: req.user.id,
+      status: req.query.status || 'open,in_progress,overdue',
+      priority: req.query.priority
+    });
+  } catch (error) {
+    console.error('Get my tasks error:', error);
+    res.status(500).json({ error: 'Failed to fetch your tasks' });
+  }
+});
+
+// Open tasks past their due date
+router.get('/overdue', authenticateToken, async (req, res) => {
+  try {
+    await sendTaskList(req, res, {
+      assigneeId: resolveAssignee(req),
+      priority: req.query.priority,
+      view: 'overdue'
+    });
+  } catch (error) {
+    console.error('Get overdue tasks error:', error);
+    res.status(500).json({ error: 'Failed to fetch overdue tasks' });
+  }
+});
+
+// Open tasks due today (?tz_offset=<minutes> for the client's day, as Date#getTimezoneOffset)
+router.get('/due-today', authenticateToken, async (req, res) => {
+  try {
+    await sendTaskList(req, res, {
+      assigneeId: resolveAssignee(req),
+      priority: req.query.priority,
+      view: 'due_today',
+      ...currentDayBounds(req.query.tz_offset)
+    });
+  } catch (error) {
+    console.error('Get tasks due today error:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks due today' });
+  }
+});
+
+// The current user's task notifications (reminders and tasks gone overdue), newest
+// first; ?unread=true leaves out those already read
+router.get('/notifications', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { notifications, total, unread } = await listTaskNotifications(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      notifications,
+      unread,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get task notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch task notifications' });
+  }
+});
+
+// Mark the current user's notifications read (`ids`, or all of them when left out)
+router.post('/notifications/read', authenticateToken, validateMarkRead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const marked = await markTaskNotificationsRead(req.user.id, req.body.ids ? req.body.ids.map(Number) : null);
+    res.json({ message: `${marked} notification(s) marked read`, marked });
+  } catch (error) {
+    console.error('Mark task notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark task notifications read' });
+  }
+});
+
+// Get task by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const task = await getTask(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json({ task });
+
+  } catch (error) {
+    console.error('Get task error:', error);
+    res.status(500).json({ error: 'Failed to fetch task' });
+  }
+});
+
+// Create a task for a contact
+router.post('/', authenticateToken, taskRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const referenceError = await checkReferences(req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const task = await createTask(req.body, req.user.id);
+    await recordAudit(req, 'task.create', {
+      targetType: 'task',
+      targetId: task.id,
+      metadata: { contact_id: task.contact_id, assignee_id: task.assignee_id }
+    });
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task
+    });
+
+  } catch (error) {
+    console.error('Create task error:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// Update a task (setting status to done completes it)
+router.put('/:id', authenticateToken, taskRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existing = await getTask(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!canModify(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the creator, the assignee or an admin can change this task' });
+    }
+
+    const referenceError = await checkReferences(req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const { task, next } = await updateTask(existing, req.body, req.user.id);
+    await recordAudit(req, task.status === 'done' && existing.status !== 'done' ? 'task.complete' : 'task.update', {
+      targetType: 'task',
+      targetId: task.id,
+      metadata: { status: task.status, next_task_id: next ? next.id : null }
+    });
+
+    res.json({
+      message: 'Task updated successfully',
+      task,
+      next
+    });
+
+  } catch (error) {
+    console.error('Update task error:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+// Complete a task; a recurring task gets its next occurrence
+router.post('/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getTask(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!canModify(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the creator, the assignee or an admin can change this task' });
+    }
+
+    if (existing.status === 'done') {
+      return res.status(409).json({ error: 'Task is already done', task: existing });
+    }
+
+    const { task, next } = await updateTask(existing, { status: 'done' }, req.user.id);
+    await recordAudit(req, 'task.complete', {
+      targetType: 'task',
+      targetId: task.id,
+      metadata: { next_task_id: next ? next.id : null }
+    });
+
+    res.json({
+      message: next ? 'Task completed; next occurrence created' : 'Task completed',
+      task,
+      next
+    });
+
+  } catch (error) {
+    console.error('Complete task error:', error);
+    res.status(500).json({ error: 'Failed to complete task' });
+  }
+});
+
+// Delete a task
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getTask(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!canModify(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the creator, the assignee or an admin can delete this task' });
+    }
+
+    await deleteTask(existing.id);
+    await recordAudit(req, 'task.delete', { targetType: 'task', targetId: existing.id });
+
+    res.json({ message: 'Task deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+module.exports = router;
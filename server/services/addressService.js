@@ -0,0 +1,169 @@
+// Contact postal addresses service
+const { executeQuery, executeSingleQuery, insertMany, getDialect } = require('../utils/database');
+const { encryptValue, decryptValue } = require('../utils/encryption');
+
+const ADDRESS_LABELS = ['work', 'home', 'mailing', 'billing', 'shipping', 'other'];
+const DEFAULT_ADDRESS_LABEL = 'work';
+
+// Structured parts of an address, in display order
+const ADDRESS_PARTS = ['street', 'city', 'state', 'postal_code', 'country'];
+
+// Parts stored encrypted; the others can be filtered on
+const ENCRYPTED_ADDRESS_PARTS = ['street', 'postal_code'];
+
+// Parts contacts can be filtered by in GET /api/contacts
+const FILTERABLE_ADDRESS_PARTS = ['city', 'state', 'country'];
+
+// Comparable form of an address (case and surrounding whitespace ignored)
+const addressKey = (address) => ADDRESS_PARTS.map(part => (address[part] || '').toLowerCase()).join('|');
+
+// Normalize raw address entries into a de-duplicated list with exactly one primary.
+// Entries without any address part are dropped.
+const normalizeAddresses = (entries) => {
+  const list = [];
+
+  for (const entry of entries || []) {
+    if (!entry || typeof entry !== 'object') continue;
+
+    const address = {};
+    for (const part of ADDRESS_PARTS) {
+      const value = entry[part] === undefined || entry[part] === null ? '' : String(entry[part]).trim();
+      address[part] = value || null;
+    }
+
+    if (ADDRESS_PARTS.every(part => !address[part])) continue;
+    if (list.some(existing => addressKey(existing) === addressKey(address))) continue;
+
+    list.push({
+      label: ADDRESS_LABELS.includes(entry.label) ? entry.label : DEFAULT_ADDRESS_LABEL,
+      ...address,
+      is_primary: Boolean(entry.is_primary)
+    });
+  }
+
+  const primaryIndex = Math.max(list.findIndex(entry => entry.is_primary), 0);
+  list.forEach((entry, index) => {
+    entry.is_primary = index === primaryIndex;
+  });
+
+  return list;
+};
+
+// Build the address list for a contact payload ({ addresses }); the stored list is
+// kept when the payload has none
+const buildAddressList = (contact, existingAddresses = []) => {
+  return normalizeAddresses(Array.isArray(contact.addresses) ? contact.addresses : existingAddresses);
+};
+
+// Insert addresses for many contacts at once ([contactId, list] pairs)
+const insertContactAddresses = async (listsByContact) => {
+  const rows = [];
+
+  for (const [contactId, list] of listsByContact) {
+    for (const address of list) {
+      rows.push([
+        contactId,
+        address.label,
+        ...ADDRESS_PARTS.map(part => (ENCRYPTED_ADDRESS_PARTS.includes(part) ? encryptValue(address[part]) : address[part])),
+        address.is_primary ? 1 : 0
+      ]);
+    }
+  }
+
+  await insertMany('contact_addresses', ['contact_id', 'label', ...ADDRESS_PARTS, 'is_primary'], rows);
+};
+
+// Replace the stored addresses of a contact
+const saveContactAddresses = async (contactId, addresses) => {
+  await executeSingleQuery('DELETE FROM contact_addresses WHERE contact_id = ?', [contactId]);
+  await insertContactAddresses([[contactId, addresses]]);
+};
+
+// Load the addresses of a set of contacts, grouped by contact ID
+const loadContactAddresses = async (contactIds) => {
+  const grouped = {};
+
+  if (contactIds.length === 0) return grouped;
+
+  const placeholders = contactIds.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT contact_id, label, ${ADDRESS_PARTS.join(', ')}, is_primary
+     FROM contact_addresses
+     WHERE contact_id IN (${placeholders})
+     ORDER BY is_primary DESC, id ASC`,
+    contactIds
+  );
+
+  for (const row of result.rows) {
+    if (!grouped[row.contact_id]) grouped[row.contact_id] = [];
+
+    const address = { label: row.label };
+    for (const part of ADDRESS_PARTS) {
+      address[part] = ENCRYPTED_ADDRESS_PARTS.includes(part) ? decryptValue(row[part]) : row[part];
+    }
+    address.is_primary = Boolean(row.is_primary);
+
+    grouped[row.contact_id].push(address);
+  }
+
+  return grouped;
+};
+
+// Attach addresses to a list of contact rows
+const attachAddresses = async (contacts) => {
+  const addresses = await loadContactAddresses(contacts.map(contact => contact.id));
+
+  return contacts.map(contact => ({
+    ...contact,
+    addresses: addresses[contact.id] || []
+  }));
+};
+
+// Copy one contact's addresses onto another, skipping addresses it already has
+const copyContactAddresses = async (fromContactId, toContactId) => {
+  const addresses = await loadContactAddresses([fromContactId, toContactId]);
+  const existingKeys = new Set((addresses[toContactId] || []).map(addressKey));
+
+  const copied = (addresses[fromContactId] || [])
+    .filter(address => !existingKeys.has(addressKey(address)))
+    .map(address => ({ ...address, is_primary: false }));
+
+  await insertContactAddresses([[toContactId, copied]]);
+};
+
+// SQL condition (on contacts.id) matching contacts with an address in the given city,
+// state and/or country (case-insensitive, all on the same address); null without filters
+const buildAddressFilter = (filters) => {
+  const { equalsIgnoreCase } = getDialect();
+  const conditions = [];
+  const params = [];
+
+  for (const part of FILTERABLE_ADDRESS_PARTS) {
+    const value = typeof filters[part] === 'string' ? filters[part].trim() : '';
+    if (!value) continue;
+
+    conditions.push(equalsIgnoreCase(part));
+    params.push(value);
+  }
+
+  if (conditions.length === 0) return null;
+
+  return {
+    condition: `id IN (SELECT contact_id FROM contact_addresses WHERE ${conditions.join(' AND ')})`,
+    params
+  };
+};
+
+module.exports = {
+  ADDRESS_LABELS,
+  ADDRESS_PARTS,
+  ENCRYPTED_ADDRESS_PARTS,
+  FILTERABLE_ADDRESS_PARTS,
+  normalizeAddresses,
+  buildAddressList,
+  insertContactAddresses,
+  saveContactAddresses,
+  attachAddresses,
+  copyContactAddresses,
+  buildAddressFilter
+};
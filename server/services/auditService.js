@@ -0,0 +1,146 @@
+// Audit log service
+const { executeQuery, executeSingleQuery, getDialect } = require('../utils/database');
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a JSON column, falling back when it is empty or malformed
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Capture who made a request and from where. The result can be handed to services
+// that record audit entries outside of a route handler.
+const getRequestContext = (req) => ({
+  userId: req.user ? req.user.id : null,
+  username: req.user ? req.user.username : null,
+  ipAddress: req.ip || (req.socket && req.socket.remoteAddress) || null,
+  userAgent: req.get ? req.get('user-agent') || null : null,
+  method: req.method || null,
+  path: req.originalUrl || req.url || null
+});
+
+// Record an audit entry. `source` is an Express request or a context from getRequestContext.
+// Failures are logged but never break the action being audited.
+const recordAudit = async (source, action, { targetType = null, targetId = null, metadata = {}, userId, username } = {}) => {
+  try {
+    const context = source && source.headers ? getRequestContext(source) : (source || {});
+
+    await executeSingleQuery(
+      `INSERT INTO audit_log (
+        user_id, username, action, target_type, target_id,
+        ip_address, user_agent, method, path, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId !== undefined ? userId : context.userId || null,
+        username !== undefined ? username : context.username || null,
+        action,
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId),
+        context.ipAddress || null,
+        context.userAgent || null,
+        context.method || null,
+        context.path || null,
+        JSON.stringify(metadata || {})
+      ]
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Build the WHERE clause for audit log filters
+const buildAuditFilter = ({ user_id, username, action, target_type, target_id, from, to } = {}) => {
+  const dialect = getDialect();
+  const conditions = [];
+  const params = [];
+
+  if (user_id) {
+    conditions.push('user_id = ?');
+    params.push(user_id);
+  }
+
+  if (username) {
+    conditions.push(dialect.equalsIgnoreCase('username'));
+    params.push(username);
+  }
+
+  // Comma-separated actions; a trailing ".*" matches a whole group (e.g. contact.*)
+  if (action) {
+    const actionConditions = [];
+    for (const entry of String(action).split(',').map(value => value.trim()).filter(Boolean)) {
+      if (entry.endsWith('.*')) {
+        actionConditions.push('action LIKE ?');
+        params.push(`${entry.slice(0, -1)}%`);
+      } else {
+        actionConditions.push('action = ?');
+        params.push(entry);
+      }
+    }
+    if (actionConditions.length > 0) {
+      conditions.push(`(${actionConditions.join(' OR ')})`);
+    }
+  }
+
+  if (target_type) {
+    conditions.push('target_type = ?');
+    params.push(target_type);
+  }
+
+  if (target_id) {
+    conditions.push('target_id = ?');
+    params.push(String(target_id));
+  }
+
+  if (from) {
+    conditions.push(`created_at >= ${dialect.dateTime('?')}`);
+    params.push(from);
+  }
+
+  // A date without a time includes that whole day
+  if (to) {
+    conditions.push(DATE_ONLY_PATTERN.test(to)
+      ? `created_at < ${dialect.dateTime('?', "'+1 day'")}`
+      : `created_at <= ${dialect.dateTime('?')}`);
+    params.push(to);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+const mapAuditRow = (row) => ({
+  ...row,
+  metadata: parseJson(row.metadata, {})
+});
+
+// Query audit entries (newest first); omit limit to get every matching entry
+const queryAuditLog = async (filters = {}, { limit = null, offset = 0 } = {}) => {
+  const { whereClause, params } = buildAuditFilter(filters);
+
+  const countResult = await executeQuery(`SELECT COUNT(*) as total FROM audit_log ${whereClause}`, params);
+
+  const result = await executeQuery(
+    `SELECT * FROM audit_log ${whereClause}
+     ORDER BY created_at DESC, id DESC
+     ${limit ? 'LIMIT ? OFFSET ?' : ''}`,
+    limit ? [...params, limit, offset] : params
+  );
+
+  return {
+    entries: result.rows.map(mapAuditRow),
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+module.exports = {
+  getRequestContext,
+  recordAudit,
+  buildAuditFilter,
+  queryAuditLog
+};
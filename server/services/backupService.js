@@ -0,0 +1,307 @@
+// Database backup service: consistent online snapshots through the SQLite backup API.
+// PostgreSQL databases are backed up with the server's own tools (pg_dump) instead.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { getClient, getDialect, runExclusive, clearStatementCache } = require('../utils/database');
+const { runMigrations, loadMigrations } = require('../utils/migrator');
+const { invalidateRelationshipTypes } = require('./relationshipTypeService');
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, '../../database/backups');
+const DEFAULT_KEEP_COUNT = 14;
+const DEFAULT_INTERVAL_HOURS = 24;
+
+const SNAPSHOT_TRIGGERS = ['manual', 'scheduled', 'pre-restore'];
+const SNAPSHOT_NAME_PATTERN = /^ikf_phonebook-\d{8}-\d{6}-\d{3}-(manual|scheduled|pre-restore)\.db$/;
+
+let backupTimer = null;
+
+// Directory holding snapshots and their manifests (BACKUP_DIR)
+const getBackupDir = () => process.env.BACKUP_DIR || DEFAULT_BACKUP_DIR;
+
+// Number of snapshots kept by rotation (BACKUP_KEEP_COUNT)
+const getKeepCount = () => {
+  const count = parseInt(process.env.BACKUP_KEEP_COUNT, 10);
+  return Number.isNaN(count) || count < 1 ? DEFAULT_KEEP_COUNT : count;
+};
+
+// Hours between scheduled snapshots (BACKUP_INTERVAL_HOURS, 0 disables the schedule)
+const getIntervalHours = () => {
+  const hours = parseFloat(process.env.BACKUP_INTERVAL_HOURS);
+  return Number.isNaN(hours) || hours < 0 ? DEFAULT_INTERVAL_HOURS : hours;
+};
+
+// Latest schema version this server knows how to run
+const getLatestSchemaVersion = () => {
+  const migrations = loadMigrations();
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+};
+
+// Snapshots copy the SQLite database file, so they need the SQLite dialect
+const isBackupSupported = () => getDialect().name === 'sqlite';
+
+const isValidSnapshotName = (name) => SNAPSHOT_NAME_PATTERN.test(String(name || ''));
+
+const snapshotPath = (name) => path.join(getBackupDir(), name);
+const manifestPath = (name) => path.join(getBackupDir(), `${name}.json`);
+
+// Build a sortable, unique snapshot file name (UTC timestamp)
+const buildSnapshotName = (trigger) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+  return `ikf_phonebook-${stamp}-${trigger}.db`;
+};
+
+// SHA-256 checksum of a file
+const computeChecksum = (file) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+};
+
+// Copy the live database to a file (filenameIsDest) or a file over the live database,
+// page by page through sqlite3_backup so readers and writers are never blocked for long
+const runBackup = (filename, filenameIsDest) => {
+  return new Promise((resolve, reject) => {
+    const backup = getClient().backup(filename, 'main', 'main', filenameIsDest, (err) => {
+      if (err) reject(err);
+    });
+
+    backup.step(-1, (stepErr) => {
+      backup.finish((finishErr) => {
+        const err = stepErr || finishErr;
+        if (err) return reject(err);
+        if (!backup.completed) return reject(new Error('Backup did not complete'));
+        resolve();
+      });
+    });
+  });
+};
+
+// Files SQLite keeps beside a database while it is open
+const SIDE_FILE_SUFFIXES = ['-wal', '-shm', '-journal'];
+
+// Remove a database file with any journal files left beside it
+const removeDatabaseFile = (file) => {
+  [file, ...SIDE_FILE_SUFFIXES.map(suffix => `${file}${suffix}`)]
+    .forEach(target => fs.rmSync(target, { force: true }));
+};
+
+// Switch a freshly written snapshot from WAL to a rollback journal, so the single .db
+// file is the whole snapshot and opening it later leaves nothing behind
+const useRollbackJournal = (file) => {
+  return new Promise((resolve, reject) => {
+    const snapshotDb = new sqlite3.Database(file, (openErr) => {
+      if (openErr) return reject(openErr);
+
+      snapshotDb.run('PRAGMA journal_mode = DELETE', (modeErr) => {
+        snapshotDb.close((closeErr) => {
+          const err = modeErr || closeErr;
+          if (err) return reject(err);
+          resolve();
+        });
+      });
+    });
+  });
+};
+
+// Open a database file and report its integrity and schema version
+const checkDatabaseFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const checkDb = new sqlite3.Database(file, (openErr) => {
+      if (openErr) return reject(openErr);
+
+      checkDb.all('PRAGMA quick_check', [], (checkErr, checkRows) => {
+        if (checkErr) {
+          checkDb.close(() => reject(checkErr));
+          return;
+        }
+
+        const integrity = checkRows.map(row => Object.values(row)[0]).join('; ');
+
+        // A snapshot taken before migrations existed has no bookkeeping table (version 0)
+        checkDb.all('SELECT MAX(version) as version FROM schema_migrations', [], (versionErr, versionRows) => {
+          const schemaVersion = versionErr ? 0 : (versionRows[0].version || 0);
+          checkDb.close(() => resolve({ integrity, schemaVersion }));
+        });
+      });
+    });
+  });
+};
+
+// Report a snapshot's integrity and schema version. The check runs on a scratch copy:
+// validating the FTS5 index needs a writable database, and the snapshot itself must stay
+// byte-for-byte as its checksum recorded it.
+const inspectSnapshotFile = async (file) => {
+  const scratchPath = `${file}.check`;
+  fs.copyFileSync(file, scratchPath);
+
+  try {
+    return await checkDatabaseFile(scratchPath);
+  } finally {
+    removeDatabaseFile(scratchPath);
+  }
+};
+
+const readManifest = (name) => {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath(name), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// List snapshots with their manifests, newest first
+const listSnapshots = () => {
+  const dir = getBackupDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(isValidSnapshotName)
+    .map(name => readManifest(name) || { name, checksum: null, schema_version: null })
+    .map(manifest => ({ ...manifest, size: fs.statSync(snapshotPath(manifest.name)).size }))
+    .sort((a, b) => b.name.localeCompare(a.name));
+};
+
+// Get one snapshot's manifest (null when it does not exist)
+const getSnapshot = (name) => {
+  if (!isValidSnapshotName(name) || !fs.existsSync(snapshotPath(name))) return null;
+  return listSnapshots().find(snapshot => snapshot.name === name) || null;
+};
+
+// Delete a snapshot, any journal files beside it and its manifest
+const deleteSnapshot = (name) => {
+  removeDatabaseFile(snapshotPath(name));
+  fs.rmSync(manifestPath(name), { force: true });
+};
+
+// Remove the oldest snapshots beyond the keep count, and journal files whose snapshot is gone
+const rotateSnapshots = (keepCount = getKeepCount()) => {
+  const removed = listSnapshots().slice(keepCount).map(snapshot => snapshot.name);
+  removed.forEach(deleteSnapshot);
+
+  fs.readdirSync(getBackupDir())
+    .filter(file => SIDE_FILE_SUFFIXES.some(suffix => file.endsWith(suffix)))
+    .filter(file => {
+      const name = file.replace(/-(wal|shm|journal)$/, '');
+      return isValidSnapshotName(name) && !fs.existsSync(snapshotPath(name));
+    })
+    .forEach(file => fs.rmSync(path.join(getBackupDir(), file), { force: true }));
+
+  return removed;
+};
+
+// Take a snapshot of the live database, record its checksum and schema version, then rotate
+const createSnapshot = async ({ trigger = 'manual', note = null, userId = null } = {}) => {
+  if (!SNAPSHOT_TRIGGERS.includes(trigger)) {
+    throw new Error(`Unknown snapshot trigger: ${trigger}`);
+  }
+
+  fs.mkdirSync(getBackupDir(), { recursive: true });
+
+  const name = buildSnapshotName(trigger);
+  const partialPath = `${snapshotPath(name)}.partial`;
+
+  try {
+    await runBackup(partialPath, true);
+    await useRollbackJournal(partialPath);
+    fs.renameSync(partialPath, snapshotPath(name));
+  } catch (error) {
+    removeDatabaseFile(partialPath);
+    throw error;
+  }
+
+  const { integrity, schemaVersion } = await inspectSnapshotFile(snapshotPath(name));
+  const manifest = {
+    name,
+    trigger,
+    note,
+    created_at: new Date().toISOString(),
+    created_by: userId,
+    checksum: await computeChecksum(snapshotPath(name)),
+    schema_version: schemaVersion,
+    integrity
+  };
+  fs.writeFileSync(manifestPath(name), JSON.stringify(manifest, null, 2));
+
+  rotateSnapshots();
+
+  return { ...manifest, size: fs.statSync(snapshotPath(name)).size };
+};
+
+// Recompute a snapshot's checksum and inspect it without touching the live database
+const verifySnapshot = async (snapshot) => {
+  const checksum = await computeChecksum(snapshotPath(snapshot.name));
+  const { integrity, schemaVersion } = await inspectSnapshotFile(snapshotPath(snapshot.name));
+
+  return {
+    checksumValid: Boolean(snapshot.checksum) && checksum === snapshot.checksum,
+    checksum,
+    expectedChecksum: snapshot.checksum,
+    integrity,
+    schemaVersion,
+    latestSchemaVersion: getLatestSchemaVersion()
+  };
+};
+
+// Swap a verified snapshot in: take a pre-restore safety copy, copy the snapshot over the
+// live database and migrate it up to the current schema
+const restoreSnapshot = async (snapshot, { userId = null } = {}) => {
+  const safetySnapshot = await createSnapshot({
+    trigger: 'pre-restore',
+    note: `Before restoring ${snapshot.name}`,
+    userId
+  });
+
+  // No other query may run while the database file is being replaced
+  const { applied, version } = await runExclusive(async () => {
+    await runBackup(snapshotPath(snapshot.name), false);
+    clearStatementCache();
+    return runMigrations();
+  });
+  invalidateRelationshipTypes();
+
+  return {
+    safetySnapshot,
+    migrationsApplied: applied,
+    schemaVersion: version
+  };
+};
+
+// Take scheduled snapshots while the server runs
+const startBackupSchedule = () => {
+  const intervalHours = getIntervalHours();
+  if (backupTimer || !intervalHours || !isBackupSupported()) return;
+
+  const runSnapshot = async () => {
+    try {
+      const snapshot = await createSnapshot({ trigger: 'scheduled' });
+      console.log(`💾 Database snapshot ${snapshot.name} created`);
+    } catch (error) {
+      console.error('Scheduled backup error:', error);
+    }
+  };
+
+  backupTimer = setInterval(runSnapshot, intervalHours * 60 * 60 * 1000);
+  backupTimer.unref();
+};
+
+module.exports = {
+  getBackupDir,
+  getSnapshotPath: snapshotPath,
+  getLatestSchemaVersion,
+  isBackupSupported,
+  isValidSnapshotName,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  rotateSnapshots,
+  createSnapshot,
+  verifySnapshot,
+  restoreSnapshot,
+  startBackupSchedule
+};
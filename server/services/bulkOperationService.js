@@ -0,0 +1,458 @@
+// Bulk contact operations: one change applied to a set of contacts chosen by ID or by list
+// options, previewed as a count, recorded per contact and undone as a unit
+const { executeQuery, executeSingleQuery, insertMany, withTransaction } = require('../utils/database');
+const { normalizeListFilters, buildContactQuery } = require('./contactListService');
+const { loadRelationshipTypes, findRelationshipTypeName } = require('./relationshipTypeService');
+const { parseTagList, findTagByName, resolveTagIds, addTagsToContact, removeTagsFromContact } = require('./tagService');
+const { softDeleteContacts, restoreContacts } = require('./trashService');
+const { loadContactSnapshot, recordRevision } = require('./revisionService');
+
+const BULK_OPERATIONS = [
+  'set_relationship_type', 'set_data_owner', 'set_status', 'add_tags', 'remove_tags', 'delete'
+];
+
+// Contact column each "set" operation changes
+const FIELD_OPERATIONS = {
+  set_relationship_type: 'relationship_type',
+  set_data_owner: 'data_owner',
+  set_status: 'status'
+};
+
+// Most contacts a single run may change (keeps each statement well within SQLite's limit
+// of 999 bound parameters) and most tags it may add or remove
+const MAX_BULK_CONTACTS = 500;
+const MAX_BULK_TAGS = 50;
+
+const placeholdersFor = (ids) => ids.map(() => '?').join(', ');
+
+// Parse a JSON column, falling back when it is empty or malformed
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const fieldError = (path, value, msg) => ({ type: 'field', location: 'body', path, value, msg });
+
+// Check an operation and its arguments (`value` for the set operations, `tags` as IDs or
+// names for the tag operations). Returns { operation, params } or { errors }. Tags to
+// add that do not exist yet are only created when the run executes.
+const resolveOperation = async ({ operation, value, tags }) => {
+  if (FIELD_OPERATIONS[operation]) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (operation === 'set_relationship_type') {
+      const name = findRelationshipTypeName(text, await loadRelationshipTypes());
+      if (!name) return { errors: [fieldError('value', value, 'Invalid relationship type')] };
+      return { operation, params: { value: name } };
+    }
+
+    if (operation === 'set_status' && !text) {
+      return { errors: [fieldError('value', value, 'Status is required')] };
+    }
+
+    // An empty data owner clears it
+    return { operation, params: { value: text || null } };
+  }
+
+  if (operation === 'add_tags' || operation === 'remove_tags') {
+    const refs = parseTagList(tags).filter(ref => String(ref).trim());
+    if (refs.length === 0 || refs.length > MAX_BULK_TAGS) {
+      return { errors: [fieldError('tags', tags, `Tags must be a list of 1 to ${MAX_BULK_TAGS} tag IDs or names`)] };
+    }
+
+    const resolved = [];
+    for (const ref of refs) {
+      const tag = /^\d+$/.test(String(ref))
+        ? (await executeQuery('SELECT id, name FROM tags WHERE id = ?', [ref])).rows[0]
+        : await findTagByName(ref);
+
+      if (tag) {
+        resolved.push({ id: tag.id, name: tag.name });
+      } else if (operation === 'remove_tags' || /^\d+$/.test(String(ref))) {
+        return { errors: [fieldError('tags', tags, `Tag "${ref}" does not exist`)] };
+      } else {
+        resolved.push({ id: null, name: String(ref).trim() });
+      }
+    }
+
+    return { operation, params: { tags: resolved } };
+  }
+
+  return { operation, params: {} };
+};
+
+// Resolve a selection, either { contact_ids } or { filters } (GET /api/contacts options), to
+// the IDs of the non-trashed contacts it covers. Returns { contactIds, notFound, selection }
+// or { errors }.
+const resolveSelection = async ({ contact_ids, filters }) => {
+  if (Array.isArray(contact_ids)) {
+    const ids = [...new Set(contact_ids.map(Number))];
+    const result = await executeQuery(
+      `SELECT id FROM contacts WHERE id IN (${placeholdersFor(ids)}) AND deleted_at IS NULL ORDER BY id`,
+      ids
+    );
+    const found = result.rows.map(row => Number(row.id));
+
+    return {
+      contactIds: found,
+      notFound: ids.filter(id => !found.includes(id)),
+      selection: { contact_ids: ids }
+    };
+  }
+
+  const normalized = normalizeListFilters(filters || {});
+  const query = await buildContactQuery(normalized, 'body');
+  if (query.errors) {
+    return { errors: query.errors.map(error => ({ ...error, path: `filters.${error.path}` })) };
+  }
+
+  const result = await executeQuery(
+    `SELECT contacts.id FROM contacts ${query.join} ${query.whereClause} ORDER BY contacts.id LIMIT ?`,
+    [...query.joinParams, ...query.params, MAX_BULK_CONTACTS + 1]
+  );
+  if (result.rows.length > MAX_BULK_CONTACTS) {
+    return {
+      errors: [fieldError('filters', filters, `A bulk operation can change at most ${MAX_BULK_CONTACTS} contacts; narrow the filters`)]
+    };
+  }
+
+  return { contactIds: result.rows.map(row => Number(row.id)), notFound: [], selection: { filters: normalized } };
+};
+
+// Count the contacts a run would cover without changing anything
+const previewBulkOperation = async (selection) => {
+  const resolved = await resolveSelection(selection);
+  if (resolved.errors) return resolved;
+
+  return { count: resolved.contactIds.length, not_found: resolved.notFound };
+};
+
+// Record a revision of a contact around a change
+const withRevision = async (contactId, note, userId, change) => {
+  const before = await loadContactSnapshot(contactId);
+  await change();
+  await recordRevision({ contactId, action: 'update', before, after: await loadContactSnapshot(contactId), note, userId });
+};
+
+// Set a contact column on every contact that does not already hold the value
+const applyFieldChange = async (run, field, value, contactIds, userId) => {
+  const result = await executeQuery(
+    `SELECT id, ${field} FROM contacts WHERE id IN (${placeholdersFor(contactIds)})`,
+    contactIds
+  );
+  const current = new Map(result.rows.map(row => [Number(row.id), row[field] === '' ? null : row[field]]));
+  const items = [];
+
+  for (const contactId of contactIds) {
+    const previous = current.get(contactId);
+    if (previous === value) {
+      items.push({ contact_id: contactId, result: 'unchanged' });
+      continue;
+    }
+
+    await withRevision(contactId, `Bulk operation #${run.id}`, userId, () => executeSingleQuery(
+      `UPDATE contacts SET ${field} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [value, contactId]
+    ));
+    items.push({ contact_id: contactId, result: 'changed', previous });
+  }
+
+  return items;
+};
+
+// Tag links between the given contacts and tags, as a set of "contactId:tagId" keys
+const loadTagLinks = async (contactIds, tagIds) => {
+  if (contactIds.length === 0 || tagIds.length === 0) return new Set();
+
+  const result = await executeQuery(
+    `SELECT contact_id, tag_id FROM contact_tags
+     WHERE contact_id IN (${placeholdersFor(contactIds)}) AND tag_id IN (${placeholdersFor(tagIds)})`,
+    [...contactIds, ...tagIds]
+  );
+  return new Set(result.rows.map(row => `${row.contact_id}:${row.tag_id}`));
+};
+
+// Add or remove tags; `previous` keeps the tags each contact actually gained or lost
+const applyTagChange = async (run, mode, tagIds, contactIds, userId) => {
+  const links = await loadTagLinks(contactIds, tagIds);
+  const items = [];
+
+  for (const contactId of contactIds) {
+    const changing = tagIds.filter(tagId => links.has(`${contactId}:${tagId}`) === (mode === 'remove'));
+    if (changing.length === 0) {
+      items.push({ contact_id: contactId, result: 'unchanged' });
+      continue;
+    }
+
+    await withRevision(contactId, `Bulk operation #${run.id}`, userId, () => (
+      mode === 'add' ? addTagsToContact(contactId, changing) : removeTagsFromContact(contactId, changing)
+    ));
+    items.push({ contact_id: contactId, result: 'changed', previous: changing });
+  }
+
+  return items;
+};
+
+// Move the selected contacts to the trash. Each item keeps the trash stamp (deleted_at and
+// deleted_by) and version the run left, so an undo can tell a contact trashed again since
+// (even within the same second) from its own.
+const applyDelete = async (run, contactIds, userId) => {
+  await softDeleteContacts(contactIds, userId, `Bulk operation #${run.id}`);
+
+  const result = await executeQuery(
+    `SELECT id, deleted_at, deleted_by, version FROM contacts WHERE id IN (${placeholdersFor(contactIds)})`,
+    contactIds
+  );
+  return result.rows.map(row => ({
+    contact_id: Number(row.id),
+    result: 'changed',
+    previous: { deleted_at: row.deleted_at, deleted_by: row.deleted_by, version: Number(row.version) }
+  }));
+};
+
+// Execute an operation on a selection in one transaction. The selection is resolved again
+// and must still cover `expectedCount` contacts (the previewed count); otherwise nothing
+// changes and { conflict: { count, not_found } } is returned. Returns { run } on success
+// or { errors }.
+const runBulkOperation = async ({ operation, params }, selection, expectedCount, userId) => {
+  return withTransaction(async () => {
+    const resolved = await resolveSelection(selection);
+    if (resolved.errors) return resolved;
+
+    const { contactIds, notFound } = resolved;
+    if (contactIds.length !== Number(expectedCount)) {
+      return { conflict: { count: contactIds.length, not_found: notFound } };
+    }
+    if (contactIds.length === 0) {
+      const path = selection.contact_ids ? 'contact_ids' : 'filters';
+      return { errors: [fieldError(path, selection[path], 'The selection matches no contacts')] };
+    }
+
+    // Tags to add are created now if they do not exist yet
+    let runParams = params;
+    if (operation === 'add_tags') {
+      const tagIds = await resolveTagIds(params.tags.map(tag => tag.id || tag.name), userId);
+      const tagResult = await executeQuery(`SELECT id, name FROM tags WHERE id IN (${placeholdersFor(tagIds)})`, tagIds);
+      runParams = { tags: tagResult.rows.map(tag => ({ id: tag.id, name: tag.name })) };
+    }
+
+    const created = await executeSingleQuery(
+      `INSERT INTO bulk_operations (operation, params, selection, matched_count, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [operation, JSON.stringify(runParams), JSON.stringify(resolved.selection), contactIds.length, userId]
+    );
+    const run = { id: created.insertId };
+
+    let items = [];
+    if (FIELD_OPERATIONS[operation]) {
+      items = await applyFieldChange(run, FIELD_OPERATIONS[operation], runParams.value, contactIds, userId);
+    } else if (operation === 'add_tags' || operation === 'remove_tags') {
+      const tagIds = runParams.tags.map(tag => tag.id);
+      items = await applyTagChange(run, operation === 'add_tags' ? 'add' : 'remove', tagIds, contactIds, userId);
+    } else if (operation === 'delete') {
+      items = await applyDelete(run, contactIds, userId);
+    }
+    items.push(...notFound.map(contactId => ({ contact_id: contactId, result: 'not_found', message: 'Contact not found' })));
+
+    await insertMany(
+      'bulk_operation_items',
+      ['operation_id', 'contact_id', 'result', 'previous', 'message'],
+      items.map(item => [
+        run.id, item.contact_id, item.result,
+        item.previous === undefined ? null : JSON.stringify(item.previous), item.message || null
+      ])
+    );
+
+    await executeSingleQuery(
+      'UPDATE bulk_operations SET changed_count = ? WHERE id = ?',
+      [items.filter(item => item.result === 'changed').length, run.id]
+    );
+
+    return { run: await getBulkOperation(run.id) };
+  });
+};
+
+// Undo the changes of each item of a run; a contact changed again since the run is skipped
+// rather than overwritten. Returns the undo outcome of every item.
+const undoItems = async (run, items, userId) => {
+  const contactIds = items.map(item => item.contact_id);
+  const note = `Undo of bulk operation #${run.id}`;
+  const outcomes = [];
+
+  if (run.operation === 'delete') {
+    const result = await executeQuery(
+      `SELECT id, deleted_at, deleted_by, version FROM contacts WHERE id IN (${placeholdersFor(contactIds)})`,
+      contactIds
+    );
+    const rows = new Map(result.rows.map(row => [Number(row.id), row]));
+
+    // Only contacts still in the trash from this run come back (items of older runs kept
+    // no trash stamp; those come back whenever they are in the trash)
+    const trashedByRun = (item) => {
+      const row = rows.get(item.contact_id);
+      if (!row || !row.deleted_at) return false;
+      const { previous } = item;
+      return !previous || (row.deleted_at === previous.deleted_at && row.deleted_by === previous.deleted_by &&
+        Number(row.version) === previous.version);
+    };
+    const restoring = items.filter(trashedByRun).map(item => item.contact_id);
+
+    await restoreContacts(restoring, userId, note);
+
+    for (const item of items) {
+      const row = rows.get(item.contact_id);
+      if (!row) {
+        outcomes.push({ item, undo_result: 'not_found', message: 'Contact was purged from the trash' });
+      } else if (restoring.includes(item.contact_id)) {
+        outcomes.push({ item, undo_result: 'reverted' });
+      } else if (row.deleted_at) {
+        outcomes.push({ item, undo_result: 'skipped', message: 'Contact was moved to the trash again after the bulk operation' });
+      } else {
+        outcomes.push({ item, undo_result: 'skipped', message: 'Contact was already restored' });
+      }
+    }
+    return outcomes;
+  }
+
+  if (FIELD_OPERATIONS[run.operation]) {
+    const field = FIELD_OPERATIONS[run.operation];
+    const result = await executeQuery(
+      `SELECT id, ${field} FROM contacts WHERE id IN (${placeholdersFor(contactIds)})`,
+      contactIds
+    );
+    const current = new Map(result.rows.map(row => [Number(row.id), row[field] === '' ? null : row[field]]));
+
+    for (const item of items) {
+      if (!current.has(item.contact_id)) {
+        outcomes.push({ item, undo_result: 'not_found', message: 'Contact no longer exists' });
+      } else if (current.get(item.contact_id) !== run.params.value) {
+        outcomes.push({ item, undo_result: 'skipped', message: `${field} was changed again after the bulk operation` });
+      } else {
+        await withRevision(item.contact_id, note, userId, () => executeSingleQuery(
+          `UPDATE contacts SET ${field} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [item.previous, item.contact_id]
+        ));
+        outcomes.push({ item, undo_result: 'reverted' });
+      }
+    }
+    return outcomes;
+  }
+
+  // Tag operations: take away the tags that were added, give back the ones removed (if the
+  // tags still exist)
+  const adding = run.operation === 'remove_tags';
+  const tagIds = [...new Set(items.flatMap(item => item.previous || []))];
+  const existingTags = tagIds.length > 0
+    ? (await executeQuery(`SELECT id FROM tags WHERE id IN (${placeholdersFor(tagIds)})`, tagIds)).rows.map(row => Number(row.id))
+    : [];
+  const links = await loadTagLinks(contactIds, existingTags);
+  const contactResult = await executeQuery(`SELECT id FROM contacts WHERE id IN (${placeholdersFor(contactIds)})`, contactIds);
+  const existingContacts = new Set(contactResult.rows.map(row => Number(row.id)));
+
+  for (const item of items) {
+    const changing = (item.previous || []).filter(tagId => (
+      existingTags.includes(tagId) && links.has(`${item.contact_id}:${tagId}`) !== adding
+    ));
+
+    if (!existingContacts.has(item.contact_id)) {
+      outcomes.push({ item, undo_result: 'not_found', message: 'Contact no longer exists' });
+    } else if (changing.length === 0) {
+      outcomes.push({ item, undo_result: 'skipped', message: 'Tags were changed again after the bulk operation' });
+    } else {
+      await withRevision(item.contact_id, note, userId, () => (
+        adding ? addTagsToContact(item.contact_id, changing) : removeTagsFromContact(item.contact_id, changing)
+      ));
+      outcomes.push({ item, undo_result: 'reverted' });
+    }
+  }
+  return outcomes;
+};
+
+// Undo a completed run as a unit, in one transaction. The run is claimed first, so of two
+// concurrent undos only one reverts anything; the other gets { conflict: true }. Returns
+// { run } on success.
+const undoBulkOperation = async (run, userId) => {
+  return withTransaction(async () => {
+    const claimed = await executeSingleQuery(
+      `UPDATE bulk_operations SET status = 'undone', undone_by = ?, undone_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'completed'`,
+      [userId, run.id]
+    );
+    if (claimed.rowCount === 0) return { conflict: true };
+
+    const result = await executeQuery(
+      `SELECT * FROM bulk_operation_items WHERE operation_id = ? AND result = 'changed' ORDER BY id`,
+      [run.id]
+    );
+    const items = result.rows.map(row => ({ ...row, contact_id: Number(row.contact_id), previous: parseJson(row.previous, null) }));
+
+    const outcomes = items.length > 0 ? await undoItems(run, items, userId) : [];
+    for (const { item, undo_result, message = null } of outcomes) {
+      await executeSingleQuery(
+        'UPDATE bulk_operation_items SET undo_result = ?, message = ? WHERE id = ?',
+        [undo_result, message, item.id]
+      );
+    }
+
+    return { run: await getBulkOperation(run.id) };
+  });
+};
+
+const OPERATION_SELECT = `
+  SELECT b.*, u.username as created_by_username, uu.username as undone_by_username
+  FROM bulk_operations b
+  LEFT JOIN users u ON u.id = b.created_by
+  LEFT JOIN users uu ON uu.id = b.undone_by
+`;
+
+// Shape a bulk_operations row for API responses
+const mapOperationRow = (row) => ({
+  ...row,
+  params: parseJson(row.params, {}),
+  selection: parseJson(row.selection, {})
+});
+
+// List runs, newest first
+const listBulkOperations = async ({ limit, offset }) => {
+  const countResult = await executeQuery('SELECT COUNT(*) as total FROM bulk_operations');
+  const result = await executeQuery(
+    `${OPERATION_SELECT} ORDER BY b.created_at DESC, b.id DESC LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+
+  return { operations: result.rows.map(mapOperationRow), total: parseInt(countResult.rows[0].total) };
+};
+
+// Get a run with the outcome for every contact (null when missing)
+const getBulkOperation = async (id) => {
+  const result = await executeQuery(`${OPERATION_SELECT} WHERE b.id = ?`, [id]);
+  if (result.rows.length === 0) return null;
+
+  const itemResult = await executeQuery(
+    `SELECT i.contact_id, c.first_name, c.last_name, i.result, i.previous, i.undo_result, i.message
+     FROM bulk_operation_items i
+     LEFT JOIN contacts c ON c.id = i.contact_id
+     WHERE i.operation_id = ?
+     ORDER BY i.id`,
+    [id]
+  );
+
+  return {
+    ...mapOperationRow(result.rows[0]),
+    results: itemResult.rows.map(row => ({ ...row, previous: parseJson(row.previous, null) }))
+  };
+};
+
+module.exports = {
+  BULK_OPERATIONS,
+  MAX_BULK_CONTACTS,
+  resolveOperation,
+  previewBulkOperation,
+  runBulkOperation,
+  undoBulkOperation,
+  listBulkOperations,
+  getBulkOperation
+};
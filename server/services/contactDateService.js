@@ -0,0 +1,291 @@
+// Important contact dates service (birthdays, work anniversaries, custom dates)
+const crypto = require('crypto');
+const { executeQuery, executeSingleQuery, insertMany } = require('../utils/database');
+const { toIcal } = require('../utils/ical');
+
+const DATE_TYPES = ['birthday', 'work_anniversary', 'custom'];
+
+// Types a contact can only have once
+const SINGLE_DATE_TYPES = ['birthday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+// Days in a month; February has 29 when the year is unknown
+const daysInMonth = (month, year) => {
+  if (month === 2) return year === null || isLeapYear(year) ? 29 : 28;
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// ISO 8601 form of a date: YYYY-MM-DD, or --MM-DD when the year is unknown (as in vCard)
+const formatDate = ({ month, day, year }) => `${year ? pad(year, 4) : '-'}-${pad(month)}-${pad(day)}`;
+
+// Read { month, day, year } from an entry given either as `date` (YYYY-MM-DD or --MM-DD)
+// or as separate month/day/year fields; null when it is not a real calendar date
+const parseDateParts = (entry) => {
+  let month;
+  let day;
+  let year;
+
+  if (typeof entry.date === 'string' && entry.date.trim()) {
+    const match = /^(\d{4}|-)-(\d{1,2})-(\d{1,2})$/.exec(entry.date.trim());
+    if (!match) return null;
+    [year, month, day] = [match[1] === '-' ? null : Number(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    month = Number(entry.month);
+    day = Number(entry.day);
+    year = entry.year === undefined || entry.year === null || entry.year === '' ? null : Number(entry.year);
+  }
+
+  if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+  if (year !== null && (!Number.isInteger(year) || year < 1000 || year > 9999)) return null;
+  if (!Number.isInteger(day) || day < 1 || day > daysInMonth(month, year)) return null;
+
+  return { month, day, year };
+};
+
+// Comparable form of a date entry
+const dateKey = (entry) => [entry.type, (entry.label || '').toLowerCase(), entry.month, entry.day].join('|');
+
+// Normalize raw date entries into a de-duplicated list. Entries that are not real dates
+// are dropped, as are birthdays after the first.
+const normalizeDates = (entries) => {
+  const list = [];
+
+  for (const entry of entries || []) {
+    if (!entry || typeof entry !== 'object') continue;
+
+    const parts = parseDateParts(entry);
+    if (!parts) continue;
+
+    const type = DATE_TYPES.includes(entry.type) ? entry.type : 'custom';
+    const label = typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : null;
+    const date = { type, label, ...parts };
+
+    if (SINGLE_DATE_TYPES.includes(type) && list.some(existing => existing.type === type)) continue;
+    if (list.some(existing => dateKey(existing) === dateKey(date))) continue;
+
+    list.push(date);
+  }
+
+  return list;
+};
+
+// Build the date list for a contact payload ({ dates }); the stored list is kept when
+// the payload has none
+const buildDateList = (contact, existingDates = []) => {
+  return normalizeDates(Array.isArray(contact.dates) ? contact.dates : existingDates);
+};
+
+// Insert dates for many contacts at once ([contactId, list] pairs)
+const insertContactDates = async (listsByContact) => {
+  const rows = [];
+
+  for (const [contactId, list] of listsByContact) {
+    for (const date of list) {
+      rows.push([contactId, date.type, date.label, date.month, date.day, date.year]);
+    }
+  }
+
+  await insertMany('contact_dates', ['contact_id', 'type', 'label', 'month', 'day', 'year'], rows);
+};
+
+// Replace the stored dates of a contact
+const saveContactDates = async (contactId, dates) => {
+  await executeSingleQuery('DELETE FROM contact_dates WHERE contact_id = ?', [contactId]);
+  await insertContactDates([[contactId, dates]]);
+};
+
+// Shape a contact_dates row for API responses
+const formatDateRow = (row) => ({
+  type: row.type,
+  label: row.label,
+  month: row.month,
+  day: row.day,
+  year: row.year,
+  date: formatDate(row)
+});
+
+// Load the dates of a set of contacts, grouped by contact ID
+const loadContactDates = async (contactIds) => {
+  const grouped = {};
+
+  if (contactIds.length === 0) return grouped;
+
+  const placeholders = contactIds.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT contact_id, type, label, month, day, year
+     FROM contact_dates
+     WHERE contact_id IN (${placeholders})
+     ORDER BY month ASC, day ASC, id ASC`,
+    contactIds
+  );
+
+  for (const row of result.rows) {
+    if (!grouped[row.contact_id]) grouped[row.contact_id] = [];
+    grouped[row.contact_id].push(formatDateRow(row));
+  }
+
+  return grouped;
+};
+
+// Attach dates to a list of contact rows
+const attachDates = async (contacts) => {
+  const dates = await loadContactDates(contacts.map(contact => contact.id));
+
+  return contacts.map(contact => ({
+    ...contact,
+    dates: dates[contact.id] || []
+  }));
+};
+
+// Copy one contact's dates onto another, skipping dates it already has (and the
+// birthday when it has one)
+const copyContactDates = async (fromContactId, toContactId) => {
+  const dates = await loadContactDates([fromContactId, toContactId]);
+  const existing = dates[toContactId] || [];
+  const existingKeys = new Set(existing.map(dateKey));
+
+  const copied = (dates[fromContactId] || []).filter(date => (
+    !existingKeys.has(dateKey(date)) &&
+    !(SINGLE_DATE_TYPES.includes(date.type) && existing.some(entry => entry.type === date.type))
+  ));
+
+  await insertContactDates([[toContactId, copied]]);
+};
+
+// The day a date falls on in a given year (UTC midnight); Feb 29 is observed on Feb 28
+// in common years
+const occurrenceInYear = ({ month, day }, year) => (
+  new Date(Date.UTC(year, month - 1, Math.min(day, daysInMonth(month, year))))
+);
+
+// Dates of non-trashed contacts falling within `days` days starting at `from` (a UTC
+// midnight), soonest first. The window may run over the end of the year.
+const listUpcomingEvents = async ({ from, days, types = [] }) => {
+  const end = new Date(from.getTime() + (days - 1) * DAY_MS);
+  const conditions = ['c.deleted_at IS NULL'];
+  const params = [];
+
+  // Narrow the rows by month and day (month * 100 + day) before computing occurrences;
+  // Feb 29 always comes along since it is observed on Feb 28 in common years
+  if (days < 365) {
+    const startKey = (from.getUTCMonth() + 1) * 100 + from.getUTCDate();
+    const endKey = (end.getUTCMonth() + 1) * 100 + end.getUTCDate();
+    const range = startKey <= endKey
+      ? '(d.month * 100 + d.day) BETWEEN ? AND ?'
+      : '((d.month * 100 + d.day) >= ? OR (d.month * 100 + d.day) <= ?)';
+
+    conditions.push(`(${range} OR (d.month = 2 AND d.day = 29))`);
+    params.push(startKey, endKey);
+  }
+
+  if (types.length > 0) {
+    conditions.push(`d.type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+
+  const result = await executeQuery(
+    `SELECT d.id, d.contact_id, d.type, d.label, d.month, d.day, d.year, c.first_name, c.last_name
+     FROM contact_dates d
+     JOIN contacts c ON c.id = d.contact_id
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  const events = [];
+
+  for (const row of result.rows) {
+    let year = from.getUTCFullYear();
+    let occurs = occurrenceInYear(row, year);
+    if (occurs < from) {
+      year += 1;
+      occurs = occurrenceInYear(row, year);
+    }
+    if (occurs > end) continue;
+
+    events.push({
+      contact_id: row.contact_id,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      ...formatDateRow(row),
+      occurs_on: occurs.toISOString().slice(0, 10),
+      days_until: Math.round((occurs - from) / DAY_MS),
+      // Age on a birthday, years of service on a work anniversary
+      years: row.year ? year - row.year : null
+    });
+  }
+
+  return events.sort((a, b) => (
+    a.days_until - b.days_until ||
+    `${a.first_name} ${a.last_name || ''}`.localeCompare(`${b.first_name} ${b.last_name || ''}`)
+  ));
+};
+
+// Calendar event title of a contact date
+const eventSummary = (row) => {
+  const name = [row.first_name, row.last_name].filter(Boolean).join(' ');
+
+  if (row.type === 'birthday') return `${name}'s birthday`;
+  if (row.type === 'work_anniversary') return `${name}'s work anniversary`;
+  return `${name}: ${row.label || 'Important date'}`;
+};
+
+// Calendar UID of a contact date. Saving a contact replaces its date rows, so the UID
+// comes from what the date is to the contact (type and label) rather than the row ID;
+// the second and later dates alike are numbered.
+const eventUid = (row, occurrence) => {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([row.contact_id, row.type, (row.label || '').toLowerCase()]))
+    .digest('hex')
+    .slice(0, 24);
+  return `contact-date-${hash}${occurrence > 1 ? `-${occurrence}` : ''}@ikf-phonebook`;
+};
+
+// iCalendar feed with a yearly all-day event for every date of a non-trashed contact.
+// Dates without a year start in 2000 (a leap year, so Feb 29 is valid); Feb 29 recurs
+// on the last day of February so it shows up on Feb 28 in common years.
+const buildDatesCalendar = async () => {
+  const result = await executeQuery(
+    `SELECT d.id, d.contact_id, d.type, d.label, d.month, d.day, d.year, c.first_name, c.last_name
+     FROM contact_dates d
+     JOIN contacts c ON c.id = d.contact_id
+     WHERE c.deleted_at IS NULL
+     ORDER BY d.month ASC, d.day ASC, d.id ASC`
+  );
+
+  const occurrences = new Map();
+  const events = result.rows.map(row => {
+    const key = eventUid(row, 1);
+    occurrences.set(key, (occurrences.get(key) || 0) + 1);
+
+    return {
+      uid: eventUid(row, occurrences.get(key)),
+      start: new Date(Date.UTC(row.year || 2000, row.month - 1, row.day)),
+      summary: eventSummary(row),
+      description: row.year ? `${row.type === 'birthday' ? 'Born' : 'Since'} ${row.year}` : null,
+      rrule: row.month === 2 && row.day === 29 ? 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'FREQ=YEARLY'
+    };
+  });
+
+  return toIcal({ name: 'PhoneBook important dates', events });
+};
+
+module.exports = {
+  DATE_TYPES,
+  isLeapYear,
+  daysInMonth,
+  formatDate,
+  parseDateParts,
+  normalizeDates,
+  buildDateList,
+  insertContactDates,
+  saveContactDates,
+  attachDates,
+  copyContactDates,
+  listUpcomingEvents,
+  buildDatesCalendar
+};
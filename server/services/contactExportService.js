@@ -0,0 +1,424 @@
+// Contact export: writes the contacts matching a set of list options (those of
+// GET /api/contacts) with a chosen list of columns as CSV, XLSX or NDJSON. Small exports
+// stream straight to the client; large ones run as background jobs that leave a file to
+// download. Every export is recorded with who ran it and what it held.
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { executeQuery, executeSingleQuery, getDialect } = require('../utils/database');
+const { normalizeListFilters, buildContactSort, countContacts, listContactsByCursor } = require('./contactListService');
+const { loadFieldDefinitions } = require('./customFieldService');
+const { CSV_BOM, toCsvLine } = require('../utils/csv');
+const { createXlsxWriter } = require('../utils/xlsx');
+const { writeChunk } = require('../utils/streams');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+const DEFAULT_EXPORT_DIR = path.join(__dirname, '../../database/exports');
+const DEFAULT_SYNC_LIMIT = 5000;
+const DEFAULT_RETENTION_HOURS = 24;
+
+// Contacts loaded (and written) per query
+const EXPORT_BATCH_SIZE = 500;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let cleanupTimer = null;
+
+const FORMAT_DETAILS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Directory holding the files of background exports (EXPORT_DIR)
+const getExportDir = () => process.env.EXPORT_DIR || DEFAULT_EXPORT_DIR;
+
+// Most contacts an export streams straight away; larger ones run in the background
+// (EXPORT_SYNC_LIMIT)
+const getSyncLimit = () => {
+  const limit = parseInt(process.env.EXPORT_SYNC_LIMIT, 10);
+  return Number.isNaN(limit) || limit < 0 ? DEFAULT_SYNC_LIMIT : limit;
+};
+
+// Hours the file of a background export can be downloaded (EXPORT_RETENTION_HOURS)
+const getRetentionHours = () => {
+  const hours = parseFloat(process.env.EXPORT_RETENTION_HOURS);
+  return Number.isNaN(hours) || hours <= 0 ? DEFAULT_RETENTION_HOURS : hours;
+};
+
+const primaryEntry = (list) => (list || []).find(entry => entry.is_primary) || (list || [])[0] || null;
+
+const primaryAddressPart = (part) => (contact) => {
+  const address = primaryEntry(contact.addresses);
+  return address ? address[part] : null;
+};
+
+// Columns an export can hold: the header label and how the value is read from an
+// enriched contact. List columns give arrays (joined with "; " in CSV and XLSX cells).
+const EXPORT_COLUMNS = {
+  id: { label: 'ID', value: contact => contact.id },
+  first_name: { label: 'First Name', value: contact => contact.first_name },
+  last_name: { label: 'Last Name', value: contact => contact.last_name },
+  phone_number: { label: 'Phone', value: contact => contact.phone_number },
+  phones: { label: 'All Phones', value: contact => (contact.phones || []).map(entry => entry.phone_number) },
+  email: { label: 'Email', value: contact => contact.email },
+  emails: { label: 'All Emails', value: contact => (contact.emails || []).map(entry => entry.email) },
+  relationship_type: { label: 'Relationship Type', value: contact => contact.relationship_type },
+  data_owner: { label: 'Data Owner', value: contact => contact.data_owner },
+  source: { label: 'Source', value: contact => contact.source },
+  status: { label: 'Status', value: contact => contact.status },
+  notes: { label: 'Notes', value: contact => contact.notes },
+  organizations: { label: 'Organizations', value: contact => (contact.organizations || []).map(entry => entry.name) },
+  job_title: {
+    label: 'Job Title',
+    value: contact => ((contact.organizations || []).find(entry => entry.job_title) || {}).job_title || null
+  },
+  tags: { label: 'Tags', value: contact => (contact.tags || []).map(tag => tag.name) },
+  lists: { label: 'Lists', value: contact => (contact.lists || []).map(list => list.name) },
+  street: { label: 'Street', value: primaryAddressPart('street') },
+  city: { label: 'City', value: primaryAddressPart('city') },
+  state: { label: 'State', value: primaryAddressPart('state') },
+  postal_code: { label: 'Postal Code', value: primaryAddressPart('postal_code') },
+  country: { label: 'Country', value: primaryAddressPart('country') },
+  birthday: {
+    label: 'Birthday',
+    value: contact => ((contact.dates || []).find(entry => entry.type === 'birthday') || {}).date || null
+  },
+  last_contacted_at: { label: 'Last Contacted', value: contact => contact.last_contacted_at },
+  created_at: { label: 'Created At', value: contact => contact.created_at },
+  updated_at: { label: 'Updated At', value: contact => contact.updated_at }
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'first_name', 'last_name', 'phone_number', 'email', 'relationship_type', 'data_owner',
+  'source', 'status', 'organizations', 'tags', 'created_at'
+];
+
+// Custom fields are exported as custom_fields.<field key>
+const CUSTOM_FIELD_PREFIX = 'custom_fields.';
+
+const fieldError = (location, path, value, msg) => ({ type: 'field', location, path, value, msg });
+
+// Parse a JSON column, falling back when it is empty or malformed
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Every column an export can hold, custom fields included ({ key, label })
+const listExportColumns = async () => {
+  const definitions = await loadFieldDefinitions();
+  return [
+    ...Object.entries(EXPORT_COLUMNS).map(([key, column]) => ({ key, label: column.label })),
+    ...definitions.map(definition => ({ key: `${CUSTOM_FIELD_PREFIX}${definition.field_key}`, label: definition.label }))
+  ];
+};
+
+// Resolve a column list (array or comma-separated keys) to { key, label, value } columns
+const resolveColumns = async (requested) => {
+  const keys = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+    .map(key => String(key).trim())
+    .filter(Boolean);
+  const selected = keys.length > 0 ? [...new Set(keys)] : DEFAULT_EXPORT_COLUMNS;
+
+  const definitions = await loadFieldDefinitions();
+  const columns = [];
+  const unknown = [];
+
+  for (const key of selected) {
+    if (Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, key)) {
+      columns.push({ key, ...EXPORT_COLUMNS[key] });
+      continue;
+    }
+
+    const fieldKey = key.startsWith(CUSTOM_FIELD_PREFIX) ? key.slice(CUSTOM_FIELD_PREFIX.length) : null;
+    const definition = fieldKey && definitions.find(entry => entry.field_key === fieldKey);
+    if (definition) {
+      columns.push({
+        key,
+        label: definition.label,
+        value: contact => {
+          const value = (contact.custom_fields || {})[fieldKey];
+          return value === undefined ? null : value;
+        }
+      });
+    } else {
+      unknown.push(key);
+    }
+  }
+
+  return { columns, unknown };
+};
+
+// Check an export request: format, columns and list options (`location` is where
+// validation errors point). Returns { format, columns, filters, sort, total } with the
+// number of matching contacts, or { errors }.
+const resolveExport = async (options, location = 'query') => {
+  const errors = [];
+  const format = options.format ? String(options.format).toLowerCase() : 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push(fieldError(location, 'format', options.format, `Format must be one of: ${EXPORT_FORMATS.join(', ')}`));
+  }
+
+  const { columns, unknown } = await resolveColumns(options.columns);
+  if (unknown.length > 0) {
+    errors.push(fieldError(location, 'columns', options.columns,
+      `Unknown column(s): ${unknown.join(', ')}; see GET /api/exports/columns`));
+  }
+
+  const sort = buildContactSort(options.sort);
+  if (sort.error) {
+    errors.push(fieldError(location, 'sort', options.sort, sort.error));
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const filters = normalizeListFilters(options);
+  const count = await countContacts(filters, location);
+  if (count.errors) return { errors: count.errors };
+
+  return { format, columns, filters, sort: options.sort || null, total: count.total };
+};
+
+// The value of a column as a CSV or XLSX cell
+const toCell = (value) => (Array.isArray(value) ? value.join('; ') : value);
+
+// Writer of one format on an output stream: { writeContacts(contacts), finish() }
+const createFormatWriter = async (format, output, columns) => {
+  const headers = columns.map(column => column.label);
+  const cellsOf = (contact) => columns.map(column => toCell(column.value(contact)));
+
+  if (format === 'xlsx') {
+    const writer = await createXlsxWriter(output, headers, { sheetName: 'Contacts' });
+    return {
+      writeContacts: (contacts) => writer.writeRows(contacts.map(cellsOf)),
+      finish: () => writer.finish()
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      writeContacts: (contacts) => writeChunk(output, contacts.map(contact => `${JSON.stringify(
+        Object.fromEntries(columns.map(column => {
+          const value = column.value(contact);
+          return [column.key, value === undefined ? null : value];
+        }))
+      )}\n`).join('')),
+      finish: async () => {}
+    };
+  }
+
+  // CSV starts with a byte order mark so Excel reads it as UTF-8
+  await writeChunk(output, `${CSV_BOM}${toCsvLine(headers)}`);
+  return {
+    writeContacts: (contacts) => writeChunk(output, contacts.map(contact => toCsvLine(cellsOf(contact))).join('')),
+    finish: async () => {}
+  };
+};
+
+// Write every contact an export selects to `output` (which the caller ends), a batch at a
+// time in keyset order. Returns the number of contacts written.
+const writeExport = async ({ format, columns, filters, sort }, output) => {
+  const writer = await createFormatWriter(format, output, columns);
+  let rowCount = 0;
+  let cursor = null;
+
+  do {
+    const page = await listContactsByCursor({ ...filters, sort }, { limit: EXPORT_BATCH_SIZE, cursor });
+    if (page.errors) throw new Error(page.errors.map(error => error.msg).join('; '));
+
+    await writer.writeContacts(page.contacts);
+    rowCount += page.contacts.length;
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  await writer.finish();
+  return rowCount;
+};
+
+// Download file name of an export
+const exportFileName = (record) => (
+  `contacts-${String(record.created_at || new Date().toISOString()).slice(0, 10)}-${record.id}.${FORMAT_DETAILS[record.format].extension}`
+);
+
+const EXPORT_SELECT = `
+  SELECT e.*, u.username as created_by_username
+  FROM contact_exports e
+  LEFT JOIN users u ON u.id = e.created_by
+`;
+
+// Shape a contact_exports row for API responses (download_url once a job's file is ready)
+const mapExportRow = (row) => ({
+  ...row,
+  columns: parseJson(row.columns, []),
+  filters: parseJson(row.filters, {}),
+  download_url: row.mode === 'background' && row.status === 'completed' ? `/api/exports/${row.id}/download` : null
+});
+
+// Get an export record (null when missing)
+const getExport = async (id) => {
+  const result = await executeQuery(`${EXPORT_SELECT} WHERE e.id = ?`, [id]);
+  return result.rows.length > 0 ? mapExportRow(result.rows[0]) : null;
+};
+
+// List export records, newest first (only the user's own unless userId is null)
+const listExports = async ({ userId = null, limit, offset }) => {
+  const where = userId ? 'WHERE e.created_by = ?' : '';
+  const params = userId ? [userId] : [];
+
+  const countResult = await executeQuery(`SELECT COUNT(*) as total FROM contact_exports e ${where}`, params);
+  const result = await executeQuery(
+    `${EXPORT_SELECT} ${where} ORDER BY e.created_at DESC, e.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return { exports: result.rows.map(mapExportRow), total: parseInt(countResult.rows[0].total) };
+};
+
+// Record an export as it starts
+const createExportRecord = async ({ format, columns, filters, sort }, mode, userId = null) => {
+  const result = await executeSingleQuery(
+    `INSERT INTO contact_exports (format, columns, filters, sort, mode, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [format, JSON.stringify(columns.map(column => column.key)), JSON.stringify(filters), sort, mode, userId]
+  );
+  return getExport(result.insertId);
+};
+
+const completeExportRecord = async (id, { rowCount, fileName = null, fileSize = null }) => {
+  await executeSingleQuery(
+    `UPDATE contact_exports SET status = 'completed', row_count = ?, file_name = ?, file_size = ?,
+       completed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [rowCount, fileName, fileSize, id]
+  );
+};
+
+const failExportRecord = async (id, message, rowCount = 0) => {
+  await executeSingleQuery(
+    `UPDATE contact_exports SET status = 'failed', error = ?, row_count = ?, completed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [message, rowCount, id]
+  );
+};
+
+// Stream an export to an HTTP response, recording it. Returns the export record.
+const streamExport = async (exportDefinition, res, userId = null) => {
+  const record = await createExportRecord(exportDefinition, 'stream', userId);
+  const { contentType } = FORMAT_DETAILS[record.format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(record)}"`);
+
+  try {
+    const rowCount = await writeExport(exportDefinition, res);
+    res.end();
+    await completeExportRecord(record.id, { rowCount });
+  } catch (error) {
+    await failExportRecord(record.id, error.message);
+    throw error;
+  }
+
+  return getExport(record.id);
+};
+
+// Write an export to a file in the background. Returns the (running) export record at
+// once; the record is completed or failed when the job ends.
+const startExportJob = async (exportDefinition, userId = null) => {
+  const record = await createExportRecord(exportDefinition, 'background', userId);
+  const fileName = `export-${record.id}.${FORMAT_DETAILS[record.format].extension}`;
+  const filePath = path.join(getExportDir(), fileName);
+
+  const runJob = async () => {
+    fs.mkdirSync(getExportDir(), { recursive: true });
+    const file = fs.createWriteStream(filePath);
+
+    try {
+      const rowCount = await writeExport(exportDefinition, file);
+      file.end();
+      await once(file, 'finish');
+      await completeExportRecord(record.id, { rowCount, fileName, fileSize: fs.statSync(filePath).size });
+    } catch (error) {
+      console.error('Export job error:', error);
+      file.destroy();
+      fs.rmSync(filePath, { force: true });
+      await failExportRecord(record.id, error.message);
+    }
+  };
+
+  runJob().catch(error => console.error('Export job error:', error));
+  return record;
+};
+
+// Path of a completed background export's file (null when it is gone)
+const getExportFilePath = (record) => {
+  if (!record.file_name || record.status !== 'completed') return null;
+
+  const filePath = path.join(getExportDir(), path.basename(record.file_name));
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+// Delete the files of background exports past their retention and mark them expired
+const expireExports = async () => {
+  const expired = await executeQuery(
+    `SELECT id, file_name FROM contact_exports
+     WHERE mode = 'background' AND status = 'completed'
+       AND completed_at <= ${getDialect().dateTime("'now'", '?')}`,
+    [`-${getRetentionHours()} hours`]
+  );
+
+  for (const row of expired.rows) {
+    if (row.file_name) {
+      fs.rmSync(path.join(getExportDir(), path.basename(row.file_name)), { force: true });
+    }
+    await executeSingleQuery("UPDATE contact_exports SET status = 'expired' WHERE id = ?", [row.id]);
+  }
+
+  return expired.rows.length;
+};
+
+// Fail interrupted exports, then expire old export files now and periodically while the
+// server runs
+const startExportCleanupSchedule = () => {
+  if (cleanupTimer) return;
+
+  const runCleanup = async () => {
+    try {
+      const expired = await expireExports();
+      if (expired > 0) {
+        console.log(`📤 Removed the files of ${expired} expired export(s)`);
+      }
+    } catch (error) {
+      console.error('Export cleanup error:', error);
+    }
+  };
+
+  // Exports still running when the server stopped never finished
+  executeSingleQuery(
+    `UPDATE contact_exports SET status = 'failed', error = 'Interrupted by a server restart',
+       completed_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'`
+  ).catch(error => console.error('Export cleanup error:', error));
+
+  runCleanup();
+  cleanupTimer = setInterval(runCleanup, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  FORMAT_DETAILS,
+  getSyncLimit,
+  listExportColumns,
+  resolveExport,
+  streamExport,
+  startExportJob,
+  exportFileName,
+  getExport,
+  listExports,
+  getExportFilePath,
+  startExportCleanupSchedule
+};
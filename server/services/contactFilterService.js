@@ -0,0 +1,338 @@
+// Contact filter expressions: AND/OR/NOT groups of field conditions, given as JSON or in a
+// compact query-string form, compiled into a parameterized SQL condition on contacts.
+//
+// JSON:    { "and": [{ "field": "first_name", "op": "contains", "value": "ash" },
+//                    { "or": [...] }, { "not": {...} }] }
+// Compact: and(first_name:contains:ash,or(status:eq:Active,source:in:Gmail|Zoho),not(email:is_empty))
+//          Commas at the top level also mean AND. Values run up to the next `,` or `)` (and
+//          `|` in lists); double-quote them ("Rao, Jr", with \" and \\ escapes) to include those.
+const { getDialect } = require('../utils/database');
+const { toTimestamp } = require('../utils/timestamps');
+const { buildMethodLookup } = require('./contactMethods');
+
+const FILTER_OPERATORS = ['eq', 'contains', 'starts_with', 'is_empty', 'before', 'after', 'in'];
+
+// Operators each kind of field supports. Phone numbers and emails are encrypted, so they
+// are matched exactly through their blind indexes (against every number or address of
+// a contact); notes can only be tested for emptiness.
+const OPERATORS_BY_KIND = {
+  text: ['eq', 'contains', 'starts_with', 'is_empty', 'in'],
+  number: ['eq', 'is_empty', 'in'],
+  date: ['eq', 'before', 'after', 'is_empty'],
+  phone: ['eq', 'is_empty', 'in'],
+  email: ['eq', 'is_empty', 'in'],
+  encrypted: ['is_empty']
+};
+
+// Filterable contact columns and their kind
+const FILTER_FIELDS = {
+  id: 'number',
+  first_name: 'text',
+  last_name: 'text',
+  phone_number: 'phone',
+  email: 'email',
+  relationship_type: 'text',
+  data_owner: 'text',
+  source: 'text',
+  status: 'text',
+  notes: 'encrypted',
+  created_by: 'number',
+  created_at: 'date',
+  updated_at: 'date'
+};
+
+const GROUP_OPERATORS = ['and', 'or', 'not'];
+const MAX_FILTER_DEPTH = 8;
+const MAX_FILTER_CONDITIONS = 50;
+const MAX_FILTER_VALUES = 200;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+// Whether `key` is one of an object's own keys (never one it inherits, such as
+// "constructor" or "__proto__")
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Errors in a filter are reported back to the client rather than logged
+const filterError = (message) => Object.assign(new Error(message), { isFilterError: true });
+
+// Parse the compact form into the JSON form
+const parseCompactFilter = (text) => {
+  let position = 0;
+
+  const peek = () => text[position];
+  const skipSpaces = () => {
+    while (position < text.length && /\s/.test(text[position])) position += 1;
+  };
+  const expect = (char) => {
+    skipSpaces();
+    if (text[position] !== char) {
+      throw filterError(`Expected "${char}" at position ${position + 1}`);
+    }
+    position += 1;
+  };
+
+  // A quoted or bare value; bare values end at any of the `stops` characters
+  const readValue = (stops) => {
+    skipSpaces();
+
+    if (peek() === '"') {
+      let value = '';
+      position += 1;
+      while (position < text.length && text[position] !== '"') {
+        if (text[position] === '\\' && position + 1 < text.length) position += 1;
+        value += text[position];
+        position += 1;
+      }
+      if (position >= text.length) throw filterError('Unterminated quoted value');
+      position += 1;
+      return value;
+    }
+
+    const start = position;
+    while (position < text.length && !stops.includes(text[position])) position += 1;
+    return text.slice(start, position).trim();
+  };
+
+  const readName = () => {
+    skipSpaces();
+    const match = /^[A-Za-z_]+/.exec(text.slice(position));
+    if (!match) throw filterError(`Expected a field or group at position ${position + 1}`);
+    position += match[0].length;
+    return match[0];
+  };
+
+  // Comma-separated expressions up to `end` (a closing parenthesis, or the end of input)
+  const parseList = (end) => {
+    const items = [parseExpression()];
+    skipSpaces();
+    while (peek() === ',') {
+      position += 1;
+      items.push(parseExpression());
+      skipSpaces();
+    }
+    if (end) expect(end);
+    return items;
+  };
+
+  const parseExpression = () => {
+    const name = readName();
+    skipSpaces();
+
+    if (GROUP_OPERATORS.includes(name.toLowerCase()) && peek() === '(') {
+      position += 1;
+      const items = parseList(')');
+      if (name.toLowerCase() === 'not') {
+        return { not: items.length === 1 ? items[0] : { and: items } };
+      }
+      return { [name.toLowerCase()]: items };
+    }
+
+    expect(':');
+    const op = readName();
+    if (op === 'is_empty') return { field: name, op };
+
+    expect(':');
+    if (op === 'in') {
+      const values = [readValue([',', ')', '|'])];
+      while (peek() === '|') {
+        position += 1;
+        values.push(readValue([',', ')', '|']));
+      }
+      return { field: name, op, value: values };
+    }
+
+    return { field: name, op, value: readValue([',', ')']) };
+  };
+
+  const items = parseList(null);
+  skipSpaces();
+  if (position < text.length) {
+    throw filterError(`Unexpected "${text[position]}" at position ${position + 1}`);
+  }
+
+  return items.length === 1 ? items[0] : { and: items };
+};
+
+// Read a filter given as a JSON object, a JSON string or the compact form.
+// Returns { filter } on success or { error } on failure.
+const parseFilter = (input) => {
+  try {
+    if (input && typeof input === 'object') return { filter: input };
+
+    const text = String(input || '').trim();
+    if (!text) return { error: 'Filter is empty' };
+
+    if (text.startsWith('{')) {
+      try {
+        return { filter: JSON.parse(text) };
+      } catch (error) {
+        return { error: 'Filter is not valid JSON' };
+      }
+    }
+
+    return { filter: parseCompactFilter(text) };
+  } catch (error) {
+    if (!error.isFilterError) throw error;
+    return { error: error.message };
+  }
+};
+
+// Start of the UTC day after a YYYY-MM-DD day
+const nextDay = (day) => toTimestamp(new Date(new Date(`${day}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000));
+
+// SQL for a single field condition
+const compileCondition = ({ field, op, value }, params, counts) => {
+  if (typeof field !== 'string' || !hasOwn(FILTER_FIELDS, field)) {
+    throw filterError(`Unknown filter field "${field}"; use one of: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+  }
+  const kind = FILTER_FIELDS[field];
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw filterError(`Unknown filter operator "${op}"; use one of: ${FILTER_OPERATORS.join(', ')}`);
+  }
+  if (!OPERATORS_BY_KIND[kind].includes(op)) {
+    throw filterError(`Operator "${op}" is not supported on ${field}; use one of: ${OPERATORS_BY_KIND[kind].join(', ')}`);
+  }
+
+  if (op === 'is_empty') {
+    return kind === 'number' || kind === 'date' ? `${field} IS NULL` : `(${field} IS NULL OR ${field} = '')`;
+  }
+
+  const values = op === 'in' ? value : [value];
+  if (!Array.isArray(values) || values.length === 0) {
+    throw filterError(`Operator "in" on ${field} needs a non-empty list of values`);
+  }
+  if (values.some(entry => entry === null || entry === undefined || typeof entry === 'object' || String(entry).trim() === '')) {
+    throw filterError(`Operator "${op}" on ${field} needs a value`);
+  }
+
+  counts.values += values.length;
+  if (counts.values > MAX_FILTER_VALUES) {
+    throw filterError(`A filter can hold at most ${MAX_FILTER_VALUES} values`);
+  }
+
+  const { caseInsensitive, equalsIgnoreCase, likeIgnoreCase } = getDialect();
+  const strings = values.map(entry => String(entry).trim());
+
+  if (kind === 'phone' || kind === 'email') {
+    const lookup = buildMethodLookup(kind, strings);
+    if (!lookup) return '1 = 0';
+    params.push(...lookup.params);
+    return lookup.condition;
+  }
+
+  if (kind === 'number') {
+    if (strings.some(entry => !/^-?\d+$/.test(entry))) {
+      throw filterError(`${field} must be compared with whole numbers`);
+    }
+    params.push(...strings.map(Number));
+    return op === 'in' ? `${field} IN (${strings.map(() => '?').join(', ')})` : `${field} = ?`;
+  }
+
+  if (kind === 'date') {
+    const [text] = strings;
+
+    // A YYYY-MM-DD day covers the whole UTC day
+    if (DAY_PATTERN.test(text) && toTimestamp(`${text}T00:00:00Z`)) {
+      const start = toTimestamp(`${text}T00:00:00Z`);
+      if (op === 'before') {
+        params.push(start);
+        return `${field} < ?`;
+      }
+      if (op === 'after') {
+        params.push(nextDay(text));
+        return `${field} >= ?`;
+      }
+      params.push(start, nextDay(text));
+      return `(${field} >= ? AND ${field} < ?)`;
+    }
+
+    const timestamp = DATE_TIME_PATTERN.test(text) ? toTimestamp(text) : null;
+    if (!timestamp) {
+      throw filterError(`${field} must be compared with an ISO 8601 date (YYYY-MM-DD) or date-time`);
+    }
+    params.push(timestamp);
+    return `${field} ${op === 'before' ? '<' : op === 'after' ? '>' : '='} ?`;
+  }
+
+  // Text fields compare case-insensitively; LIKE wildcards in values are matched literally
+  if (op === 'in') {
+    params.push(...strings);
+    return `${caseInsensitive(field)} IN (${strings.map(() => caseInsensitive('?')).join(', ')})`;
+  }
+  if (op === 'eq') {
+    params.push(strings[0]);
+    return equalsIgnoreCase(field);
+  }
+
+  const escaped = strings[0].replace(/[\\%_]/g, '\\$&');
+  params.push(op === 'contains' ? `%${escaped}%` : `${escaped}%`);
+  return `${field} ${likeIgnoreCase} ? ESCAPE '\\'`;
+};
+
+// SQL for a filter expression (a group or a condition)
+const compileExpression = (expression, params, counts, depth) => {
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+    throw filterError('Each filter entry must be an object');
+  }
+  if (depth > MAX_FILTER_DEPTH) {
+    throw filterError(`Filters can be nested at most ${MAX_FILTER_DEPTH} levels deep`);
+  }
+
+  const group = GROUP_OPERATORS.find(name => hasOwn(expression, name));
+
+  if (group === 'not') {
+    return `NOT (${compileExpression(expression.not, params, counts, depth + 1)})`;
+  }
+
+  if (group) {
+    const items = expression[group];
+    if (!Array.isArray(items) || items.length === 0) {
+      throw filterError(`"${group}" needs a non-empty list of conditions`);
+    }
+    const parts = items.map(item => compileExpression(item, params, counts, depth + 1));
+    return `(${parts.join(group === 'and' ? ' AND ' : ' OR ')})`;
+  }
+
+  counts.conditions += 1;
+  if (counts.conditions > MAX_FILTER_CONDITIONS) {
+    throw filterError(`A filter can hold at most ${MAX_FILTER_CONDITIONS} conditions`);
+  }
+
+  return compileCondition(expression, params, counts);
+};
+
+// Compile a parsed filter into a SQL condition on contacts with its parameters. Field
+// names and operators come from fixed lists; every value is a bound parameter.
+// Returns { condition, params } on success or { error } on failure.
+const compileFilter = (filter) => {
+  try {
+    const params = [];
+    const condition = compileExpression(filter, params, { conditions: 0, values: 0 }, 1);
+    return { condition, params };
+  } catch (error) {
+    if (!error.isFilterError) throw error;
+    return { error: error.message };
+  }
+};
+
+// Parse and compile a filter in one step; errors come back in the express-validator
+// shape used for other validation failures ({ errors } instead of { condition, params })
+const buildContactFilter = (input, location = 'query') => {
+  const parsed = parseFilter(input);
+  const compiled = parsed.error ? parsed : compileFilter(parsed.filter);
+
+  if (compiled.error) {
+    return { errors: [{ type: 'field', location, path: 'filter', value: input, msg: compiled.error }] };
+  }
+
+  return compiled;
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  FILTER_OPERATORS,
+  parseFilter,
+  compileFilter,
+  buildContactFilter
+};
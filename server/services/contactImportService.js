@@ -0,0 +1,210 @@
+// Bulk contact import: duplicate screening plus batched, all-or-nothing inserts
+const { executeQuery, insertMany, withTransaction } = require('../utils/database');
+const {
+  encryptValue,
+  decryptContactFields,
+  phoneBlindIndex,
+  emailBlindIndex,
+  textSearchTokens
+} = require('../utils/encryption');
+const { detectDuplicates, scoreDuplicates } = require('./duplicateDetector');
+const { buildPhoneList, buildEmailList, getPrimaryValue, insertContactMethods } = require('./contactMethods');
+const { buildAddressList, insertContactAddresses } = require('./addressService');
+const { buildDateList, insertContactDates } = require('./contactDateService');
+const { findOrCreateOrganization } = require('./organizationService');
+const { resolveTagIds } = require('./tagService');
+const { findOrCreateStaticList } = require('./staticListService');
+const { recordCreateRevisions } = require('./revisionService');
+
+const CONTACT_COLUMNS = [
+  'first_name', 'last_name', 'phone_number', 'email', 'relationship_type',
+  'data_owner', 'source', 'notes', 'search_tokens', 'created_by'
+];
+
+// Primary entries first, matching the order contacts are loaded in
+const primaryFirst = (list) => [...list].sort((a, b) => Number(b.is_primary) - Number(a.is_primary));
+
+// Blind indexes of every phone number and email of a contact
+const contactKeys = (contact) => [
+  ...buildPhoneList(contact).map(entry => phoneBlindIndex(entry.phone_number)),
+  ...buildEmailList(contact).map(entry => emailBlindIndex(entry.email))
+].filter(Boolean);
+
+// Custom field values as they read back from the database (numbers as numbers)
+const formatCustomFields = (values, definitions) => {
+  const formatted = {};
+  for (const definition of definitions) {
+    const value = (values || {})[definition.field_key];
+    if (value === undefined || value === null) continue;
+    formatted[definition.field_key] = definition.field_type === 'number' ? Number(value) : value;
+  }
+  return formatted;
+};
+
+// Insert contacts with their phones, emails, addresses, important dates, organization (organization_name/job_title),
+// tags, static lists (`lists`: { name, external_id } groups from the source) and custom field
+// values, and record their create revisions. Every table is written with batched multi-row
+// statements. Returns the inserted contacts, enriched like fetched ones, in input order.
+// Run it inside withTransaction.
+const insertContacts = async (contacts, { userId = null, tagIds = [], fieldDefinitions = [] } = {}) => {
+  if (contacts.length === 0) return [];
+
+  const entries = contacts.map(contact => ({
+    contact,
+    phones: primaryFirst(buildPhoneList(contact)),
+    emails: primaryFirst(buildEmailList(contact)),
+    addresses: primaryFirst(buildAddressList(contact)),
+    dates: buildDateList(contact)
+  }));
+
+  // Organizations are looked up (or created) once per distinct name
+  const organizations = new Map();
+  for (const { contact } of entries) {
+    const name = (contact.organization_name || '').trim();
+    if (name && !organizations.has(name.toLowerCase())) {
+      organizations.set(name.toLowerCase(), await findOrCreateOrganization(name, {}, userId));
+    }
+  }
+
+  // Lists are likewise looked up (or created) once per distinct group
+  const lists = new Map();
+  const listKey = (contact, group) => `${contact.source}:${group.external_id || String(group.name).trim().toLowerCase()}`;
+  for (const { contact } of entries) {
+    for (const group of contact.lists || []) {
+      if (String(group.name || '').trim() && !lists.has(listKey(contact, group))) {
+        lists.set(listKey(contact, group), await findOrCreateStaticList(group, { source: contact.source, userId }));
+      }
+    }
+  }
+
+  const rows = await insertMany(
+    'contacts',
+    CONTACT_COLUMNS,
+    entries.map(({ contact, phones, emails }) => [
+      contact.first_name,
+      contact.last_name,
+      encryptValue(getPrimaryValue(phones, 'phone_number')),
+      encryptValue(getPrimaryValue(emails, 'email')),
+      contact.relationship_type,
+      contact.data_owner,
+      contact.source,
+      encryptValue(contact.notes || null),
+      textSearchTokens(contact.notes),
+      userId
+    ]),
+    { returning: '*' }
+  );
+
+  const tagResult = tagIds.length > 0
+    ? await executeQuery(
+      `SELECT id, name, color FROM tags WHERE id IN (${tagIds.map(() => '?').join(', ')}) ORDER BY name`,
+      tagIds
+    )
+    : { rows: [] };
+
+  const inserted = rows.map((row, index) => {
+    const { contact, phones, emails, addresses, dates } = entries[index];
+    const organization = organizations.get((contact.organization_name || '').trim().toLowerCase());
+    const contactLists = [...new Map((contact.lists || [])
+      .map(group => lists.get(listKey(contact, group)))
+      .filter(Boolean)
+      .map(list => [list.id, { id: list.id, name: list.name }])).values()]
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      ...decryptContactFields(row),
+      phones,
+      emails,
+      addresses,
+      dates,
+      organizations: organization
+        ? [{
+          organization_id: organization.id,
+          name: organization.name,
+          domain: organization.domain,
+          job_title: contact.job_title || null
+        }]
+        : [],
+      tags: tagResult.rows,
+      lists: contactLists,
+      custom_fields: formatCustomFields(contact.custom_fields, fieldDefinitions)
+    };
+  });
+
+  await insertContactMethods('phone', inserted.map(contact => [contact.id, contact.phones]));
+  await insertContactMethods('email', inserted.map(contact => [contact.id, contact.emails]));
+  await insertContactAddresses(inserted.map(contact => [contact.id, contact.addresses]));
+  await insertContactDates(inserted.map(contact => [contact.id, contact.dates]));
+
+  await insertMany(
+    'contact_organizations',
+    ['contact_id', 'organization_id', 'job_title'],
+    inserted.flatMap(contact => contact.organizations.map(entry => [contact.id, entry.organization_id, entry.job_title]))
+  );
+
+  await insertMany(
+    'contact_tags',
+    ['contact_id', 'tag_id'],
+    inserted.flatMap(contact => tagResult.rows.map(tag => [contact.id, tag.id]))
+  );
+
+  await insertMany(
+    'static_list_members',
+    ['list_id', 'contact_id', 'added_by'],
+    inserted.flatMap(contact => contact.lists.map(list => [list.id, contact.id, userId]))
+  );
+
+  await insertMany(
+    'contact_custom_values',
+    ['contact_id', 'field_id', 'value'],
+    inserted.flatMap((contact, index) => fieldDefinitions
+      .filter(definition => contact.custom_fields[definition.field_key] !== undefined)
+      .map(definition => [contact.id, definition.id, entries[index].contact.custom_fields[definition.field_key]]))
+  );
+
+  await recordCreateRevisions(inserted, userId);
+
+  return inserted;
+};
+
+// Import contacts: those that duplicate an existing contact, or one earlier in the same
+// import, are set aside; the rest are inserted in one transaction so that either all of
+// them are imported or none is. `tags` (IDs or names) are resolved, and created when
+// missing, inside the transaction.
+const importContacts = async (contacts, { userId = null, tags = [], fieldDefinitions = [] } = {}) => {
+  const duplicates = [];
+  const newContacts = [];
+  const newContactsByKey = new Map();
+
+  for (const contact of contacts) {
+    const keys = contactKeys(contact);
+    let { duplicates: matches } = await detectDuplicates(contact);
+
+    if (matches.length === 0) {
+      const earlier = [...new Set(keys.map(key => newContactsByKey.get(key)).filter(Boolean))];
+      matches = scoreDuplicates(contact, earlier);
+    }
+
+    if (matches.length > 0) {
+      duplicates.push({
+        contact,
+        duplicates: matches
+      });
+    } else {
+      newContacts.push(contact);
+      keys.forEach(key => newContactsByKey.set(key, contact));
+    }
+  }
+
+  const imported = await withTransaction(async () => {
+    const tagIds = await resolveTagIds(tags, userId);
+    return insertContacts(newContacts, { userId, tagIds, fieldDefinitions });
+  });
+
+  return { imported, duplicates };
+};
+
+module.exports = {
+  insertContacts,
+  importContacts
+};
@@ -0,0 +1,426 @@
+// Contact listing: turns the list options of GET /api/contacts (search, field filters,
+// filter expression, sort) into SQL and loads pages of enriched contacts, by offset or by
+// keyset cursor. Saved searches store the same options.
+const { executeQuery, getDialect } = require('../utils/database');
+const { attachContactMethods, buildMethodLookup } = require('./contactMethods');
+const { attachAddresses, buildAddressFilter } = require('./addressService');
+const { attachDates } = require('./contactDateService');
+const { attachOrganizations } = require('./organizationService');
+const { CONTACT_TYPES, attachLastContacted } = require('./interactionService');
+const { parseTagList, attachTags, buildTagFilter } = require('./tagService');
+const { attachLists, buildListFilter } = require('./staticListService');
+const { loadFieldDefinitions, attachCustomFields, buildCustomFieldFilters } = require('./customFieldService');
+const { parseSearch, buildSearchSubquery, formatSnippet } = require('./contactSearchService');
+const { buildContactFilter } = require('./contactFilterService');
+
+// List options that select contacts (everything but paging and sort)
+const LIST_FILTER_KEYS = [
+  'search', 'relationship_type', 'data_owner', 'source', 'status', 'organization_id',
+  'tags', 'tag_mode', 'list_id', 'city', 'state', 'country', 'custom_fields', 'filter'
+];
+
+// Most fields a sort may name
+const MAX_SORT_FIELDS = 4;
+
+// Name of a contact's first organization (alphabetically)
+const COMPANY_EXPRESSION = `(
+  SELECT MIN(o.name) FROM contact_organizations co
+  JOIN organizations o ON o.id = co.organization_id
+  WHERE co.contact_id = contacts.id
+)`;
+
+// Derived last contacted date (see attachLastContacted)
+const LAST_CONTACTED_EXPRESSION = `(
+  SELECT MAX(i.occurred_at) FROM interactions i
+  WHERE i.contact_id = contacts.id
+    AND i.type IN (${CONTACT_TYPES.map(type => `'${type}'`).join(', ')})
+    AND i.occurred_at <= CURRENT_TIMESTAMP
+)`;
+
+// Fields contacts can be sorted by and the columns or expressions behind them. Text sorts
+// case-insensitively with empty values first; contacts never contacted sort as the oldest.
+const SORT_FIELDS = {
+  name: { type: 'text', columns: ['last_name', 'first_name'] },
+  first_name: { type: 'text' },
+  last_name: { type: 'text' },
+  company: { type: 'text', expression: COMPANY_EXPRESSION },
+  owner: { type: 'text', columns: ['data_owner'] },
+  data_owner: { type: 'text' },
+  relationship_type: { type: 'text' },
+  source: { type: 'text' },
+  status: { type: 'text' },
+  created_at: { type: 'date' },
+  updated_at: { type: 'date' },
+  last_contacted_at: { type: 'date', expression: `COALESCE(${LAST_CONTACTED_EXPRESSION}, '0001-01-01 00:00:00')` }
+};
+
+// The ID ends every sort so the order is total and stable between pages
+const ID_SORT_KEY = { value: 'contacts.id', type: 'number', descending: false };
+
+// Keep only the list options that select contacts, without empty values
+const normalizeListFilters = (filters) => {
+  const normalized = {};
+
+  for (const key of LIST_FILTER_KEYS) {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) continue;
+    normalized[key] = value;
+  }
+
+  return normalized;
+};
+
+// Attach phones, emails, addresses, important dates, organizations, tags, list
+// memberships, custom fields and the last contacted date to contact rows
+const enrichContacts = async (rows) => {
+  let contacts = await attachContactMethods(rows);
+  contacts = await attachAddresses(contacts);
+  contacts = await attachDates(contacts);
+  contacts = await attachOrganizations(contacts);
+  contacts = await attachTags(contacts);
+  contacts = await attachLists(contacts);
+  contacts = await attachCustomFields(contacts);
+  contacts = await attachLastContacted(contacts);
+  return contacts;
+};
+
+// The ORDER BY term of a sort key
+const orderTerm = (key, backwards = false) => {
+  const expression = key.type === 'text' ? getDialect().caseInsensitive(key.value) : key.value;
+  return `${expression} ${key.descending === backwards ? 'ASC' : 'DESC'}`;
+};
+
+// Parse a sort option: comma-separated fields, `-` for descending (e.g. "name,-updated_at").
+// Returns { keys, orderBy } or { error }; an empty option gives { keys: [], orderBy: null }
+// so the caller's default applies. Keys hold the SQL value each field sorts on.
+const buildContactSort = (sort) => {
+  const fields = String(sort || '').split(',').map(field => field.trim()).filter(Boolean);
+  if (fields.length === 0) return { keys: [], orderBy: null };
+
+  if (fields.length > MAX_SORT_FIELDS) {
+    return { error: `Sort by at most ${MAX_SORT_FIELDS} fields` };
+  }
+
+  const keys = [];
+  for (const entry of fields) {
+    const descending = entry.startsWith('-');
+    const field = descending ? entry.slice(1) : entry;
+    const definition = Object.prototype.hasOwnProperty.call(SORT_FIELDS, field) ? SORT_FIELDS[field] : null;
+
+    if (!definition) {
+      return { error: `Cannot sort by "${field}"; use one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+    }
+
+    if (definition.expression) {
+      const value = definition.type === 'text' ? `COALESCE(${definition.expression}, '')` : definition.expression;
+      keys.push({ value, type: definition.type, descending });
+    } else {
+      for (const column of definition.columns || [field]) {
+        keys.push({ value: definition.type === 'text' ? `COALESCE(${column}, '')` : column, type: definition.type, descending });
+      }
+    }
+  }
+
+  keys.push(ID_SORT_KEY);
+  return { keys, orderBy: keys.map(key => orderTerm(key)).join(', ') };
+};
+
+// Sort keys used when no sort is given: search rank (when searching), then newest first
+const defaultSortKeys = (matchExpression) => [
+  ...(matchExpression ? [{ value: 'search.search_rank', type: 'number', descending: false }] : []),
+  { value: 'created_at', type: 'date', descending: true },
+  ID_SORT_KEY
+];
+
+// Build the FROM/WHERE parts for a set of list options (contacts in the trash are never
+// listed). Returns { join, joinParams, whereClause, params, matchExpression } or, for an
+// invalid filter expression, { errors } pointing at `location`.
+const buildContactQuery = async (options, location = 'query') => {
+  const {
+    search = '',
+    relationship_type = '',
+    data_owner = '',
+    source = '',
+    status = '',
+    organization_id = '',
+    tags = '',
+    tag_mode = 'any',
+    list_id = '',
+    city = '',
+    state = '',
+    country = '',
+    custom_fields = {},
+    filter = ''
+  } = options;
+
+  const whereConditions = ['deleted_at IS NULL'];
+  const queryParams = [];
+
+  // Full-text search joins the ranked FTS matches onto contacts; an email address is
+  // matched exactly through the blind index instead
+  const parsedSearch = parseSearch(search);
+  const matchExpression = parsedSearch && parsedSearch.type === 'text' ? parsedSearch.matchExpression : null;
+  const join = matchExpression
+    ? `JOIN (${buildSearchSubquery()}) search ON search.contact_id = contacts.id`
+    : '';
+  const joinParams = matchExpression ? [matchExpression] : [];
+
+  if (parsedSearch && parsedSearch.type !== 'text') {
+    const lookup = buildMethodLookup(parsedSearch.type, [parsedSearch.value]);
+    whereConditions.push(lookup.condition);
+    queryParams.push(...lookup.params);
+  }
+
+  if (relationship_type) {
+    whereConditions.push(`relationship_type = ?`);
+    queryParams.push(relationship_type);
+  }
+
+  if (data_owner) {
+    whereConditions.push(`data_owner = ?`);
+    queryParams.push(data_owner);
+  }
+
+  if (source) {
+    whereConditions.push(`source = ?`);
+    queryParams.push(source);
+  }
+
+  if (status) {
+    whereConditions.push(`status = ?`);
+    queryParams.push(status);
+  }
+
+  if (organization_id) {
+    whereConditions.push(`id IN (SELECT contact_id FROM contact_organizations WHERE organization_id = ?)`);
+    queryParams.push(organization_id);
+  }
+
+  // Address filter: ?city=Pune&country=India matches contacts with such an address
+  const addressFilter = buildAddressFilter({ city, state, country });
+  if (addressFilter) {
+    whereConditions.push(addressFilter.condition);
+    queryParams.push(...addressFilter.params);
+  }
+
+  // Tag filter: comma-separated tag IDs, matched with any/all semantics
+  const tagIds = parseTagList(tags).filter(tagId => /^\d+$/.test(String(tagId))).map(Number);
+  if (tagIds.length > 0) {
+    const tagFilter = buildTagFilter(tagIds, tag_mode === 'all' ? 'all' : 'any');
+    whereConditions.push(tagFilter.condition);
+    queryParams.push(...tagFilter.params);
+  }
+
+  // Static list filter: members of one list
+  if (list_id) {
+    const listFilter = buildListFilter(list_id);
+    whereConditions.push(listFilter.condition);
+    queryParams.push(...listFilter.params);
+  }
+
+  // Filter expression: ?filter=<compact form or JSON>, AND/OR/NOT groups of field conditions
+  if (filter) {
+    const filterCheck = buildContactFilter(filter, location);
+    if (filterCheck.errors) return { errors: filterCheck.errors };
+
+    whereConditions.push(filterCheck.condition);
+    queryParams.push(...filterCheck.params);
+  }
+
+  // Custom field filters: ?custom_fields[gst_number]=27AAA...
+  if (custom_fields && typeof custom_fields === 'object') {
+    const definitions = await loadFieldDefinitions();
+    const customFilter = buildCustomFieldFilters(custom_fields, definitions);
+    whereConditions.push(...customFilter.conditions);
+    queryParams.push(...customFilter.params);
+  }
+
+  return {
+    join,
+    joinParams,
+    whereClause: `WHERE ${whereConditions.join(' AND ')}`,
+    params: queryParams,
+    matchExpression
+  };
+};
+
+// Count the contacts matching a set of list options ({ total } or { errors })
+const countContacts = async (options, location = 'query') => {
+  const query = await buildContactQuery(options, location);
+  if (query.errors) return { errors: query.errors };
+
+  const result = await executeQuery(
+    `SELECT COUNT(*) as total FROM contacts ${query.join} ${query.whereClause}`,
+    [...query.joinParams, ...query.params]
+  );
+  return { total: parseInt(result.rows[0].total) };
+};
+
+const CONTACT_COLUMNS = `
+  contacts.id, first_name, last_name, phone_number, email,
+  relationship_type, data_owner, source, status, notes,
+  version, created_at, updated_at
+`;
+
+// Rows as returned by the list queries, with readable search snippets
+const formatRows = (rows, matchExpression) => (
+  matchExpression ? rows.map(row => ({ ...row, search_snippet: formatSnippet(row.search_snippet) })) : rows
+);
+
+// Count the rows of a built query
+const countQueryRows = async ({ join, joinParams, whereClause, params }) => {
+  const result = await executeQuery(`SELECT COUNT(*) as total FROM contacts ${join} ${whereClause}`, [...joinParams, ...params]);
+  return parseInt(result.rows[0].total);
+};
+
+// Load a page of enriched contacts matching a set of list options, ordered by `sort`
+// (search rank, then newest first, by default). The count can be skipped with
+// includeTotal: false (total is then null). Returns { contacts, total } or { errors }.
+const listContacts = async (options, { limit, offset, location = 'query', includeTotal = true }) => {
+  const query = await buildContactQuery(options, location);
+  if (query.errors) return { errors: query.errors };
+
+  const sort = buildContactSort(options.sort);
+  if (sort.error) {
+    return { errors: [{ type: 'field', location, path: 'sort', value: options.sort, msg: sort.error }] };
+  }
+
+  const { join, joinParams, whereClause, params, matchExpression } = query;
+  const orderBy = sort.orderBy || defaultSortKeys(matchExpression).map(key => orderTerm(key)).join(', ');
+
+  const contactsResult = await executeQuery(
+    `SELECT ${CONTACT_COLUMNS} ${matchExpression ? ', search.search_rank, search.search_snippet' : ''}
+     FROM contacts
+     ${join}
+     ${whereClause}
+     ORDER BY ${orderBy}
+     LIMIT ? OFFSET ?`,
+    [...joinParams, ...params, limit, offset]
+  );
+
+  return {
+    contacts: await enrichContacts(formatRows(contactsResult.rows, matchExpression)),
+    total: includeTotal ? await countQueryRows(query) : null
+  };
+};
+
+// Cursors are opaque to clients: base64url JSON holding the direction, the sort they were
+// made for and the sort values of the row they point at
+const encodeCursor = (direction, sort, values) => (
+  Buffer.from(JSON.stringify({ d: direction, s: sort, v: values })).toString('base64url')
+);
+
+const decodeCursor = (cursor, sort, keyCount) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = decoded && ['next', 'prev'].includes(decoded.d) && decoded.s === sort &&
+      Array.isArray(decoded.v) && decoded.v.length === keyCount;
+    return valid ? { direction: decoded.d, values: decoded.v } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// WHERE condition selecting the rows after (or, backwards, before) the row with the given
+// sort values: (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., each comparison following the
+// direction of its key
+const buildKeysetCondition = (keys, values, backwards) => {
+  const { caseInsensitive } = getDialect();
+  const params = [];
+
+  const compare = (key, value, operator) => {
+    params.push(value);
+    return key.type === 'text'
+      ? `${caseInsensitive(key.value)} ${operator} ${caseInsensitive('?')}`
+      : `${key.value} ${operator} ?`;
+  };
+
+  const branches = keys.map((key, index) => {
+    const parts = keys.slice(0, index).map((previous, previousIndex) => compare(previous, values[previousIndex], '='));
+    parts.push(compare(key, values[index], key.descending === backwards ? '>' : '<'));
+    return `(${parts.join(' AND ')})`;
+  });
+
+  return { condition: `(${branches.join(' OR ')})`, params };
+};
+
+// Load a page of enriched contacts by keyset: `cursor` (from a previous page) picks up
+// exactly after or before the row it points at, so rows inserted meanwhile are neither
+// skipped nor repeated. Returns { contacts, next_cursor, prev_cursor, total } (total only
+// with includeTotal, otherwise null) or { errors }.
+const listContactsByCursor = async (options, { limit, cursor = null, location = 'query', includeTotal = false }) => {
+  const query = await buildContactQuery(options, location);
+  if (query.errors) return { errors: query.errors };
+
+  const sort = buildContactSort(options.sort);
+  if (sort.error) {
+    return { errors: [{ type: 'field', location, path: 'sort', value: options.sort, msg: sort.error }] };
+  }
+
+  const { join, joinParams, whereClause, params, matchExpression } = query;
+  const keys = sort.keys.length > 0 ? sort.keys : defaultSortKeys(matchExpression);
+  const sortSignature = String(options.sort || '').replace(/\s+/g, '');
+
+  const position = cursor ? decodeCursor(cursor, sortSignature, keys.length) : null;
+  if (cursor && !position) {
+    return {
+      errors: [{ type: 'field', location, path: 'cursor', value: cursor, msg: 'Invalid cursor, or one made for a different sort' }]
+    };
+  }
+
+  const backwards = position ? position.direction === 'prev' : false;
+  const keyset = position ? buildKeysetCondition(keys, position.values, backwards) : null;
+
+  const result = await executeQuery(
+    `SELECT ${CONTACT_COLUMNS} ${matchExpression ? ', search.search_rank, search.search_snippet' : ''},
+       ${keys.map((key, index) => `${key.value} AS sort_key_${index}`).join(', ')}
+     FROM contacts
+     ${join}
+     ${whereClause} ${keyset ? `AND ${keyset.condition}` : ''}
+     ORDER BY ${keys.map(key => orderTerm(key, backwards)).join(', ')}
+     LIMIT ?`,
+    [...joinParams, ...params, ...(keyset ? keyset.params : []), limit + 1]
+  );
+
+  // One extra row tells whether there is more in the direction of travel
+  const hasMore = result.rows.length > limit;
+  const pageRows = result.rows.slice(0, limit);
+  if (backwards) pageRows.reverse();
+
+  const sortValues = (row) => keys.map((key, index) => row[`sort_key_${index}`]);
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  // Going forward there is a previous page whenever we started from a cursor (and a next
+  // one when the extra row came back); going backwards it is the other way round
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position);
+  const nextValues = last ? sortValues(last) : position && position.values;
+  const prevValues = first ? sortValues(first) : position && position.values;
+
+  const rows = pageRows.map(row => {
+    const contact = { ...row };
+    keys.forEach((key, index) => { delete contact[`sort_key_${index}`]; });
+    return contact;
+  });
+
+  return {
+    contacts: await enrichContacts(formatRows(rows, matchExpression)),
+    next_cursor: hasNext && nextValues ? encodeCursor('next', sortSignature, nextValues) : null,
+    prev_cursor: hasPrev && prevValues ? encodeCursor('prev', sortSignature, prevValues) : null,
+    total: includeTotal ? await countQueryRows(query) : null
+  };
+};
+
+module.exports = {
+  LIST_FILTER_KEYS,
+  SORT_FIELDS,
+  normalizeListFilters,
+  enrichContacts,
+  buildContactSort,
+  buildContactQuery,
+  countContacts,
+  listContacts,
+  listContactsByCursor
+};
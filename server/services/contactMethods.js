@@ -0,0 +1,273 @@
+// Contact phone numbers and email addresses service
+const { executeQuery, executeSingleQuery, insertMany } = require('../utils/database');
+const {
+  encryptValue,
+  decryptValue,
+  phoneBlindIndex,
+  emailBlindIndex,
+  phoneLookupHashes,
+  emailLookupHashes,
+  textSearchTokens,
+  phoneSearchTokens,
+  decryptContactFields
+} = require('../utils/encryption');
+
+const PHONE_LABELS = ['mobile', 'work', 'home', 'fax', 'other'];
+const EMAIL_LABELS = ['work', 'home', 'other'];
+
+// Per-kind storage and validation settings. Values are stored encrypted next to a
+// blind index (hashKey) that exact lookups go through and the search tokens that
+// full-text search matches.
+const METHOD_TYPES = {
+  phone: {
+    table: 'contact_phones',
+    valueKey: 'phone_number',
+    hashKey: 'phone_hash',
+    hash: phoneBlindIndex,
+    lookupHashes: phoneLookupHashes,
+    searchTokens: phoneSearchTokens,
+    labels: PHONE_LABELS,
+    defaultLabel: 'mobile'
+  },
+  email: {
+    table: 'contact_emails',
+    valueKey: 'email',
+    hashKey: 'email_hash',
+    hash: emailBlindIndex,
+    lookupHashes: emailLookupHashes,
+    searchTokens: textSearchTokens,
+    labels: EMAIL_LABELS,
+    defaultLabel: 'work'
+  }
+};
+
+// Compare two values of the given kind (emails are case-insensitive)
+const isSameValue = (type, value1, value2) => {
+  if (type === 'email') {
+    return String(value1).toLowerCase() === String(value2).toLowerCase();
+  }
+  return value1 === value2;
+};
+
+// Normalize raw entries (strings or objects) into a de-duplicated list with exactly one primary
+const normalizeEntries = (type, entries) => {
+  const { valueKey, labels, defaultLabel } = METHOD_TYPES[type];
+  const list = [];
+
+  for (const entry of entries || []) {
+    const item = typeof entry === 'string' ? { [valueKey]: entry } : (entry || {});
+    const value = String(item[valueKey] || item.value || '').trim();
+
+    if (!value || list.some(existing => isSameValue(type, existing[valueKey], value))) {
+      continue;
+    }
+
+    list.push({
+      [valueKey]: value,
+      label: labels.includes(item.label) ? item.label : defaultLabel,
+      is_primary: Boolean(item.is_primary),
+      is_verified: Boolean(item.is_verified)
+    });
+  }
+
+  const primaryIndex = Math.max(list.findIndex(entry => entry.is_primary), 0);
+  list.forEach((entry, index) => {
+    entry.is_primary = index === primaryIndex;
+  });
+
+  return list;
+};
+
+// Build the full list for a contact from an explicit list, a legacy single value and/or the stored list
+const buildMethodList = (type, { entries, primaryValue, existing = [] }) => {
+  const { valueKey } = METHOD_TYPES[type];
+  const explicit = Array.isArray(entries);
+  const list = normalizeEntries(type, explicit ? entries : existing);
+  const value = primaryValue ? String(primaryValue).trim() : '';
+
+  if (!value) return list;
+
+  const match = list.find(entry => isSameValue(type, entry[valueKey], value));
+  const currentPrimary = list.find(entry => entry.is_primary);
+
+  if (match) {
+    list.forEach(entry => {
+      entry.is_primary = entry === match;
+    });
+  } else if (!explicit && currentPrimary) {
+    // Legacy clients only send the single value: treat it as an edit of the primary entry
+    currentPrimary[valueKey] = value;
+    currentPrimary.is_verified = false;
+  } else {
+    list.forEach(entry => {
+      entry.is_primary = false;
+    });
+    list.unshift({
+      [valueKey]: value,
+      label: METHOD_TYPES[type].defaultLabel,
+      is_primary: true,
+      is_verified: false
+    });
+  }
+
+  return list;
+};
+
+// Build the phone list for a contact payload ({ phones, phone_number })
+const buildPhoneList = (contact, existingPhones = []) => {
+  return buildMethodList('phone', {
+    entries: contact.phones,
+    primaryValue: contact.phone_number,
+    existing: existingPhones
+  });
+};
+
+// Build the email list for a contact payload ({ emails, email })
+const buildEmailList = (contact, existingEmails = []) => {
+  return buildMethodList('email', {
+    entries: contact.emails,
+    primaryValue: contact.email,
+    existing: existingEmails
+  });
+};
+
+// Get the value of the primary entry of a list
+const getPrimaryValue = (list, valueKey) => {
+  const primary = list.find(entry => entry.is_primary) || list[0];
+  return primary ? primary[valueKey] : null;
+};
+
+// Insert entries of one kind for many contacts at once ([contactId, list] pairs)
+const insertContactMethods = async (type, listsByContact) => {
+  const { table, valueKey, hashKey, hash, searchTokens } = METHOD_TYPES[type];
+  const rows = [];
+
+  for (const [contactId, list] of listsByContact) {
+    for (const entry of list) {
+      rows.push([
+        contactId, encryptValue(entry[valueKey]), hash(entry[valueKey]), searchTokens(entry[valueKey]),
+        entry.label, entry.is_primary ? 1 : 0, entry.is_verified ? 1 : 0
+      ]);
+    }
+  }
+
+  await insertMany(table, ['contact_id', valueKey, hashKey, 'search_tokens', 'label', 'is_primary', 'is_verified'], rows);
+};
+
+// Replace the stored entries of one kind for a contact
+const saveContactMethods = async (type, contactId, list) => {
+  const { table } = METHOD_TYPES[type];
+
+  await executeSingleQuery(`DELETE FROM ${table} WHERE contact_id = ?`, [contactId]);
+  await insertContactMethods(type, [[contactId, list]]);
+};
+
+const saveContactPhones = (contactId, phones) => saveContactMethods('phone', contactId, phones);
+const saveContactEmails = (contactId, emails) => saveContactMethods('email', contactId, emails);
+
+// Load entries of one kind for a set of contacts, grouped by contact ID
+const loadContactMethods = async (type, contactIds) => {
+  const { table, valueKey } = METHOD_TYPES[type];
+  const grouped = {};
+
+  if (contactIds.length === 0) return grouped;
+
+  const placeholders = contactIds.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT contact_id, ${valueKey}, label, is_primary, is_verified
+     FROM ${table}
+     WHERE contact_id IN (${placeholders})
+     ORDER BY is_primary DESC, id ASC`,
+    contactIds
+  );
+
+  for (const row of result.rows) {
+    if (!grouped[row.contact_id]) grouped[row.contact_id] = [];
+    grouped[row.contact_id].push({
+      [valueKey]: decryptValue(row[valueKey]),
+      label: row.label,
+      is_primary: Boolean(row.is_primary),
+      is_verified: Boolean(row.is_verified)
+    });
+  }
+
+  return grouped;
+};
+
+// Get the phone and email lists of a single contact
+const getContactMethods = async (contactId) => {
+  const phones = await loadContactMethods('phone', [contactId]);
+  const emails = await loadContactMethods('email', [contactId]);
+
+  return {
+    phones: phones[contactId] || [],
+    emails: emails[contactId] || []
+  };
+};
+
+// Attach phones and emails to a list of contact rows, decrypting the rows' own
+// phone number, email and notes
+const attachContactMethods = async (contacts) => {
+  const ids = contacts.map(contact => contact.id);
+  const phones = await loadContactMethods('phone', ids);
+  const emails = await loadContactMethods('email', ids);
+
+  return contacts.map(contact => ({
+    ...decryptContactFields(contact),
+    phones: phones[contact.id] || [],
+    emails: emails[contact.id] || []
+  }));
+};
+
+// Copy one contact's phones and emails onto another, skipping values it already has
+const copyContactMethods = async (fromContactId, toContactId) => {
+  for (const type of Object.keys(METHOD_TYPES)) {
+    const { table, valueKey, hashKey } = METHOD_TYPES[type];
+    const existing = await executeQuery(`SELECT ${hashKey} FROM ${table} WHERE contact_id = ?`, [toContactId]);
+    const existingHashes = new Set(existing.rows.map(row => row[hashKey]));
+
+    const source = await executeQuery(
+      `SELECT ${valueKey}, ${hashKey}, search_tokens, label, is_verified FROM ${table} WHERE contact_id = ? ORDER BY id`,
+      [fromContactId]
+    );
+    for (const row of source.rows) {
+      if (existingHashes.has(row[hashKey])) continue;
+      existingHashes.add(row[hashKey]);
+
+      await executeSingleQuery(
+        `INSERT INTO ${table} (contact_id, ${valueKey}, ${hashKey}, search_tokens, label, is_primary, is_verified)
+         VALUES (?, ?, ?, ?, ?, 0, ?)`,
+        [toContactId, row[valueKey], row[hashKey], row.search_tokens, row.label, row.is_verified]
+      );
+    }
+  }
+};
+
+// SQL condition (on contacts.id) matching contacts that have one of the given phone
+// numbers or emails, looked up through the blind index
+const buildMethodLookup = (type, values) => {
+  const { table, hashKey, lookupHashes } = METHOD_TYPES[type];
+  const hashes = [...new Set(values.flatMap(value => lookupHashes(value)))];
+
+  if (hashes.length === 0) return null;
+
+  return {
+    condition: `id IN (SELECT contact_id FROM ${table} WHERE ${hashKey} IN (${hashes.map(() => '?').join(', ')}))`,
+    params: hashes
+  };
+};
+
+module.exports = {
+  PHONE_LABELS,
+  EMAIL_LABELS,
+  buildPhoneList,
+  buildEmailList,
+  getPrimaryValue,
+  saveContactPhones,
+  saveContactEmails,
+  insertContactMethods,
+  getContactMethods,
+  attachContactMethods,
+  copyContactMethods,
+  buildMethodLookup
+};
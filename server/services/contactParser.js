@@ -1,5 +1,11 @@
 // Raw contact data parsing service
 const { executeQuery } = require('../utils/database');
+const {
+  loadRelationshipTypes,
+  detectRelationshipType: detectTypeFromTaxonomy,
+  findRelationshipTypeName,
+  getDefaultRelationshipType
+} = require('./relationshipTypeService');
 
 // Phone number validation and formatting
 const formatPhoneNumber = (phone) => {
@@ -34,24 +40,8 @@ const validateEmail = (email) => {
   return emailRegex.test(email) ? email : null;
 };
 
-// Relationship type detection
-const detectRelationshipType = (text) => {
-  if (!text) return 'Other';
-  
-  const lowerText = text.toLowerCase();
-  
-  if (lowerText.includes('client') || lowerText.includes('customer')) {
-    return 'Client';
-  } else if (lowerText.includes('vendor') || lowerText.includes('supplier')) {
-    return 'Vendor';
-  } else if (lowerText.includes('lead') || lowerText.includes('prospect')) {
-    return 'Lead';
-  } else if (lowerText.includes('partner') || lowerText.includes('associate')) {
-    return 'Partner';
-  }
-  
-  return 'Other';
-};
+// Relationship type detection (keywords come from the relationship type taxonomy)
+const detectRelationshipType = (text) => detectTypeFromTaxonomy(text);
 
 // Name parsing
 const parseName = (nameText) => {
@@ -75,6 +65,9 @@ const parseName = (nameText) => {
 
 // Parse raw contact data
 const parseRawContactData = async (rawData) => {
+  // Make sure the synchronous parsers see the current taxonomy
+  await loadRelationshipTypes();
+  
   const contacts = [];
   const lines = rawData.split('\n').filter(line => line.trim());
   
@@ -192,15 +185,15 @@ const parseSpaceSeparated = (line) => {
   let nameParts = [];
   let phoneNumber = null;
   let email = null;
-  let relationshipType = 'Other';
+  let relationshipType = getDefaultRelationshipType();
   
   for (const part of parts) {
     if (!phoneNumber && /[\d\-\(\)\s]/.test(part)) {
       phoneNumber = formatPhoneNumber(part);
     } else if (!email && part.includes('@')) {
       email = validateEmail(part);
-    } else if (part.toLowerCase().match(/^(client|vendor|lead|partner|other)$/)) {
-      relationshipType = part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+    } else if (findRelationshipTypeName(part)) {
+      relationshipType = findRelationshipTypeName(part);
     } else {
       nameParts.push(part);
     }
@@ -264,7 +257,7 @@ const parseByPattern = (line) => {
     last_name: nameInfo.last_name,
     phone_number: phoneNumber,
     email: email,
-    relationship_type: 'Other'
+    relationship_type: getDefaultRelationshipType()
   };
 };
 
@@ -289,6 +282,8 @@ const validateParsedContact = (contact) => {
 
 // Enhanced parsing with multiple strategies
 const parseRawContactDataEnhanced = async (rawData) => {
+  await loadRelationshipTypes();
+  
   const contacts = [];
   const lines = rawData.split('\n').filter(line => line.trim());
   
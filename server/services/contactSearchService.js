@@ -0,0 +1,145 @@
+// Contact search: full-text search over the contacts_fts index (names and organizations,
+// plus the hashed search tokens of notes, emails and phone digits) and exact email
+// lookups through the blind index. The index is an FTS5 table on SQLite and a tsvector
+// column on PostgreSQL.
+const { getDialect } = require('../utils/database');
+const { searchTermTokens } = require('../utils/encryption');
+
+// Column weights for bm25 ranking, in index column order: first_name, last_name,
+// organizations, tokens (PostgreSQL weighs names A, organizations B and tokens D)
+const COLUMN_WEIGHTS = [10, 8, 3, 2];
+const TEXT_COLUMNS = '{first_name last_name organizations}';
+const SEARCH_TOKEN_PATTERN = /^t[0-9a-f]{16}$/;
+
+// Control characters mark matches inside snippets until they have been HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const SNIPPET_TOKENS = 12;
+
+const PHONE_QUERY_PATTERN = /^\+?[\d\s().\/-]+$/;
+const EMAIL_QUERY_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const MIN_PHONE_DIGITS = 7;
+
+// Match expression of one term: a prefix match on names and organizations, or its
+// search tokens (every group must match, any alternative of a group will do).
+// A whole phone number only matches through the tokens.
+const buildTermExpression = (term, { tokensOnly = false } = {}) => {
+  const tokenGroups = searchTermTokens(term);
+  if (tokensOnly && tokenGroups.length === 0) return null;
+
+  if (getDialect().name === 'postgres') {
+    const parts = [
+      ...(tokensOnly ? [] : [`'${term.replace(/\\/g, '\\\\').replace(/'/g, "''")}':*AB`]),
+      ...(tokenGroups.length > 0
+        ? [tokenGroups.map(group => `(${group.map(token => `'${token}':D`).join(' | ')})`).join(' & ')]
+        : [])
+    ];
+    return `(${parts.join(' | ')})`;
+  }
+
+  const parts = [
+    ...(tokensOnly ? [] : [`${TEXT_COLUMNS} : "${term}"*`]),
+    ...(tokenGroups.length > 0
+      ? [`tokens : (${tokenGroups.map(group => `(${group.map(token => `"${token}"`).join(' OR ')})`).join(' AND ')})`]
+      : [])
+  ];
+  return `(${parts.join(' OR ')})`;
+};
+
+// Turn user input into a match expression: FTS5 MATCH syntax on SQLite, a tsquery on
+// PostgreSQL. Every term is quoted (so user input cannot inject query syntax) and
+// prefix-matched; all terms must match, in any column. A whole phone number is one
+// term. Returns null when nothing searchable is left.
+const buildMatchExpression = (text, { phoneNumber = false } = {}) => {
+  if (phoneNumber) return buildTermExpression(text, { tokensOnly: true });
+
+  const terms = text
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(term => /[\p{L}\p{N}]/u.test(term));
+
+  if (terms.length === 0) return null;
+
+  return terms.map(term => buildTermExpression(term)).join(getDialect().name === 'postgres' ? ' & ' : ' AND ');
+};
+
+// Classify search input. A whole email address is looked up exactly
+// ({ type: 'email', value }); anything else is a full-text search
+// ({ type: 'text', matchExpression }), where a whole phone number (spaces and
+// punctuation allowed) prefix-matches the digits of a contact's numbers. Returns null
+// when nothing searchable is left.
+const parseSearch = (search) => {
+  const text = String(search || '').trim();
+  if (!text) return null;
+
+  if (EMAIL_QUERY_PATTERN.test(text)) {
+    return { type: 'email', value: text };
+  }
+
+  const phoneNumber = PHONE_QUERY_PATTERN.test(text) && text.replace(/\D/g, '').length >= MIN_PHONE_DIGITS;
+  const matchExpression = buildMatchExpression(text, { phoneNumber });
+  return matchExpression ? { type: 'text', matchExpression } : null;
+};
+
+// SQL for a derived table of matching contact IDs with their rank and snippet.
+// Join it to contacts with ON search.contact_id = contacts.id and bind the match expression.
+// Lower ranks are better matches.
+const buildSearchSubquery = () => {
+  // The headline text carries no weights, so it is matched without the names-and-organizations
+  // restriction of the text terms
+  if (getDialect().name === 'postgres') {
+    return `
+      SELECT
+        contacts_fts.rowid AS contact_id,
+        -ts_rank(contacts_fts.document, search_query) AS search_rank,
+        ts_headline(
+          'simple',
+          concat_ws(' ', contacts_fts.first_name, contacts_fts.last_name, contacts_fts.organizations),
+          headline_query,
+          'StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=${SNIPPET_TOKENS}, MinWords=1, MaxFragments=1, FragmentDelimiter=…'
+        ) AS search_snippet
+      FROM contacts_fts,
+        to_tsquery('simple', ?) AS search_query,
+        to_tsquery('simple', replace(search_query::text, ':*AB', ':*')) AS headline_query
+      WHERE contacts_fts.document @@ search_query
+    `;
+  }
+
+  return `
+    SELECT
+      rowid AS contact_id,
+      bm25(contacts_fts, ${COLUMN_WEIGHTS.join(', ')}) AS search_rank,
+      snippet(contacts_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) AS search_snippet
+    FROM contacts_fts
+    WHERE contacts_fts MATCH ?
+  `;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Convert a raw snippet into HTML-safe text with matches wrapped in <mark>. A snippet
+// taken from the search tokens (a match in notes, emails or phones) shows nothing.
+const formatSnippet = (snippet) => {
+  if (!snippet) return null;
+
+  // PostgreSQL headlines the names and organizations even when none of them matched
+  if (!snippet.includes(MATCH_START)) return null;
+
+  const words = snippet.split(MATCH_START).join('').split(MATCH_END).join('').split(/[\s…]+/).filter(Boolean);
+  if (words.every(word => SEARCH_TOKEN_PATTERN.test(word))) return null;
+
+  return escapeHtml(snippet)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+};
+
+module.exports = {
+  parseSearch,
+  buildSearchSubquery,
+  formatSnippet
+};
@@ -0,0 +1,25 @@
+// Contact versions: the counter behind a contact's ETag. Every write that changes what a
+// contact update writes (its row, phones, emails, addresses, dates, organizations, tags
+// or custom field values) or moves it in or out of the trash moves the version on, so a
+// client holding an older ETag gets a 412 instead of overwriting that change.
+const { executeSingleQuery } = require('../utils/database');
+
+// Move contacts on to their next version
+const bumpContactVersions = async (contactIds) => {
+  if (contactIds.length === 0) return;
+
+  await executeSingleQuery(
+    `UPDATE contacts SET version = version + 1 WHERE id IN (${contactIds.map(() => '?').join(', ')})`,
+    contactIds
+  );
+};
+
+// Move on the contacts a query selects (it returns contact IDs, e.g. the contacts with a tag)
+const bumpContactVersionsWhere = async (contactIdQuery, params = []) => {
+  await executeSingleQuery(`UPDATE contacts SET version = version + 1 WHERE id IN (${contactIdQuery})`, params);
+};
+
+module.exports = {
+  bumpContactVersions,
+  bumpContactVersionsWhere
+};
@@ -0,0 +1,248 @@
+// Custom contact fields service
+const { executeQuery, executeSingleQuery, getDialect } = require('../utils/database');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'url'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a JSON column, falling back when it is empty or malformed
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const mapDefinitionRow = (row) => ({
+  id: row.id,
+  field_key: row.field_key,
+  label: row.label,
+  field_type: row.field_type,
+  is_required: Boolean(row.is_required),
+  options: parseJson(row.options, []),
+  validation: parseJson(row.validation, {}),
+  display_order: row.display_order,
+  is_active: Boolean(row.is_active),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Load field definitions in display order
+const loadFieldDefinitions = async ({ includeInactive = false } = {}) => {
+  const result = await executeQuery(
+    `SELECT * FROM custom_field_definitions
+     ${includeInactive ? '' : 'WHERE is_active = 1'}
+     ORDER BY display_order, label`
+  );
+  return result.rows.map(mapDefinitionRow);
+};
+
+// Get a single definition by ID
+const getFieldDefinitionById = async (id) => {
+  const result = await executeQuery('SELECT * FROM custom_field_definitions WHERE id = ?', [id]);
+  return result.rows[0] ? mapDefinitionRow(result.rows[0]) : null;
+};
+
+// Check that a URL is an absolute http(s) URL
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate and normalize a single value against its definition.
+// Returns { value } on success or { error } on failure.
+const validateFieldValue = (definition, rawValue) => {
+  const rules = definition.validation || {};
+  const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+
+  switch (definition.field_type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || typeof value === 'boolean' || !Number.isFinite(number)) {
+        return { error: `${definition.label} must be a number` };
+      }
+      if (rules.min !== undefined && number < rules.min) {
+        return { error: `${definition.label} must be at least ${rules.min}` };
+      }
+      if (rules.max !== undefined && number > rules.max) {
+        return { error: `${definition.label} must be at most ${rules.max}` };
+      }
+      return { value: String(number) };
+    }
+
+    case 'date': {
+      if (!DATE_PATTERN.test(String(value)) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+        return { error: `${definition.label} must be a date in YYYY-MM-DD format` };
+      }
+      if (rules.min && value < rules.min) {
+        return { error: `${definition.label} must be on or after ${rules.min}` };
+      }
+      if (rules.max && value > rules.max) {
+        return { error: `${definition.label} must be on or before ${rules.max}` };
+      }
+      return { value: String(value) };
+    }
+
+    case 'select': {
+      if (!definition.options.includes(value)) {
+        return { error: `${definition.label} must be one of: ${definition.options.join(', ')}` };
+      }
+      return { value: String(value) };
+    }
+
+    case 'url': {
+      if (!isValidUrl(String(value))) {
+        return { error: `${definition.label} must be a valid http(s) URL` };
+      }
+      return { value: String(value) };
+    }
+
+    default: {
+      const text = String(value);
+      if (rules.minLength !== undefined && text.length < rules.minLength) {
+        return { error: `${definition.label} must be at least ${rules.minLength} characters` };
+      }
+      if (rules.maxLength !== undefined && text.length > rules.maxLength) {
+        return { error: `${definition.label} must be at most ${rules.maxLength} characters` };
+      }
+      if (rules.pattern && !new RegExp(rules.pattern).test(text)) {
+        return { error: rules.message || `${definition.label} has an invalid format` };
+      }
+      return { value: text };
+    }
+  }
+};
+
+// Validate a { field_key: value } map against the active definitions.
+// `existing` holds the contact's stored values so required fields can be satisfied by them;
+// imports pass enforceRequired: false because their sources cannot supply every field.
+// Returns { values, errors } where values maps field keys to normalized strings (null clears).
+const validateCustomFieldValues = (input, definitions, existing = {}, { enforceRequired = true } = {}) => {
+  const values = {};
+  const errors = [];
+  const provided = input || {};
+
+  for (const key of Object.keys(provided)) {
+    if (!definitions.some(definition => definition.field_key === key)) {
+      errors.push({ path: `custom_fields.${key}`, msg: `Unknown custom field "${key}"` });
+    }
+  }
+
+  for (const definition of definitions) {
+    const key = definition.field_key;
+    const hasValue = Object.prototype.hasOwnProperty.call(provided, key);
+    const rawValue = provided[key];
+    const isEmpty = rawValue === null || rawValue === undefined || String(rawValue).trim() === '';
+
+    if (hasValue && !isEmpty) {
+      const result = validateFieldValue(definition, rawValue);
+      if (result.error) {
+        errors.push({ path: `custom_fields.${key}`, msg: result.error });
+      } else {
+        values[key] = result.value;
+      }
+      continue;
+    }
+
+    if (hasValue) {
+      values[key] = null;
+    }
+
+    const stillSet = !hasValue && existing[key] !== undefined && existing[key] !== null;
+    if (enforceRequired && definition.is_required && !stillSet) {
+      errors.push({ path: `custom_fields.${key}`, msg: `${definition.label} is required` });
+    }
+  }
+
+  return {
+    values,
+    errors: errors.map(error => ({ type: 'field', location: 'body', ...error }))
+  };
+};
+
+// Store validated values for a contact (null removes a value)
+const saveCustomFieldValues = async (contactId, values, definitions) => {
+  for (const [key, value] of Object.entries(values)) {
+    const definition = definitions.find(candidate => candidate.field_key === key);
+    if (!definition) continue;
+
+    if (value === null) {
+      await executeSingleQuery(
+        'DELETE FROM contact_custom_values WHERE contact_id = ? AND field_id = ?',
+        [contactId, definition.id]
+      );
+    } else {
+      await executeSingleQuery(
+        `INSERT INTO contact_custom_values (contact_id, field_id, value)
+         VALUES (?, ?, ?)
+         ON CONFLICT(contact_id, field_id) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+        [contactId, definition.id, value]
+      );
+    }
+  }
+};
+
+// Attach a { field_key: value } map of custom fields to a list of contact rows
+const attachCustomFields = async (contacts) => {
+  if (contacts.length === 0) return contacts;
+
+  const ids = contacts.map(contact => contact.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT v.contact_id, d.field_key, d.field_type, v.value
+     FROM contact_custom_values v
+     JOIN custom_field_definitions d ON d.id = v.field_id
+     WHERE v.contact_id IN (${placeholders}) AND d.is_active = 1
+     ORDER BY d.display_order`,
+    ids
+  );
+
+  const grouped = {};
+  for (const row of result.rows) {
+    if (!grouped[row.contact_id]) grouped[row.contact_id] = {};
+    grouped[row.contact_id][row.field_key] = row.field_type === 'number' ? Number(row.value) : row.value;
+  }
+
+  return contacts.map(contact => ({
+    ...contact,
+    custom_fields: grouped[contact.id] || {}
+  }));
+};
+
+// Build contacts WHERE conditions from a { field_key: value } filter map.
+// Text and URL fields match on substring, all other types match exactly.
+const buildCustomFieldFilters = (filters, definitions) => {
+  const conditions = [];
+  const params = [];
+
+  for (const [key, value] of Object.entries(filters || {})) {
+    const definition = definitions.find(candidate => candidate.field_key === key);
+    if (!definition || value === undefined || value === '') continue;
+
+    const isSubstring = definition.field_type === 'text' || definition.field_type === 'url';
+    conditions.push(`id IN (
+      SELECT contact_id FROM contact_custom_values
+      WHERE field_id = ? AND value ${isSubstring ? getDialect().likeIgnoreCase : '='} ?
+    )`);
+    const normalized = definition.field_type === 'number' ? String(Number(value)) : String(value);
+    params.push(definition.id, isSubstring ? `%${value}%` : normalized);
+  }
+
+  return { conditions, params };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  loadFieldDefinitions,
+  getFieldDefinitionById,
+  validateCustomFieldValues,
+  saveCustomFieldValues,
+  attachCustomFields,
+  buildCustomFieldFilters
+};
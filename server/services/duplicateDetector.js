@@ -1,5 +1,21 @@
 // Duplicate detection service
 const { executeQuery } = require('../utils/database');
+const { attachContactMethods, copyContactMethods } = require('./contactMethods');
+const { copyContactAddresses } = require('./addressService');
+const { copyContactDates } = require('./contactDateService');
+const { copyListMemberships } = require('./staticListService');
+const { createInteraction, copyInteractions } = require('./interactionService');
+const {
+  encryptValue,
+  decryptValue,
+  phoneLookupHashes,
+  emailLookupHashes,
+  textSearchTokens,
+  decryptContactFields
+} = require('../utils/encryption');
+const { softDeleteContacts } = require('./trashService');
+const { loadContactSnapshot, recordRevision } = require('./revisionService');
+const { recordAudit } = require('./auditService');
 
 // Calculate similarity between two strings (0-1)
 const calculateSimilarity = (str1, str2) => {
@@ -103,9 +119,80 @@ const areEmailsSimilar = (email1, email2) => {
   return false;
 };
 
+// Collect every distinct value of a contact for one kind (primary field plus list entries)
+const collectValues = (single, list, valueKey) => {
+  const values = [];
+  if (single) values.push(single);
+  for (const entry of list || []) {
+    const value = typeof entry === 'string' ? entry : entry && entry[valueKey];
+    if (value && !values.includes(value)) values.push(value);
+  }
+  return values;
+};
+
+// Check whether any pair from two value lists matches
+const anyPairMatches = (values1, values2, matcher) => {
+  return values1.some(value1 => values2.some(value2 => matcher(value1, value2)));
+};
+
+// Score candidates against a contact and keep those similar enough to be duplicates,
+// most similar first. Candidates are contacts with their phones and emails attached.
+const scoreDuplicates = (contact, candidates) => {
+  const duplicates = [];
+  const phoneNumbers = collectValues(contact.phone_number, contact.phones, 'phone_number');
+  const emails = collectValues(contact.email, contact.emails, 'email');
+
+  for (const existingContact of candidates) {
+    let similarityScore = 0;
+    let matchReasons = [];
+    const existingPhones = collectValues(existingContact.phone_number, existingContact.phones, 'phone_number');
+    const existingEmails = collectValues(existingContact.email, existingContact.emails, 'email');
+    
+    // Check phone number similarity across all numbers
+    if (anyPairMatches(phoneNumbers, existingPhones, arePhoneNumbersSimilar)) {
+      similarityScore += 0.4;
+      matchReasons.push('Phone number match');
+    }
+    
+    // Check email similarity across all addresses
+    if (anyPairMatches(emails, existingEmails, areEmailsSimilar)) {
+      similarityScore += 0.4;
+      matchReasons.push('Email match');
+    }
+    
+    // Check name similarity
+    const existingFullName = `${existingContact.first_name || ''} ${existingContact.last_name || ''}`.trim();
+    const newFullName = `${contact.first_name || ''} ${contact.last_name || ''}`.trim();
+    
+    if (existingFullName && newFullName) {
+      if (areNamesSimilar(existingFullName, newFullName)) {
+        similarityScore += 0.3;
+        matchReasons.push('Name similarity');
+      }
+    }
+    
+    // Consider it a duplicate if similarity score is high enough
+    if (similarityScore >= 0.4) {
+      duplicates.push({
+        existingContact,
+        similarityScore,
+        matchReasons,
+        isExactMatch: similarityScore >= 0.8
+      });
+    }
+  }
+  
+  // Sort by similarity score (highest first)
+  duplicates.sort((a, b) => b.similarityScore - a.similarityScore);
+
+  return duplicates;
+};
+
 // Detect duplicates for a given contact
 const detectDuplicates = async (contact, excludeId = null) => {
   const duplicates = [];
+  const phoneNumbers = collectValues(contact.phone_number, contact.phones, 'phone_number');
+  const emails = collectValues(contact.email, contact.emails, 'email');
   
   try {
     // Build query to find potential duplicates
@@ -113,7 +200,7 @@ const detectDuplicates = async (contact, excludeId = null) => {
       SELECT id, first_name, last_name, phone_number, email, 
              relationship_type, data_owner, source, created_at
       FROM contacts
-      WHERE 1=1
+      WHERE deleted_at IS NULL
     `;
     
     const params = [];
@@ -129,25 +216,22 @@ const detectDuplicates = async (contact, excludeId = null) => {
     // Add conditions for potential matches
     const conditions = [];
     
-    // Match by phone number
-    if (contact.phone_number) {
-      const normalizedPhone = normalizePhoneNumber(contact.phone_number);
-      conditions.push(`(
-        phone_number = $${paramCount} OR 
-        phone_number LIKE $${paramCount + 1} OR
-        phone_number LIKE $${paramCount + 2}
+    // Match by any of the contact's phone numbers or emails. The values are encrypted,
+    // so candidates are found through their blind indexes (exact matches only).
+    const lookups = [
+      { table: 'contact_phones', hashKey: 'phone_hash', hashes: phoneNumbers.flatMap(phoneLookupHashes) },
+      { table: 'contact_emails', hashKey: 'email_hash', hashes: emails.flatMap(emailLookupHashes) }
+    ];
+    for (const { table, hashKey, hashes } of lookups) {
+      const uniqueHashes = [...new Set(hashes)];
+      if (uniqueHashes.length === 0) continue;
+
+      const placeholders = uniqueHashes.map((hash, index) => `$${paramCount + index}`);
+      conditions.push(`id IN (
+        SELECT contact_id FROM ${table} WHERE ${hashKey} IN (${placeholders.join(', ')})
       )`);
-      params.push(contact.phone_number);
-      params.push(`%${normalizedPhone}%`);
-      params.push(`%${contact.phone_number.replace(/\D/g, '')}%`);
-      paramCount += 3;
-    }
-    
-    // Match by email
-    if (contact.email) {
-      conditions.push(`email = $${paramCount}`);
-      params.push(contact.email);
-      paramCount++;
+      params.push(...uniqueHashes);
+      paramCount += uniqueHashes.length;
     }
     
     // Match by name (fuzzy matching)
@@ -173,52 +257,10 @@ const detectDuplicates = async (contact, excludeId = null) => {
     query += ` ORDER BY created_at DESC`;
     
     const result = await executeQuery(query, params);
+    const candidates = await attachContactMethods(result.rows);
     
     // Process results and calculate similarity scores
-    for (const existingContact of result.rows) {
-      let similarityScore = 0;
-      let matchReasons = [];
-      
-      // Check phone number similarity
-      if (contact.phone_number && existingContact.phone_number) {
-        if (arePhoneNumbersSimilar(contact.phone_number, existingContact.phone_number)) {
-          similarityScore += 0.4;
-          matchReasons.push('Phone number match');
-        }
-      }
-      
-      // Check email similarity
-      if (contact.email && existingContact.email) {
-        if (areEmailsSimilar(contact.email, existingContact.email)) {
-          similarityScore += 0.4;
-          matchReasons.push('Email match');
-        }
-      }
-      
-      // Check name similarity
-      const existingFullName = `${existingContact.first_name || ''} ${existingContact.last_name || ''}`.trim();
-      const newFullName = `${contact.first_name || ''} ${contact.last_name || ''}`.trim();
-      
-      if (existingFullName && newFullName) {
-        if (areNamesSimilar(existingFullName, newFullName)) {
-          similarityScore += 0.3;
-          matchReasons.push('Name similarity');
-        }
-      }
-      
-      // Consider it a duplicate if similarity score is high enough
-      if (similarityScore >= 0.4) {
-        duplicates.push({
-          existingContact,
-          similarityScore,
-          matchReasons,
-          isExactMatch: similarityScore >= 0.8
-        });
-      }
-    }
-    
-    // Sort by similarity score (highest first)
-    duplicates.sort((a, b) => b.similarityScore - a.similarityScore);
+    duplicates.push(...scoreDuplicates(contact, candidates));
     
   } catch (error) {
     console.error('Duplicate detection error:', error);
@@ -231,12 +273,13 @@ const detectDuplicates = async (contact, excludeId = null) => {
   };
 };
 
-// Merge duplicate contacts
-const mergeContacts = async (primaryContactId, duplicateContactIds) => {
+// Merge duplicate contacts. The duplicates are moved to the trash so a mistaken merge can be undone.
+// `auditContext` (from getRequestContext) identifies the request for the audit log.
+const mergeContacts = async (primaryContactId, duplicateContactIds, userId = null, auditContext = null) => {
   try {
     // Get the primary contact
     const primaryResult = await executeQuery(
-      'SELECT * FROM contacts WHERE id = $1',
+      'SELECT * FROM contacts WHERE id = $1 AND deleted_at IS NULL',
       [primaryContactId]
     );
     
@@ -244,19 +287,20 @@ const mergeContacts = async (primaryContactId, duplicateContactIds) => {
       throw new Error('Primary contact not found');
     }
     
-    const primaryContact = primaryResult.rows[0];
+    const primaryContact = decryptContactFields(primaryResult.rows[0]);
+    const before = await loadContactSnapshot(primaryContactId);
     
     // Get all duplicate contacts
     const duplicateIds = duplicateContactIds.join(',');
     const duplicatesResult = await executeQuery(
-      `SELECT * FROM contacts WHERE id IN (${duplicateIds})`,
+      `SELECT * FROM contacts WHERE id IN (${duplicateIds}) AND deleted_at IS NULL`,
       []
     );
     
     // Merge data from duplicates into primary contact
     let mergedContact = { ...primaryContact };
     
-    for (const duplicate of duplicatesResult.rows) {
+    for (const duplicate of duplicatesResult.rows.map(decryptContactFields)) {
       // Merge names if primary is missing
       if (!mergedContact.first_name && duplicate.first_name) {
         mergedContact.first_name = duplicate.first_name;
@@ -285,42 +329,68 @@ const mergeContacts = async (primaryContactId, duplicateContactIds) => {
         mergedContact.data_owner = duplicate.data_owner;
       }
       
-      // Merge notes
-      if (duplicate.notes) {
-        mergedContact.notes = mergedContact.notes 
-          ? `${mergedContact.notes}\n\nMerged from contact ID ${duplicate.id}: ${duplicate.notes}`
-          : `Merged from contact ID ${duplicate.id}: ${duplicate.notes}`;
-      }
     }
     
     // Update primary contact with merged data
     await executeQuery(
       `UPDATE contacts SET 
         first_name = $1, last_name = $2, phone_number = $3, email = $4,
-        relationship_type = $5, data_owner = $6, notes = $7, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $8`,
+        relationship_type = $5, data_owner = $6, notes = $7, search_tokens = $8, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9`,
       [
         mergedContact.first_name,
         mergedContact.last_name,
-        mergedContact.phone_number,
-        mergedContact.email,
+        encryptValue(mergedContact.phone_number),
+        encryptValue(mergedContact.email),
         mergedContact.relationship_type,
         mergedContact.data_owner,
-        mergedContact.notes,
+        encryptValue(mergedContact.notes),
+        textSearchTokens(mergedContact.notes),
         primaryContactId
       ]
     );
     
-    // Delete duplicate contacts
-    await executeQuery(
-      `DELETE FROM contacts WHERE id IN (${duplicateIds})`,
-      []
-    );
+    // Copy the duplicates' phones, emails, addresses, dates, list memberships and timelines onto the primary contact
+    // (copied rather than moved so a restored duplicate keeps its own). A duplicate's notes
+    // are added to the primary's timeline instead of being appended to its notes.
+    for (const duplicate of duplicatesResult.rows.map(decryptContactFields)) {
+      await copyContactMethods(duplicate.id, primaryContactId);
+      await copyContactAddresses(duplicate.id, primaryContactId);
+      await copyContactDates(duplicate.id, primaryContactId);
+      await copyListMemberships(duplicate.id, primaryContactId);
+      await copyInteractions(duplicate.id, primaryContactId);
+
+      if (duplicate.notes) {
+        await createInteraction(primaryContactId, {
+          type: 'note',
+          subject: `Notes from merged contact ID ${duplicate.id}`,
+          body: duplicate.notes
+        }, userId);
+      }
+    }
+    
+    // Move duplicate contacts to the trash
+    const mergedIds = duplicatesResult.rows.map(duplicate => duplicate.id);
+    const deletedCount = await softDeleteContacts(mergedIds, userId, `Merged into contact ${primaryContactId}`);
+    
+    await recordRevision({
+      contactId: primaryContactId,
+      action: 'merge',
+      before,
+      after: await loadContactSnapshot(primaryContactId),
+      note: `Merged contacts ${mergedIds.join(', ')}`,
+      userId
+    });
+    await recordAudit(auditContext || { userId }, 'contact.merge', {
+      targetType: 'contact',
+      targetId: primaryContactId,
+      metadata: { merged_contact_ids: mergedIds }
+    });
     
     return {
       success: true,
       mergedContact: mergedContact,
-      deletedCount: duplicateContactIds.length
+      deletedCount
     };
     
   } catch (error) {
@@ -332,23 +402,25 @@ const mergeContacts = async (primaryContactId, duplicateContactIds) => {
 // Get duplicate statistics
 const getDuplicateStats = async () => {
   try {
-    // Find potential duplicates based on phone number
+    // Find potential duplicates based on phone number (grouped by blind index)
     const phoneDuplicates = await executeQuery(`
-      SELECT phone_number, COUNT(*) as count
-      FROM contacts
-      WHERE phone_number IS NOT NULL AND phone_number != ''
-      GROUP BY phone_number
-      HAVING COUNT(*) > 1
+      SELECT MIN(p.phone_number) as phone_number, COUNT(DISTINCT p.contact_id) as count
+      FROM contact_phones p
+      JOIN contacts c ON c.id = p.contact_id AND c.deleted_at IS NULL
+      WHERE p.phone_hash IS NOT NULL
+      GROUP BY p.phone_hash
+      HAVING COUNT(DISTINCT p.contact_id) > 1
       ORDER BY count DESC
     `);
     
-    // Find potential duplicates based on email
+    // Find potential duplicates based on email (grouped by blind index)
     const emailDuplicates = await executeQuery(`
-      SELECT email, COUNT(*) as count
-      FROM contacts
-      WHERE email IS NOT NULL AND email != ''
-      GROUP BY email
-      HAVING COUNT(*) > 1
+      SELECT MIN(e.email) as email, COUNT(DISTINCT e.contact_id) as count
+      FROM contact_emails e
+      JOIN contacts c ON c.id = e.contact_id AND c.deleted_at IS NULL
+      WHERE e.email_hash IS NOT NULL
+      GROUP BY e.email_hash
+      HAVING COUNT(DISTINCT e.contact_id) > 1
       ORDER BY count DESC
     `);
     
@@ -356,15 +428,15 @@ const getDuplicateStats = async () => {
     const nameDuplicates = await executeQuery(`
       SELECT first_name, last_name, COUNT(*) as count
       FROM contacts
-      WHERE first_name IS NOT NULL AND first_name != ''
+      WHERE first_name IS NOT NULL AND first_name != '' AND deleted_at IS NULL
       GROUP BY first_name, last_name
       HAVING COUNT(*) > 1
       ORDER BY count DESC
     `);
     
     return {
-      phoneDuplicates: phoneDuplicates.rows,
-      emailDuplicates: emailDuplicates.rows,
+      phoneDuplicates: phoneDuplicates.rows.map(row => ({ ...row, phone_number: decryptValue(row.phone_number) })),
+      emailDuplicates: emailDuplicates.rows.map(row => ({ ...row, email: decryptValue(row.email).toLowerCase() })),
       nameDuplicates: nameDuplicates.rows,
       totalPotentialDuplicates: phoneDuplicates.rows.length + emailDuplicates.rows.length + nameDuplicates.rows.length
     };
@@ -379,6 +451,7 @@ module.exports = {
   detectDuplicates,
   mergeContacts,
   getDuplicateStats,
+  scoreDuplicates,
   calculateSimilarity,
   arePhoneNumbersSimilar,
   areNamesSimilar,
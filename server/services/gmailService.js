@@ -31,16 +31,19 @@ const getGmailContacts = async (accessToken) => {
     
     const contacts = [];
     
+    // Get the user's own contact groups (system groups such as "starred" are skipped)
+    const groups = await getGmailContactGroups(people);
+    
     // Get contacts from Gmail
     const response = await people.people.connections.list({
       resourceName: 'people/me',
       pageSize: 1000,
-      personFields: 'names,emailAddresses,phoneNumbers'
+      personFields: 'names,emailAddresses,phoneNumbers,addresses,organizations,birthdays,memberships'
     });
     
     if (response.data.connections) {
       for (const person of response.data.connections) {
-        const contact = parseGmailContact(person);
+        const contact = parseGmailContact(person, groups);
         if (contact) {
           contacts.push(contact);
         }
@@ -55,14 +58,53 @@ const getGmailContacts = async (accessToken) => {
   }
 };
 
-// Parse Gmail contact data
-const parseGmailContact = (person) => {
+// Get the user-created contact groups, keyed by resource name (e.g. "contactGroups/1a2b")
+const getGmailContactGroups = async (people) => {
+  const groups = new Map();
+  let pageToken;
+  
+  do {
+    const response = await people.contactGroups.list({ pageSize: 1000, pageToken });
+    
+    for (const group of response.data.contactGroups || []) {
+      if (group.groupType === 'USER_CONTACT_GROUP' && group.name) {
+        groups.set(group.resourceName, group.formattedName || group.name);
+      }
+    }
+    
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  
+  return groups;
+};
+
+// Map a People API type (e.g. "mobile", "workFax") onto our phone/email labels
+const mapGmailLabel = (type, allowed) => {
+  const lowerType = (type || '').toLowerCase();
+  
+  if (allowed.includes('fax') && lowerType.includes('fax')) return 'fax';
+  if (allowed.includes('mobile') && lowerType.includes('mobile')) return 'mobile';
+  if (lowerType.includes('work')) return 'work';
+  if (lowerType.includes('home')) return 'home';
+  
+  return 'other';
+};
+
+// Parse Gmail contact data (`groups` maps contact group resource names to their names)
+const parseGmailContact = (person, groups = new Map()) => {
   try {
     const contact = {
       firstName: '',
       lastName: '',
       email: '',
-      phoneNumber: ''
+      phoneNumber: '',
+      phones: [],
+      emails: [],
+      addresses: [],
+      dates: [],
+      lists: [],
+      organizationName: '',
+      jobTitle: ''
     };
     
     // Parse name
@@ -77,6 +119,16 @@ const parseGmailContact = (person) => {
       // Prefer primary email or first email
       const primaryEmail = person.emailAddresses.find(email => email.metadata?.primary) || person.emailAddresses[0];
       contact.email = primaryEmail.value || '';
+      
+      // Keep every address, not just the primary one
+      contact.emails = person.emailAddresses
+        .filter(email => email.value)
+        .map(email => ({
+          email: email.value,
+          label: mapGmailLabel(email.type, ['work', 'home', 'other']),
+          is_primary: email === primaryEmail,
+          is_verified: Boolean(email.metadata?.verified)
+        }));
     }
     
     // Parse phone numbers
@@ -89,6 +141,56 @@ const parseGmailContact = (person) => {
       ) || person.phoneNumbers[0];
       
       contact.phoneNumber = mobilePhone.canonicalForm || mobilePhone.value || '';
+      
+      // Keep every number, not just the preferred one
+      contact.phones = person.phoneNumbers
+        .filter(phone => phone.canonicalForm || phone.value)
+        .map(phone => ({
+          phone_number: phone.canonicalForm || phone.value,
+          label: mapGmailLabel(phone.type, ['mobile', 'work', 'home', 'fax', 'other']),
+          is_primary: phone === mobilePhone,
+          is_verified: Boolean(phone.metadata?.verified)
+        }));
+    }
+    
+    // Parse postal addresses (extendedAddress holds the second street line)
+    if (person.addresses && person.addresses.length > 0) {
+      const primaryAddress = person.addresses.find(address => address.metadata?.primary) || person.addresses[0];
+      
+      contact.addresses = person.addresses.map(address => ({
+        label: mapGmailLabel(address.type, ['work', 'home', 'other']),
+        street: [address.streetAddress, address.extendedAddress].filter(Boolean).join(', '),
+        city: address.city || '',
+        state: address.region || '',
+        postal_code: address.postalCode || '',
+        country: address.country || address.countryCode || '',
+        is_primary: address === primaryAddress
+      }));
+    }
+    
+    // Parse birthday (a year of 0 or none means the year is unknown)
+    const birthday = (person.birthdays || []).filter(entry => entry.date?.month && entry.date?.day)
+      .sort((a, b) => Boolean(b.metadata?.primary) - Boolean(a.metadata?.primary))[0];
+    if (birthday) {
+      contact.dates = [{
+        type: 'birthday',
+        month: birthday.date.month,
+        day: birthday.date.day,
+        year: birthday.date.year || null
+      }];
+    }
+    
+    // Parse contact group memberships; each group becomes a static list
+    contact.lists = (person.memberships || [])
+      .map(membership => membership.contactGroupMembership?.contactGroupResourceName)
+      .filter(resourceName => groups.has(resourceName))
+      .map(resourceName => ({ name: groups.get(resourceName), external_id: resourceName }));
+    
+    // Parse company and job title
+    if (person.organizations && person.organizations.length > 0) {
+      const organization = person.organizations.find(org => org.metadata?.primary) || person.organizations[0];
+      contact.organizationName = organization.name || '';
+      contact.jobTitle = organization.title || '';
     }
     
     // Only return contact if we have at least a name or email
@@ -245,6 +347,7 @@ const getGmailAccountInfo = async (accessToken) => {
 module.exports = {
   importGmailContacts,
   getGmailContacts,
+  getGmailContactGroups,
   getGmailAuthUrl,
   exchangeCodeForTokens,
   refreshAccessToken,
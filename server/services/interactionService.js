@@ -0,0 +1,179 @@
+// Contact interactions (activity timeline) service
+const { executeQuery, executeSingleQuery } = require('../utils/database');
+const { encryptValue, decryptValue } = require('../utils/encryption');
+const { toTimestamp } = require('../utils/timestamps');
+
+const INTERACTION_TYPES = ['call', 'meeting', 'email', 'message', 'note'];
+
+// Types that count as having been in touch with the contact (notes do not)
+const CONTACT_TYPES = INTERACTION_TYPES.filter(type => type !== 'note');
+
+// Free-text columns stored encrypted
+const ENCRYPTED_INTERACTION_FIELDS = ['subject', 'body', 'follow_up_note'];
+
+// Columns written from a request payload
+const EDITABLE_FIELDS = ['type', 'occurred_at', 'subject', 'body', 'outcome', 'follow_up_at', 'follow_up_note'];
+
+const mapInteractionRow = (row) => {
+  const interaction = { ...row, username: row.username || null };
+  for (const field of ENCRYPTED_INTERACTION_FIELDS) {
+    interaction[field] = decryptValue(row[field]);
+  }
+  return interaction;
+};
+
+// Normalize a payload into column values; fields it leaves out keep their `existing` values
+const buildInteractionValues = (data, existing = {}) => {
+  const values = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    const value = data[field] !== undefined ? data[field] : existing[field];
+    values[field] = value === undefined || value === '' ? null : value;
+  }
+
+  values.occurred_at = toTimestamp(values.occurred_at) || toTimestamp(new Date());
+  values.follow_up_at = toTimestamp(values.follow_up_at);
+
+  return values;
+};
+
+// Get one interaction of a contact (null when it does not exist)
+const getInteraction = async (contactId, interactionId) => {
+  const result = await executeQuery(
+    `SELECT i.*, u.username
+     FROM interactions i
+     LEFT JOIN users u ON u.id = i.user_id
+     WHERE i.contact_id = ? AND i.id = ?`,
+    [contactId, interactionId]
+  );
+  return result.rows.length > 0 ? mapInteractionRow(result.rows[0]) : null;
+};
+
+// List a contact's timeline, most recent first, optionally limited to some types
+const listInteractions = async (contactId, { types = [], limit = 50, offset = 0 } = {}) => {
+  const conditions = ['i.contact_id = ?'];
+  const params = [contactId];
+
+  if (types.length > 0) {
+    conditions.push(`i.type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const countResult = await executeQuery(`SELECT COUNT(*) as total FROM interactions i ${whereClause}`, params);
+
+  const result = await executeQuery(
+    `SELECT i.*, u.username
+     FROM interactions i
+     LEFT JOIN users u ON u.id = i.user_id
+     ${whereClause}
+     ORDER BY i.occurred_at DESC, i.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    interactions: result.rows.map(mapInteractionRow),
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+// Add an interaction to a contact's timeline
+const createInteraction = async (contactId, data, userId = null) => {
+  const values = buildInteractionValues(data);
+
+  const result = await executeSingleQuery(
+    `INSERT INTO interactions (
+      contact_id, type, occurred_at, subject, body, outcome, follow_up_at, follow_up_note, user_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      contactId, values.type, values.occurred_at, encryptValue(values.subject), encryptValue(values.body),
+      values.outcome, values.follow_up_at, encryptValue(values.follow_up_note), userId
+    ]
+  );
+
+  return getInteraction(contactId, result.insertId);
+};
+
+// Update an interaction; fields missing from `data` are left unchanged
+const updateInteraction = async (existing, data) => {
+  const values = buildInteractionValues(data, existing);
+
+  await executeSingleQuery(
+    `UPDATE interactions SET
+      type = ?, occurred_at = ?, subject = ?, body = ?, outcome = ?,
+      follow_up_at = ?, follow_up_note = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?`,
+    [
+      values.type, values.occurred_at, encryptValue(values.subject), encryptValue(values.body), values.outcome,
+      values.follow_up_at, encryptValue(values.follow_up_note), existing.id
+    ]
+  );
+
+  return getInteraction(existing.contact_id, existing.id);
+};
+
+// Delete an interaction; returns whether it existed
+const deleteInteraction = async (contactId, interactionId) => {
+  const result = await executeSingleQuery(
+    'DELETE FROM interactions WHERE contact_id = ? AND id = ?',
+    [contactId, interactionId]
+  );
+  return result.rowCount > 0;
+};
+
+// Copy one contact's timeline onto another
+const copyInteractions = async (fromContactId, toContactId) => {
+  await executeSingleQuery(
+    `INSERT INTO interactions (
+      contact_id, type, occurred_at, subject, body, outcome, follow_up_at, follow_up_note,
+      user_id, created_at, updated_at
+    )
+    SELECT CAST(? AS INTEGER), type, occurred_at, subject, body, outcome, follow_up_at, follow_up_note,
+      user_id, created_at, updated_at
+    FROM interactions WHERE contact_id = ?
+    ORDER BY id`,
+    [toContactId, fromContactId]
+  );
+};
+
+// Attach the derived last_contacted_at (latest call, meeting, email or message that has
+// already happened) to a list of contact rows
+const attachLastContacted = async (contacts) => {
+  if (contacts.length === 0) return contacts;
+
+  const ids = contacts.map(contact => contact.id);
+  const result = await executeQuery(
+    `SELECT contact_id, MAX(occurred_at) as last_contacted_at
+     FROM interactions
+     WHERE contact_id IN (${ids.map(() => '?').join(', ')})
+       AND type IN (${CONTACT_TYPES.map(() => '?').join(', ')})
+       AND occurred_at <= CURRENT_TIMESTAMP
+     GROUP BY contact_id`,
+    [...ids, ...CONTACT_TYPES]
+  );
+
+  const lastContacted = {};
+  for (const row of result.rows) {
+    lastContacted[row.contact_id] = row.last_contacted_at;
+  }
+
+  return contacts.map(contact => ({
+    ...contact,
+    last_contacted_at: lastContacted[contact.id] || null
+  }));
+};
+
+module.exports = {
+  INTERACTION_TYPES,
+  CONTACT_TYPES,
+  ENCRYPTED_INTERACTION_FIELDS,
+  getInteraction,
+  listInteractions,
+  createInteraction,
+  updateInteraction,
+  deleteInteraction,
+  copyInteractions,
+  attachLastContacted
+};
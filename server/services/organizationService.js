@@ -0,0 +1,114 @@
+// Organizations service
+const { executeQuery, executeSingleQuery, getDialect } = require('../utils/database');
+
+// Find an organization by name (case-insensitive)
+const findOrganizationByName = async (name) => {
+  const result = await executeQuery(
+    `SELECT * FROM organizations WHERE ${getDialect().equalsIgnoreCase('name')}`,
+    [name.trim()]
+  );
+  return result.rows[0] || null;
+};
+
+// Find an organization by name or create it when missing
+const findOrCreateOrganization = async (name, details = {}, userId = null) => {
+  if (!name || !name.trim()) return null;
+
+  const existing = await findOrganizationByName(name);
+  if (existing) return existing;
+
+  const result = await executeSingleQuery(
+    `INSERT INTO organizations (name, domain, industry, address, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      name.trim(),
+      details.domain || null,
+      details.industry || null,
+      details.address || null,
+      details.notes || null,
+      userId
+    ]
+  );
+
+  const created = await executeQuery('SELECT * FROM organizations WHERE id = ?', [result.insertId]);
+  return created.rows[0];
+};
+
+// Link a contact to an organization (updates the job title if already linked)
+const linkContactToOrganization = async (contactId, organizationId, jobTitle = null) => {
+  await executeSingleQuery(
+    `INSERT INTO contact_organizations (contact_id, organization_id, job_title)
+     VALUES (?, ?, ?)
+     ON CONFLICT(contact_id, organization_id) DO UPDATE SET job_title = excluded.job_title`,
+    [contactId, organizationId, jobTitle || null]
+  );
+};
+
+// Remove the link between a contact and an organization
+const unlinkContactFromOrganization = async (contactId, organizationId) => {
+  const result = await executeSingleQuery(
+    'DELETE FROM contact_organizations WHERE contact_id = ? AND organization_id = ?',
+    [contactId, organizationId]
+  );
+  return result.rowCount > 0;
+};
+
+// Replace all organization links of a contact.
+// Entries are { organization_id, job_title } or { name, job_title } (created on demand).
+const setContactOrganizations = async (contactId, entries, userId = null) => {
+  await executeSingleQuery('DELETE FROM contact_organizations WHERE contact_id = ?', [contactId]);
+
+  for (const entry of entries || []) {
+    let organizationId = entry.organization_id;
+
+    if (!organizationId && entry.name) {
+      const organization = await findOrCreateOrganization(entry.name, {}, userId);
+      organizationId = organization.id;
+    }
+
+    if (organizationId) {
+      await linkContactToOrganization(contactId, organizationId, entry.job_title);
+    }
+  }
+};
+
+// Attach organization memberships to a list of contact rows
+const attachOrganizations = async (contacts) => {
+  if (contacts.length === 0) return contacts;
+
+  const ids = contacts.map(contact => contact.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT co.contact_id, co.job_title, o.id, o.name, o.domain
+     FROM contact_organizations co
+     JOIN organizations o ON o.id = co.organization_id
+     WHERE co.contact_id IN (${placeholders})
+     ORDER BY o.name`,
+    ids
+  );
+
+  const grouped = {};
+  for (const row of result.rows) {
+    if (!grouped[row.contact_id]) grouped[row.contact_id] = [];
+    grouped[row.contact_id].push({
+      organization_id: row.id,
+      name: row.name,
+      domain: row.domain,
+      job_title: row.job_title
+    });
+  }
+
+  return contacts.map(contact => ({
+    ...contact,
+    organizations: grouped[contact.id] || []
+  }));
+};
+
+module.exports = {
+  findOrganizationByName,
+  findOrCreateOrganization,
+  linkContactToOrganization,
+  unlinkContactFromOrganization,
+  setContactOrganizations,
+  attachOrganizations
+};
@@ -0,0 +1,183 @@
+// Relationship type taxonomy service
+const { executeQuery, executeSingleQuery } = require('../utils/database');
+
+const FALLBACK_DEFAULT_TYPE = 'Other';
+
+// Used only until the taxonomy has been loaded from the database
+const FALLBACK_TYPES = [
+  { id: null, name: 'Client', parent_id: null, keywords: ['client', 'customer'], is_default: false },
+  { id: null, name: 'Vendor', parent_id: null, keywords: ['vendor', 'supplier'], is_default: false },
+  { id: null, name: 'Lead', parent_id: null, keywords: ['lead', 'prospect'], is_default: false },
+  { id: null, name: 'Partner', parent_id: null, keywords: ['partner', 'associate'], is_default: false },
+  { id: null, name: 'Other', parent_id: null, keywords: [], is_default: true }
+];
+
+// In-memory copy of the taxonomy so synchronous parsers can use it
+let cachedTypes = null;
+
+// Parse the stored keywords column
+const parseKeywords = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Normalize keywords into a lowercase, de-duplicated list
+const normalizeKeywords = (keywords) => {
+  const list = typeof keywords === 'string' ? keywords.split(',') : (keywords || []);
+  return [...new Set(list.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))];
+};
+
+const mapTypeRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  parent_id: row.parent_id,
+  keywords: parseKeywords(row.keywords),
+  sort_order: row.sort_order,
+  is_default: Boolean(row.is_default),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Load the taxonomy from the database (cached until invalidated)
+const loadRelationshipTypes = async (refresh = false) => {
+  if (cachedTypes && !refresh) return cachedTypes;
+
+  const result = await executeQuery(
+    'SELECT * FROM relationship_types ORDER BY sort_order, name'
+  );
+  cachedTypes = result.rows.map(mapTypeRow);
+  return cachedTypes;
+};
+
+// Drop the cached taxonomy after it has been changed
+const invalidateRelationshipTypes = () => {
+  cachedTypes = null;
+};
+
+// Get the taxonomy synchronously (falls back to the built-in list before the first load)
+const getCachedRelationshipTypes = () => cachedTypes || FALLBACK_TYPES;
+
+// Name of the type used when nothing else matches
+const getDefaultRelationshipType = (types = getCachedRelationshipTypes()) => {
+  const defaultType = types.find(type => type.is_default);
+  return defaultType ? defaultType.name : FALLBACK_DEFAULT_TYPE;
+};
+
+// Find the canonical name of a type from a case-insensitive name match
+const findRelationshipTypeName = (name, types = getCachedRelationshipTypes()) => {
+  if (!name) return null;
+  const lowerName = String(name).trim().toLowerCase();
+  const match = types.find(type => type.name.toLowerCase() === lowerName);
+  return match ? match.name : null;
+};
+
+// Detect a relationship type from free text using each type's keywords.
+// Subtypes are checked before top-level types so the most specific match wins.
+const detectRelationshipType = (text, types = getCachedRelationshipTypes()) => {
+  if (!text) return getDefaultRelationshipType(types);
+
+  const lowerText = text.toLowerCase();
+  const ordered = [
+    ...types.filter(type => type.parent_id),
+    ...types.filter(type => !type.parent_id)
+  ];
+
+  for (const type of ordered) {
+    if (type.keywords.some(keyword => lowerText.includes(keyword))) {
+      return type.name;
+    }
+  }
+
+  return getDefaultRelationshipType(types);
+};
+
+// Resolve a value from an import (exact type name or free text) to a type name
+const resolveRelationshipType = (value, types = getCachedRelationshipTypes()) => {
+  return findRelationshipTypeName(value, types) || detectRelationshipType(value, types);
+};
+
+// Check whether a name is a known relationship type
+const isValidRelationshipType = async (name) => {
+  const types = await loadRelationshipTypes();
+  return Boolean(findRelationshipTypeName(name, types));
+};
+
+// Get a single type by ID
+const getRelationshipTypeById = async (id) => {
+  const result = await executeQuery('SELECT * FROM relationship_types WHERE id = ?', [id]);
+  return result.rows[0] ? mapTypeRow(result.rows[0]) : null;
+};
+
+// Move every contact from one type name to another
+const reassignContacts = async (fromName, toName) => {
+  const result = await executeSingleQuery(
+    `UPDATE contacts SET relationship_type = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE relationship_type = ?`,
+    [toName, fromName]
+  );
+  return result.rowCount;
+};
+
+// Merge source types into a target type: contacts are reassigned, keywords combined,
+// subtypes re-parented and the source types removed
+const mergeRelationshipTypes = async (target, sources) => {
+  let reassigned = 0;
+  let keywords = [...target.keywords];
+  // Keep the taxonomy two levels deep when the target is itself a subtype
+  const newParentId = target.parent_id || target.id;
+
+  for (const source of sources) {
+    reassigned += await reassignContacts(source.name, target.name);
+    keywords = keywords.concat(source.keywords);
+
+    await executeSingleQuery(
+      'UPDATE relationship_types SET parent_id = ? WHERE parent_id = ? AND id != ?',
+      [newParentId, source.id, target.id]
+    );
+    await executeSingleQuery('DELETE FROM relationship_types WHERE id = ?', [source.id]);
+  }
+
+  await executeSingleQuery(
+    'UPDATE relationship_types SET keywords = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [JSON.stringify(normalizeKeywords(keywords)), target.id]
+  );
+
+  invalidateRelationshipTypes();
+  return reassigned;
+};
+
+// Delete a type after moving its contacts to another type.
+// Subtypes move up to the deleted type's parent.
+const deleteRelationshipType = async (type, replacement) => {
+  const reassigned = await reassignContacts(type.name, replacement.name);
+
+  await executeSingleQuery(
+    'UPDATE relationship_types SET parent_id = ? WHERE parent_id = ?',
+    [type.parent_id, type.id]
+  );
+  await executeSingleQuery('DELETE FROM relationship_types WHERE id = ?', [type.id]);
+
+  invalidateRelationshipTypes();
+  return reassigned;
+};
+
+module.exports = {
+  normalizeKeywords,
+  loadRelationshipTypes,
+  invalidateRelationshipTypes,
+  getCachedRelationshipTypes,
+  getDefaultRelationshipType,
+  findRelationshipTypeName,
+  detectRelationshipType,
+  resolveRelationshipType,
+  isValidRelationshipType,
+  getRelationshipTypeById,
+  reassignContacts,
+  mergeRelationshipTypes,
+  deleteRelationshipType
+};
@@ -0,0 +1,321 @@
+// Contact revision history service
+const { executeQuery, executeSingleQuery, insertMany, withTransaction } = require('../utils/database');
+const {
+  getPrimaryValue,
+  saveContactPhones,
+  saveContactEmails,
+  attachContactMethods
+} = require('./contactMethods');
+const { ADDRESS_PARTS, saveContactAddresses, attachAddresses } = require('./addressService');
+const { saveContactDates, attachDates } = require('./contactDateService');
+const { setContactOrganizations, attachOrganizations } = require('./organizationService');
+const { resolveTagIds, setContactTags, attachTags } = require('./tagService');
+const { loadFieldDefinitions, saveCustomFieldValues, attachCustomFields } = require('./customFieldService');
+const { bumpContactVersions } = require('./contactVersionService');
+const { encryptValue, decryptValue, textSearchTokens } = require('../utils/encryption');
+
+// Contact columns recorded in every snapshot
+const SCALAR_FIELDS = [
+  'first_name', 'last_name', 'relationship_type', 'data_owner', 'source', 'status', 'notes'
+];
+
+// Related data recorded in every snapshot
+const LIST_FIELDS = ['phones', 'emails', 'addresses', 'dates', 'organizations', 'tags', 'custom_fields'];
+
+const TRACKED_FIELDS = [...SCALAR_FIELDS, ...LIST_FIELDS];
+
+// Parse an (encrypted) JSON column, falling back when it is empty or malformed
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(decryptValue(value)) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Build a comparable snapshot from an enriched contact
+const buildSnapshot = (contact) => {
+  const snapshot = {};
+
+  for (const field of SCALAR_FIELDS) {
+    snapshot[field] = contact[field] === undefined || contact[field] === '' ? null : contact[field];
+  }
+
+  snapshot.phones = (contact.phones || []).map(({ phone_number, label, is_primary, is_verified }) => (
+    { phone_number, label, is_primary: Boolean(is_primary), is_verified: Boolean(is_verified) }
+  ));
+  snapshot.emails = (contact.emails || []).map(({ email, label, is_primary, is_verified }) => (
+    { email, label, is_primary: Boolean(is_primary), is_verified: Boolean(is_verified) }
+  ));
+  snapshot.addresses = (contact.addresses || []).map(address => {
+    const entry = { label: address.label };
+    ADDRESS_PARTS.forEach(part => { entry[part] = address[part] || null; });
+    entry.is_primary = Boolean(address.is_primary);
+    return entry;
+  });
+  snapshot.dates = (contact.dates || []).map(({ type, label, month, day, year }) => (
+    { type, label: label || null, month, day, year: year || null }
+  ));
+  snapshot.organizations = (contact.organizations || []).map(({ organization_id, name, job_title }) => (
+    { organization_id, name, job_title: job_title || null }
+  ));
+  snapshot.tags = (contact.tags || []).map(tag => tag.name).sort();
+  snapshot.custom_fields = { ...(contact.custom_fields || {}) };
+
+  return snapshot;
+};
+
+// Load the current snapshot of a contact (null when it does not exist)
+const loadContactSnapshot = async (contactId) => {
+  const result = await executeQuery('SELECT * FROM contacts WHERE id = ?', [contactId]);
+  if (result.rows.length === 0) return null;
+
+  let contacts = await attachContactMethods(result.rows);
+  contacts = await attachAddresses(contacts);
+  contacts = await attachDates(contacts);
+  contacts = await attachOrganizations(contacts);
+  contacts = await attachTags(contacts);
+  contacts = await attachCustomFields(contacts);
+
+  return buildSnapshot(contacts[0]);
+};
+
+// Field-level diff between two snapshots: { field: { old, new } } for every changed field
+const diffSnapshots = (before, after) => {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const oldValue = before ? before[field] : null;
+    const newValue = after ? after[field] : null;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { old: oldValue === undefined ? null : oldValue, new: newValue === undefined ? null : newValue };
+    }
+  }
+
+  return changes;
+};
+
+const insertRevision = async ({ contactId, action, changes, snapshot, note = null, userId = null }) => {
+  const numberResult = await executeQuery(
+    'SELECT COALESCE(MAX(revision_number), 0) + 1 as next FROM contact_revisions WHERE contact_id = ?',
+    [contactId]
+  );
+  const revisionNumber = numberResult.rows[0].next;
+
+  const result = await executeSingleQuery(
+    `INSERT INTO contact_revisions (contact_id, revision_number, action, changes, snapshot, note, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    // Changes and snapshots hold phone numbers, emails and notes, so they are encrypted like the contact
+    [
+      contactId, revisionNumber, action,
+      encryptValue(JSON.stringify(changes)), encryptValue(JSON.stringify(snapshot)),
+      note, userId
+    ]
+  );
+
+  return { id: result.insertId, revision_number: revisionNumber, action, changes };
+};
+
+// Record a revision for a change from `before` to `after` (before is null for a create)
+// and bump the contact's version. Nothing is recorded when no tracked field changed.
+// Contacts that predate revision tracking first get a baseline revision holding their
+// previous state.
+const recordRevision = async ({ contactId, action, before = null, after, note = null, userId = null }) => {
+  const changes = diffSnapshots(before, after);
+  if (action !== 'create' && Object.keys(changes).length === 0) return null;
+
+  if (before) {
+    const existing = await executeQuery(
+      'SELECT COUNT(*) as count FROM contact_revisions WHERE contact_id = ?',
+      [contactId]
+    );
+    if (existing.rows[0].count === 0) {
+      await insertRevision({
+        contactId,
+        action: 'baseline',
+        changes: {},
+        snapshot: before,
+        note: 'State before revision history was recorded'
+      });
+    }
+  }
+
+  // Every recorded change moves the contact on to its next version
+  if (action !== 'create') {
+    await bumpContactVersions([contactId]);
+  }
+
+  return insertRevision({ contactId, action, changes, snapshot: after, note, userId });
+};
+
+// Record contacts moving to or from the trash ('trash' or 'restore'). No tracked field
+// changes, so each revision holds just the snapshot; the trash service moves the
+// version on with the same statement that moves the contacts.
+const recordTrashRevisions = async (contactIds, action, { note = null, userId = null } = {}) => {
+  for (const contactId of contactIds) {
+    const snapshot = await loadContactSnapshot(contactId);
+    if (snapshot) await insertRevision({ contactId, action, changes: {}, snapshot, note, userId });
+  }
+};
+
+// Record the create revisions of newly inserted (enriched) contacts in one batch
+const recordCreateRevisions = async (contacts, userId = null) => {
+  const rows = contacts.map(contact => {
+    const snapshot = buildSnapshot(contact);
+    return [
+      contact.id, 1, 'create',
+      encryptValue(JSON.stringify(diffSnapshots(null, snapshot))), encryptValue(JSON.stringify(snapshot)),
+      null, userId
+    ];
+  });
+
+  await insertMany(
+    'contact_revisions',
+    ['contact_id', 'revision_number', 'action', 'changes', 'snapshot', 'note', 'user_id'],
+    rows
+  );
+};
+
+const mapRevisionRow = (row) => ({
+  id: row.id,
+  contact_id: row.contact_id,
+  revision_number: row.revision_number,
+  action: row.action,
+  changes: parseJson(row.changes, {}),
+  note: row.note,
+  user_id: row.user_id,
+  username: row.username || null,
+  created_at: row.created_at
+});
+
+// List a contact's revisions, newest first
+const getContactRevisions = async (contactId) => {
+  const result = await executeQuery(
+    `SELECT r.*, u.username
+     FROM contact_revisions r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.contact_id = ?
+     ORDER BY r.revision_number DESC`,
+    [contactId]
+  );
+  return result.rows.map(mapRevisionRow);
+};
+
+// Get one revision of a contact including its snapshot
+const getRevision = async (contactId, revisionId) => {
+  const result = await executeQuery(
+    `SELECT r.*, u.username
+     FROM contact_revisions r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.contact_id = ? AND r.id = ?`,
+    [contactId, revisionId]
+  );
+  if (result.rows.length === 0) return null;
+
+  return {
+    ...mapRevisionRow(result.rows[0]),
+    snapshot: parseJson(result.rows[0].snapshot, {})
+  };
+};
+
+// Write a snapshot back onto a contact. With `expectedVersion` nothing is written unless the
+// contact is still at that version (and not in the trash); returns whether it was written.
+const applySnapshot = async (contactId, snapshot, userId = null, expectedVersion = null) => {
+  const phones = snapshot.phones || [];
+  const emails = snapshot.emails || [];
+
+  const result = await executeSingleQuery(
+    `UPDATE contacts SET
+      first_name = ?, last_name = ?, phone_number = ?, email = ?,
+      relationship_type = ?, data_owner = ?, source = ?, status = ?,
+      notes = ?, search_tokens = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? ${expectedVersion === null ? '' : 'AND version = ? AND deleted_at IS NULL'}`,
+    [
+      snapshot.first_name, snapshot.last_name, encryptValue(getPrimaryValue(phones, 'phone_number')),
+      encryptValue(getPrimaryValue(emails, 'email')), snapshot.relationship_type, snapshot.data_owner,
+      snapshot.source, snapshot.status, encryptValue(snapshot.notes), textSearchTokens(snapshot.notes), contactId,
+      ...(expectedVersion === null ? [] : [expectedVersion])
+    ]
+  );
+  if (result.rowCount === 0) return false;
+
+  await saveContactPhones(contactId, phones);
+  await saveContactEmails(contactId, emails);
+
+  // Revisions recorded before addresses or dates existed leave those stored lists alone
+  if (snapshot.addresses) {
+    await saveContactAddresses(contactId, snapshot.addresses);
+  }
+  if (snapshot.dates) {
+    await saveContactDates(contactId, snapshot.dates);
+  }
+
+  // Organizations that have since been deleted are recreated by name
+  const organizationIds = (snapshot.organizations || []).map(entry => entry.organization_id).filter(Boolean);
+  const existingOrganizations = organizationIds.length > 0
+    ? await executeQuery(
+      `SELECT id FROM organizations WHERE id IN (${organizationIds.map(() => '?').join(', ')})`,
+      organizationIds
+    )
+    : { rows: [] };
+  const existingIds = existingOrganizations.rows.map(row => row.id);
+  await setContactOrganizations(
+    contactId,
+    (snapshot.organizations || []).map(entry => (existingIds.includes(entry.organization_id)
+      ? { organization_id: entry.organization_id, job_title: entry.job_title }
+      : { name: entry.name, job_title: entry.job_title })),
+    userId
+  );
+
+  await setContactTags(contactId, await resolveTagIds(snapshot.tags || [], userId));
+
+  // Every active custom field is set to its snapshot value (or cleared)
+  const definitions = await loadFieldDefinitions();
+  const values = {};
+  for (const definition of definitions) {
+    const value = (snapshot.custom_fields || {})[definition.field_key];
+    values[definition.field_key] = value === undefined || value === null ? null : String(value);
+  }
+  await saveCustomFieldValues(contactId, values, definitions);
+  return true;
+};
+
+// Restore a contact to the state recorded in one of its revisions, in one transaction
+// so a failure part way leaves neither a half-applied contact nor a missing revision.
+// With `expectedVersion` the contact must still be at that version, or nothing changes
+// and { conflict: true } is returned. Returns { revision } (null when the contact already
+// matched the revision).
+const revertToRevision = async (contactId, revision, userId = null, expectedVersion = null) => {
+  return withTransaction(async () => {
+    const before = await loadContactSnapshot(contactId);
+
+    if (!await applySnapshot(contactId, revision.snapshot, userId, expectedVersion)) {
+      return { conflict: true };
+    }
+
+    const after = await loadContactSnapshot(contactId);
+    const recorded = await recordRevision({
+      contactId,
+      action: 'revert',
+      before,
+      after,
+      note: `Reverted to revision ${revision.revision_number}`,
+      userId
+    });
+    return { revision: recorded };
+  });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  buildSnapshot,
+  loadContactSnapshot,
+  diffSnapshots,
+  recordRevision,
+  recordCreateRevisions,
+  recordTrashRevisions,
+  getContactRevisions,
+  getRevision,
+  revertToRevision
+};
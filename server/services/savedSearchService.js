@@ -0,0 +1,167 @@
+// Saved searches (smart lists): named contact list options evaluated live
+const { executeQuery, executeSingleQuery, getDialect } = require('../utils/database');
+const { normalizeListFilters, buildContactSort, buildContactQuery, countContacts } = require('./contactListService');
+
+const SEARCH_VISIBILITIES = ['private', 'shared'];
+
+// Parse a JSON column, falling back when it is empty or malformed
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Shape a saved_searches row for API responses
+const mapSearchRow = (row) => ({
+  ...row,
+  filters: parseJson(row.filters, {}),
+  show_on_dashboard: Boolean(row.show_on_dashboard)
+});
+
+// Check the filter expression and sort of a definition by compiling them.
+// Returns validation errors in the express-validator shape (empty when valid).
+const validateDefinition = async ({ filters, sort }) => {
+  const errors = [];
+
+  const query = await buildContactQuery(normalizeListFilters(filters || {}), 'body');
+  if (query.errors) {
+    errors.push(...query.errors.map(error => ({ ...error, path: `filters.${error.path}` })));
+  }
+
+  const sortCheck = buildContactSort(sort);
+  if (sortCheck.error) {
+    errors.push({ type: 'field', location: 'body', path: 'sort', value: sort, msg: sortCheck.error });
+  }
+
+  return errors;
+};
+
+const SEARCH_SELECT = `
+  SELECT s.*, u.username as owner_username
+  FROM saved_searches s
+  LEFT JOIN users u ON u.id = s.owner_id
+`;
+
+// Saved searches a user can see: their own and every shared one
+const listSavedSearches = async (userId) => {
+  const result = await executeQuery(
+    `${SEARCH_SELECT}
+     WHERE s.owner_id = ? OR s.visibility = 'shared'
+     ORDER BY s.name ASC, s.id ASC`,
+    [userId]
+  );
+
+  return result.rows.map(mapSearchRow);
+};
+
+// Get a saved search the user can see (null when missing or private to someone else)
+const getSavedSearch = async (id, userId) => {
+  const result = await executeQuery(
+    `${SEARCH_SELECT}
+     WHERE s.id = ? AND (s.owner_id = ? OR s.visibility = 'shared')`,
+    [id, userId]
+  );
+
+  return result.rows.length > 0 ? mapSearchRow(result.rows[0]) : null;
+};
+
+// Find a user's saved search by name, ignoring case (optionally excluding one ID)
+const findSavedSearchByName = async (name, ownerId, excludeId = null) => {
+  const result = await executeQuery(
+    `SELECT id FROM saved_searches
+     WHERE owner_id = ? AND ${getDialect().equalsIgnoreCase('name')} ${excludeId ? 'AND id != ?' : ''}`,
+    excludeId ? [ownerId, String(name).trim(), excludeId] : [ownerId, String(name).trim()]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Create a saved search owned by `userId`
+const createSavedSearch = async (data, userId) => {
+  const result = await executeSingleQuery(
+    `INSERT INTO saved_searches (
+      name, description, filters, sort, visibility, show_on_dashboard, owner_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      data.name.trim(),
+      data.description || null,
+      JSON.stringify(normalizeListFilters(data.filters || {})),
+      data.sort || null,
+      data.visibility || 'private',
+      data.show_on_dashboard ? 1 : 0,
+      userId
+    ]
+  );
+
+  return getSavedSearch(result.insertId, userId);
+};
+
+// Update a saved search; fields left out keep their value
+const updateSavedSearch = async (existing, data) => {
+  const merged = {
+    name: data.name !== undefined ? data.name.trim() : existing.name,
+    description: data.description !== undefined ? data.description || null : existing.description,
+    filters: data.filters !== undefined ? normalizeListFilters(data.filters) : existing.filters,
+    sort: data.sort !== undefined ? data.sort || null : existing.sort,
+    visibility: data.visibility !== undefined ? data.visibility : existing.visibility,
+    show_on_dashboard: data.show_on_dashboard !== undefined ? Boolean(data.show_on_dashboard) : existing.show_on_dashboard
+  };
+
+  await executeSingleQuery(
+    `UPDATE saved_searches SET
+      name = ?, description = ?, filters = ?, sort = ?, visibility = ?,
+      show_on_dashboard = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?`,
+    [
+      merged.name, merged.description, JSON.stringify(merged.filters), merged.sort,
+      merged.visibility, merged.show_on_dashboard ? 1 : 0, existing.id
+    ]
+  );
+
+  return getSavedSearch(existing.id, existing.owner_id);
+};
+
+// Delete a saved search
+const deleteSavedSearch = async (id) => {
+  await executeSingleQuery('DELETE FROM saved_searches WHERE id = ?', [id]);
+};
+
+// The current number of contacts a saved search matches (null when its definition no
+// longer compiles)
+const countSavedSearch = async (search) => {
+  const result = await countContacts(search.filters, 'body');
+  return result.errors ? null : result.total;
+};
+
+// Current counts of the saved searches a user can see that are shown on the dashboard
+const getDashboardCounts = async (userId) => {
+  const searches = (await listSavedSearches(userId)).filter(search => search.show_on_dashboard);
+  const counts = [];
+
+  for (const search of searches) {
+    counts.push({
+      id: search.id,
+      name: search.name,
+      visibility: search.visibility,
+      owner_username: search.owner_username,
+      count: await countSavedSearch(search)
+    });
+  }
+
+  return counts;
+};
+
+module.exports = {
+  SEARCH_VISIBILITIES,
+  validateDefinition,
+  listSavedSearches,
+  getSavedSearch,
+  findSavedSearchByName,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  countSavedSearch,
+  getDashboardCounts
+};
@@ -0,0 +1,214 @@
+// Static contact lists: named groups with hand-picked members
+const { executeQuery, executeSingleQuery, insertMany, withTransaction, getDialect } = require('../utils/database');
+
+// Most contacts a single add/remove request may name (keeps each statement well within
+// SQLite's limit of 999 bound parameters)
+const MAX_MEMBERS_PER_REQUEST = 500;
+
+// Lists with their number of members (contacts in the trash are not counted)
+const LIST_SELECT = `
+  SELECT l.*, u.username as created_by_username, COUNT(c.id) as member_count
+  FROM static_lists l
+  LEFT JOIN users u ON u.id = l.created_by
+  LEFT JOIN static_list_members m ON m.list_id = l.id
+  LEFT JOIN contacts c ON c.id = m.contact_id AND c.deleted_at IS NULL
+`;
+const LIST_GROUP_BY = 'GROUP BY l.id, u.username';
+
+const mapListRow = (row) => ({ ...row, member_count: parseInt(row.member_count) });
+
+// Get all lists, by name
+const listStaticLists = async () => {
+  const result = await executeQuery(`${LIST_SELECT} ${LIST_GROUP_BY} ORDER BY l.name ASC, l.id ASC`);
+  return result.rows.map(mapListRow);
+};
+
+// Get a list by ID (null when missing)
+const getStaticList = async (id) => {
+  const result = await executeQuery(`${LIST_SELECT} WHERE l.id = ? ${LIST_GROUP_BY}`, [id]);
+  return result.rows.length > 0 ? mapListRow(result.rows[0]) : null;
+};
+
+// Find a list by name, ignoring case (optionally excluding one ID)
+const findStaticListByName = async (name, excludeId = null) => {
+  const result = await executeQuery(
+    `SELECT * FROM static_lists
+     WHERE ${getDialect().equalsIgnoreCase('name')} ${excludeId ? 'AND id != ?' : ''}`,
+    excludeId ? [String(name).trim(), excludeId] : [String(name).trim()]
+  );
+  return result.rows[0] || null;
+};
+
+// Create a list
+const createStaticList = async ({ name, description = null, source = null, external_id = null }, userId = null) => {
+  const result = await executeSingleQuery(
+    `INSERT INTO static_lists (name, description, source, external_id, created_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [String(name).trim(), description || null, source, external_id, userId]
+  );
+  return getStaticList(result.insertId);
+};
+
+// Rename a list or change its description; fields left out keep their value
+const updateStaticList = async (existing, data) => {
+  await executeSingleQuery(
+    `UPDATE static_lists SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      data.name !== undefined ? data.name.trim() : existing.name,
+      data.description !== undefined ? data.description || null : existing.description,
+      existing.id
+    ]
+  );
+  return getStaticList(existing.id);
+};
+
+// Delete a list (its memberships go with it; the contacts are kept)
+const deleteStaticList = async (id) => {
+  await executeSingleQuery('DELETE FROM static_lists WHERE id = ?', [id]);
+};
+
+// Find the list for an imported group, creating it when missing. A group is matched by its
+// external ID within its source first (so a renamed group keeps its list), then by name.
+const findOrCreateStaticList = async ({ name, external_id = null }, { source = null, userId = null } = {}) => {
+  if (external_id && source) {
+    const result = await executeQuery(
+      'SELECT * FROM static_lists WHERE source = ? AND external_id = ?',
+      [source, external_id]
+    );
+    if (result.rows[0]) return result.rows[0];
+  }
+
+  const existing = await findStaticListByName(name);
+  if (existing) return existing;
+
+  return createStaticList({ name, source, external_id }, userId);
+};
+
+// Split contact IDs into those of non-trashed contacts and those not found
+const findActiveContactIds = async (contactIds) => {
+  const ids = [...new Set(contactIds.map(Number))];
+  const result = await executeQuery(
+    `SELECT id FROM contacts WHERE id IN (${ids.map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+    ids
+  );
+
+  const found = new Set(result.rows.map(row => Number(row.id)));
+  return {
+    found: ids.filter(id => found.has(id)),
+    notFound: ids.filter(id => !found.has(id))
+  };
+};
+
+// IDs of the given contacts that are members of a list
+const findMemberIds = async (listId, contactIds) => {
+  if (contactIds.length === 0) return [];
+
+  const result = await executeQuery(
+    `SELECT contact_id FROM static_list_members
+     WHERE list_id = ? AND contact_id IN (${contactIds.map(() => '?').join(', ')})`,
+    [listId, ...contactIds]
+  );
+  return result.rows.map(row => Number(row.contact_id));
+};
+
+// Add contacts to a list. Returns the IDs that were added, that were already members and
+// that do not match a contact (missing or in the trash).
+const addListMembers = async (listId, contactIds, userId = null) => {
+  return withTransaction(async () => {
+    const { found, notFound } = await findActiveContactIds(contactIds);
+    const members = new Set(await findMemberIds(listId, found));
+    const added = found.filter(id => !members.has(id));
+
+    await insertMany(
+      'static_list_members',
+      ['list_id', 'contact_id', 'added_by'],
+      added.map(contactId => [listId, contactId, userId])
+    );
+
+    if (added.length > 0) {
+      await executeSingleQuery('UPDATE static_lists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [listId]);
+    }
+
+    return { added, already_members: found.filter(id => members.has(id)), not_found: notFound };
+  });
+};
+
+// Remove contacts from a list. Returns the IDs that were removed and those that were not
+// members.
+const removeListMembers = async (listId, contactIds) => {
+  return withTransaction(async () => {
+    const ids = [...new Set(contactIds.map(Number))];
+    const removed = await findMemberIds(listId, ids);
+
+    if (removed.length > 0) {
+      await executeSingleQuery(
+        `DELETE FROM static_list_members
+         WHERE list_id = ? AND contact_id IN (${removed.map(() => '?').join(', ')})`,
+        [listId, ...removed]
+      );
+      await executeSingleQuery('UPDATE static_lists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [listId]);
+    }
+
+    return { removed, not_members: ids.filter(id => !removed.includes(id)) };
+  });
+};
+
+// Attach list memberships to a list of contact rows
+const attachLists = async (contacts) => {
+  if (contacts.length === 0) return contacts;
+
+  const ids = contacts.map(contact => contact.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT m.contact_id, l.id, l.name
+     FROM static_list_members m
+     JOIN static_lists l ON l.id = m.list_id
+     WHERE m.contact_id IN (${placeholders})
+     ORDER BY l.name`,
+    ids
+  );
+
+  const grouped = {};
+  for (const row of result.rows) {
+    if (!grouped[row.contact_id]) grouped[row.contact_id] = [];
+    grouped[row.contact_id].push({ id: row.id, name: row.name });
+  }
+
+  return contacts.map(contact => ({
+    ...contact,
+    lists: grouped[contact.id] || []
+  }));
+};
+
+// Build a contacts WHERE condition matching the members of a list
+const buildListFilter = (listId) => ({
+  condition: 'id IN (SELECT contact_id FROM static_list_members WHERE list_id = ?)',
+  params: [listId]
+});
+
+// Add one contact to every list another contact belongs to
+const copyListMemberships = async (fromContactId, toContactId) => {
+  await executeSingleQuery(
+    `INSERT INTO static_list_members (list_id, contact_id, added_by)
+     SELECT list_id, ?, added_by FROM static_list_members WHERE contact_id = ?
+     ON CONFLICT DO NOTHING`,
+    [toContactId, fromContactId]
+  );
+};
+
+module.exports = {
+  MAX_MEMBERS_PER_REQUEST,
+  listStaticLists,
+  getStaticList,
+  findStaticListByName,
+  createStaticList,
+  updateStaticList,
+  deleteStaticList,
+  findOrCreateStaticList,
+  addListMembers,
+  removeListMembers,
+  attachLists,
+  buildListFilter,
+  copyListMemberships
+};
@@ -0,0 +1,179 @@
+// Contact tags service
+const { executeQuery, executeSingleQuery, getDialect, withTransaction } = require('../utils/database');
+const { bumpContactVersionsWhere } = require('./contactVersionService');
+
+const DEFAULT_TAG_COLOR = '#9e9e9e';
+const TAG_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Parse a tag list given as an array, a JSON string or a comma-separated string
+const parseTagList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        return [];
+      }
+    }
+    return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  return [value];
+};
+
+// Find a tag by name (case-insensitive)
+const findTagByName = async (name) => {
+  const result = await executeQuery(
+    `SELECT * FROM tags WHERE ${getDialect().equalsIgnoreCase('name')}`,
+    [String(name).trim()]
+  );
+  return result.rows[0] || null;
+};
+
+// Resolve tag references (IDs or names) to tag IDs, creating unknown names
+const resolveTagIds = async (refs, userId = null) => {
+  const tagIds = [];
+
+  for (const ref of parseTagList(refs)) {
+    let tagId = null;
+
+    if (typeof ref === 'number' || /^\d+$/.test(String(ref))) {
+      const result = await executeQuery('SELECT id FROM tags WHERE id = ?', [ref]);
+      tagId = result.rows[0] ? result.rows[0].id : null;
+    } else if (String(ref).trim()) {
+      const existing = await findTagByName(ref);
+      if (existing) {
+        tagId = existing.id;
+      } else {
+        const created = await executeSingleQuery(
+          'INSERT INTO tags (name, color, created_by) VALUES (?, ?, ?)',
+          [String(ref).trim(), DEFAULT_TAG_COLOR, userId]
+        );
+        tagId = created.insertId;
+      }
+    }
+
+    if (tagId && !tagIds.includes(tagId)) tagIds.push(tagId);
+  }
+
+  return tagIds;
+};
+
+// Add tags to a contact (existing links are kept)
+const addTagsToContact = async (contactId, tagIds) => {
+  for (const tagId of tagIds) {
+    await executeSingleQuery(
+      'INSERT INTO contact_tags (contact_id, tag_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+      [contactId, tagId]
+    );
+  }
+};
+
+// Remove tags from a contact
+const removeTagsFromContact = async (contactId, tagIds) => {
+  if (tagIds.length === 0) return;
+
+  await executeSingleQuery(
+    `DELETE FROM contact_tags WHERE contact_id = ? AND tag_id IN (${tagIds.map(() => '?').join(', ')})`,
+    [contactId, ...tagIds]
+  );
+};
+
+// Replace all tags of a contact
+const setContactTags = async (contactId, tagIds) => {
+  await executeSingleQuery('DELETE FROM contact_tags WHERE contact_id = ?', [contactId]);
+  await addTagsToContact(contactId, tagIds);
+};
+
+// Attach tags to a list of contact rows
+const attachTags = async (contacts) => {
+  if (contacts.length === 0) return contacts;
+
+  const ids = contacts.map(contact => contact.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT ct.contact_id, t.id, t.name, t.color
+     FROM contact_tags ct
+     JOIN tags t ON t.id = ct.tag_id
+     WHERE ct.contact_id IN (${placeholders})
+     ORDER BY t.name`,
+    ids
+  );
+
+  const grouped = {};
+  for (const row of result.rows) {
+    if (!grouped[row.contact_id]) grouped[row.contact_id] = [];
+    grouped[row.contact_id].push({ id: row.id, name: row.name, color: row.color });
+  }
+
+  return contacts.map(contact => ({
+    ...contact,
+    tags: grouped[contact.id] || []
+  }));
+};
+
+// Build a contacts WHERE condition for a tag filter.
+// mode "any" matches contacts with at least one of the tags, "all" requires every tag.
+const buildTagFilter = (tagIds, mode = 'any') => {
+  const placeholders = tagIds.map(() => '?').join(', ');
+
+  if (mode === 'all') {
+    return {
+      condition: `id IN (
+        SELECT contact_id FROM contact_tags WHERE tag_id IN (${placeholders})
+        GROUP BY contact_id HAVING COUNT(DISTINCT tag_id) = ?
+      )`,
+      params: [...tagIds, tagIds.length]
+    };
+  }
+
+  return {
+    condition: `id IN (SELECT contact_id FROM contact_tags WHERE tag_id IN (${placeholders}))`,
+    params: tagIds
+  };
+};
+
+// Merge source tags into a target tag: contacts are re-tagged (moving on to a new
+// version) and the sources deleted
+const mergeTags = async (targetTagId, sourceTagIds) => {
+  const sources = sourceTagIds.filter(id => String(id) !== String(targetTagId));
+  if (sources.length === 0) return 0;
+
+  const placeholders = sources.map(() => '?').join(', ');
+
+  return withTransaction(async () => {
+    await bumpContactVersionsWhere(`SELECT contact_id FROM contact_tags WHERE tag_id IN (${placeholders})`, sources);
+
+    await executeSingleQuery(
+      `INSERT INTO contact_tags (contact_id, tag_id)
+       SELECT contact_id, ? FROM contact_tags WHERE tag_id IN (${placeholders})
+       ON CONFLICT DO NOTHING`,
+      [targetTagId, ...sources]
+    );
+
+    const result = await executeSingleQuery(
+      `DELETE FROM tags WHERE id IN (${placeholders})`,
+      sources
+    );
+
+    return result.rowCount;
+  });
+};
+
+module.exports = {
+  DEFAULT_TAG_COLOR,
+  TAG_COLOR_PATTERN,
+  parseTagList,
+  findTagByName,
+  resolveTagIds,
+  addTagsToContact,
+  removeTagsFromContact,
+  setContactTags,
+  attachTags,
+  buildTagFilter,
+  mergeTags
+};
@@ -0,0 +1,406 @@
+// Contact tasks service: follow-up tasks, recurrence and the reminder/overdue scheduler
+const { executeQuery, executeSingleQuery, withTransaction } = require('../utils/database');
+const { encryptValue, decryptValue } = require('../utils/encryption');
+const { toTimestamp, fromTimestamp } = require('../utils/timestamps');
+
+const TASK_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const TASK_STATUSES = ['open', 'in_progress', 'overdue', 'done', 'cancelled'];
+const TASK_RECURRENCES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Statuses of tasks that still need doing
+const OPEN_STATUSES = ['open', 'in_progress', 'overdue'];
+
+const DEFAULT_SCHEDULER_INTERVAL_MINUTES = 5;
+
+// Columns written from a request payload
+const EDITABLE_FIELDS = [
+  'contact_id', 'title', 'description', 'assignee_id', 'priority', 'status',
+  'due_at', 'remind_at', 'recurrence', 'recurrence_interval'
+];
+
+let schedulerTimer = null;
+
+// Minutes between scheduler runs (TASK_SCHEDULER_INTERVAL_MINUTES, 0 disables it)
+const getSchedulerIntervalMinutes = () => {
+  const minutes = parseFloat(process.env.TASK_SCHEDULER_INTERVAL_MINUTES);
+  return Number.isNaN(minutes) || minutes < 0 ? DEFAULT_SCHEDULER_INTERVAL_MINUTES : minutes;
+};
+
+const placeholdersFor = (values) => values.map(() => '?').join(', ');
+
+const TASK_SELECT = `
+  SELECT t.*, u.username as assignee_username, c.first_name as contact_first_name, c.last_name as contact_last_name
+  FROM tasks t
+  JOIN contacts c ON c.id = t.contact_id AND c.deleted_at IS NULL
+  LEFT JOIN users u ON u.id = t.assignee_id
+`;
+
+const mapTaskRow = (row) => ({
+  ...row,
+  description: decryptValue(row.description),
+  assignee_username: row.assignee_username || null
+});
+
+// Move a timestamp forward by a number of recurrence periods. Monthly and yearly steps
+// keep the day of the month, clamped to the length of the target month.
+const advanceByRecurrence = (date, recurrence, interval = 1) => {
+  const next = new Date(date.getTime());
+
+  if (recurrence === 'daily' || recurrence === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + interval * (recurrence === 'weekly' ? 7 : 1));
+    return next;
+  }
+
+  const months = interval * (recurrence === 'yearly' ? 12 : 1);
+  const day = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, daysInMonth));
+  return next;
+};
+
+// Normalize a payload into column values; fields it leaves out keep their `existing` values
+const buildTaskValues = (data, existing = {}) => {
+  const values = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    const value = data[field] !== undefined ? data[field] : existing[field];
+    values[field] = value === undefined || value === '' ? null : value;
+  }
+
+  values.priority = values.priority || 'normal';
+  values.status = values.status || 'open';
+  values.due_at = toTimestamp(values.due_at);
+  values.remind_at = toTimestamp(values.remind_at);
+  values.recurrence_interval = values.recurrence ? parseInt(values.recurrence_interval, 10) || 1 : 1;
+
+  return values;
+};
+
+// Get a task by ID (null when it does not exist or its contact is in the trash)
+const getTask = async (id) => {
+  const result = await executeQuery(`${TASK_SELECT} WHERE t.id = ?`, [id]);
+  return result.rows.length > 0 ? mapTaskRow(result.rows[0]) : null;
+};
+
+// Build the WHERE clause for task filters. `view` narrows to 'overdue' tasks (open and
+// past their due date) or tasks 'due_today' between `dayStart` and `dayEnd`.
+const buildTaskFilter = ({ assigneeId, contactId, status, priority, view, now = new Date(), dayStart, dayEnd } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (assigneeId) {
+    conditions.push('t.assignee_id = ?');
+    params.push(assigneeId);
+  }
+
+  if (contactId) {
+    conditions.push('t.contact_id = ?');
+    params.push(contactId);
+  }
+
+  const statuses = status ? String(status).split(',').map(value => value.trim()).filter(Boolean) : [];
+  if (statuses.length > 0) {
+    conditions.push(`t.status IN (${placeholdersFor(statuses)})`);
+    params.push(...statuses);
+  }
+
+  if (priority) {
+    conditions.push('t.priority = ?');
+    params.push(priority);
+  }
+
+  if (view === 'overdue' || view === 'due_today') {
+    conditions.push(`t.status IN (${placeholdersFor(OPEN_STATUSES)})`);
+    params.push(...OPEN_STATUSES);
+  }
+
+  if (view === 'overdue') {
+    conditions.push('t.due_at < ?');
+    params.push(toTimestamp(now));
+  }
+
+  if (view === 'due_today') {
+    conditions.push('t.due_at >= ? AND t.due_at < ?');
+    params.push(toTimestamp(dayStart), toTimestamp(dayEnd));
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// List tasks matching the filters, soonest due first (urgent before low on the same time)
+const listTasks = async (filters = {}, { limit = 50, offset = 0 } = {}) => {
+  const { whereClause, params } = buildTaskFilter(filters);
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) as total
+     FROM tasks t
+     JOIN contacts c ON c.id = t.contact_id AND c.deleted_at IS NULL
+     ${whereClause}`,
+    params
+  );
+
+  const result = await executeQuery(
+    `${TASK_SELECT}
+     ${whereClause}
+     ORDER BY t.due_at ASC,
+       CASE t.priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 ELSE 3 END,
+       t.id ASC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    tasks: result.rows.map(mapTaskRow),
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+const insertTask = async (values, userId) => {
+  const result = await executeSingleQuery(
+    `INSERT INTO tasks (
+      contact_id, title, description, assignee_id, priority, status, status_before_overdue,
+      due_at, remind_at, recurrence, recurrence_interval, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      values.contact_id, values.title, encryptValue(values.description), values.assignee_id, values.priority,
+      values.status, values.status === 'overdue' ? 'open' : null, values.due_at, values.remind_at,
+      values.recurrence, values.recurrence_interval, userId
+    ]
+  );
+  return result.insertId;
+};
+
+// Create a task (assigned to its creator unless an assignee is given)
+const createTask = async (data, userId = null) => {
+  const values = buildTaskValues({ assignee_id: userId, ...data });
+
+  // A task created with a due date in the past starts out overdue
+  if (values.status === 'open' && values.due_at < toTimestamp(new Date())) {
+    values.status = 'overdue';
+  }
+
+  return getTask(await insertTask(values, userId));
+};
+
+// Create the next occurrence of a completed recurring task: due one period after the
+// completed one (skipping periods that have already passed), reminder shifted alike
+const createNextOccurrence = async (task, userId) => {
+  const now = new Date();
+  const due = fromTimestamp(task.due_at);
+  const remindOffset = task.remind_at ? due.getTime() - fromTimestamp(task.remind_at).getTime() : null;
+
+  // Counted from the completed due date so month-end days do not drift (Jan 31, Feb 28, Mar 31)
+  let periods = 1;
+  let nextDue = advanceByRecurrence(due, task.recurrence, task.recurrence_interval);
+  while (nextDue <= now) {
+    periods++;
+    nextDue = advanceByRecurrence(due, task.recurrence, task.recurrence_interval * periods);
+  }
+
+  const values = buildTaskValues({
+    status: 'open',
+    due_at: nextDue,
+    remind_at: remindOffset === null ? null : new Date(nextDue.getTime() - remindOffset)
+  }, task);
+
+  return getTask(await insertTask(values, userId));
+};
+
+// Update a task; fields missing from `data` are left unchanged. Completing it (status
+// 'done') records completed_at and, for a recurring task, creates the next occurrence.
+// Returns { task, next }.
+const updateTask = async (existing, data, userId = null) => {
+  const values = buildTaskValues(data, existing);
+  const now = toTimestamp(new Date());
+
+  // Overdue follows the due date while the task is not closed. It keeps the status it
+  // replaced (open or in progress), which comes back once the due date moves on.
+  const replacedStatus = existing.status === 'overdue' ? existing.status_before_overdue : existing.status;
+  let statusBeforeOverdue = replacedStatus === 'in_progress' ? 'in_progress' : 'open';
+  if (values.status === 'overdue' && values.due_at >= now) {
+    values.status = statusBeforeOverdue;
+  } else if (values.status === 'open' && values.due_at < now) {
+    values.status = 'overdue';
+    statusBeforeOverdue = 'open';
+  }
+  if (values.status !== 'overdue') statusBeforeOverdue = null;
+
+  // A new reminder time (or due date when there is none) gets its reminder sent again
+  const reminderTime = values.remind_at || values.due_at;
+  const resetReminder = reminderTime !== (existing.remind_at || existing.due_at);
+
+  const completing = values.status === 'done' && existing.status !== 'done';
+  const completedAt = values.status === 'done' ? existing.completed_at || now : null;
+
+  return withTransaction(async () => {
+    await executeSingleQuery(
+      `UPDATE tasks SET
+        contact_id = ?, title = ?, description = ?, assignee_id = ?, priority = ?, status = ?,
+        status_before_overdue = ?, due_at = ?, remind_at = ?, recurrence = ?, recurrence_interval = ?,
+        reminded_at = ${resetReminder ? 'NULL' : 'reminded_at'}, completed_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`,
+      [
+        values.contact_id, values.title, encryptValue(values.description), values.assignee_id, values.priority,
+        values.status, statusBeforeOverdue, values.due_at, values.remind_at, values.recurrence,
+        values.recurrence_interval, completedAt, existing.id
+      ]
+    );
+
+    const task = await getTask(existing.id);
+    const next = completing && task.recurrence ? await createNextOccurrence(task, userId) : null;
+
+    return { task, next };
+  });
+};
+
+// Delete a task; returns whether it existed
+const deleteTask = async (id) => {
+  const result = await executeSingleQuery('DELETE FROM tasks WHERE id = ?', [id]);
+  return result.rowCount > 0;
+};
+
+// Record a scheduler event ('overdue' or 'reminder') as a notification for the task's
+// assignee, or its creator when nobody is assigned
+const notifyTask = async (task, type) => {
+  const userId = task.assignee_id || task.created_by;
+  if (!userId) return;
+
+  await executeSingleQuery(
+    'INSERT INTO task_notifications (task_id, user_id, type) VALUES (?, ?, ?)',
+    [task.id, userId, type]
+  );
+};
+
+// Mark open tasks that are past due as overdue and send out reminders that are due, each
+// as a notification. Every change is claimed with a conditional UPDATE in the same
+// transaction as its notification, so each is delivered once even when several servers
+// share the database. An overdue notice stands in for a reminder that is due by then, so
+// a task never gets both at once. Returns the number of each.
+const runTaskScheduler = async (now = new Date()) => {
+  const timestamp = toTimestamp(now);
+  let overdue = 0;
+  let reminders = 0;
+
+  const pastDue = await executeQuery(
+    `${TASK_SELECT} WHERE t.status IN ('open', 'in_progress') AND t.due_at < ? ORDER BY t.due_at`,
+    [timestamp]
+  );
+  for (const row of pastDue.rows) {
+    const claimed = await withTransaction(async () => {
+      const result = await executeSingleQuery(
+        `UPDATE tasks SET status = 'overdue', status_before_overdue = status,
+           reminded_at = CASE WHEN reminded_at IS NULL AND COALESCE(remind_at, due_at) <= ? THEN ? ELSE reminded_at END,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status IN ('open', 'in_progress')`,
+        [timestamp, timestamp, row.id]
+      );
+      if (result.rowCount > 0) await notifyTask(row, 'overdue');
+      return result.rowCount > 0;
+    });
+    if (claimed) overdue++;
+  }
+
+  const dueReminders = await executeQuery(
+    `${TASK_SELECT}
+     WHERE t.status IN (${placeholdersFor(OPEN_STATUSES)})
+       AND t.reminded_at IS NULL AND COALESCE(t.remind_at, t.due_at) <= ?
+     ORDER BY t.due_at`,
+    [...OPEN_STATUSES, timestamp]
+  );
+  for (const row of dueReminders.rows) {
+    const claimed = await withTransaction(async () => {
+      const result = await executeSingleQuery(
+        'UPDATE tasks SET reminded_at = ? WHERE id = ? AND reminded_at IS NULL',
+        [timestamp, row.id]
+      );
+      if (result.rowCount > 0) await notifyTask(row, 'reminder');
+      return result.rowCount > 0;
+    });
+    if (claimed) reminders++;
+  }
+
+  return { overdue, reminders };
+};
+
+// List a user's task notifications, newest first (only unread ones with `unreadOnly`).
+// Notifications of tasks whose contact is in the trash are left out.
+const listTaskNotifications = async (userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) => {
+  const from = `
+    FROM task_notifications n
+    JOIN tasks t ON t.id = n.task_id
+    JOIN contacts c ON c.id = t.contact_id AND c.deleted_at IS NULL
+    WHERE n.user_id = ?`;
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) as total, COUNT(*) - COUNT(n.read_at) as unread ${from}`,
+    [userId]
+  );
+  const result = await executeQuery(
+    `SELECT n.id, n.type, n.created_at, n.read_at, n.task_id, t.title, t.priority, t.status, t.due_at,
+       t.contact_id, c.first_name as contact_first_name, c.last_name as contact_last_name
+     ${from} ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+     ORDER BY n.created_at DESC, n.id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, limit, offset]
+  );
+
+  return {
+    notifications: result.rows,
+    total: parseInt(countResult.rows[0][unreadOnly ? 'unread' : 'total']),
+    unread: parseInt(countResult.rows[0].unread)
+  };
+};
+
+// Mark a user's notifications read (the given IDs, or all of them); returns how many changed
+const markTaskNotificationsRead = async (userId, ids = null) => {
+  const idFilter = ids ? `AND id IN (${placeholdersFor(ids)})` : '';
+  const result = await executeSingleQuery(
+    `UPDATE task_notifications SET read_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND read_at IS NULL ${idFilter}`,
+    [userId, ...(ids || [])]
+  );
+  return result.rowCount;
+};
+
+// Run the task scheduler now and then periodically while the server runs
+const startTaskScheduler = () => {
+  const intervalMinutes = getSchedulerIntervalMinutes();
+  if (schedulerTimer || !intervalMinutes) return;
+
+  const runScheduler = async () => {
+    try {
+      const { overdue, reminders } = await runTaskScheduler();
+      if (overdue > 0 || reminders > 0) {
+        console.log(`⏰ ${overdue} task(s) marked overdue, ${reminders} reminder(s) sent`);
+      }
+    } catch (error) {
+      console.error('Task scheduler error:', error);
+    }
+  };
+
+  runScheduler();
+  schedulerTimer = setInterval(runScheduler, intervalMinutes * 60 * 1000);
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  TASK_RECURRENCES,
+  OPEN_STATUSES,
+  advanceByRecurrence,
+  getTask,
+  listTasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  runTaskScheduler,
+  startTaskScheduler,
+  listTaskNotifications,
+  markTaskNotificationsRead
+};
@@ -0,0 +1,127 @@
+// Contact trash: soft deletion, restore and purging
+const { executeQuery, executeSingleQuery, withTransaction, getDialect } = require('../utils/database');
+const { recordTrashRevisions } = require('./revisionService');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+let purgeTimer = null;
+
+// Days a deleted contact stays in the trash (TRASH_RETENTION_DAYS, 0 disables auto-purge)
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+const placeholdersFor = (ids) => ids.map(() => '?').join(', ');
+
+// IDs among `ids` of contacts that are (or are not) in the trash
+const selectByTrashState = async (ids, trashed) => {
+  const result = await executeQuery(
+    `SELECT id FROM contacts WHERE id IN (${placeholdersFor(ids)}) AND deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`,
+    ids
+  );
+  return result.rows.map(row => Number(row.id));
+};
+
+// Move contacts to the trash (a new version and a 'trash' revision for each); returns how
+// many moved
+const softDeleteContacts = async (ids, userId, note = null) => {
+  if (ids.length === 0) return 0;
+
+  return withTransaction(async () => {
+    const moving = await selectByTrashState(ids, false);
+    if (moving.length === 0) return 0;
+
+    const result = await executeSingleQuery(
+      `UPDATE contacts SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, version = version + 1
+       WHERE id IN (${placeholdersFor(moving)}) AND deleted_at IS NULL`,
+      [userId, ...moving]
+    );
+    await recordTrashRevisions(moving, 'trash', { note, userId });
+    return result.rowCount;
+  });
+};
+
+// Bring contacts back from the trash (a new version and a 'restore' revision for each);
+// returns how many came back
+const restoreContacts = async (ids, userId = null, note = null) => {
+  if (ids.length === 0) return 0;
+
+  return withTransaction(async () => {
+    const moving = await selectByTrashState(ids, true);
+    if (moving.length === 0) return 0;
+
+    const result = await executeSingleQuery(
+      `UPDATE contacts SET deleted_at = NULL, deleted_by = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (${placeholdersFor(moving)}) AND deleted_at IS NOT NULL`,
+      moving
+    );
+    await recordTrashRevisions(moving, 'restore', { note, userId });
+    return result.rowCount;
+  });
+};
+
+// Permanently delete contacts that are in the trash (all of them when no IDs are given)
+const purgeContacts = async (ids = null) => {
+  if (ids && ids.length === 0) return 0;
+
+  const result = ids
+    ? await executeSingleQuery(
+      `DELETE FROM contacts WHERE id IN (${placeholdersFor(ids)}) AND deleted_at IS NOT NULL`,
+      ids
+    )
+    : await executeSingleQuery('DELETE FROM contacts WHERE deleted_at IS NOT NULL');
+  return result.rowCount;
+};
+
+// Permanently delete contacts that have been in the trash longer than the retention period
+const purgeExpiredContacts = async (retentionDays = getRetentionDays()) => {
+  if (!retentionDays) return 0;
+
+  const result = await executeSingleQuery(
+    `DELETE FROM contacts
+     WHERE deleted_at IS NOT NULL AND deleted_at <= ${getDialect().dateTime("'now'", '?')}`,
+    [`-${retentionDays} days`]
+  );
+  return result.rowCount;
+};
+
+// Get a trashed contact row by ID
+const getTrashedContact = async (id) => {
+  const result = await executeQuery(
+    'SELECT * FROM contacts WHERE id = ? AND deleted_at IS NOT NULL',
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Purge expired contacts now and then periodically while the server runs
+const startTrashPurgeSchedule = () => {
+  if (purgeTimer) return;
+
+  const runPurge = async () => {
+    try {
+      const purged = await purgeExpiredContacts();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} contact(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  runPurge();
+  purgeTimer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+};
+
+module.exports = {
+  getRetentionDays,
+  softDeleteContacts,
+  restoreContacts,
+  purgeContacts,
+  purgeExpiredContacts,
+  getTrashedContact,
+  startTrashPurgeSchedule
+};
@@ -1,11 +1,46 @@
 // Zoho CRM integration service
 const axios = require('axios');
+const {
+  loadRelationshipTypes,
+  detectRelationshipType,
+  getDefaultRelationshipType
+} = require('./relationshipTypeService');
 
 // Zoho API configuration
 const ZOHO_API_BASE = 'https://www.zohoapis.com/crm/v3';
 const ZOHO_AUTH_URL = 'https://accounts.zoho.com/oauth/v2/auth';
 const ZOHO_TOKEN_URL = 'https://accounts.zoho.com/oauth/v2/token';
 
+// Contact fields requested from the Zoho API
+const ZOHO_CONTACT_FIELDS = [
+  'First_Name', 'Last_Name', 'Email', 'Secondary_Email',
+  'Phone', 'Mobile', 'Home_Phone', 'Other_Phone', 'Asst_Phone', 'Fax',
+  'Account_Name', 'Title', 'Lead_Source', 'Lead_Status',
+  'Mailing_Street', 'Mailing_City', 'Mailing_State', 'Mailing_Zip', 'Mailing_Country',
+  'Other_Street', 'Other_City', 'Other_State', 'Other_Zip', 'Other_Country'
+].join(',');
+
+// Zoho phone and email fields mapped onto our labels, in order of preference for the primary entry
+const ZOHO_PHONE_FIELDS = [
+  { field: 'Phone', label: 'work' },
+  { field: 'Mobile', label: 'mobile' },
+  { field: 'Home_Phone', label: 'home' },
+  { field: 'Other_Phone', label: 'other' },
+  { field: 'Asst_Phone', label: 'other' },
+  { field: 'Fax', label: 'fax' }
+];
+const ZOHO_EMAIL_FIELDS = [
+  { field: 'Email', label: 'work' },
+  { field: 'Secondary_Email', label: 'other' }
+];
+
+// Zoho address field groups (e.g. Mailing_Street, Mailing_City, ...) mapped onto our labels,
+// the first one present becoming the primary address
+const ZOHO_ADDRESS_FIELDS = [
+  { prefix: 'Mailing', label: 'mailing' },
+  { prefix: 'Other', label: 'other' }
+];
+
 // Create Zoho API client
 const createZohoClient = (accessToken) => {
   return axios.create({
@@ -93,6 +128,7 @@ const refreshAccessToken = async (refreshToken) => {
 const getZohoContacts = async (accessToken) => {
   try {
     const client = createZohoClient(accessToken);
+    await loadRelationshipTypes();
     
     const contacts = [];
     let page = 1;
@@ -103,7 +139,7 @@ const getZohoContacts = async (accessToken) => {
         params: {
           page: page,
           per_page: 200,
-          fields: 'First_Name,Last_Name,Email,Phone,Account_Name,Lead_Source,Lead_Status'
+          fields: ZOHO_CONTACT_FIELDS
         }
       });
       
@@ -135,29 +171,43 @@ const getZohoContacts = async (accessToken) => {
 // Parse Zoho contact data
 const parseZohoContact = (contact) => {
   try {
+    const phones = ZOHO_PHONE_FIELDS
+      .filter(({ field }) => contact[field])
+      .map(({ field, label }, index) => ({ phone_number: contact[field], label, is_primary: index === 0 }));
+    const emails = ZOHO_EMAIL_FIELDS
+      .filter(({ field }) => contact[field])
+      .map(({ field, label }, index) => ({ email: contact[field], label, is_primary: index === 0 }));
+    const addresses = ZOHO_ADDRESS_FIELDS
+      .map(({ prefix, label }) => ({
+        label,
+        street: contact[`${prefix}_Street`] || '',
+        city: contact[`${prefix}_City`] || '',
+        state: contact[`${prefix}_State`] || '',
+        postal_code: contact[`${prefix}_Zip`] || '',
+        country: contact[`${prefix}_Country`] || ''
+      }))
+      .filter(address => address.street || address.city || address.state || address.postal_code || address.country)
+      .map((address, index) => ({ ...address, is_primary: index === 0 }));
+    
     const parsed = {
       firstName: contact.First_Name || '',
       lastName: contact.Last_Name || '',
-      email: contact.Email || '',
-      phoneNumber: contact.Phone || '',
-      relationshipType: 'Other',
-      accountName: contact.Account_Name || '',
+      email: emails.length > 0 ? emails[0].email : '',
+      phoneNumber: phones.length > 0 ? phones[0].phone_number : '',
+      phones,
+      emails,
+      addresses,
+      relationshipType: getDefaultRelationshipType(),
+      // Account_Name is a lookup ({ name, id }) in API v3, a plain string in older payloads
+      accountName: (contact.Account_Name && contact.Account_Name.name) || (typeof contact.Account_Name === 'string' ? contact.Account_Name : ''),
+      title: contact.Title || '',
       leadSource: contact.Lead_Source || '',
       leadStatus: contact.Lead_Status || ''
     };
     
-    // Determine relationship type based on lead source and status
+    // Determine relationship type from the lead source using the taxonomy keywords
     if (parsed.leadSource) {
-      const source = parsed.leadSource.toLowerCase();
-      if (source.includes('client') || source.includes('customer')) {
-        parsed.relationshipType = 'Client';
-      } else if (source.includes('vendor') || source.includes('supplier')) {
-        parsed.relationshipType = 'Vendor';
-      } else if (source.includes('lead') || source.includes('prospect')) {
-        parsed.relationshipType = 'Lead';
-      } else if (source.includes('partner')) {
-        parsed.relationshipType = 'Partner';
-      }
+      parsed.relationshipType = detectRelationshipType(parsed.leadSource);
     }
     
     // Only return contact if we have at least a name or email
@@ -280,11 +330,12 @@ const getZohoContactFields = async (accessToken) => {
 const searchZohoContacts = async (accessToken, searchTerm) => {
   try {
     const client = createZohoClient(accessToken);
+    await loadRelationshipTypes();
     
     const response = await client.get('/Contacts/search', {
       params: {
         word: searchTerm,
-        fields: 'First_Name,Last_Name,Email,Phone,Account_Name,Lead_Source,Lead_Status'
+        fields: ZOHO_CONTACT_FIELDS
       }
     });
     
@@ -310,10 +361,11 @@ const searchZohoContacts = async (accessToken, searchTerm) => {
 const getZohoContactById = async (accessToken, contactId) => {
   try {
     const client = createZohoClient(accessToken);
+    await loadRelationshipTypes();
     
     const response = await client.get(`/Contacts/${contactId}`, {
       params: {
-        fields: 'First_Name,Last_Name,Email,Phone,Account_Name,Lead_Source,Lead_Status,Description'
+        fields: `${ZOHO_CONTACT_FIELDS},Description`
       }
     });
     
@@ -0,0 +1,44 @@
+// CSV output helpers
+
+// Cells starting with these characters (even after spaces) are run as formulas by
+// spreadsheet software
+const FORMULA_PREFIX = /^\s*[=+\-@]|^[\t\r]/;
+
+// Plain numbers such as "-12.5" or "+91-98765-43210" start like formulas but cannot do
+// anything harmful, so they are left as they are. They may not hold whitespace, which
+// spreadsheet software skips before running the rest.
+const PLAIN_NUMBER = /^[+-]?\d[\d().-]*$/;
+
+// Byte order mark that makes spreadsheet software read a CSV file as UTF-8
+const CSV_BOM = '\ufeff';
+
+// Escape a single value for a CSV cell
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build one CSV line (with its line break) from a list of values
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Build a CSV document from rows, using `columns` as the header and field order
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  CSV_BOM,
+  escapeCsvValue,
+  toCsvLine,
+  toCsv
+};
@@ -1,113 +1,33 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { loadDialect } = require('./dialects');
 
-// Database file path
-const dbPath = path.join(__dirname, '../../database/ikf_phonebook.db');
+// Backend selected by DB_DIALECT (see utils/dialects)
+const dialect = loadDialect();
 
 // Create database connection
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('❌ Database connection failed:', err.message);
-  } else {
-    console.log('✅ Database connection successful');
-  }
-});
+const connection = dialect.openDatabase();
 
 // Test database connection
 const testConnection = async () => {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT 1', (err, row) => {
-      if (err) {
-        console.error('❌ Database connection failed:', err.message);
-        reject(err);
-      } else {
-        console.log('✅ Database connection successful');
-        resolve(true);
-      }
-    });
-  });
+  try {
+    await connection.execute('all', 'SELECT 1');
+    console.log(`✅ Database connection successful (${dialect.name})`);
+    return true;
+  } catch (err) {
+    console.error('❌ Database connection failed:', err.message);
+    throw err;
+  }
 };
 
-// Initialize database tables
+// Initialize database schema by applying pending migrations
 const initializeDatabase = async () => {
-  return new Promise((resolve, reject) => {
-    // Create users table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        role TEXT DEFAULT 'user',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `, (err) => {
-      if (err) {
-        console.error('❌ Users table creation failed:', err);
-        reject(err);
-        return;
-      }
-    });
-
-    // Create contacts table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS contacts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        first_name TEXT NOT NULL,
-        last_name TEXT,
-        phone_number TEXT NOT NULL,
-        email TEXT,
-        relationship_type TEXT DEFAULT 'Other',
-        data_owner TEXT,
-        source TEXT NOT NULL,
-        status TEXT DEFAULT 'Active',
-        notes TEXT,
-        created_by INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(phone_number, email)
-      )
-    `, (err) => {
-      if (err) {
-        console.error('❌ Contacts table creation failed:', err);
-        reject(err);
-        return;
-      }
-    });
-
-    // Create import_sessions table for tracking imports
-    db.run(`
-      CREATE TABLE IF NOT EXISTS import_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER,
-        source_type TEXT NOT NULL,
-        total_records INTEGER DEFAULT 0,
-        successful_imports INTEGER DEFAULT 0,
-        failed_imports INTEGER DEFAULT 0,
-        duplicates_found INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'pending',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        completed_at DATETIME
-      )
-    `, (err) => {
-      if (err) {
-        console.error('❌ Import sessions table creation failed:', err);
-        reject(err);
-        return;
-      }
-    });
+  // Required lazily because the migrator itself depends on this module
+  const { runMigrations } = require('./migrator');
 
-    // Create indexes for better performance
-    db.run('CREATE INDEX IF NOT EXISTS idx_contacts_phone ON contacts(phone_number)');
-    db.run('CREATE INDEX IF NOT EXISTS idx_contacts_email ON contacts(email)');
-    db.run('CREATE INDEX IF NOT EXISTS idx_contacts_owner ON contacts(data_owner)');
-    db.run('CREATE INDEX IF NOT EXISTS idx_contacts_type ON contacts(relationship_type)');
-    db.run('CREATE INDEX IF NOT EXISTS idx_contacts_source ON contacts(source)');
+  await connection.initialize();
 
-    console.log('✅ Database tables initialized successfully');
-    resolve();
-  });
+  const { applied, version } = await runMigrations();
+  console.log(`✅ Database schema at version ${version} (${applied.length} migration(s) applied)`);
 };
 
 // Connect to database
@@ -122,60 +42,177 @@ const connectDatabase = async () => {
   }
 };
 
-// Get database instance
-const getClient = () => db;
+// Get the dialect in use (name, column types, SQL helpers)
+const getDialect = () => dialect;
 
-// Execute query with error handling
-const executeQuery = async (query, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        console.error('Query execution error:', err);
-        reject(err);
-      } else {
-        resolve({ rows });
-      }
-    });
-  });
+// Get the driver's database instance (a sqlite3 Database or a pg Pool)
+const getClient = () => connection.client;
+
+// Drop every cached prepared statement (e.g. after the database file was replaced)
+const clearStatementCache = () => connection.clearStatementCache();
+
+// Queries inside an exclusive section (a transaction) find its context here and run on
+// its connection. With SQLite that connection is shared, so while one caller holds it
+// every other query waits; a pooled dialect gives the section a client of its own.
+const exclusiveContext = new AsyncLocalStorage();
+let exclusiveHolder = null;
+let runningQueries = 0;
+let idleWaiters = [];
+
+const waitForIdle = () => {
+  return runningQueries === 0 ? Promise.resolve() : new Promise(resolve => idleWaiters.push(resolve));
+};
+
+// Run a statement on the current section's connection or the shared one.
+// `method` is 'all' for statements returning rows and 'run' for the rest.
+const runStatement = async (method, query, params) => {
+  const context = exclusiveContext.getStore();
+  const outside = !context && !dialect.pooled;
+  if (outside) {
+    // No await between the check and the count, or a section could start in between
+    while (exclusiveHolder) {
+      await exclusiveHolder.released;
+    }
+    runningQueries++;
+  }
+
+  try {
+    const target = context && context.connection ? context.connection : connection;
+    const result = await target.execute(method, query, params);
+
+    return method === 'all'
+      ? { rows: result.rows }
+      : { rowCount: result.rowCount, insertId: result.insertId, rows: result.rows };
+  } catch (err) {
+    console.error('Query execution error:', err);
+    throw err;
+  } finally {
+    if (outside && --runningQueries === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  }
 };
 
+// Execute query with error handling
+const executeQuery = async (query, params = []) => runStatement('all', query, params);
+
 // Execute single query (for INSERT, UPDATE, DELETE)
-const executeSingleQuery = async (query, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.run(query, params, function(err) {
-      if (err) {
-        console.error('Query execution error:', err);
-        reject(err);
-      } else {
-        resolve({ 
-          rowCount: this.changes,
-          insertId: this.lastID 
-        });
+const executeSingleQuery = async (query, params = []) => runStatement('run', query, params);
+
+// Run `fn` with a connection to itself. With SQLite other queries wait until it
+// finishes; with a pooled dialect it runs on a dedicated client. Nested calls run
+// inside the outer section.
+const runExclusive = async (fn) => {
+  if (exclusiveContext.getStore()) return fn();
+
+  if (dialect.pooled) {
+    const client = await connection.acquire();
+    try {
+      return await exclusiveContext.run({ connection: client, inTransaction: false, savepoints: 0 }, fn);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Checked and taken without an await in between, so two callers never both get it
+  while (exclusiveHolder) {
+    await exclusiveHolder.released;
+  }
+  let release;
+  exclusiveHolder = { released: new Promise(resolve => { release = resolve; }) };
+
+  try {
+    // Queries that started before the section began must not end up inside it
+    await waitForIdle();
+    return await exclusiveContext.run({ connection: null, inTransaction: false, savepoints: 0 }, fn);
+  } finally {
+    exclusiveHolder = null;
+    release();
+  }
+};
+
+// Run `fn` in a transaction: committed when it resolves, rolled back when it throws.
+// A nested call becomes a savepoint that rolls back on its own.
+const withTransaction = (fn) => {
+  return runExclusive(async () => {
+    const context = exclusiveContext.getStore();
+
+    if (context.inTransaction) {
+      const savepoint = `sp_${++context.savepoints}`;
+      await executeSingleQuery(`SAVEPOINT ${savepoint}`);
+      try {
+        const result = await fn();
+        await executeSingleQuery(`RELEASE ${savepoint}`);
+        return result;
+      } catch (error) {
+        await executeSingleQuery(`ROLLBACK TO ${savepoint}`);
+        await executeSingleQuery(`RELEASE ${savepoint}`);
+        throw error;
       }
-    });
+    }
+
+    context.inTransaction = true;
+    await executeSingleQuery(dialect.beginTransaction);
+    try {
+      const result = await fn();
+      await executeSingleQuery('COMMIT');
+      return result;
+    } catch (error) {
+      await executeSingleQuery('ROLLBACK');
+      throw error;
+    } finally {
+      context.inTransaction = false;
+    }
   });
 };
 
+// Insert rows (arrays of values in column order) with multi-row INSERT statements,
+// chunked to stay under the bound parameter limit. With `returning` (a RETURNING
+// column list that includes id) the returned rows come back in insertion order.
+const insertMany = async (table, columns, rows, { returning = null } = {}) => {
+  const returned = [];
+  const chunkSize = Math.max(1, Math.floor(dialect.maxBoundParameters / columns.length));
+  const rowPlaceholders = `(${columns.map(() => '?').join(', ')})`;
+
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    const chunk = rows.slice(start, start + chunkSize);
+    const query = `INSERT INTO ${table} (${columns.join(', ')})
+      VALUES ${chunk.map(() => rowPlaceholders).join(', ')}
+      ${returning ? `RETURNING ${returning}` : ''}`;
+    const params = chunk.flat();
+
+    if (returning) {
+      const result = await executeQuery(query, params);
+      returned.push(...result.rows.sort((a, b) => a.id - b.id));
+    } else {
+      await executeSingleQuery(query, params);
+    }
+  }
+
+  return returned;
+};
+
 // Close database connection
 const closeDatabase = async () => {
-  return new Promise((resolve) => {
-    db.close((err) => {
-      if (err) {
-        console.error('Error closing database:', err);
-      } else {
-        console.log('Database connection closed');
-      }
-      resolve();
-    });
-  });
+  try {
+    await connection.close();
+    console.log('Database connection closed');
+  } catch (err) {
+    console.error('Error closing database:', err);
+  }
 };
 
 module.exports = {
-  db,
   connectDatabase,
+  getDialect,
   getClient,
   executeQuery,
   executeSingleQuery,
+  withTransaction,
+  runExclusive,
+  insertMany,
+  clearStatementCache,
   closeDatabase,
   testConnection
-}; 
\ No newline at end of file
+};
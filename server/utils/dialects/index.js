@@ -0,0 +1,30 @@
+// Database dialects. DB_DIALECT selects the backend: sqlite (default) or postgres.
+const DIALECTS = {
+  sqlite: () => require('./sqlite'),
+  postgres: () => require('./postgres')
+};
+
+const DIALECT_ALIASES = {
+  sqlite3: 'sqlite',
+  postgresql: 'postgres',
+  pg: 'postgres'
+};
+
+// Name of the configured dialect
+const getDialectName = () => {
+  const configured = (process.env.DB_DIALECT || 'sqlite').trim().toLowerCase();
+  return DIALECT_ALIASES[configured] || configured;
+};
+
+// Load a dialect by name (the configured one by default)
+const loadDialect = (name = getDialectName()) => {
+  if (!DIALECTS[name]) {
+    throw new Error(`Unknown DB_DIALECT "${name}". Use ${Object.keys(DIALECTS).join(' or ')}.`);
+  }
+  return DIALECTS[name]();
+};
+
+module.exports = {
+  getDialectName,
+  loadDialect
+};
@@ -0,0 +1,98 @@
+// Bound parameter placeholders. Queries may be written with `?` (positional) or `$1`
+// (numbered) placeholders; each dialect rewrites them into the style its driver expects.
+// String literals, quoted identifiers, comments and dollar-quoted bodies are left alone.
+
+// Call `replace(placeholder)` for every placeholder ('?' or '$N') in a query and
+// substitute what it returns
+const mapPlaceholders = (query, replace) => {
+  let output = '';
+  let i = 0;
+
+  while (i < query.length) {
+    const character = query[i];
+    const rest = query.slice(i);
+    let skipped = null;
+
+    if (character === "'" || character === '"' || character === '`') {
+      // Quoted literal or identifier; a doubled quote is an escaped quote
+      let end = i + 1;
+      while (end < query.length) {
+        if (query[end] === character) {
+          if (query[end + 1] === character) {
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        end++;
+      }
+      skipped = query.slice(i, end + 1);
+    } else if (rest.startsWith('--')) {
+      const end = query.indexOf('\n', i);
+      skipped = end === -1 ? rest : query.slice(i, end);
+    } else if (rest.startsWith('/*')) {
+      const end = query.indexOf('*/', i + 2);
+      skipped = end === -1 ? rest : query.slice(i, end + 2);
+    } else if (character === '$') {
+      const dollarQuote = rest.match(/^\$([A-Za-z_]\w*)?\$/);
+      const numbered = rest.match(/^\$(\d+)/);
+
+      if (dollarQuote) {
+        // Dollar-quoted body (e.g. a PostgreSQL function): skip to the closing tag
+        const end = query.indexOf(dollarQuote[0], i + dollarQuote[0].length);
+        skipped = end === -1 ? rest : query.slice(i, end + dollarQuote[0].length);
+      } else if (numbered) {
+        output += replace(numbered[0]);
+        i += numbered[0].length;
+        continue;
+      }
+    } else if (character === '?') {
+      output += replace('?');
+      i++;
+      continue;
+    }
+
+    if (skipped !== null) {
+      output += skipped;
+      i += skipped.length;
+    } else {
+      output += character;
+      i++;
+    }
+  }
+
+  return output;
+};
+
+// Rewrite a query to `?` placeholders. `$N` placeholders may repeat or appear out of
+// order, so the parameters are reordered (and repeated) to match.
+const toPositional = (query, params = []) => {
+  const ordered = [];
+  let next = 0;
+
+  const text = mapPlaceholders(query, (placeholder) => {
+    ordered.push(placeholder === '?' ? params[next++] : params[parseInt(placeholder.slice(1), 10) - 1]);
+    return '?';
+  });
+
+  return { query: text, params: ordered };
+};
+
+// Rewrite a query to `$N` placeholders; the parameters keep their order
+const toNumbered = (query, params = []) => {
+  let next = 0;
+
+  const text = mapPlaceholders(query, (placeholder) => {
+    if (placeholder !== '?') return placeholder;
+    next++;
+    return `$${next}`;
+  });
+
+  return { query: text, params };
+};
+
+module.exports = {
+  mapPlaceholders,
+  toPositional,
+  toNumbered
+};
@@ -0,0 +1,159 @@
+// PostgreSQL dialect: a connection pool (DATABASE_URL). Transactions check out a
+// client of their own, so other queries keep running on the rest of the pool.
+const { toNumbered } = require('./placeholders');
+
+const DEFAULT_POOL_SIZE = 10;
+const RETURNING_CLAUSE = /\bRETURNING\b/i;
+const INSERT_STATEMENT = /^\s*INSERT\b/i;
+
+// Type OIDs whose text form is kept as SQLite returns it
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+const TIMESTAMP_OID = 1114;
+
+const name = 'postgres';
+
+const pooled = true;
+
+// PostgreSQL accepts up to 65535 bound parameters per statement
+const maxBoundParameters = 65535;
+
+const beginTransaction = 'BEGIN';
+
+// Column types and expressions used by migrations and queries. Timestamps are kept
+// to whole seconds in UTC, the same values SQLite's CURRENT_TIMESTAMP produces.
+const types = {
+  primaryKey: 'SERIAL PRIMARY KEY',
+  timestamp: 'TIMESTAMP(0)'
+};
+
+const groupConcat = (expression, separator) => `string_agg(${expression}, '${separator}')`;
+
+const rightCharacters = (expression, count) => `right(${expression}, ${count})`;
+
+const caseInsensitive = (column) => `LOWER(${column})`;
+const equalsIgnoreCase = (column) => `LOWER(${column}) = LOWER(?)`;
+
+const likeIgnoreCase = 'ILIKE';
+
+const dateTime = (expression, modifier = null) => (modifier
+  ? `(CAST(${expression} AS TIMESTAMP(0)) + CAST(${modifier} AS INTERVAL))`
+  : `CAST(${expression} AS TIMESTAMP(0))`);
+
+// PostgreSQL triggers run a function, so each trigger gets one named after it
+const createTriggerStatements = ({ name: triggerName, timing, event, table, body }) => [
+  `CREATE FUNCTION ${triggerName}() RETURNS trigger AS $$
+  BEGIN
+    ${body}
+    RETURN NULL;
+  END
+  $$ LANGUAGE plpgsql`,
+  `CREATE TRIGGER ${triggerName} ${timing} ${event} ON ${table} FOR EACH ROW EXECUTE FUNCTION ${triggerName}()`
+];
+
+// Dropping the function drops the trigger that runs it
+const dropTriggerStatements = (triggerName) => [`DROP FUNCTION IF EXISTS ${triggerName}() CASCADE`];
+
+// Required lazily so SQLite installs do not need the pg package
+const loadDriver = () => {
+  try {
+    return require('pg');
+  } catch (error) {
+    throw new Error('DB_DIALECT=postgres requires the pg package: npm install pg');
+  }
+};
+
+// Number of pooled connections (DB_POOL_SIZE)
+const getPoolSize = () => {
+  const size = parseInt(process.env.DB_POOL_SIZE, 10);
+  return Number.isNaN(size) || size < 1 ? DEFAULT_POOL_SIZE : size;
+};
+
+// Run a query on a pool or client. Plain INSERTs return their rows too, so the ID of
+// the last inserted row can be reported like SQLite's lastID.
+const runQuery = async (target, method, sql, values) => {
+  let { query, params } = toNumbered(sql, values);
+
+  const addReturning = method === 'run' && INSERT_STATEMENT.test(query) && !RETURNING_CLAUSE.test(query);
+  if (addReturning) {
+    query = `${query.trim().replace(/;$/, '')} RETURNING *`;
+  }
+
+  const result = await target.query(query, params);
+  const rows = result.rows || [];
+
+  return {
+    rows: addReturning ? [] : rows,
+    rowCount: result.rowCount,
+    insertId: rows.length > 0 ? rows[rows.length - 1].id : undefined
+  };
+};
+
+// Connect a pool to a connection string. Queries run with execute(); acquire() checks
+// out a client for a transaction, to be handed back with release().
+const openDatabase = (connectionString = process.env.DATABASE_URL) => {
+  const { Pool, types: pgTypes } = loadDriver();
+
+  if (!connectionString) {
+    throw new Error('DATABASE_URL must be set when DB_DIALECT=postgres');
+  }
+
+  // Counts, sums and timestamps come back as numbers and 'YYYY-MM-DD HH:MM:SS' text
+  pgTypes.setTypeParser(INT8_OID, value => parseInt(value, 10));
+  pgTypes.setTypeParser(NUMERIC_OID, value => parseFloat(value));
+  pgTypes.setTypeParser(TIMESTAMP_OID, value => value);
+
+  const pool = new Pool({
+    connectionString,
+    max: getPoolSize(),
+    options: '-c TimeZone=UTC'
+  });
+
+  pool.on('error', (err) => {
+    console.error('❌ Idle database connection error:', err.message);
+  });
+
+  const execute = (method, sql, values) => runQuery(pool, method, sql, values);
+
+  const acquire = async () => {
+    const client = await pool.connect();
+    return {
+      execute: (method, sql, values) => runQuery(client, method, sql, values),
+      release: () => client.release()
+    };
+  };
+
+  // Sessions are configured through the pool options
+  const initialize = async () => {};
+
+  // Prepared statements are managed by the server
+  const clearStatementCache = () => {};
+
+  const close = () => pool.end();
+
+  return {
+    client: pool,
+    execute,
+    acquire,
+    initialize,
+    clearStatementCache,
+    close
+  };
+};
+
+module.exports = {
+  name,
+  pooled,
+  maxBoundParameters,
+  beginTransaction,
+  types,
+  groupConcat,
+  rightCharacters,
+  caseInsensitive,
+  equalsIgnoreCase,
+  likeIgnoreCase,
+  dateTime,
+  createTriggerStatements,
+  dropTriggerStatements,
+  openDatabase
+};
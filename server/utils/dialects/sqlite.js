@@ -0,0 +1,175 @@
+// SQLite dialect: one shared connection to a database file, with prepared statements
+// cached for reuse
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { toPositional } = require('./placeholders');
+
+// Default database file (SQLITE_PATH overrides it)
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '../../../database/ikf_phonebook.db');
+
+// Prepared statements kept for reuse (least recently used are finalized first)
+const STATEMENT_CACHE_SIZE = 100;
+const CACHEABLE_STATEMENT = /^\s*(SELECT|INSERT|UPDATE|DELETE|WITH|REPLACE)\b/i;
+const RETURNING_CLAUSE = /\bRETURNING\b/i;
+
+const name = 'sqlite';
+
+// A single connection serves every query, so transactions must lock everyone else out
+const pooled = false;
+
+// SQLite's default limit on bound parameters per statement
+const maxBoundParameters = 999;
+
+// Take the write lock up front so a transaction never fails half-way on a busy database
+const beginTransaction = 'BEGIN IMMEDIATE';
+
+// Column types and expressions used by migrations and queries
+const types = {
+  primaryKey: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  timestamp: 'DATETIME'
+};
+
+const groupConcat = (expression, separator) => `group_concat(${expression}, '${separator}')`;
+
+const rightCharacters = (expression, count) => `substr(${expression}, -${count})`;
+
+// Index column / condition comparing text case-insensitively
+const caseInsensitive = (column) => `${column} COLLATE NOCASE`;
+const equalsIgnoreCase = (column) => `${column} = ? COLLATE NOCASE`;
+
+// LIKE ignores case (for ASCII letters) in SQLite
+const likeIgnoreCase = 'LIKE';
+
+// A timestamp expression, optionally shifted by a modifier such as '+1 day'
+const dateTime = (expression, modifier = null) => (modifier ? `datetime(${expression}, ${modifier})` : `datetime(${expression})`);
+
+// Statements creating and dropping a row trigger; `body` holds the SQL statements it runs
+const createTriggerStatements = ({ name: triggerName, timing, event, table, body }) => [
+  `CREATE TRIGGER ${triggerName} ${timing} ${event} ON ${table} BEGIN
+    ${body}
+  END`
+];
+
+const dropTriggerStatements = (triggerName) => [`DROP TRIGGER IF EXISTS ${triggerName}`];
+
+const getDatabasePath = () => process.env.SQLITE_PATH || DEFAULT_DATABASE_PATH;
+
+// Open a database file. The returned connection runs queries with execute(), where
+// `method` is 'all' (rows) or 'run' (row count and last insert ID).
+const openDatabase = (filename = getDatabasePath(), { readOnly = false } = {}) => {
+  const mode = readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+  const db = new sqlite3.Database(filename, mode, (err) => {
+    if (err) {
+      console.error('❌ Database connection failed:', err.message);
+    }
+  });
+
+  const statementCache = new Map();
+
+  // Get a prepared statement for a query, reusing it when the same SQL runs again
+  const getStatement = (query) => {
+    return new Promise((resolve, reject) => {
+      const cached = statementCache.get(query);
+      if (cached) {
+        statementCache.delete(query);
+        statementCache.set(query, cached);
+        return resolve(cached);
+      }
+
+      const statement = db.prepare(query, (err) => {
+        if (err) return reject(err);
+
+        statementCache.set(query, statement);
+        if (statementCache.size > STATEMENT_CACHE_SIZE) {
+          const [oldestQuery, oldest] = statementCache.entries().next().value;
+          statementCache.delete(oldestQuery);
+          oldest.finalize();
+        }
+        resolve(statement);
+      });
+    });
+  };
+
+  // Drop every cached statement (e.g. after the database file was replaced)
+  const clearStatementCache = () => {
+    for (const statement of statementCache.values()) {
+      statement.finalize();
+    }
+    statementCache.clear();
+  };
+
+  // Run a statement through the cache (data statements) or directly (PRAGMA, DDL, BEGIN...)
+  const execute = async (method, sql, values) => {
+    const { query, params } = toPositional(sql, values);
+
+    // Rows written by INSERT ... RETURNING are read back like a SELECT
+    const returnsRows = method === 'all' || RETURNING_CLAUSE.test(query);
+    const target = CACHEABLE_STATEMENT.test(query) ? await getStatement(query) : db;
+    const args = target === db ? [query, params] : [params];
+
+    return new Promise((resolve, reject) => {
+      target[returnsRows ? 'all' : 'run'](...args, function(err, rows) {
+        if (err) {
+          reject(err);
+        } else if (returnsRows) {
+          resolve({
+            rows,
+            rowCount: rows.length,
+            insertId: rows.length > 0 ? rows[rows.length - 1].id : undefined
+          });
+        } else {
+          resolve({
+            rows: [],
+            rowCount: this.changes,
+            insertId: this.lastID
+          });
+        }
+      });
+    });
+  };
+
+  // Per-connection settings
+  const initialize = async () => {
+    // Foreign keys are off by default in SQLite and must be enabled per connection
+    await execute('run', 'PRAGMA foreign_keys = ON');
+
+    // Write-ahead logging lets readers continue while a write (such as an import) is in
+    // progress; NORMAL sync is durable in WAL mode except against power loss
+    await execute('all', 'PRAGMA journal_mode = WAL');
+    await execute('run', 'PRAGMA synchronous = NORMAL');
+    await execute('run', 'PRAGMA busy_timeout = 5000');
+  };
+
+  const close = () => {
+    clearStatementCache();
+    return new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    });
+  };
+
+  return {
+    client: db,
+    execute,
+    initialize,
+    clearStatementCache,
+    close
+  };
+};
+
+module.exports = {
+  name,
+  pooled,
+  maxBoundParameters,
+  beginTransaction,
+  types,
+  groupConcat,
+  rightCharacters,
+  caseInsensitive,
+  equalsIgnoreCase,
+  likeIgnoreCase,
+  dateTime,
+  createTriggerStatements,
+  dropTriggerStatements,
+  getDatabasePath,
+  openDatabase
+};
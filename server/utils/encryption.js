@@ -0,0 +1,265 @@
+// Field-level encryption (AES-256-GCM) and blind indexes (HMAC-SHA256) for sensitive columns.
+//
+// ENCRYPTION_KEY holds the current 32-byte key (64 hex characters or base64). Keys that
+// were replaced go into ENCRYPTION_PREVIOUS_KEYS (comma-separated) until
+// `npm run db:rotate-key` has re-encrypted every value with the current key.
+// Without a key values are stored in plaintext, which is only allowed outside production.
+const crypto = require('crypto');
+
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+
+// Used for blind indexes while no key is configured, so lookups keep working
+const UNKEYED_INDEX_KEY = Buffer.from('ikf-phonebook-unkeyed-blind-index');
+
+// Contact columns stored encrypted
+const CONTACT_ENCRYPTED_FIELDS = ['phone_number', 'email', 'notes'];
+
+let cachedKeys = null;
+
+// Decode a key from hex or base64 and check its length
+const parseKey = (raw, name) => {
+  const text = raw.trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a 32-byte key encoded as 64 hex characters or base64`);
+  }
+
+  return key;
+};
+
+// Derive the encryption and blind-index subkeys of a master key
+const deriveKey = (masterKey) => ({
+  id: crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 8),
+  encryptionKey: Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), 'ikf-phonebook field encryption', 32)),
+  indexKey: Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), 'ikf-phonebook blind index', 32))
+});
+
+// Current key (null when encryption is disabled) and every key that can still decrypt
+const getKeys = () => {
+  const current = process.env.ENCRYPTION_KEY || '';
+  const previous = process.env.ENCRYPTION_PREVIOUS_KEYS || '';
+
+  if (!cachedKeys || cachedKeys.current !== current || cachedKeys.previous !== previous) {
+    const currentKey = current.trim() ? deriveKey(parseKey(current, 'ENCRYPTION_KEY')) : null;
+    const previousKeys = previous.split(',')
+      .filter(raw => raw.trim())
+      .map(raw => deriveKey(parseKey(raw, 'ENCRYPTION_PREVIOUS_KEYS')));
+
+    cachedKeys = {
+      current,
+      previous,
+      currentKey,
+      decryptionKeys: [currentKey, ...previousKeys].filter(Boolean)
+    };
+  }
+
+  return cachedKeys;
+};
+
+const isEncryptionEnabled = () => Boolean(getKeys().currentKey);
+
+const getCurrentKeyId = () => (isEncryptionEnabled() ? getKeys().currentKey.id : null);
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+
+// ID of the key a stored value was encrypted with (null for plaintext)
+const getValueKeyId = (value) => (isEncrypted(value) ? value.slice(CIPHERTEXT_PREFIX.length).split(':')[0] : null);
+
+// Encrypt a value with the current key. Empty values, values that are already
+// encrypted and every value while encryption is disabled are returned unchanged.
+const encryptValue = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const { currentKey } = getKeys();
+  if (!currentKey) return value;
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', currentKey.encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return `${CIPHERTEXT_PREFIX}${currentKey.id}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+// Decrypt a stored value; plaintext (stored before encryption was enabled) is returned as is
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, tag, ciphertext] = value.slice(CIPHERTEXT_PREFIX.length).split(':');
+  const key = getKeys().decryptionKeys.find(candidate => candidate.id === keyId);
+
+  if (!key) {
+    throw new Error(`No encryption key available for key ID ${keyId}; add it to ENCRYPTION_PREVIOUS_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key.encryptionKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Keyed hash used for exact-match lookups on encrypted values
+const hashWithKey = (indexKey, value) => crypto.createHmac('sha256', indexKey).update(value).digest('hex');
+
+const currentIndexKey = () => {
+  const { currentKey } = getKeys();
+  return currentKey ? currentKey.indexKey : UNKEYED_INDEX_KEY;
+};
+
+// Hashes of a value under every known key, so lookups still find rows that have not
+// been re-indexed by a key rotation yet
+const lookupHashes = (value) => {
+  const indexKeys = [...getKeys().decryptionKeys.map(key => key.indexKey), UNKEYED_INDEX_KEY];
+  return [...new Set(indexKeys.map(indexKey => hashWithKey(indexKey, value)))];
+};
+
+// Phone numbers are indexed by their last ten digits, so a national number matches
+// with or without its country code or trunk prefix
+const phoneIndexValue = (phoneNumber) => {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  return digits ? `phone:${digits.slice(-10)}` : null;
+};
+
+// Emails are indexed case-insensitively
+const emailIndexValue = (email) => {
+  const normalized = String(email || '').trim().toLowerCase();
+  return normalized ? `email:${normalized}` : null;
+};
+
+// Blind index stored alongside a phone number or email (null for empty values)
+const phoneBlindIndex = (phoneNumber) => {
+  const value = phoneIndexValue(phoneNumber);
+  return value ? hashWithKey(currentIndexKey(), value) : null;
+};
+
+const emailBlindIndex = (email) => {
+  const value = emailIndexValue(email);
+  return value ? hashWithKey(currentIndexKey(), value) : null;
+};
+
+// Blind indexes to look a phone number or email up by (empty for empty values)
+const phoneLookupHashes = (phoneNumber) => {
+  const value = phoneIndexValue(phoneNumber);
+  return value ? lookupHashes(value) : [];
+};
+
+const emailLookupHashes = (email) => {
+  const value = emailIndexValue(email);
+  return value ? lookupHashes(value) : [];
+};
+
+// Search tokens: keyed hashes of word and phone-digit prefixes, so full-text search can
+// find encrypted notes, emails and phone numbers without the index holding their text.
+// Tokens are truncated hashes, short enough to keep the index small, behind a letter so
+// every text search parser reads each one as a single word.
+const SEARCH_TOKEN_LENGTH = 16;
+const MIN_WORD_PREFIX = 2;
+const MAX_WORD_PREFIX = 20;
+const MIN_DIGIT_PREFIX = 3;
+
+const searchTokenHash = (indexKey, value) => `t${hashWithKey(indexKey, value).slice(0, SEARCH_TOKEN_LENGTH)}`;
+
+// Words of a text as the full-text index splits them: lower case, Latin accents removed
+const splitWords = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}\p{M}]+/u)
+  .filter(Boolean);
+
+// Indexed forms of a phone number: its digits, and its last ten digits so a national
+// number matches with or without the country code
+const phoneDigitForms = (phoneNumber) => {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  return digits ? [...new Set([digits, digits.slice(-10)])] : [];
+};
+
+// Every prefix of a value from `min` characters, up to `max`
+const prefixesOf = (value, min, max = value.length) => {
+  const prefixes = [];
+  for (let length = min; length <= Math.min(value.length, max); length++) {
+    prefixes.push(value.slice(0, length));
+  }
+  return prefixes;
+};
+
+// Space-separated search tokens stored beside a value (null when it has none)
+const buildSearchTokens = (values) => {
+  const indexKey = currentIndexKey();
+  const tokens = [...new Set(values)].map(value => searchTokenHash(indexKey, value));
+  return tokens.length > 0 ? tokens.join(' ') : null;
+};
+
+// Search tokens of a text (notes, an email): every prefix of each word
+const textSearchTokens = (text) => buildSearchTokens(
+  splitWords(text).flatMap(word => prefixesOf(word, MIN_WORD_PREFIX, MAX_WORD_PREFIX).map(prefix => `word:${prefix}`))
+);
+
+// Search tokens of a phone number: every prefix of its digit forms
+const phoneSearchTokens = (phoneNumber) => buildSearchTokens(
+  phoneDigitForms(phoneNumber).flatMap(digits => prefixesOf(digits, MIN_DIGIT_PREFIX).map(prefix => `digits:${prefix}`))
+);
+
+// Tokens a search term matches, as groups of alternatives that must all match, under
+// every known key: one group per word, or for a number one group of its digit forms and
+// the number as a word. Empty when the term is too short.
+const searchTermTokens = (term) => {
+  const indexKeys = [...new Set([...getKeys().decryptionKeys.map(key => key.indexKey), UNKEYED_INDEX_KEY])];
+  const alternativesOf = (values) => [...new Set(indexKeys.flatMap(indexKey => values.map(value => searchTokenHash(indexKey, value))))];
+
+  if (/^\+?[\d\s().\/-]+$/.test(term)) {
+    const digits = term.replace(/\D/g, '');
+    const values = [
+      ...(digits.length >= MIN_DIGIT_PREFIX ? phoneDigitForms(digits).map(form => `digits:${form}`) : []),
+      ...(digits.length >= MIN_WORD_PREFIX ? [`word:${digits.slice(0, MAX_WORD_PREFIX)}`] : [])
+    ];
+    return values.length > 0 ? [alternativesOf(values)] : [];
+  }
+
+  return splitWords(term)
+    .filter(word => word.length >= MIN_WORD_PREFIX)
+    .map(word => alternativesOf([`word:${word.slice(0, MAX_WORD_PREFIX)}`]));
+};
+
+// Copy of a contact row with its encrypted columns decrypted (and without the search
+// tokens, which only the full-text index reads)
+const decryptContactFields = (row) => {
+  const decrypted = { ...row };
+  for (const field of CONTACT_ENCRYPTED_FIELDS) {
+    if (field in decrypted) decrypted[field] = decryptValue(decrypted[field]);
+  }
+  delete decrypted.search_tokens;
+  return decrypted;
+};
+
+// Check the key configuration at startup: malformed keys always fail, a missing key
+// fails in production and only warns elsewhere
+const assertEncryptionConfigured = () => {
+  if (isEncryptionEnabled()) return;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_KEY must be set in production');
+  }
+
+  console.warn('⚠️  ENCRYPTION_KEY is not set; phone numbers, emails and notes are stored unencrypted');
+};
+
+module.exports = {
+  CONTACT_ENCRYPTED_FIELDS,
+  isEncryptionEnabled,
+  getCurrentKeyId,
+  isEncrypted,
+  getValueKeyId,
+  encryptValue,
+  decryptValue,
+  phoneBlindIndex,
+  emailBlindIndex,
+  phoneLookupHashes,
+  emailLookupHashes,
+  textSearchTokens,
+  phoneSearchTokens,
+  searchTermTokens,
+  decryptContactFields,
+  assertEncryptionConfigured
+};
@@ -0,0 +1,72 @@
+// iCalendar (RFC 5545) output helpers
+
+// Escape a value for a TEXT property
+const escapeIcalText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line into chunks of at most 75 octets, continued with a leading space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// DATE value (YYYYMMDD) of a Date's UTC day
+const formatIcalDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// DATE-TIME value in UTC (YYYYMMDDTHHMMSSZ)
+const formatIcalDateTime = (date) => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+// Build a VCALENDAR of all-day events ({ uid, start, summary, description, rrule } with
+// `start` a Date at UTC midnight)
+const toIcal = ({ name, events, stamp = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//IKF//PhoneBook//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcalText(name)}`
+  ];
+
+  for (const event of events) {
+    const end = new Date(event.start.getTime() + 24 * 60 * 60 * 1000);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatIcalDateTime(stamp)}`,
+      `DTSTART;VALUE=DATE:${formatIcalDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatIcalDate(end)}`,
+      `SUMMARY:${escapeIcalText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcalText(event.description)}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeIcalText,
+  toIcal
+};
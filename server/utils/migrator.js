@@ -0,0 +1,183 @@
+// Versioned schema migration runner
+const fs = require('fs');
+const path = require('path');
+const { executeQuery, executeSingleQuery, withTransaction, getDialect } = require('./database');
+
+// Directory holding ordered migration files (e.g. 001_initial_schema.js)
+const MIGRATIONS_DIR = path.join(__dirname, '../../database/migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Create the schema_migrations bookkeeping table
+const ensureMigrationsTable = async () => {
+  await executeSingleQuery(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${getDialect().types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Load migration files sorted by version
+const loadMigrations = () => {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Two files sharing a version number would make the order ambiguous
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+};
+
+// Get applied migration rows ordered by version
+const getAppliedMigrations = async () => {
+  await ensureMigrationsTable();
+  const result = await executeQuery(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+};
+
+// Get the current schema version (0 when nothing has been applied)
+const getSchemaVersion = async () => {
+  const applied = await getAppliedMigrations();
+  return applied.length > 0 ? applied[applied.length - 1].version : 0;
+};
+
+// Helpers handed to migrations: the query functions, the dialect (for the column types
+// and SQL that differ between backends) and trigger creation in the dialect's syntax
+const buildMigrationHelpers = () => {
+  const dialect = getDialect();
+
+  const runStatements = async (statements) => {
+    for (const statement of statements) {
+      await executeSingleQuery(statement);
+    }
+  };
+
+  return {
+    executeQuery,
+    executeSingleQuery,
+    dialect,
+    createTrigger: (definition) => runStatements(dialect.createTriggerStatements(definition)),
+    dropTrigger: (name) => runStatements(dialect.dropTriggerStatements(name))
+  };
+};
+
+// Run a single migration step inside a transaction
+const runMigrationStep = async (migration, direction) => {
+  const helpers = buildMigrationHelpers();
+
+  try {
+    await withTransaction(async () => {
+      if (direction === 'up') {
+        await migration.up(helpers);
+        await executeSingleQuery(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      } else {
+        await migration.down(helpers);
+        await executeSingleQuery(
+          'DELETE FROM schema_migrations WHERE version = ?',
+          [migration.version]
+        );
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Migration ${migration.file} (${direction}) failed:`, error.message);
+    throw error;
+  }
+};
+
+// Apply all pending migrations in version order
+const runMigrations = async () => {
+  const applied = await getAppliedMigrations();
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+  for (const migration of pending) {
+    await runMigrationStep(migration, 'up');
+    console.log(`✅ Applied migration ${migration.file}`);
+  }
+
+  return {
+    applied: pending.map(migration => migration.version),
+    version: await getSchemaVersion()
+  };
+};
+
+// Revert the most recently applied migrations
+const rollbackMigrations = async (steps = 1) => {
+  const applied = await getAppliedMigrations();
+  const migrations = loadMigrations();
+  const reverted = [];
+
+  for (const row of applied.reverse().slice(0, steps)) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+    }
+
+    await runMigrationStep(migration, 'down');
+    console.log(`↩️  Reverted migration ${migration.file}`);
+    reverted.push(migration.version);
+  }
+
+  return {
+    reverted,
+    version: await getSchemaVersion()
+  };
+};
+
+// Describe every known migration and whether it has been applied
+const getMigrationStatus = async () => {
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  const migrations = loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+  }));
+
+  return {
+    version: await getSchemaVersion(),
+    latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    pending: migrations.filter(migration => !migration.applied).length,
+    migrations
+  };
+};
+
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  getSchemaVersion,
+  loadMigrations
+};
@@ -0,0 +1,36 @@
+// Output stream helpers for responses and files written a chunk at a time
+const { once } = require('events');
+
+const closedError = () => new Error('Export output closed before the export finished');
+
+// Wait while `output` is full. Resolves on 'drain' and fails when the stream closes or
+// errors instead (a client that went away would otherwise never drain).
+const waitForDrain = async (output) => {
+  if (output.destroyed) throw closedError();
+  if (!output.writableNeedDrain) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(output, 'drain', { signal: controller.signal }),
+      once(output, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    // Drop the listener that lost the race
+    controller.abort();
+  }
+
+  if (output.destroyed) throw closedError();
+};
+
+// Write a chunk to a stream, waiting while it is full; fails once the stream has closed
+const writeChunk = async (output, chunk) => {
+  if (output.destroyed) throw closedError();
+  output.write(chunk);
+  await waitForDrain(output);
+};
+
+module.exports = {
+  waitForDrain,
+  writeChunk
+};
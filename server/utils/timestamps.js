@@ -0,0 +1,24 @@
+// Timestamp helpers. Timestamps are stored as UTC 'YYYY-MM-DD HH:MM:SS' text, the form
+// CURRENT_TIMESTAMP produces, so they compare and sort correctly as strings.
+
+const STORED_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Convert a Date or an ISO 8601 string (any offset) into the stored form; null when invalid.
+// Values already in the stored form are UTC and returned unchanged.
+const toTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && STORED_PATTERN.test(value)) return value;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+// Read a stored timestamp back into a Date (null for empty values)
+const fromTimestamp = (value) => (value ? new Date(`${String(value).replace(' ', 'T')}Z`) : null);
+
+module.exports = {
+  toTimestamp,
+  fromTimestamp
+};
@@ -0,0 +1,238 @@
+// XLSX (Office Open XML spreadsheet) output helpers: a workbook with one sheet of text and
+// number cells, streamed as a ZIP archive so large sheets never sit in memory
+const zlib = require('zlib');
+const { once } = require('events');
+const { waitForDrain } = require('./streams');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+// CRC-32 of a buffer, continuing from a previous value
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields of a Date (local time, as ZIP tools expect)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// General purpose flags: sizes follow the data (bit 3), names are UTF-8 (bit 11)
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+// ZIP archive written to a stream. Entries are deflated as they are written and their
+// sizes sent after the data, so nothing has to be known up front. No ZIP64: entries and
+// the archive must stay under 4 GB.
+const createZipWriter = (output) => {
+  const entries = [];
+  const stamp = dosDateTime(new Date());
+  let offset = 0;
+
+  // Nothing more is written once the output has closed; the next write() reports it
+  const writeRaw = (buffer) => {
+    if (!output.destroyed) output.write(buffer);
+    offset += buffer.length;
+  };
+
+  // Start an entry; returns { write(text), end() }
+  const addEntry = (name) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    writeRaw(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on('data', chunk => {
+      entry.compressedSize += chunk.length;
+      writeRaw(chunk);
+    });
+
+    return {
+      write: async (text) => {
+        const buffer = Buffer.from(text, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) await once(deflate, 'drain');
+        await waitForDrain(output);
+      },
+      end: async () => {
+        deflate.end();
+        await once(deflate, 'end');
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        writeRaw(descriptor);
+        entries.push(entry);
+      }
+    };
+  };
+
+  // Add a whole entry at once
+  const addFile = async (name, text) => {
+    const entry = addEntry(name);
+    await entry.write(text);
+    await entry.end();
+  };
+
+  // Write the central directory that lists every entry
+  const finish = () => {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(ZIP_FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(stamp.time, 12);
+      header.writeUInt16LE(stamp.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      writeRaw(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    writeRaw(end);
+  };
+
+  return { addEntry, addFile, finish };
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>';
+
+// Two cell formats: the default one and bold (for the header row)
+const STYLES = `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>';
+
+const HEADER_STYLE = 1;
+
+// Escape text for XML, dropping characters XML cannot hold
+const escapeXml = (text) => String(text)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Column letters of a zero-based column index (0 -> A, 26 -> AA)
+const columnName = (index) => {
+  let name = '';
+  for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// XML of one cell: numbers as numbers, everything else as text (so phone numbers and
+// values starting with = stay as typed)
+const buildCell = (value, reference, style) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+// Write a workbook to `output`: `headers` fill the first (bold, frozen) row, then rows
+// (arrays of cell values) are added in batches with writeRows. finish() completes the
+// file; the caller ends the stream.
+const createXlsxWriter = async (output, headers, { sheetName = 'Sheet1' } = {}) => {
+  const zip = createZipWriter(output);
+  let rowNumber = 0;
+
+  await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+  await zip.addFile('_rels/.rels', ROOT_RELS);
+  await zip.addFile('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+  await zip.addFile('xl/styles.xml', STYLES);
+
+  const sheet = zip.addEntry('xl/worksheets/sheet1.xml');
+  await sheet.write(`${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetData>');
+
+  const buildRow = (values, style) => {
+    rowNumber++;
+    const cells = values.map((value, index) => buildCell(value, `${columnName(index)}${rowNumber}`, style)).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  };
+
+  await sheet.write(buildRow(headers, HEADER_STYLE));
+
+  return {
+    writeRows: async (rows) => {
+      await sheet.write(rows.map(values => buildRow(values)).join(''));
+    },
+    finish: async () => {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      zip.finish();
+    }
+  };
+};
+
+module.exports = {
+  crc32,
+  createZipWriter,
+  createXlsxWriter
+};
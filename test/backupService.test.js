@@ -0,0 +1,64 @@
+// Snapshots and restores of a fully migrated SQLite database (with the contacts_fts index)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTestDatabase } = require('./helpers');
+
+useTestDatabase('backup');
+
+const { executeQuery, executeSingleQuery } = require('../server/utils/database');
+const backupService = require('../server/services/backupService');
+
+const addContact = (firstName) => executeSingleQuery(
+  'INSERT INTO contacts (first_name, last_name, phone_number, relationship_type, source) VALUES (?, ?, ?, ?, ?)',
+  [firstName, 'Test', '+919800000000', 'Client', 'CSV']
+);
+
+const searchContacts = async (term) => {
+  const result = await executeQuery(
+    'SELECT c.first_name FROM contacts_fts JOIN contacts c ON c.id = contacts_fts.rowid WHERE contacts_fts MATCH ?',
+    [`${term}*`]
+  );
+  return result.rows.map(row => row.first_name);
+};
+
+test('a snapshot of a migrated database passes verification', async () => {
+  await addContact('Anil');
+  const snapshot = await backupService.createSnapshot();
+
+  assert.strictEqual(snapshot.integrity, 'ok');
+  const verification = await backupService.verifySnapshot(snapshot);
+  assert.strictEqual(verification.checksumValid, true);
+  assert.strictEqual(verification.integrity, 'ok');
+  assert.strictEqual(verification.schemaVersion, backupService.getLatestSchemaVersion());
+});
+
+test('restoring a snapshot brings back its contacts and search index', async () => {
+  await addContact('Bela');
+  const snapshot = await backupService.createSnapshot();
+  await addContact('Chet');
+
+  const { safetySnapshot } = await backupService.restoreSnapshot(snapshot);
+
+  assert.deepStrictEqual(await searchContacts('Bela'), ['Bela']);
+  assert.deepStrictEqual(await searchContacts('Chet'), []);
+  assert.strictEqual(safetySnapshot.integrity, 'ok');
+
+  const journal = await executeQuery('PRAGMA journal_mode');
+  assert.strictEqual(journal.rows[0].journal_mode, 'wal');
+});
+
+test('snapshots leave no journal files behind and deleting removes every file', async () => {
+  const snapshot = await backupService.createSnapshot();
+  await backupService.verifySnapshot(snapshot);
+
+  const files = fs.readdirSync(backupService.getBackupDir());
+  assert.deepStrictEqual(files.filter(file => /-(wal|shm|journal)$|\.check$/.test(file)), []);
+
+  fs.writeFileSync(`${backupService.getSnapshotPath(snapshot.name)}-wal`, '');
+  backupService.deleteSnapshot(snapshot.name);
+  assert.deepStrictEqual(
+    fs.readdirSync(backupService.getBackupDir()).filter(file => file.startsWith(snapshot.name)),
+    []
+  );
+});
@@ -0,0 +1,93 @@
+// Undoing a bulk operation: a run is reverted once, however many undos race for it, and
+// undoing a bulk delete only restores the contacts still in the trash from that run
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createUser, createContacts } = require('./helpers');
+
+let userId;
+let contactIds;
+
+useTestDatabase('bulk', async () => {
+  userId = await createUser('bulk');
+  const contacts = await createContacts([
+    { first_name: 'Anil', phone_number: '+91 98765 43210', status: 'Active' },
+    { first_name: 'Bela', phone_number: '+1 415 555 0199', status: 'Active' }
+  ]);
+  contactIds = contacts.map(contact => contact.id);
+});
+
+const { executeQuery } = require('../server/utils/database');
+const { resolveOperation, runBulkOperation, undoBulkOperation } = require('../server/services/bulkOperationService');
+const { softDeleteContacts, restoreContacts } = require('../server/services/trashService');
+const { getContactRevisions } = require('../server/services/revisionService');
+
+const statuses = async () => {
+  const result = await executeQuery('SELECT status FROM contacts ORDER BY id');
+  return result.rows.map(row => row.status);
+};
+
+test('concurrent undos revert a run only once', async () => {
+  const operation = await resolveOperation({ operation: 'set_status', value: 'Inactive' });
+  const { run } = await runBulkOperation(operation, { contact_ids: contactIds }, contactIds.length, userId);
+  assert.deepStrictEqual(await statuses(), ['Inactive', 'Inactive']);
+
+  const results = await Promise.all([undoBulkOperation(run, userId), undoBulkOperation(run, userId)]);
+  const undone = results.filter(result => result.run);
+  assert.strictEqual(undone.length, 1);
+  assert.strictEqual(results.filter(result => result.conflict).length, 1);
+  assert.strictEqual(undone[0].run.status, 'undone');
+  assert.deepStrictEqual(undone[0].run.results.map(item => item.undo_result), ['reverted', 'reverted']);
+  assert.deepStrictEqual(await statuses(), ['Active', 'Active']);
+
+  // One revision per contact for the run and one for the single undo
+  const revisions = await executeQuery(`SELECT COUNT(*) as total FROM contact_revisions WHERE action = 'update'`);
+  assert.strictEqual(Number(revisions.rows[0].total), 4);
+
+  assert.deepStrictEqual(await undoBulkOperation(run, userId), { conflict: true });
+});
+
+test('undoing a bulk delete restores only the contacts it left in the trash', async () => {
+  const otherUserId = await createUser('other');
+  const ids = (await createContacts([
+    { first_name: 'Chetan', phone_number: '+44 20 7946 0958' },
+    { first_name: 'Dev', phone_number: '+91 90000 00004' },
+    { first_name: 'Esha', phone_number: '+91 90000 00005' },
+    { first_name: 'Farah', phone_number: '+91 90000 00006' }
+  ])).map(contact => contact.id);
+
+  const operation = await resolveOperation({ operation: 'delete' });
+  const { run } = await runBulkOperation(operation, { contact_ids: ids }, ids.length, userId);
+  assert.deepStrictEqual(run.results.map(item => item.result), ['changed', 'changed', 'changed', 'changed']);
+
+  const [trashed] = await getContactRevisions(ids[0]);
+  assert.deepStrictEqual([trashed.action, trashed.note, trashed.user_id], ['trash', `Bulk operation #${run.id}`, userId]);
+
+  // Dev is restored and trashed again by someone else, Esha by the same user within the
+  // same second, and Farah is only restored
+  await restoreContacts([ids[1]], otherUserId);
+  await softDeleteContacts([ids[1]], otherUserId);
+  await restoreContacts([ids[2]], userId);
+  await softDeleteContacts([ids[2]], userId);
+  await restoreContacts([ids[3]], otherUserId);
+
+  const { run: undone } = await undoBulkOperation(run, userId);
+  assert.deepStrictEqual(undone.results.map(item => [item.undo_result, item.message]), [
+    ['reverted', null],
+    ['skipped', 'Contact was moved to the trash again after the bulk operation'],
+    ['skipped', 'Contact was moved to the trash again after the bulk operation'],
+    ['skipped', 'Contact was already restored']
+  ]);
+
+  const result = await executeQuery(
+    `SELECT deleted_by FROM contacts WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`,
+    ids
+  );
+  assert.deepStrictEqual(result.rows.map(row => row.deleted_by), [null, otherUserId, userId, null]);
+
+  const revisions = await getContactRevisions(ids[0]);
+  assert.deepStrictEqual(revisions.map(revision => [revision.action, revision.note]), [
+    ['restore', `Undo of bulk operation #${run.id}`],
+    ['trash', `Bulk operation #${run.id}`],
+    ['create', null]
+  ]);
+});
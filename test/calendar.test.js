@@ -0,0 +1,134 @@
+// The important dates calendar feed: one yearly event per date, UIDs that survive the
+// contact being saved again, and iCalendar text escaping and line folding
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createContacts } = require('./helpers');
+
+let anil;
+let bela;
+
+useTestDatabase('calendar', async () => {
+  [anil, bela] = await createContacts([
+    {
+      first_name: 'Anil',
+      last_name: 'Rao',
+      phone_number: '+91 98765 43210',
+      dates: [
+        { type: 'birthday', month: 2, day: 29, year: 1988 },
+        { type: 'work_anniversary', month: 6, day: 1, year: 2015 },
+        { type: 'work_anniversary', month: 9, day: 15 }
+      ]
+    },
+    {
+      first_name: 'Bela',
+      last_name: 'Shah',
+      phone_number: '+1 415 555 0199',
+      dates: [{ type: 'custom', label: 'Wedding; 2nd, "renewal"', month: 12, day: 5 }]
+    }
+  ]);
+});
+
+const { saveContactDates, normalizeDates, buildDatesCalendar } = require('../server/services/contactDateService');
+const { softDeleteContacts, restoreContacts } = require('../server/services/trashService');
+const { toIcal } = require('../server/utils/ical');
+
+// The events of a feed as { property: value } objects, folded lines joined back up
+const parseEvents = (ical) => ical
+  .replace(/\r\n /g, '')
+  .split('BEGIN:VEVENT\r\n')
+  .slice(1)
+  .map(block => Object.fromEntries(block.split('\r\n')
+    .filter(line => line && line !== 'END:VEVENT' && line !== 'END:VCALENDAR')
+    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)])));
+
+const eventsBySummary = async () => Object.fromEntries(
+  parseEvents(await buildDatesCalendar()).map(event => [`${event.SUMMARY} ${event['DTSTART;VALUE=DATE']}`, event])
+);
+
+test('every date is a yearly all-day event', async () => {
+  const ical = await buildDatesCalendar();
+  assert.ok(ical.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ical.endsWith('END:VCALENDAR\r\n'));
+
+  const events = await eventsBySummary();
+  assert.deepStrictEqual(Object.keys(events), [
+    "Anil Rao's birthday 19880229",
+    "Anil Rao's work anniversary 20150601",
+    "Anil Rao's work anniversary 20000915",
+    'Bela Shah: Wedding\\; 2nd\\, "renewal" 20001205'
+  ]);
+
+  const birthday = events["Anil Rao's birthday 19880229"];
+  assert.strictEqual(birthday['DTEND;VALUE=DATE'], '19880301');
+  assert.strictEqual(birthday.RRULE, 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1');
+  assert.strictEqual(birthday.DESCRIPTION, 'Born 1988');
+  assert.strictEqual(events["Anil Rao's work anniversary 20150601"].DESCRIPTION, 'Since 2015');
+  assert.strictEqual(events["Anil Rao's work anniversary 20000915"].RRULE, 'FREQ=YEARLY');
+
+  const uids = Object.values(events).map(event => event.UID);
+  assert.strictEqual(new Set(uids).size, uids.length);
+  uids.forEach(uid => assert.match(uid, /^contact-date-[0-9a-f]{24}(-\d+)?@ikf-phonebook$/));
+});
+
+test('UIDs stay the same when a contact\'s dates are saved again', async () => {
+  const before = await eventsBySummary();
+
+  // The form sends the dates back in another order, one with a corrected year
+  await saveContactDates(anil.id, normalizeDates([
+    { type: 'work_anniversary', month: 6, day: 1, year: 2016 },
+    { type: 'birthday', month: 2, day: 29, year: 1988 },
+    { type: 'work_anniversary', month: 9, day: 15 }
+  ]));
+  await saveContactDates(bela.id, normalizeDates([{ type: 'custom', label: 'wedding; 2nd, "RENEWAL"', month: 12, day: 6 }]));
+
+  const after = await eventsBySummary();
+  assert.strictEqual(after["Anil Rao's birthday 19880229"].UID, before["Anil Rao's birthday 19880229"].UID);
+  assert.strictEqual(after["Anil Rao's work anniversary 20160601"].UID, before["Anil Rao's work anniversary 20150601"].UID);
+  assert.strictEqual(after["Anil Rao's work anniversary 20000915"].UID, before["Anil Rao's work anniversary 20000915"].UID);
+  assert.strictEqual(after['Bela Shah: wedding\\; 2nd\\, "RENEWAL" 20001206'].UID,
+    before['Bela Shah: Wedding\\; 2nd\\, "renewal" 20001205'].UID);
+
+  // A new date of another kind gets a UID of its own
+  await saveContactDates(bela.id, normalizeDates([
+    { type: 'custom', label: 'Wedding; 2nd, "renewal"', month: 12, day: 6 },
+    { type: 'custom', label: 'First met', month: 3, day: 3 }
+  ]));
+  const withNew = parseEvents(await buildDatesCalendar()).map(event => event.UID);
+  assert.strictEqual(new Set(withNew).size, 5);
+  assert.ok(withNew.includes(before['Bela Shah: Wedding\\; 2nd\\, "renewal" 20001205'].UID));
+});
+
+test('dates of trashed contacts leave the feed and come back with the same UIDs', async () => {
+  const before = parseEvents(await buildDatesCalendar()).map(event => event.UID);
+
+  await softDeleteContacts([anil.id], null);
+  assert.deepStrictEqual(parseEvents(await buildDatesCalendar()).map(event => event.SUMMARY),
+    ['Bela Shah: First met', 'Bela Shah: Wedding\\; 2nd\\, "renewal"']);
+
+  await restoreContacts([anil.id]);
+  assert.deepStrictEqual(parseEvents(await buildDatesCalendar()).map(event => event.UID), before);
+});
+
+test('text is escaped and long lines are folded at 75 octets', () => {
+  const ical = toIcal({
+    name: 'Dates, mostly',
+    stamp: new Date('2026-01-02T03:04:05Z'),
+    events: [{
+      uid: 'one@test',
+      start: new Date(Date.UTC(2000, 0, 31)),
+      summary: `${'é'.repeat(40)}\\ and a line\nbreak`,
+      description: null,
+      rrule: null
+    }]
+  });
+
+  const lines = ical.split('\r\n');
+  assert.ok(lines.includes('X-WR-CALNAME:Dates\\, mostly'));
+  assert.ok(lines.includes('DTSTAMP:20260102T030405Z'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20000131'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20000201'));
+  assert.ok(!lines.some(line => line.startsWith('DESCRIPTION') || line.startsWith('RRULE')));
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+
+  assert.strictEqual(parseEvents(ical)[0].SUMMARY, `${'é'.repeat(40)}\\\\ and a line\\nbreak`);
+});
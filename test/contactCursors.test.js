@@ -0,0 +1,140 @@
+// Sorting and keyset cursor pages: walking every page either way gives the same order as
+// offset pages, ties fall back on the ID, and contacts added or removed between requests
+// are neither skipped nor repeated
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createUser, createContacts, createTestApp } = require('./helpers');
+
+let userId;
+
+useTestDatabase('cursors', async () => {
+  userId = await createUser('reader');
+  await createContacts([
+    { first_name: 'anil', last_name: 'Rao', phone_number: '+91 90000 00001', data_owner: 'Asha' },
+    { first_name: 'Bela', last_name: 'shah', phone_number: '+91 90000 00002' },
+    { first_name: 'Chetan', last_name: 'Rao', phone_number: '+91 90000 00003', data_owner: 'asha' },
+    { first_name: 'Dev', phone_number: '+91 90000 00004', data_owner: 'Ravi' },
+    { first_name: 'Esha', last_name: 'Rao', phone_number: '+91 90000 00005' },
+    { first_name: 'farah', last_name: 'Ali', phone_number: '+91 90000 00006', data_owner: 'Ravi' },
+    { first_name: 'Gita', last_name: 'Shah', phone_number: '+91 90000 00007' }
+  ]);
+});
+
+const { listContacts, listContactsByCursor, buildContactSort } = require('../server/services/contactListService');
+const { softDeleteContacts } = require('../server/services/trashService');
+const contactRoutes = require('../server/routes/contacts');
+
+const { request } = createTestApp({ '/api/contacts': contactRoutes });
+
+const SORTS = [undefined, 'name', '-first_name', 'owner,-name', 'last_name,-created_at', '-updated_at,first_name'];
+
+const namesOf = (contacts) => contacts.map(contact => contact.first_name);
+
+// Every page of a sort, following next_cursor (or prev_cursor from `start`)
+const walk = async (options, { limit, direction = 'next', start = null }) => {
+  const pages = [];
+  let cursor = start;
+  do {
+    const page = await listContactsByCursor(options, { limit, cursor });
+    assert.ifError(page.errors && page.errors[0].msg);
+    pages.push(namesOf(page.contacts));
+    cursor = direction === 'next' ? page.next_cursor : page.prev_cursor;
+  } while (cursor && pages.length < 20);
+  return pages;
+};
+
+test('cursor pages follow the same order as offset pages, forwards and back', async () => {
+  for (const sort of SORTS) {
+    const { contacts } = await listContacts({ sort }, { limit: 100, offset: 0 });
+    const expected = namesOf(contacts);
+    assert.strictEqual(expected.length, 7);
+
+    for (const limit of [1, 2, 3, 7, 10]) {
+      const forward = await walk({ sort }, { limit });
+      assert.deepStrictEqual(forward.flat(), expected, `sort ${sort}, limit ${limit}`);
+      assert.strictEqual(forward.length, Math.max(1, Math.ceil(7 / limit)));
+
+      // Back from the last page
+      const end = await listContactsByCursor({ sort }, {
+        limit: 1,
+        cursor: (await listContactsByCursor({ sort }, { limit: 6 })).next_cursor
+      });
+      assert.deepStrictEqual(namesOf(end.contacts), expected.slice(6));
+      assert.strictEqual(end.next_cursor, null);
+
+      const backward = await walk({ sort }, { limit, direction: 'prev', start: end.prev_cursor });
+      assert.deepStrictEqual([...backward].reverse().flat(), expected.slice(0, 6), `back: sort ${sort}, limit ${limit}`);
+    }
+  }
+});
+
+test('text sorts ignore case and ties fall back on the ID', async () => {
+  const { contacts } = await listContacts({ sort: 'name' }, { limit: 100, offset: 0 });
+  assert.deepStrictEqual(namesOf(contacts), ['Dev', 'farah', 'anil', 'Chetan', 'Esha', 'Bela', 'Gita']);
+
+  const byOwner = await listContacts({ sort: '-owner' }, { limit: 100, offset: 0 });
+  assert.deepStrictEqual(namesOf(byOwner.contacts), ['Dev', 'farah', 'anil', 'Chetan', 'Bela', 'Esha', 'Gita']);
+});
+
+test('contacts added or removed between pages are neither skipped nor repeated', async () => {
+  const first = await listContactsByCursor({ sort: 'name' }, { limit: 3 });
+  assert.deepStrictEqual(namesOf(first.contacts), ['Dev', 'farah', 'anil']);
+
+  // One sorts before the page just read, one after it; one of the unread ones goes away
+  await createContacts([
+    { first_name: 'Aaron', last_name: 'Aaronson', phone_number: '+91 90000 00008' },
+    { first_name: 'Zoya', last_name: 'Zaidi', phone_number: '+91 90000 00009' }
+  ]);
+  const esha = (await listContacts({ search: 'Esha' }, { limit: 1, offset: 0 })).contacts[0];
+  await softDeleteContacts([esha.id], userId);
+
+  const rest = await walk({ sort: 'name' }, { limit: 3, start: first.next_cursor });
+  assert.deepStrictEqual(rest, [['Chetan', 'Bela', 'Gita'], ['Zoya']]);
+
+  // Going back from the next page shows the one added before it
+  const second = await listContactsByCursor({ sort: 'name' }, { limit: 3, cursor: first.next_cursor });
+  const back = await listContactsByCursor({ sort: 'name' }, { limit: 10, cursor: second.prev_cursor });
+  assert.deepStrictEqual(namesOf(back.contacts), ['Dev', 'Aaron', 'farah', 'anil']);
+  assert.strictEqual(back.prev_cursor, null);
+  assert.ok(back.next_cursor);
+});
+
+test('cursors are only accepted for the sort they were made for', async () => {
+  const { next_cursor: cursor } = await listContactsByCursor({ sort: 'name' }, { limit: 2 });
+
+  assert.ok((await listContactsByCursor({ sort: ' name ' }, { limit: 2, cursor })).contacts);
+  for (const [sort, value] of [['-name', cursor], [undefined, cursor], ['name', 'not-a-cursor'], ['name', `${cursor}x`]]) {
+    const result = await listContactsByCursor({ sort }, { limit: 2, cursor: value });
+    assert.deepStrictEqual(result.errors.map(error => [error.path, error.msg]),
+      [['cursor', 'Invalid cursor, or one made for a different sort']]);
+  }
+});
+
+test('unknown sort fields are rejected, inherited names included', () => {
+  for (const field of ['constructor', '__proto__', 'toString', 'phone_number']) {
+    assert.match(buildContactSort(`name,-${field}`).error, new RegExp(`^Cannot sort by "${field}"; use one of: name, `));
+  }
+  assert.strictEqual(buildContactSort('name,first_name,last_name,source,status').error, 'Sort by at most 4 fields');
+  assert.deepStrictEqual(buildContactSort(' , '), { keys: [], orderBy: null });
+});
+
+test('GET /api/contacts pages by cursor and reports bad cursors and sorts', async () => {
+  const first = await request('GET', '/api/contacts?pagination=cursor&limit=2&sort=first_name', { userId });
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(namesOf(first.body.contacts), ['Aaron', 'anil']);
+  assert.strictEqual(first.body.pagination.prev_cursor, null);
+  assert.ok(!('total' in first.body.pagination));
+
+  const second = await request('GET',
+    `/api/contacts?cursor=${first.body.pagination.next_cursor}&limit=2&sort=first_name&include_total=true`, { userId });
+  assert.deepStrictEqual(namesOf(second.body.contacts), ['Bela', 'Chetan']);
+  assert.strictEqual(second.body.pagination.total, 8);
+
+  const badCursor = await request('GET', `/api/contacts?cursor=${first.body.pagination.next_cursor}&sort=name`, { userId });
+  assert.strictEqual(badCursor.status, 400);
+  assert.strictEqual(badCursor.body.details[0].path, 'cursor');
+
+  const badSort = await request('GET', '/api/contacts?pagination=cursor&sort=constructor', { userId });
+  assert.strictEqual(badSort.status, 400);
+  assert.strictEqual(badSort.body.details[0].path, 'sort');
+});
@@ -0,0 +1,158 @@
+// Contact filter expressions: the compact query-string form, AND/OR/NOT groups, every
+// operator on each kind of field, and the filters that are turned away
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createUser, createContacts } = require('./helpers');
+
+let ownerId = null;
+
+useTestDatabase('filters', async () => {
+  ownerId = await createUser('owner');
+  await createContacts([
+    {
+      first_name: 'Anil',
+      last_name: 'Rao',
+      phone_number: '+91 98765 43210',
+      email: 'anil.rao@acme.in',
+      source: 'Gmail',
+      data_owner: 'Asha',
+      notes: 'Met at the expo'
+    }
+  ], { userId: ownerId });
+  await createContacts([
+    { first_name: 'Bela', last_name: 'Shah', phone_number: '+1 415 555 0199', source: 'Zoho', data_owner: 'Ravi' },
+    { first_name: 'Chetan', last_name: '50%_off', phone_number: '+44 20 7946 0958', email: 'chetan@example.com' }
+  ]);
+});
+
+const { parseFilter, compileFilter } = require('../server/services/contactFilterService');
+const { listContacts } = require('../server/services/contactListService');
+
+// First names of the contacts a filter (in either form) selects
+const names = async (filter) => {
+  const result = await listContacts({ filter, sort: 'first_name' }, { limit: 10, offset: 0 });
+  assert.ifError(result.errors && result.errors[0].msg);
+  return result.contacts.map(contact => contact.first_name);
+};
+
+// The message a filter is turned away with
+const rejection = async (filter) => {
+  const result = await listContacts({ filter }, { limit: 10, offset: 0 });
+  assert.ok(result.errors, `expected ${JSON.stringify(filter)} to be rejected`);
+  assert.strictEqual(result.errors[0].path, 'filter');
+  return result.errors[0].msg;
+};
+
+test('the compact form parses into the JSON form', () => {
+  assert.deepStrictEqual(
+    parseFilter('and(first_name:contains:ash,or(status:eq:Active,source:in:Gmail|Zoho),not(email:is_empty))').filter,
+    {
+      and: [
+        { field: 'first_name', op: 'contains', value: 'ash' },
+        { or: [{ field: 'status', op: 'eq', value: 'Active' }, { field: 'source', op: 'in', value: ['Gmail', 'Zoho'] }] },
+        { not: { field: 'email', op: 'is_empty' } }
+      ]
+    }
+  );
+
+  assert.deepStrictEqual(parseFilter('last_name:eq:"Rao, \\"Jr\\"", source : eq : Gmail ').filter, {
+    and: [{ field: 'last_name', op: 'eq', value: 'Rao, "Jr"' }, { field: 'source', op: 'eq', value: 'Gmail' }]
+  });
+  assert.deepStrictEqual(parseFilter('not(source:eq:Zoho,notes:is_empty)').filter, {
+    not: { and: [{ field: 'source', op: 'eq', value: 'Zoho' }, { field: 'notes', op: 'is_empty' }] }
+  });
+  assert.deepStrictEqual(parseFilter('{"field":"id","op":"eq","value":1}').filter, { field: 'id', op: 'eq', value: 1 });
+});
+
+test('malformed filters are reported with where they went wrong', () => {
+  assert.strictEqual(parseFilter('').error, 'Filter is empty');
+  assert.strictEqual(parseFilter('{"and":').error, 'Filter is not valid JSON');
+  assert.strictEqual(parseFilter('last_name:eq:"Rao').error, 'Unterminated quoted value');
+  assert.strictEqual(parseFilter('and(source:eq:Gmail').error, 'Expected ")" at position 20');
+  assert.strictEqual(parseFilter('source:eq:Gmail)').error, 'Unexpected ")" at position 16');
+  assert.strictEqual(parseFilter('source=Gmail').error, 'Expected ":" at position 7');
+  assert.strictEqual(parseFilter('9:eq:x').error, 'Expected a field or group at position 1');
+});
+
+test('groups nest into SQL with every value bound', () => {
+  const { condition, params } = compileFilter({
+    or: [
+      { and: [{ field: 'first_name', op: 'eq', value: 'Anil' }, { field: 'id', op: 'in', value: [1, '2'] }] },
+      { not: { field: 'last_name', op: 'starts_with', value: "O'Br%" } }
+    ]
+  });
+
+  assert.strictEqual(condition,
+    "((first_name = ? COLLATE NOCASE AND id IN (?, ?)) OR NOT (last_name LIKE ? ESCAPE '\\'))");
+  assert.deepStrictEqual(params, ['Anil', 1, 2, "O'Br\\%%"]);
+});
+
+test('AND, OR and NOT combine as written', async () => {
+  assert.deepStrictEqual(await names('source:in:Gmail|Zoho,data_owner:eq:ravi'), ['Bela']);
+  assert.deepStrictEqual(await names('or(first_name:eq:Anil,last_name:eq:Shah)'), ['Anil', 'Bela']);
+  assert.deepStrictEqual(await names('not(source:in:Gmail|Zoho)'), ['Chetan']);
+  assert.deepStrictEqual(await names('and(not(email:is_empty),or(source:eq:CSV,not(data_owner:eq:Ravi)))'), ['Anil', 'Chetan']);
+  assert.deepStrictEqual(await names({ not: { not: { field: 'first_name', op: 'eq', value: 'bela' } } }), ['Bela']);
+});
+
+test('text operators ignore case and match wildcards literally', async () => {
+  assert.deepStrictEqual(await names('first_name:eq:ANIL'), ['Anil']);
+  assert.deepStrictEqual(await names('last_name:contains:ha'), ['Bela']);
+  assert.deepStrictEqual(await names('last_name:starts_with:r'), ['Anil']);
+  assert.deepStrictEqual(await names('last_name:contains:%_'), ['Chetan']);
+  assert.deepStrictEqual(await names('last_name:contains:%'), ['Chetan']);
+  assert.deepStrictEqual(await names('data_owner:in:asha|RAVI'), ['Anil', 'Bela']);
+  assert.deepStrictEqual(await names('data_owner:is_empty'), ['Chetan']);
+});
+
+test('number, date, phone, email and notes operators', async () => {
+  assert.deepStrictEqual(await names(`created_by:eq:${ownerId}`), ['Anil']);
+  assert.deepStrictEqual(await names(`created_by:in:${ownerId}|999`), ['Anil']);
+  assert.deepStrictEqual(await names('created_by:is_empty'), ['Bela', 'Chetan']);
+
+  const { contacts } = await listContacts({}, { limit: 1, offset: 0 });
+  const today = contacts[0].created_at.slice(0, 10);
+  assert.deepStrictEqual(await names(`created_at:eq:${today}`), ['Anil', 'Bela', 'Chetan']);
+  assert.deepStrictEqual(await names(`created_at:before:${today}`), []);
+  assert.deepStrictEqual(await names('created_at:after:2000-01-01T00:00:00Z'), ['Anil', 'Bela', 'Chetan']);
+  assert.deepStrictEqual(await names(`created_at:after:${today}`), []);
+  assert.deepStrictEqual(await names('updated_at:is_empty'), []);
+
+  assert.deepStrictEqual(await names('phone_number:eq:+91 98765 43210'), ['Anil']);
+  assert.deepStrictEqual(await names('phone_number:in:"+1 415 555 0199"|+44 20 7946 0958'), ['Bela', 'Chetan']);
+  assert.deepStrictEqual(await names('email:eq:ANIL.RAO@acme.in'), ['Anil']);
+  assert.deepStrictEqual(await names('email:in:chetan@example.com|nobody@example.com'), ['Chetan']);
+  assert.deepStrictEqual(await names('email:is_empty'), ['Bela']);
+  assert.deepStrictEqual(await names('notes:is_empty'), ['Bela', 'Chetan']);
+});
+
+test('fields that are not filterable are rejected, inherited names included', async () => {
+  for (const field of ['constructor', '__proto__', 'toString', 'hasOwnProperty', 'password_hash']) {
+    assert.match(await rejection(`${field}:eq:x`), new RegExp(`^Unknown filter field "${field}"; use one of: id, `));
+    assert.match(await rejection(JSON.stringify({ field, op: 'is_empty' })), /^Unknown filter field/);
+  }
+  assert.match(await rejection({ field: ['first_name'], op: 'eq', value: 'Anil' }), /^Unknown filter field/);
+  assert.match(await rejection({ and: [{ op: 'eq', value: 'Anil' }] }), /^Unknown filter field "undefined"/);
+});
+
+test('operators, values and sizes are checked', async () => {
+  assert.match(await rejection('first_name:constructor:x'), /^Unknown filter operator "constructor"/);
+  assert.strictEqual(await rejection('notes:contains:expo'), 'Operator "contains" is not supported on notes; use one of: is_empty');
+  assert.strictEqual(await rejection('created_at:contains:2024'),
+    'Operator "contains" is not supported on created_at; use one of: eq, before, after, is_empty');
+  assert.strictEqual(await rejection('id:eq:one'), 'id must be compared with whole numbers');
+  assert.match(await rejection('created_at:before:yesterday'), /^created_at must be compared with an ISO 8601 date/);
+  assert.strictEqual(await rejection('first_name:eq:""'), 'Operator "eq" on first_name needs a value');
+  assert.strictEqual(await rejection({ field: 'source', op: 'in', value: [] }), 'Operator "in" on source needs a non-empty list of values');
+  assert.strictEqual(await rejection({ or: [] }), '"or" needs a non-empty list of conditions');
+  assert.strictEqual(await rejection({ and: ['first_name'] }), 'Each filter entry must be an object');
+
+  let deep = { field: 'id', op: 'eq', value: 1 };
+  for (let level = 0; level < 8; level++) deep = { not: deep };
+  assert.strictEqual(await rejection(deep), 'Filters can be nested at most 8 levels deep');
+
+  const many = Array.from({ length: 51 }, () => 'source:eq:CSV').join(',');
+  assert.strictEqual(await rejection(many), 'A filter can hold at most 50 conditions');
+  assert.strictEqual(await rejection({ field: 'source', op: 'in', value: Array(201).fill('CSV') }),
+    'A filter can hold at most 200 values');
+});
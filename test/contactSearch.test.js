@@ -0,0 +1,77 @@
+// What contact search covers once phone numbers, emails and notes are encrypted:
+// names and organizations as text, the encrypted fields through hashed search tokens
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createContacts } = require('./helpers');
+
+useTestDatabase('search', async () => {
+  await createContacts([
+    {
+      first_name: 'Anil',
+      last_name: 'Rao',
+      phone_number: '+91 98765 43210',
+      email: 'anil.rao@acme.in',
+      notes: 'Met at the Pune café expo about invoice 4521'
+    },
+    {
+      first_name: 'Bela',
+      last_name: 'Shah',
+      phone_number: '+1 415 555 0199',
+      notes: 'Prefers WhatsApp'
+    }
+  ]);
+});
+
+const { executeQuery } = require('../server/utils/database');
+const { listContacts } = require('../server/services/contactListService');
+
+const search = async (text) => {
+  const { contacts } = await listContacts({ search: text }, { limit: 10, offset: 0 });
+  return contacts.map(contact => contact.first_name).sort();
+};
+
+test('names are prefix-matched and get a snippet', async () => {
+  assert.deepStrictEqual(await search('ani'), ['Anil']);
+
+  const { contacts } = await listContacts({ search: 'shah' }, { limit: 10, offset: 0 });
+  assert.strictEqual(contacts[0].search_snippet, '<mark>Shah</mark>');
+});
+
+test('words in notes are found, accents and case ignored', async () => {
+  assert.deepStrictEqual(await search('expo'), ['Anil']);
+  assert.deepStrictEqual(await search('CAFE'), ['Anil']);
+  assert.deepStrictEqual(await search('whats'), ['Bela']);
+  assert.deepStrictEqual(await search('4521'), ['Anil']);
+  assert.deepStrictEqual(await search('rao pune'), ['Anil']);
+});
+
+test('a match only in encrypted fields has no snippet', async () => {
+  const { contacts } = await listContacts({ search: 'expo' }, { limit: 10, offset: 0 });
+  assert.strictEqual(contacts[0].search_snippet, null);
+  assert.ok(!('search_tokens' in contacts[0]));
+});
+
+test('partial and whole phone numbers are found by their digits', async () => {
+  assert.deepStrictEqual(await search('98765'), ['Anil']);
+  assert.deepStrictEqual(await search('9198765'), ['Anil']);
+  assert.deepStrictEqual(await search('+91 98765 43210'), ['Anil']);
+  assert.deepStrictEqual(await search('098765 43210'), ['Anil']);
+  assert.deepStrictEqual(await search('415-555'), ['Bela']);
+  assert.deepStrictEqual(await search('43210'), []);
+});
+
+test('email words and whole email addresses are found', async () => {
+  assert.deepStrictEqual(await search('acme'), ['Anil']);
+  assert.deepStrictEqual(await search('anil.rao@acme.in'), ['Anil']);
+  assert.deepStrictEqual(await search('rao@acme.in'), []);
+});
+
+test('the index holds no plaintext of encrypted fields', async () => {
+  const index = await executeQuery('SELECT tokens FROM contacts_fts');
+  const words = index.rows.flatMap(row => row.tokens.split(/\s+/)).filter(Boolean);
+  assert.ok(words.length > 0);
+  assert.ok(words.every(word => /^t[0-9a-f]{16}$/.test(word)));
+
+  const stored = await executeQuery('SELECT notes FROM contacts');
+  assert.ok(stored.rows.every(row => row.notes.startsWith('enc:v1:')));
+});
@@ -0,0 +1,183 @@
+// Contact versions and ETags: a write sent with an outdated If-Match, or racing another
+// write, gets a 412 with the current contact instead of overwriting it
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createUser, createContacts, createTestApp } = require('./helpers');
+
+let userId;
+let adminId;
+let contactId;
+
+useTestDatabase('versions', async () => {
+  userId = await createUser('editor');
+  adminId = await createUser('admin', 'admin');
+  const [contact] = await createContacts([{ first_name: 'Anil', last_name: 'Rao', phone_number: '+91 98765 43210' }]);
+  contactId = contact.id;
+});
+
+const contactRoutes = require('../server/routes/contacts');
+const tagRoutes = require('../server/routes/tags');
+const organizationRoutes = require('../server/routes/organizations');
+const customFieldRoutes = require('../server/routes/customFields');
+const { getContactRevisions, getRevision, revertToRevision } = require('../server/services/revisionService');
+
+const { request } = createTestApp({
+  '/api/contacts': contactRoutes,
+  '/api/tags': tagRoutes,
+  '/api/organizations': organizationRoutes,
+  '/api/custom-fields': customFieldRoutes
+});
+
+const getContact = (id = contactId) => request('GET', `/api/contacts/${id}`, { userId });
+
+const patchContact = (changes, etag, id = contactId) => request('PATCH', `/api/contacts/${id}`, {
+  userId,
+  body: changes,
+  headers: { 'content-type': 'application/merge-patch+json', ...(etag ? { 'if-match': etag } : {}) }
+});
+
+const revertContact = async (revisionNumber, etag) => {
+  const revisions = await getContactRevisions(contactId);
+  const revision = revisions.find(item => item.revision_number === revisionNumber);
+  return request('POST', `/api/contacts/${contactId}/revisions/${revision.id}/revert`, {
+    userId,
+    headers: { 'if-match': etag }
+  });
+};
+
+test('every response carries the version as ETag and a PATCH moves it on', async () => {
+  const loaded = await getContact();
+  assert.strictEqual(loaded.headers.get('etag'), `"${loaded.body.contact.version}"`);
+
+  const patched = await patchContact({ last_name: 'Rao-Iyer' }, loaded.headers.get('etag'));
+  assert.strictEqual(patched.status, 200);
+  assert.strictEqual(patched.body.contact.version, loaded.body.contact.version + 1);
+  assert.strictEqual(patched.headers.get('etag'), `"${patched.body.contact.version}"`);
+});
+
+test('a PATCH with an outdated If-Match gets 412 and the current contact', async () => {
+  const loaded = await getContact();
+  await patchContact({ status: 'Inactive' }, loaded.headers.get('etag'));
+
+  const stale = await patchContact({ first_name: 'Overwritten' }, loaded.headers.get('etag'));
+  assert.strictEqual(stale.status, 412);
+  assert.strictEqual(stale.body.contact.first_name, 'Anil');
+  assert.strictEqual(stale.body.contact.status, 'Inactive');
+  assert.strictEqual(stale.headers.get('etag'), `"${stale.body.contact.version}"`);
+});
+
+test('a revert with an outdated If-Match gets 412; with the current one it applies', async () => {
+  const loaded = await getContact();
+  await patchContact({ first_name: 'Anand' }, loaded.headers.get('etag'));
+
+  const stale = await revertContact(1, loaded.headers.get('etag'));
+  assert.strictEqual(stale.status, 412);
+  assert.strictEqual(stale.body.contact.first_name, 'Anand');
+
+  const current = await getContact();
+  const reverted = await revertContact(1, current.headers.get('etag'));
+  assert.strictEqual(reverted.status, 200);
+  assert.strictEqual(reverted.body.contact.first_name, 'Anil');
+  assert.strictEqual(reverted.body.contact.last_name, 'Rao');
+  assert.strictEqual(reverted.body.revision.action, 'revert');
+  assert.strictEqual(reverted.headers.get('etag'), `"${current.body.contact.version + 1}"`);
+});
+
+test('a revert only applies while the contact is at the version it was checked against', async () => {
+  const { body: { contact } } = await getContact();
+  const [latest] = await getContactRevisions(contactId);
+  const revision = await getRevision(contactId, latest.id);
+  await patchContact({ first_name: 'Ajay' }, `"${contact.version}"`);
+
+  // Both read the contact at the same version: the revert must not overwrite the patch
+  assert.deepStrictEqual(await revertToRevision(contactId, revision, userId, contact.version), { conflict: true });
+  assert.strictEqual((await getContact()).body.contact.first_name, 'Ajay');
+});
+
+// Run a change made outside a contact update and check that a PATCH sent with the ETag
+// from before it is refused
+const assertChangeMovesVersion = async (change, id = contactId) => {
+  const before = await getContact(id);
+  await change();
+
+  const stale = await patchContact({ data_owner: 'Sales' }, before.headers.get('etag'), id);
+  assert.strictEqual(stale.status, 412);
+  assert.ok(stale.body.contact.version > before.body.contact.version);
+};
+
+test('moving a contact to the trash and back moves its version on', async () => {
+  const [other] = await createContacts([{ first_name: 'Bela', phone_number: '+1 415 555 0199' }]);
+  await assertChangeMovesVersion(async () => {
+    assert.strictEqual((await request('DELETE', `/api/contacts/${other.id}`, { userId })).status, 200);
+    assert.strictEqual((await request('POST', `/api/contacts/${other.id}/restore`, { userId })).status, 200);
+  }, other.id);
+});
+
+test('renaming, merging or deleting a tag moves its contacts on', async () => {
+  const loaded = await getContact();
+  await patchContact({ tags: ['vip', 'lead'] }, loaded.headers.get('etag'));
+  const tags = (await getContact()).body.contact.tags;
+  const vip = tags.find(tag => tag.name === 'vip');
+  const lead = tags.find(tag => tag.name === 'lead');
+
+  await assertChangeMovesVersion(async () => {
+    assert.strictEqual((await request('PUT', `/api/tags/${vip.id}`, { userId, body: { name: 'VIP' } })).status, 200);
+  });
+  await assertChangeMovesVersion(async () => {
+    const merged = await request('POST', `/api/tags/${vip.id}/merge`, { userId, body: { source_tag_ids: [lead.id] } });
+    assert.strictEqual(merged.status, 200);
+  });
+  await assertChangeMovesVersion(async () => {
+    assert.strictEqual((await request('DELETE', `/api/tags/${vip.id}`, { userId })).status, 200);
+  });
+  assert.deepStrictEqual((await getContact()).body.contact.tags, []);
+});
+
+test('linking, renaming, unlinking or deleting an organization moves its contacts on', async () => {
+  const created = await request('POST', '/api/organizations', { userId, body: { name: 'Acme' } });
+  const organizationId = created.body.organization.id;
+
+  await assertChangeMovesVersion(async () => {
+    const linked = await request('POST', `/api/organizations/${organizationId}/contacts`, {
+      userId,
+      body: { contact_id: contactId, job_title: 'CTO' }
+    });
+    assert.strictEqual(linked.status, 200);
+  });
+  await assertChangeMovesVersion(async () => {
+    const renamed = await request('PUT', `/api/organizations/${organizationId}`, { userId, body: { name: 'Acme Labs' } });
+    assert.strictEqual(renamed.status, 200);
+  });
+  await assertChangeMovesVersion(async () => {
+    const unlinked = await request('DELETE', `/api/organizations/${organizationId}/contacts/${contactId}`, { userId });
+    assert.strictEqual(unlinked.status, 200);
+  });
+
+  const loaded = await getContact();
+  await patchContact({ organizations: [{ organization_id: organizationId }] }, loaded.headers.get('etag'));
+  await assertChangeMovesVersion(async () => {
+    assert.strictEqual((await request('DELETE', `/api/organizations/${organizationId}`, { userId })).status, 200);
+  });
+  assert.deepStrictEqual((await getContact()).body.contact.organizations, []);
+});
+
+test('deactivating or deleting a custom field moves the contacts holding a value on', async () => {
+  const created = await request('POST', '/api/custom-fields', {
+    userId: adminId,
+    body: { field_key: 'region', field_type: 'text', label: 'Region' }
+  });
+  const fieldId = created.body.field.id;
+  const loaded = await getContact();
+  await patchContact({ custom_fields: { region: 'West' } }, loaded.headers.get('etag'));
+
+  await assertChangeMovesVersion(async () => {
+    const updated = await request('PUT', `/api/custom-fields/${fieldId}`, {
+      userId: adminId,
+      body: { label: 'Region', is_active: false }
+    });
+    assert.strictEqual(updated.status, 200);
+  });
+  await assertChangeMovesVersion(async () => {
+    assert.strictEqual((await request('DELETE', `/api/custom-fields/${fieldId}`, { userId: adminId })).status, 200);
+  });
+});
@@ -0,0 +1,41 @@
+// CSV cells: quoting, and values spreadsheet software would run as formulas
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { escapeCsvValue, toCsv } = require('../server/utils/csv');
+
+test('values with commas, quotes or line breaks are quoted', () => {
+  assert.strictEqual(escapeCsvValue('Shah, "B"'), '"Shah, ""B"""');
+  assert.strictEqual(escapeCsvValue('one\ntwo'), '"one\ntwo"');
+  assert.strictEqual(escapeCsvValue(null), '');
+  assert.strictEqual(escapeCsvValue({ a: 1 }), '"{""a"":1}"');
+});
+
+test('formulas are prefixed with a quote', () => {
+  assert.strictEqual(escapeCsvValue('=1+2'), "'=1+2");
+  assert.strictEqual(escapeCsvValue('@SUM(A1)'), "'@SUM(A1)");
+  assert.strictEqual(escapeCsvValue('+cmd|x'), "'+cmd|x");
+  assert.strictEqual(escapeCsvValue('-2+3'), "'-2+3");
+  assert.strictEqual(escapeCsvValue('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+});
+
+test('values holding whitespace are not taken for plain numbers', () => {
+  assert.strictEqual(escapeCsvValue('\t-1+2'), "'\t-1+2");
+  assert.strictEqual(escapeCsvValue('\t-2'), "'\t-2");
+  assert.strictEqual(escapeCsvValue('\r=1'), "\"'\r=1\"");
+  assert.strictEqual(escapeCsvValue(' -2'), "' -2");
+  assert.strictEqual(escapeCsvValue('  =1+2'), "'  =1+2");
+  assert.strictEqual(escapeCsvValue('-1 +2'), "'-1 +2");
+  assert.strictEqual(escapeCsvValue('+91 98765 43210'), "'+91 98765 43210");
+});
+
+test('plain numbers are left as they are', () => {
+  assert.strictEqual(escapeCsvValue('-12.5'), '-12.5');
+  assert.strictEqual(escapeCsvValue('+919876543210'), '+919876543210');
+  assert.strictEqual(escapeCsvValue('+1-(415)-555-0199'), '+1-(415)-555-0199');
+  assert.strictEqual(escapeCsvValue(' 12'), ' 12');
+  assert.strictEqual(escapeCsvValue(-3), '-3');
+});
+
+test('toCsv writes a header row and the rows in column order', () => {
+  assert.strictEqual(toCsv(['b', 'a'], [{ a: 1, b: '=x' }]), "b,a\r\n'=x,1\r\n");
+});
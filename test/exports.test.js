@@ -0,0 +1,148 @@
+// Contact exports in each format, read back the way spreadsheet software and scripts would,
+// and an export whose client goes away part way
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const zlib = require('zlib');
+const { useTestDatabase, createContacts } = require('./helpers');
+
+useTestDatabase('exports', async () => {
+  await createContacts([
+    { first_name: 'Anil', last_name: 'Rao & Sons <Pune>', phone_number: '+91 98765 43210', notes: '=HYPERLINK("x")' },
+    { first_name: 'Bela', last_name: 'Shah, "B"', phone_number: '-2', notes: 'Línea 1\nLínea 2' }
+  ]);
+});
+
+const { crc32 } = require('../server/utils/xlsx');
+const { resolveExport, streamExport, listExports } = require('../server/services/contactExportService');
+
+const COLUMNS = 'first_name,last_name,phone_number,notes';
+
+// A response stand-in that keeps what is written to it
+const createOutput = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  output.headers = {};
+  output.setHeader = (name, value) => { output.headers[name] = value; };
+  output.body = () => Buffer.concat(chunks);
+  return output;
+};
+
+const runExport = async (format, output = createOutput()) => {
+  const resolved = await resolveExport({ format, columns: COLUMNS, sort: 'first_name' });
+  const record = await streamExport(resolved, output);
+  return { record, output };
+};
+
+// Read every entry of a ZIP archive through its central directory, checking each CRC
+const readZip = (archive) => {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(endOffset >= 0, 'end of central directory record');
+  const count = archive.readUInt16LE(endOffset + 10);
+  let offset = archive.readUInt32LE(endOffset + 16);
+
+  const entries = {};
+  for (let index = 0; index < count; index++) {
+    assert.strictEqual(archive.readUInt32LE(offset), 0x02014b50);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.strictEqual(archive.readUInt32LE(localOffset), 0x04034b50);
+    const dataOffset = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(dataOffset, dataOffset + compressedSize));
+
+    assert.strictEqual(data.length, size, `${name} size`);
+    assert.strictEqual(zlib.crc32(data), crc, `${name} CRC`);
+    entries[name] = data.toString('utf8');
+    offset += 46 + nameLength + archive.readUInt16LE(offset + 30) + archive.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+};
+
+test('crc32 gives the standard CRC-32, also when continued', () => {
+  assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.strictEqual(crc32(Buffer.from('6789'), crc32(Buffer.from('12345'))), 0xcbf43926);
+  assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+});
+
+test('unknown columns are rejected, inherited names included', async () => {
+  const { errors } = await resolveExport({ columns: 'first_name,constructor,__proto__,custom_fields.toString' });
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].msg,
+    'Unknown column(s): constructor, __proto__, custom_fields.toString; see GET /api/exports/columns');
+});
+
+test('CSV has a byte order mark, a header row and escaped cells', async () => {
+  const { record, output } = await runExport('csv');
+  assert.strictEqual(output.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.strictEqual(record.status, 'completed');
+  assert.strictEqual(record.row_count, 2);
+
+  assert.strictEqual(output.body().toString('utf8'), [
+    '﻿First Name,Last Name,Phone,Notes',
+    'Anil,Rao & Sons <Pune>,\'+91 98765 43210,"\'=HYPERLINK(""x"")"',
+    'Bela,"Shah, ""B""",-2,"Línea 1\nLínea 2"',
+    ''
+  ].join('\r\n'));
+});
+
+test('NDJSON has one object per contact keyed by column', async () => {
+  const { output } = await runExport('ndjson');
+  const lines = output.body().toString('utf8').split('\n');
+
+  assert.strictEqual(lines.pop(), '');
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line)), [
+    { first_name: 'Anil', last_name: 'Rao & Sons <Pune>', phone_number: '+91 98765 43210', notes: '=HYPERLINK("x")' },
+    { first_name: 'Bela', last_name: 'Shah, "B"', phone_number: '-2', notes: 'Línea 1\nLínea 2' }
+  ]);
+});
+
+test('XLSX is a valid archive holding the workbook parts and one sheet', async () => {
+  const { record, output } = await runExport('xlsx');
+  assert.strictEqual(record.status, 'completed');
+
+  const entries = readZip(output.body());
+  assert.deepStrictEqual(Object.keys(entries), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml', 'xl/worksheets/sheet1.xml'
+  ]);
+  assert.match(entries['xl/workbook.xml'], /<sheet name="Contacts" sheetId="1" r:id="rId1"\/>/);
+
+  const rows = entries['xl/worksheets/sheet1.xml'].match(/<row r="\d+">[\s\S]*?<\/row>/g);
+  assert.strictEqual(rows.length, 3);
+  assert.match(rows[0], /^<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">First Name<\/t>/);
+  assert.ok(rows[1].includes('<c r="B2" t="inlineStr"><is><t xml:space="preserve">Rao &amp; Sons &lt;Pune&gt;</t></is></c>'));
+  assert.ok(rows[1].includes('<c r="D2" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK(&quot;x&quot;)</t></is></c>'));
+  assert.ok(rows[2].includes('<c r="C3" t="inlineStr"><is><t xml:space="preserve">-2</t></is></c>'));
+});
+
+test('an export whose output closes part way fails instead of hanging', { timeout: 10000 }, async () => {
+  for (const format of ['csv', 'xlsx']) {
+    // Takes a single byte, never drains and then goes away, like a stalled client
+    const output = new Writable({
+      highWaterMark: 1,
+      write() {
+        setImmediate(() => this.destroy());
+      }
+    });
+    output.setHeader = () => {};
+
+    const resolved = await resolveExport({ format, columns: COLUMNS });
+    await assert.rejects(streamExport(resolved, output), /Export output closed before the export finished/);
+
+    const [record] = (await listExports({ limit: 1, offset: 0 })).exports;
+    assert.strictEqual(record.format, format);
+    assert.strictEqual(record.status, 'failed');
+    assert.strictEqual(record.error, 'Export output closed before the export finished');
+  }
+});
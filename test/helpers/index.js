@@ -0,0 +1,103 @@
+// Shared setup for the server tests. Each test file runs in a process of its own and calls
+// useTestDatabase() before requiring any server module: the server then works on a fresh
+// SQLite database (with its own backup and export directories and encryption key) in a
+// temporary directory, migrated before the file's tests and removed after them.
+const { before, after } = require('node:test');
+const crypto = require('crypto');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATABASE_MODULE = '../../server/utils/database';
+
+// Point the server at a temporary database for this test file and run `seed` once it is
+// migrated (in the same hook: Node 20 does not wait for one root before() hook to finish
+// before starting the next). Returns the database's directory.
+const useTestDatabase = (name, seed = null) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `ikf-${name}-test-`));
+  process.env.DB_DIALECT = 'sqlite';
+  process.env.SQLITE_PATH = path.join(workDir, 'ikf_phonebook.db');
+  process.env.BACKUP_DIR = path.join(workDir, 'backups');
+  process.env.EXPORT_DIR = path.join(workDir, 'exports');
+  process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+  process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+
+  const { connectDatabase, closeDatabase } = require(DATABASE_MODULE);
+  before(async () => {
+    await connectDatabase();
+    if (seed) await seed();
+  });
+  after(async () => {
+    await closeDatabase();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  return workDir;
+};
+
+// Create a user; returns its ID
+const createUser = async (username, role = 'user') => {
+  const { executeSingleQuery } = require(DATABASE_MODULE);
+  const result = await executeSingleQuery(
+    'INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+    [username, `${username}@example.com`, 'x', role]
+  );
+  return result.insertId;
+};
+
+// Create contacts the way an import does (relationship type and source default to Client
+// and CSV); returns the created contacts in order
+const createContacts = async (contacts, options = {}) => {
+  const { withTransaction } = require(DATABASE_MODULE);
+  const { insertContacts } = require('../../server/services/contactImportService');
+  return withTransaction(() => insertContacts(
+    contacts.map(contact => ({ relationship_type: 'Client', source: 'CSV', ...contact })),
+    options
+  ));
+};
+
+// Serve routers (by mount path, e.g. { '/api/contacts': router }) on a free port for
+// HTTP-level tests. request(method, path, { userId, body, headers }) signs in as `userId`
+// and resolves to { status, headers, body } with JSON bodies parsed.
+const createTestApp = (routes) => {
+  const express = require('express');
+  const jwt = require('jsonwebtoken');
+  const app = express();
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+
+  let server = null;
+  after(async () => {
+    if (!server) return;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const request = async (method, requestPath, { userId = null, body, headers = {} } = {}) => {
+    if (!server) {
+      server = app.listen(0, '127.0.0.1');
+      await once(server, 'listening');
+    }
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${requestPath}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(userId ? { authorization: `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  return { request };
+};
+
+module.exports = { useTestDatabase, createUser, createContacts, createTestApp };
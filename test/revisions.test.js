@@ -0,0 +1,40 @@
+// Reverting a contact to a revision: applied as a whole or not at all
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createContacts } = require('./helpers');
+
+let contactId;
+
+useTestDatabase('revisions', async () => {
+  const [contact] = await createContacts([{ first_name: 'Anil', phone_number: '+91 98765 43210', tags: ['vip'] }]);
+  contactId = contact.id;
+});
+
+const { executeSingleQuery } = require('../server/utils/database');
+const { loadContactSnapshot, getContactRevisions, getRevision, revertToRevision } = require('../server/services/revisionService');
+
+test('a revert that fails part way changes nothing', async () => {
+  const revisions = await getContactRevisions(contactId);
+  const revision = await getRevision(contactId, revisions[0].id);
+  const reverting = {
+    ...revision,
+    snapshot: { ...revision.snapshot, first_name: 'Changed', phones: [{ phone_number: '+1 415 555 0199' }], tags: [] }
+  };
+  const before = await loadContactSnapshot(contactId);
+
+  await executeSingleQuery(`
+    CREATE TRIGGER fail_revision BEFORE INSERT ON contact_revisions
+    BEGIN SELECT RAISE(ABORT, 'revision rejected'); END
+  `);
+  try {
+    await assert.rejects(revertToRevision(contactId, reverting), /revision rejected/);
+  } finally {
+    await executeSingleQuery('DROP TRIGGER fail_revision');
+  }
+
+  assert.deepStrictEqual(await loadContactSnapshot(contactId), before);
+
+  const { revision: newRevision } = await revertToRevision(contactId, reverting);
+  assert.strictEqual(newRevision.action, 'revert');
+  assert.strictEqual((await loadContactSnapshot(contactId)).first_name, 'Changed');
+});
@@ -0,0 +1,148 @@
+// What the task scheduler delivers: one notification per overdue task and per reminder,
+// for the task's assignee, and the status an overdue task goes back to
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, createUser, createContacts } = require('./helpers');
+
+let creatorId;
+let assigneeId;
+let contactId;
+
+useTestDatabase('tasks', async () => {
+  creatorId = await createUser('creator');
+  assigneeId = await createUser('assignee');
+  const [contact] = await createContacts([{ first_name: 'Anil', phone_number: '+91 98765 43210' }]);
+  contactId = contact.id;
+});
+
+const {
+  getTask,
+  createTask,
+  updateTask,
+  runTaskScheduler,
+  listTaskNotifications,
+  markTaskNotificationsRead
+} = require('../server/services/taskService');
+
+const HOUR = 60 * 60 * 1000;
+
+const notificationTypes = async (userId) => (
+  (await listTaskNotifications(userId)).notifications.map(item => item.type).sort()
+);
+
+test('reminders and overdue tasks reach the assignee once', async () => {
+  const start = Date.now();
+  const task = await createTask({
+    contact_id: contactId,
+    title: 'Send the quote',
+    assignee_id: assigneeId,
+    due_at: new Date(start + 2 * HOUR).toISOString(),
+    remind_at: new Date(start + HOUR).toISOString()
+  }, creatorId);
+
+  assert.deepStrictEqual(await runTaskScheduler(new Date(start + 1.5 * HOUR)), { overdue: 0, reminders: 1 });
+  assert.deepStrictEqual(await runTaskScheduler(new Date(start + 3 * HOUR)), { overdue: 1, reminders: 0 });
+  assert.deepStrictEqual(await runTaskScheduler(new Date(start + 4 * HOUR)), { overdue: 0, reminders: 0 });
+
+  const { notifications, total, unread } = await listTaskNotifications(assigneeId);
+  assert.strictEqual(total, 2);
+  assert.strictEqual(unread, 2);
+  assert.deepStrictEqual(notifications.map(item => item.type).sort(), ['overdue', 'reminder']);
+  assert.ok(notifications.every(item => item.task_id === task.id && item.title === 'Send the quote'));
+  assert.ok(notifications.every(item => item.contact_first_name === 'Anil'));
+
+  assert.strictEqual((await listTaskNotifications(creatorId)).total, 0);
+});
+
+test('notifications can be marked read one by one or all at once', async () => {
+  const { notifications } = await listTaskNotifications(assigneeId);
+
+  assert.strictEqual(await markTaskNotificationsRead(creatorId, [notifications[0].id]), 0);
+  assert.strictEqual(await markTaskNotificationsRead(assigneeId, [notifications[0].id]), 1);
+
+  const unread = await listTaskNotifications(assigneeId, { unreadOnly: true });
+  assert.strictEqual(unread.total, 1);
+  assert.strictEqual(unread.notifications[0].id, notifications[1].id);
+
+  assert.strictEqual(await markTaskNotificationsRead(assigneeId), 1);
+  assert.strictEqual((await listTaskNotifications(assigneeId)).unread, 0);
+});
+
+test('a task first seen past due gets only the overdue notice', async () => {
+  const userId = await createUser('late-assignee');
+  const start = Date.now();
+  await createTask({
+    contact_id: contactId,
+    title: 'Call back',
+    assignee_id: userId,
+    due_at: new Date(start + HOUR).toISOString()
+  }, creatorId);
+  await createTask({
+    contact_id: contactId,
+    title: 'Confirm the visit',
+    assignee_id: userId,
+    due_at: new Date(start + 2 * HOUR).toISOString(),
+    remind_at: new Date(start + HOUR).toISOString()
+  }, creatorId);
+
+  assert.deepStrictEqual(await runTaskScheduler(new Date(start + 5 * HOUR)), { overdue: 2, reminders: 0 });
+  assert.deepStrictEqual(await runTaskScheduler(new Date(start + 6 * HOUR)), { overdue: 0, reminders: 0 });
+  assert.deepStrictEqual(await notificationTypes(userId), ['overdue', 'overdue']);
+});
+
+test('a reminder set for after the due date still goes out', async () => {
+  const userId = await createUser('follow-up-assignee');
+  const start = Date.now();
+  const task = await createTask({
+    contact_id: contactId,
+    title: 'Chase the invoice',
+    assignee_id: userId,
+    due_at: new Date(start + HOUR).toISOString(),
+    remind_at: new Date(start + 3 * HOUR).toISOString()
+  }, creatorId);
+
+  assert.deepStrictEqual(await runTaskScheduler(new Date(start + 2 * HOUR)), { overdue: 1, reminders: 0 });
+  assert.strictEqual((await getTask(task.id)).reminded_at, null);
+  assert.deepStrictEqual(await runTaskScheduler(new Date(start + 4 * HOUR)), { overdue: 0, reminders: 1 });
+  assert.deepStrictEqual(await notificationTypes(userId), ['overdue', 'reminder']);
+});
+
+test('an overdue task goes back to its status when the due date moves on', async () => {
+  const start = Date.now();
+  const create = (title, status) => createTask({
+    contact_id: contactId,
+    title,
+    status,
+    due_at: new Date(start - HOUR).toISOString()
+  }, creatorId);
+
+  // One the scheduler finds in progress, one created past due
+  const started = await create('Draft the proposal', 'in_progress');
+  const waiting = await create('Book the room', 'open');
+  assert.strictEqual(started.status, 'in_progress');
+  assert.strictEqual(waiting.status, 'overdue');
+  await runTaskScheduler(new Date(start));
+
+  for (const [task, status] of [[started, 'in_progress'], [waiting, 'open']]) {
+    const overdue = await getTask(task.id);
+    assert.strictEqual(overdue.status, 'overdue');
+    assert.strictEqual(overdue.status_before_overdue, status);
+
+    // Edits that leave the due date behind keep it overdue
+    const { task: renamed } = await updateTask(overdue, { title: `${task.title} (v2)` }, creatorId);
+    assert.strictEqual(renamed.status, 'overdue');
+    assert.strictEqual(renamed.status_before_overdue, status);
+
+    const { task: moved } = await updateTask(renamed, { due_at: new Date(start + 48 * HOUR).toISOString() }, creatorId);
+    assert.strictEqual(moved.status, status);
+    assert.strictEqual(moved.status_before_overdue, null);
+  }
+
+  // Reopening a task with a past due date makes it overdue from open
+  const { task: reopened } = await updateTask(await getTask(started.id), {
+    status: 'open',
+    due_at: new Date(start - HOUR).toISOString()
+  }, creatorId);
+  assert.strictEqual(reopened.status, 'overdue');
+  assert.strictEqual(reopened.status_before_overdue, 'open');
+});